@@ -25,6 +25,8 @@ const EditProfilePage = lazy(() => import('./pages/EditProfilePage'));
 const MessagesPage = lazy(() => import('./pages/MessagesPage'));
 const LeaderboardPage = lazy(() => import('./pages/LeaderboardPage'));
 const LuckyRollPage = lazy(() => import('./pages/LuckyRollPage'));
+const LearningPathPage = lazy(() => import('./pages/LearningPathPage'));
+const LearningPathFormPage = lazy(() => import('./pages/LearningPathFormPage'));
 
 // --- Lazy imports for Admin panel ---
 const AdminLayout = lazy(() => import('./components/admin/AdminLayout'));
@@ -44,6 +46,9 @@ const AdminNotifications = lazy(() =>
   import('./pages/admin/AdminPages').then(module => ({ default: module.AdminNotifications }))
 );
 
+const AdminCategories = lazy(() =>
+  import('./pages/admin/AdminPages').then(module => ({ default: module.AdminCategories }))
+);
 const AdminReports = lazy(() =>
   import('./pages/admin/AdminPages').then(module => ({ default: module.AdminReports }))
 );
@@ -113,6 +118,9 @@ function App() {
               <Route path="explore" element={<ExplorePage />} />
               <Route path="lucky-roll" element={<LuckyRollPage />} />
               <Route path="team/:teamId" element={<TeamPage />} />
+              <Route path="learning-paths/new" element={<LearningPathFormPage />} />
+              <Route path="learning-paths/:pathId" element={<LearningPathPage />} />
+              <Route path="learning-paths/:pathId/edit" element={<LearningPathFormPage />} />
             </Route>
           </Route>
 
@@ -122,6 +130,7 @@ function App() {
             <Route path="dashboard" element={<AdminDashboard />} />
             <Route path="users" element={<AdminUsers />} />
             <Route path="skills" element={<AdminSkills />} />
+            <Route path="categories" element={<AdminCategories />} />
             <Route path="conversations" element={<AdminConversations />} />
             <Route path="notifications" element={<AdminNotifications />} />
             <Route path="reports" element={<AdminReports />} />
@@ -19,19 +19,60 @@ apiClient.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Requests that must not trigger a refresh themselves.
+const NO_REFRESH_URLS = ['/users/login', '/users/refresh-token'];
+
+let refreshPromise = null;
+
+// One refresh at a time: requests that fail while it is in flight wait for it and then retry.
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = apiClient
+      .post('/users/refresh-token')
+      .then((response) => {
+        const { accessToken } = response.data.data;
+        localStorage.setItem('accessToken', accessToken);
+        return accessToken;
+      })
+      .catch((error) => {
+        localStorage.removeItem('accessToken');
+        window.dispatchEvent(new Event('auth:session-expired'));
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 apiClient.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.code === "ERR_NETWORK" && !isNetworkErrorToastVisible) {
-      isNetworkErrorToastVisible = true;
-      toast.error("Network Error: Please check your internet connection.");
-      
-      setTimeout(() => {
-        isNetworkErrorToastVisible = false;
-      }, 5000);
-    }
-    return Promise.reject(error);
-  }
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url) &&
+      localStorage.getItem('accessToken')
+    ) {
+      originalRequest._retry = true;
+      const accessToken = await refreshAccessToken();
+      originalRequest.headers['Authorization'] = `Bearer ${accessToken}`;
+      return apiClient(originalRequest);
+    }
+
+    if (error.code === "ERR_NETWORK" && !isNetworkErrorToastVisible) {
+      isNetworkErrorToastVisible = true;
+      toast.error("Network Error: Please check your internet connection.");
+
+      setTimeout(() => {
+        isNetworkErrorToastVisible = false;
+      }, 5000);
+    }
+    return Promise.reject(error);
+  }
 );
 
 export default apiClient;
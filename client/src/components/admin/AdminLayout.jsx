@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
-import { NavLink, Outlet, Navigate } from 'react-router-dom';
+import { NavLink, Outlet, Navigate, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { ChartBarIcon, UsersIcon, AcademicCapIcon, BellAlertIcon, FlagIcon, Bars3Icon, XMarkIcon } from '@heroicons/react/24/solid';
+import { ChartBarIcon, UsersIcon, AcademicCapIcon, BellAlertIcon, FlagIcon, TagIcon, Bars3Icon, XMarkIcon, ShieldExclamationIcon } from '@heroicons/react/24/solid';
 import Spinner from '../common/Spinner';
 
 const AdminLayout = () => {
@@ -14,11 +14,24 @@ const AdminLayout = () => {
     if (user?.role !== 'admin') {
         return <Navigate to="/" replace />;
     }
+    if (!user.twoFactorEnabled) {
+        return (
+            <div className="flex justify-center items-center min-h-[60vh] p-4">
+                <div className="max-w-md p-8 text-center bg-white dark:bg-slate-800 rounded-lg shadow-md">
+                    <ShieldExclamationIcon className="h-12 w-12 mx-auto text-amber-500" />
+                    <h2 className="mt-4 text-xl font-bold text-slate-800 dark:text-white">Two-factor authentication required</h2>
+                    <p className="mt-2 text-slate-600 dark:text-slate-400">Admin accounts must turn on two-factor authentication before using the admin panel.</p>
+                    <Link to="/profile/edit" className="inline-block mt-6 px-4 py-2 font-semibold text-white bg-blue-600 rounded-md hover:bg-blue-700">Set it up</Link>
+                </div>
+            </div>
+        );
+    }
 
     const navLinks = [
         { name: 'Dashboard', to: '/admin/dashboard', icon: ChartBarIcon },
         { name: 'Users', to: '/admin/users', icon: UsersIcon },
         { name: 'Skills', to: '/admin/skills', icon: AcademicCapIcon },
+        { name: 'Categories', to: '/admin/categories', icon: TagIcon },
         { name: 'Reports', to: '/admin/reports', icon: FlagIcon },
         { name: 'Notifications', to: '/admin/notifications', icon: BellAlertIcon },
     ];
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+
+/**
+ * Second login step for accounts with two-factor authentication: a code from the
+ * authenticator app, or one of the recovery codes.
+ */
+const TwoFactorChallenge = ({ challengeToken, onCancel }) => {
+  const { completeTwoFactorLogin } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsSubmitting(true);
+    try {
+      await completeTwoFactorLogin(challengeToken, code.trim());
+    } catch (err) {
+      setError(err.response?.data?.message || 'Verification failed. Please try again.');
+      setCode('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="flex items-center gap-2">
+        <ShieldCheckIcon className="h-6 w-6 text-accent-500" />
+        <h3 className="font-semibold text-lg">Two-factor authentication</h3>
+      </div>
+      <p className="text-sm text-slate-600 dark:text-slate-400">
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </p>
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        required
+        autoFocus
+        autoComplete="one-time-code"
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        className="w-full px-4 py-2 bg-slate-100 dark:bg-slate-700 rounded-lg tracking-widest text-center"
+      />
+      {error && <p className="text-sm text-center text-red-500">{error}</p>}
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full py-3 font-semibold text-white bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg shadow-lg disabled:opacity-70 disabled:cursor-not-allowed"
+      >
+        {isSubmitting ? 'Verifying...' : 'Verify'}
+      </button>
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={toggleMode} className="font-semibold text-accent-500 hover:underline">
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button type="button" onClick={onCancel} className="text-slate-500 hover:underline">
+          Back to login
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
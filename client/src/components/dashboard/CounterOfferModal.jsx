@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import ReactDOM from 'react-dom';
+import apiClient from '../../api/axios';
+import Spinner from '../common/Spinner';
+
+const CounterOfferModal = ({ isOpen, onClose, onSubmit, proposal }) => {
+  const [proposalType, setProposalType] = useState('credits');
+  const [costInCredits, setCostInCredits] = useState('');
+  const [offeredSkillId, setOfferedSkillId] = useState('');
+  const [message, setMessage] = useState('');
+  const [proposerSkills, setProposerSkills] = useState([]);
+  const [loadingSkills, setLoadingSkills] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setProposalType(proposal.proposalType);
+      setCostInCredits(proposal.costInCredits ?? proposal.requestedSkill?.costInCredits ?? '');
+      setOfferedSkillId('');
+      setMessage('');
+      setError('');
+    }
+  }, [isOpen, proposal]);
+
+  useEffect(() => {
+    if (isOpen && proposalType === 'skill' && proposal.proposer?._id) {
+      setLoadingSkills(true);
+      apiClient
+        .get(`/skills?type=OFFER&userId=${proposal.proposer._id}`)
+        .then((res) => setProposerSkills(res.data.data.skills))
+        .catch(() => setError(`Could not fetch ${proposal.proposer.username}'s skills.`))
+        .finally(() => setLoadingSkills(false));
+    }
+  }, [isOpen, proposalType, proposal.proposer]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (proposalType === 'skill' && !offeredSkillId) {
+      return setError('Please select a skill you would like instead.');
+    }
+    onSubmit({
+      proposalType,
+      offeredSkillId: proposalType === 'skill' ? offeredSkillId : undefined,
+      costInCredits: proposalType === 'credits' ? Number(costInCredits) : undefined,
+      message,
+    });
+  };
+
+  if (!isOpen) return null;
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-[9999] p-4">
+      <div className="bg-white dark:bg-slate-800 p-8 rounded-lg shadow-xl w-full max-w-md relative animate-fadeIn">
+        <h2 className="text-2xl font-bold mb-4 text-center text-slate-800 dark:text-white">
+          Send a Counter-Offer
+        </h2>
+        <p className="text-center text-sm text-slate-500 dark:text-slate-400 mb-6">
+          Suggest different terms to {proposal.proposer?.username}. They can accept or decline.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex gap-2">
+            {['credits', 'skill'].map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setProposalType(option)}
+                className={`flex-1 py-2 rounded-md text-sm font-semibold transition-colors ${
+                  proposalType === option
+                    ? 'bg-accent-600 text-white'
+                    : 'bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-300'
+                }`}
+              >
+                {option === 'credits' ? 'Ask for Credits' : 'Ask for a Skill'}
+              </button>
+            ))}
+          </div>
+
+          {proposalType === 'credits' ? (
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={costInCredits}
+              onChange={(e) => setCostInCredits(e.target.value)}
+              placeholder="Credits"
+              required
+              className="w-full px-4 py-3 bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200 rounded-lg focus:ring-2 focus:ring-accent-500 outline-none transition-all"
+            />
+          ) : loadingSkills ? (
+            <Spinner text="Loading skills..." />
+          ) : proposerSkills.length > 0 ? (
+            <select
+              value={offeredSkillId}
+              onChange={(e) => setOfferedSkillId(e.target.value)}
+              className="w-full px-4 py-3 bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200 rounded-lg focus:ring-2 focus:ring-accent-500 outline-none transition-all"
+            >
+              <option value="">-- Select one of their skills --</option>
+              {proposerSkills.map((skill) => (
+                <option key={skill._id} value={skill._id}>{skill.title}</option>
+              ))}
+            </select>
+          ) : (
+            <p className="text-sm text-slate-500">{proposal.proposer?.username} is not offering any skills yet.</p>
+          )}
+
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Add a short note... (Optional)"
+            rows="3"
+            maxLength={500}
+            className="w-full px-4 py-3 bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200 rounded-lg focus:ring-2 focus:ring-accent-500 outline-none transition-all"
+          ></textarea>
+
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+
+          <div className="flex justify-end space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 rounded-md text-slate-700 dark:text-slate-300 bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-6 py-2 rounded-md font-semibold text-white bg-violet-600 hover:bg-violet-700 shadow-lg shadow-violet-500/30 transition-all"
+            >
+              Send Counter-Offer
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default CounterOfferModal;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import ProposalCardSkeleton from './ProposalCardSkeleton';
+import { BanknotesIcon } from '@heroicons/react/24/outline';
+
+const TYPE_LABELS = {
+  swap_payment: 'Swap payment',
+  swap_earning: 'Swap earnings',
+  team_join: 'Joined team',
+  team_refund: 'Team refund',
+  team_payout: 'Team payout',
+  daily_reward: 'Daily reward',
+  escrow_hold: 'Held for swap',
+  escrow_release: 'Held credits paid out',
+  escrow_refund: 'Held credits refunded',
+};
+
+const CreditHistory = () => {
+  const [transactions, setTransactions] = useState([]);
+  const [balance, setBalance] = useState(null);
+  const [heldBalance, setHeldBalance] = useState(0);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const fetchHistory = useCallback(async (pageToLoad) => {
+    setLoading(true);
+    try {
+      const response = await apiClient.get(`/credits/history?page=${pageToLoad}&limit=20`);
+      const { transactions: items, totalPages: pages, balance: currentBalance, heldBalance: currentHeld } = response.data.data;
+      setTransactions(prev => (pageToLoad === 1 ? items : [...prev, ...items]));
+      setTotalPages(pages);
+      setBalance(currentBalance);
+      setHeldBalance(currentHeld || 0);
+      setPage(pageToLoad);
+    } catch (error) {
+      console.error('Failed to fetch credit history', error);
+      toast.error('Could not load your credit history.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchHistory(1);
+  }, [fetchHistory]);
+
+  if (loading && transactions.length === 0) {
+    return (
+      <div className="grid gap-4">
+        {[...Array(3)].map((_, i) => (
+          <ProposalCardSkeleton key={i} />
+        ))}
+      </div>
+    );
+  }
+
+  if (transactions.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-16 px-4 bg-white/50 dark:bg-slate-800/50 backdrop-blur-sm rounded-3xl border border-dashed border-slate-300 dark:border-slate-700">
+        <div className="p-4 bg-slate-100 dark:bg-slate-700 rounded-full mb-4">
+          <BanknotesIcon className="h-8 w-8 text-slate-400" />
+        </div>
+        <h3 className="text-lg font-semibold text-slate-700 dark:text-slate-200">No credit activity yet.</h3>
+        <p className="text-sm text-slate-500 mt-1">Swaps, teams and rewards will show up here.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {balance !== null && (
+        <div className="p-4 bg-white dark:bg-slate-800 rounded-2xl shadow-md flex items-center justify-between">
+          <span className="text-sm text-slate-500 dark:text-slate-400">Available balance</span>
+          <div className="text-right">
+            <span className="text-xl font-bold text-violet-600 dark:text-violet-400">{balance} credits</span>
+            {heldBalance > 0 && (
+              <p className="text-xs text-amber-500">{heldBalance} held in escrow</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <ul className="bg-white dark:bg-slate-800 rounded-2xl shadow-md divide-y divide-slate-100 dark:divide-slate-700">
+        {transactions.map(tx => (
+          <li key={tx._id} className="p-4 flex items-center justify-between gap-4">
+            <div className="min-w-0">
+              <p className="font-semibold text-slate-800 dark:text-slate-100">{TYPE_LABELS[tx.type] || tx.type}</p>
+              <p className="text-sm text-slate-500 dark:text-slate-400 truncate">
+                {tx.description}
+                {tx.counterparty && (
+                  <> · <Link to={`/profile/${tx.counterparty.username}`} className="hover:underline">@{tx.counterparty.username}</Link></>
+                )}
+              </p>
+              <p className="text-xs text-slate-400">{format(new Date(tx.createdAt), 'PPp')}</p>
+            </div>
+            <div className="text-right flex-shrink-0">
+              {tx.amount !== 0 ? (
+                <p className={`font-bold ${tx.amount > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                  {tx.amount > 0 ? `+${tx.amount}` : tx.amount}
+                </p>
+              ) : (
+                <p className="font-bold text-amber-500">{tx.heldAmount} held</p>
+              )}
+              <p className="text-xs text-slate-400">
+                Balance: {tx.balanceAfter}
+                {tx.heldBalanceAfter > 0 && ` (${tx.heldBalanceAfter} held)`}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {page < totalPages && (
+        <div className="flex justify-center">
+          <button
+            onClick={() => fetchHistory(page + 1)}
+            disabled={loading}
+            className="px-4 py-2 text-sm font-semibold text-white bg-violet-600 rounded-md hover:bg-violet-700 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CreditHistory;
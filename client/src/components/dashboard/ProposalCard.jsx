@@ -3,8 +3,12 @@ import { useNavigate } from "react-router-dom";
 import apiClient from "../../api/axios";
 import { toast } from "react-toastify";
 import ShareContactModal from "./ShareContactModal";
-import { PencilIcon, ChatBubbleLeftRightIcon, XMarkIcon } from "@heroicons/react/24/solid";
+import CounterOfferModal from "./CounterOfferModal";
+import ScheduleSessionModal from "../sessions/ScheduleSessionModal";
+import WriteReviewModal from "../profile/WriteReviewModal";
+import { PencilIcon, ChatBubbleLeftRightIcon, XMarkIcon, CalendarDaysIcon } from "@heroicons/react/24/solid";
 import { useAuth } from "../../context/AuthContext";
+import { formatWeeklyRange } from "../../utils/availability";
 
 const ProposalCard = ({ proposal, type, onUpdate }) => {
   const { user } = useAuth();
@@ -12,30 +16,81 @@ const ProposalCard = ({ proposal, type, onUpdate }) => {
   const [loading, setLoading] = useState(false);
   const [isContactModalOpen, setIsContactModalOpen] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [isCounterModalOpen, setIsCounterModalOpen] = useState(false);
+  const [isScheduleModalOpen, setIsScheduleModalOpen] = useState(false);
+  const [isReviewModalOpen, setIsReviewModalOpen] = useState(false);
   const navigate = useNavigate();
 
 
   const handleDelete = async () => {
-    const actionText =
-      proposal.status === "pending" && type === "sent" ? "withdraw" : "delete";
-    if (
-      window.confirm(`Are you sure you want to ${actionText} this proposal?`)
-    ) {
+    if (window.confirm("Are you sure you want to remove this proposal from your dashboard?")) {
       setLoading(true);
       setError("");
       try {
         await apiClient.delete(`/proposals/${proposal._id}`);
-        toast.success(`Proposal ${actionText}n successfully!`);
+        toast.success("Proposal removed successfully!");
         navigate("/dashboard", { state: { refresh: true } });
       } catch (err) {
-        setError(
-          err.response?.data?.message || `Failed to ${actionText} proposal.`
-        );
+        setError(err.response?.data?.message || "Failed to remove proposal.");
         setLoading(false);
       }
     }
   };
 
+  const runAction = async (request, successMessage, fallbackError) => {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await request();
+      onUpdate(response.data.data);
+      toast.success(successMessage);
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackError);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleWithdraw = () => {
+    if (!window.confirm("Are you sure you want to withdraw this proposal?")) return;
+    runAction(
+      () => apiClient.patch(`/proposals/${proposal._id}/withdraw`),
+      "Proposal withdrawn.",
+      "Failed to withdraw proposal."
+    );
+  };
+
+  const handleCancel = () => {
+    const reason = window.prompt("Why are you cancelling this swap? The other user will see your reason.");
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError("A reason is required to cancel a swap.");
+      return;
+    }
+    runAction(
+      () => apiClient.patch(`/proposals/${proposal._id}/cancel`, { reason }),
+      "Swap cancelled.",
+      "Failed to cancel swap."
+    );
+  };
+
+  const handleCounter = (counterOffer) => {
+    setIsCounterModalOpen(false);
+    runAction(
+      () => apiClient.patch(`/proposals/${proposal._id}/counter`, counterOffer),
+      "Counter-offer sent!",
+      "Failed to send counter-offer."
+    );
+  };
+
+  const handleCounterResponse = (status) => {
+    runAction(
+      () => apiClient.patch(`/proposals/${proposal._id}/counter/respond`, { status }),
+      status === "accepted" ? "Counter-offer accepted!" : "Counter-offer declined.",
+      `Failed to ${status === "accepted" ? "accept" : "decline"} counter-offer.`
+    );
+  };
+
   const handleResponse = async (status, contactInfo = null) => {
     setLoading(true);
     setError("");
@@ -48,8 +103,7 @@ const ProposalCard = ({ proposal, type, onUpdate }) => {
 
       if (status === "accepted") {
         if (proposal.proposalType === "credits") {
-          const cost = proposal.requestedSkill?.costInCredits || 0;
-          toast.success(`Proposal accepted! You earned ${cost} credits.`);
+          toast.success(`Proposal accepted! ${proposal.costInCredits} credits are held until the swap is complete.`);
         } else {
           toast.success("Proposal accepted!");
         }
@@ -144,8 +198,18 @@ const handleCompleteSwap = async () => {
     accepted: "bg-green-500",
     rejected: "bg-red-500",
     completed: "bg-cyan-500", 
+    countered: "bg-violet-500",
+    withdrawn: "bg-slate-500",
+    cancelled: "bg-orange-500",
+    expired: "bg-slate-400",
   };
 
+  const isClosed = ["rejected", "completed", "withdrawn", "cancelled", "expired"].includes(proposal.status);
+  const counterOffer = proposal.status === "countered" ? proposal.counterOffer : null;
+  const counterTerms = counterOffer?.proposalType === "skill"
+    ? <>their skill <span className="font-semibold text-green-500">{counterOffer.offeredSkill?.title || "[Deleted Skill]"}</span></>
+    : <span className="font-bold text-amber-500">{counterOffer?.costInCredits} credits</span>;
+
   const requestedSkillTitle = proposal.requestedSkill?.title || "[Deleted Skill]";
   const offeredSkillTitle = proposal.offeredSkill?.title || "[Deleted Skill]";
 
@@ -202,6 +266,35 @@ const handleCompleteSwap = async () => {
           </p>
         )}
 
+        {counterOffer && (
+          <div className="mt-4 pt-4 border-t border-slate-200 dark:border-slate-700 text-sm text-slate-600 dark:text-slate-400">
+            {type === "sent" ? (
+              <p>
+                <span className="font-bold">{proposal.receiver.username}</span> countered: they would like{" "}
+                {counterOffer.proposalType === "skill"
+                  ? <>your skill <span className="font-semibold text-green-500">{counterOffer.offeredSkill?.title || "[Deleted Skill]"}</span></>
+                  : counterTerms}{" "}
+                instead.
+              </p>
+            ) : (
+              <p>You countered, asking for {counterTerms}. Waiting for {proposal.proposer.username} to respond.</p>
+            )}
+            {counterOffer.message && <p className="mt-1 italic">"{counterOffer.message}"</p>}
+          </div>
+        )}
+
+        {proposal.preferredSlot?.timezone && (
+          <p className="mt-4 text-sm text-slate-600 dark:text-slate-400">
+            <strong>Preferred time:</strong> {formatWeeklyRange(proposal.preferredSlot)} ({proposal.preferredSlot.timezone}), weekly
+          </p>
+        )}
+
+        {proposal.status === "cancelled" && proposal.cancellation?.reason && (
+          <p className="mt-4 pt-4 border-t border-slate-200 dark:border-slate-700 text-sm text-slate-600 dark:text-slate-400">
+            <strong>Cancelled{proposal.cancellation.by === user._id ? " by you" : ""}:</strong> {proposal.cancellation.reason}
+          </p>
+        )}
+
         {proposal.status === "accepted" && proposal.contactInfo && (
           <div className="mt-4 pt-4 border-t border-slate-200 dark:border-slate-700">
             <div className="flex justify-between items-center mb-2">
@@ -277,6 +370,15 @@ const handleCompleteSwap = async () => {
                     Chat
                   </button>
 
+                  <button
+                    onClick={() => setIsScheduleModalOpen(true)}
+                    className="flex items-center gap-1 text-sm font-semibold text-slate-500 hover:text-accent-500"
+                    title="Schedule a session"
+                  >
+                    <CalendarDaysIcon className="h-5 w-5" />
+                    Schedule
+                  </button>
+
                     {proposal.completedBy?.includes(user._id) ? (
             <span className="text-sm italic text-slate-500">Waiting for other user...</span>
           ) : (
@@ -284,6 +386,47 @@ const handleCompleteSwap = async () => {
               Confirm Completion
             </button>
           )}
+                  <button
+                    onClick={handleCancel}
+                    className="text-sm font-semibold text-slate-500 hover:text-red-500"
+                  >
+                    Cancel Swap
+                  </button>
+                </>
+              )}
+
+              {proposal.status === "completed" && (
+                <button
+                  onClick={() => setIsReviewModalOpen(true)}
+                  className="text-sm font-semibold text-slate-500 hover:text-accent-500"
+                >
+                  Leave a Review
+                </button>
+              )}
+
+              {type === "sent" && ["pending", "countered"].includes(proposal.status) && (
+                <button
+                  onClick={handleWithdraw}
+                  className="text-sm font-semibold text-slate-500 hover:text-red-500"
+                >
+                  Withdraw
+                </button>
+              )}
+
+              {type === "sent" && proposal.status === "countered" && (
+                <>
+                  <button
+                    onClick={() => handleCounterResponse("rejected")}
+                    className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700"
+                  >
+                    Decline
+                  </button>
+                  <button
+                    onClick={() => handleCounterResponse("accepted")}
+                    className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700"
+                  >
+                    Accept
+                  </button>
                 </>
               )}
 
@@ -295,6 +438,12 @@ const handleCompleteSwap = async () => {
                   >
                     Reject
                   </button>
+                  <button
+                    onClick={() => setIsCounterModalOpen(true)}
+                    className="px-4 py-2 text-sm font-medium text-white bg-violet-600 rounded-md hover:bg-violet-700"
+                  >
+                    Counter
+                  </button>
                   <button
                     onClick={() => setIsContactModalOpen(true)}
                     className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700"
@@ -303,10 +452,11 @@ const handleCompleteSwap = async () => {
                   </button>
                 </>
               )}
+              {isClosed && (
               <button
                 onClick={handleDelete}
                 className="text-slate-400 hover:text-red-500"
-                title="Delete Proposal"
+                title="Remove Proposal"
               >
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                   <path
@@ -316,6 +466,7 @@ const handleCompleteSwap = async () => {
                   />
                 </svg>
               </button>
+              )}
             </>
           )}
         </div>
@@ -330,6 +481,27 @@ const handleCompleteSwap = async () => {
         onSubmit={isEditing ? handleEditSubmit : handleAccept}
         existingContactInfo={isEditing ? proposal.contactInfo : null}
       />
+
+      <CounterOfferModal
+        isOpen={isCounterModalOpen}
+        onClose={() => setIsCounterModalOpen(false)}
+        onSubmit={handleCounter}
+        proposal={proposal}
+      />
+
+      <ScheduleSessionModal
+        isOpen={isScheduleModalOpen}
+        onClose={() => setIsScheduleModalOpen(false)}
+        proposalId={proposal._id}
+        defaultTitle={`Skill swap: ${requestedSkillTitle}`}
+      />
+
+      <WriteReviewModal
+        isOpen={isReviewModalOpen}
+        onClose={() => setIsReviewModalOpen(false)}
+        proposalId={proposal._id}
+        revieweeName={type === "received" ? proposal.proposer.username : proposal.receiver.username}
+      />
     </>
   );
 };
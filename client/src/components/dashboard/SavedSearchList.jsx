@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+import apiClient from '../../api/axios';
+import Spinner from '../common/Spinner';
+import { BellAlertIcon, TrashIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+
+const CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'push', label: 'Push' },
+  { key: 'email', label: 'Daily email' },
+];
+
+const describeFilters = ({ keywords, category, level, location, radius, near }) => [
+  keywords && `"${keywords}"`,
+  category,
+  level,
+  location,
+  near && `within ${radius} km`,
+].filter(Boolean).join(' · ');
+
+/**
+ * The user's saved searches. Each one alerts them about new matching skills on the channels
+ * they pick, and can be paused, re-run or deleted.
+ */
+const SavedSearchList = () => {
+  const [searches, setSearches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    apiClient
+      .get('/saved-searches')
+      .then((response) => setSearches(response.data.data))
+      .catch(() => toast.error('Could not load saved searches.'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const update = async (search, changes) => {
+    try {
+      const response = await apiClient.patch(`/saved-searches/${search._id}`, changes);
+      setSearches(prev => prev.map(item => (item._id === search._id ? response.data.data : item)));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update saved search.');
+    }
+  };
+
+  const handleDelete = async (search) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    try {
+      await apiClient.delete(`/saved-searches/${search._id}`);
+      setSearches(prev => prev.filter(item => item._id !== search._id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete saved search.');
+    }
+  };
+
+  if (loading) return <Spinner text="Loading saved searches..." />;
+
+  if (searches.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-16 text-center">
+        <BellAlertIcon className="h-12 w-12 text-slate-400 mb-3" />
+        <p className="text-lg font-semibold text-slate-700 dark:text-slate-200">No saved searches yet</p>
+        <p className="text-sm text-slate-500 mt-1">
+          Search on the <Link to="/" className="text-violet-600 hover:underline">home page</Link> and choose "Save search" to get alerts for new matches.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-4">
+      {searches.map(search => (
+        <div key={search._id} className={`p-4 sm:p-5 bg-white dark:bg-slate-800 rounded-2xl shadow-sm ${search.isActive ? '' : 'opacity-60'}`}>
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div>
+              <h3 className="font-bold text-slate-800 dark:text-white">{search.name}</h3>
+              <p className="text-sm text-slate-500">{describeFilters(search.filters)}</p>
+              <p className="text-xs text-slate-400 mt-1">
+                {search.matchCount} match{search.matchCount === 1 ? '' : 'es'} so far
+                {' · '}checked {formatDistanceToNow(new Date(search.lastCheckedAt), { addSuffix: true })}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Link
+                to={`/?savedSearch=${search._id}`}
+                className="p-2 text-slate-500 hover:text-violet-600"
+                title="Run this search"
+              >
+                <MagnifyingGlassIcon className="h-5 w-5" />
+              </Link>
+              <button
+                onClick={() => update(search, { isActive: !search.isActive })}
+                className="px-3 py-1 text-sm font-semibold rounded-md bg-slate-100 dark:bg-slate-700 hover:bg-slate-200 dark:hover:bg-slate-600"
+              >
+                {search.isActive ? 'Pause' : 'Resume'}
+              </button>
+              <button onClick={() => handleDelete(search)} className="p-2 text-slate-500 hover:text-red-600" aria-label="Delete saved search">
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-4 mt-3">
+            {CHANNELS.map(({ key, label }) => (
+              <label key={key} className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={search.channels[key]}
+                  onChange={(e) => update(search, { channels: { [key]: e.target.checked } })}
+                  disabled={!search.isActive}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SavedSearchList;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { CheckBadgeIcon, MapIcon } from '@heroicons/react/24/solid';
+
+const stepTitle = (step) => (step.kind === 'team' ? step.team?.teamName : step.skill?.title) || 'Unavailable';
+
+const LearningPathCard = ({ path }) => {
+  const { completedSteps = 0, totalSteps = path.steps.length, completedAt } = path.progress || {};
+  const percent = totalSteps ? Math.round((completedSteps / totalSteps) * 100) : 0;
+
+  return (
+    <Link
+      to={`/learning-paths/${path._id}`}
+      className="bg-white dark:bg-slate-800 rounded-lg shadow-md p-6 flex flex-col h-full hover:shadow-lg transition-shadow"
+    >
+      <div className="flex-grow">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-sm text-blue-500 font-semibold">{path.category || 'Mixed'}</p>
+          {path.isOfficial && (
+            <span className="flex items-center gap-1 text-xs font-semibold text-amber-600">
+              <CheckBadgeIcon className="h-4 w-4" /> Official
+            </span>
+          )}
+        </div>
+        <h3 className="text-xl font-bold mt-1 flex items-center gap-2">
+          <MapIcon className="h-5 w-5 text-slate-400 flex-shrink-0" />
+          {path.title}
+        </h3>
+        <p className="text-sm text-slate-500 mt-2">
+          {path.steps.slice(0, 3).map(stepTitle).join(' → ')}
+          {path.steps.length > 3 && ` → +${path.steps.length - 3} more`}
+        </p>
+      </div>
+      <div className="mt-4">
+        <div className="flex justify-between text-xs text-slate-500 mb-1">
+          <span>{completedAt ? 'Completed' : `${completedSteps} of ${totalSteps} steps`}</span>
+          <span>{path.completionCount} finished · by {path.creator?.username || 'Unknown'}</span>
+        </div>
+        <div className="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+          <div className={`h-full ${completedAt ? 'bg-green-500' : 'bg-blue-500'}`} style={{ width: `${percent}%` }} />
+        </div>
+      </div>
+    </Link>
+  );
+};
+
+export default LearningPathCard;
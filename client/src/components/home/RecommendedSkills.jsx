@@ -3,6 +3,18 @@ import apiClient from '../../api/axios';
 import SkillCard from '../skills/SkillCard';
 import SkillCardSkeleton from '../skills/SkillCardSkeleton';
 import { useAuth } from '../../context/AuthContext';
+import { SparklesIcon } from '@heroicons/react/24/outline';
+
+const explainRecommendation = ({ type, title } = {}) => {
+  switch (type) {
+    case 'bookmark': return `Because you bookmarked "${title}"`;
+    case 'proposal': return `Because you proposed a swap for "${title}"`;
+    case 'view': return `Because you viewed "${title}"`;
+    case 'skillsToLearn': return `Because you want to learn "${title}"`;
+    case 'new': return 'New on skill4skill';
+    default: return null;
+  }
+};
 
 const RecommendedSkills = () => {
   const { isAuthenticated } = useAuth();
@@ -46,9 +58,20 @@ const RecommendedSkills = () => {
         {isAuthenticated ? "recommended skills for You" : "Recently Added"}
       </h2>
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-        {recommendations.map(skill => (
-          <SkillCard key={skill._id} skill={skill} />
-        ))}
+        {recommendations.map(skill => {
+          const explanation = explainRecommendation(skill.recommendation?.reason);
+          return (
+            <div key={skill._id} className="flex flex-col gap-2">
+              {explanation && (
+                <p className="flex items-center gap-1 text-xs text-left text-slate-500 dark:text-slate-400 truncate" title={explanation}>
+                  <SparklesIcon className="h-4 w-4 flex-shrink-0 text-violet-500" />
+                  {explanation}
+                </p>
+              )}
+              <SkillCard skill={skill} />
+            </div>
+          );
+        })}
       </div>
     </div>
   );
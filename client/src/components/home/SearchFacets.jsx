@@ -0,0 +1,52 @@
+import React from 'react';
+import { XMarkIcon } from '@heroicons/react/24/solid';
+
+const FACET_GROUPS = [
+  { name: 'category', label: 'Category' },
+  { name: 'type', label: 'Type', format: value => (value === 'OFFER' ? 'Offers' : 'Requests') },
+  { name: 'level', label: 'Level' },
+  { name: 'cost', label: 'Cost' },
+  { name: 'location', label: 'Location' },
+];
+
+/**
+ * Filter chips built from the search facets. Counts for a group ignore that group's own
+ * filter, so switching between chips in one group shows what you would get.
+ */
+const SearchFacets = ({ facets, selected, onToggle }) => {
+  if (!facets) return null;
+
+  const groups = FACET_GROUPS.filter(group => facets[group.name]?.length > 0);
+  if (groups.length === 0) return null;
+
+  return (
+    <div className="mb-6 space-y-2">
+      {groups.map(group => (
+        <div key={group.name} className="flex flex-wrap items-center gap-2">
+          <span className="text-sm font-medium text-slate-500 dark:text-slate-400 w-20">{group.label}</span>
+          {facets[group.name].map(({ value, label, count }) => {
+            const isActive = selected[group.name] === value;
+            return (
+              <button
+                key={value}
+                type="button"
+                onClick={() => onToggle(group.name, value)}
+                className={`flex items-center gap-1 px-3 py-1 text-sm rounded-full border transition-colors ${
+                  isActive
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white dark:bg-slate-800 border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-300 hover:border-blue-500'
+                }`}
+              >
+                {label || (group.format ? group.format(value) : value)}
+                <span className={isActive ? 'text-blue-100' : 'text-slate-400'}>({count})</span>
+                {isActive && <XMarkIcon className="h-3 w-3" />}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SearchFacets;
@@ -0,0 +1,75 @@
+import React, { useMemo } from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { DAY_NAMES, listTimeZones, minutesToTime, timeToMinutes } from '../../utils/availability';
+
+const MAX_SLOTS = 21;
+const NEW_SLOT = { day: 1, start: 18 * 60, end: 20 * 60 };
+
+/**
+ * Edits weekly availability: a time zone plus day/start/end slots. Controlled through
+ * `value` ({ timezone, slots }) and `onChange`.
+ */
+const AvailabilityEditor = ({ value, onChange }) => {
+  const timeZones = useMemo(() => listTimeZones(value.timezone), [value.timezone]);
+  const inputClass = 'px-2 py-1 text-sm border rounded-md dark:bg-slate-700 dark:border-slate-600';
+
+  const updateSlot = (index, changes) => onChange({
+    ...value,
+    slots: value.slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot)),
+  });
+  const removeSlot = (index) => onChange({ ...value, slots: value.slots.filter((_, i) => i !== index) });
+  const addSlot = () => onChange({ ...value, slots: [...value.slots, NEW_SLOT] });
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-sm font-medium mb-1">Time zone</label>
+        <select
+          value={value.timezone}
+          onChange={(e) => onChange({ ...value, timezone: e.target.value })}
+          className={`w-full ${inputClass}`}
+        >
+          {timeZones.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+        </select>
+      </div>
+
+      {value.slots.length === 0 && (
+        <p className="text-sm text-gray-500">No times added yet.</p>
+      )}
+      {value.slots.map((slot, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <select value={slot.day} onChange={(e) => updateSlot(index, { day: Number(e.target.value) })} className={inputClass}>
+            {DAY_NAMES.map((name, day) => <option key={name} value={day}>{name}</option>)}
+          </select>
+          <input
+            type="time"
+            step={900}
+            value={minutesToTime(slot.start)}
+            onChange={(e) => e.target.value && updateSlot(index, { start: timeToMinutes(e.target.value) })}
+            className={inputClass}
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="time"
+            step={900}
+            value={minutesToTime(slot.end)}
+            onChange={(e) => e.target.value && updateSlot(index, { end: timeToMinutes(e.target.value, { isEnd: true }) })}
+            className={inputClass}
+          />
+          <button type="button" onClick={() => removeSlot(index)} className="p-1 text-gray-500 hover:text-red-600" aria-label="Remove time">
+            <TrashIcon className="h-5 w-5" />
+          </button>
+        </div>
+      ))}
+
+      {value.slots.length < MAX_SLOTS && (
+        <button type="button" onClick={addSlot} className="flex items-center gap-1 text-sm font-semibold text-indigo-600 hover:text-indigo-800">
+          <PlusIcon className="h-4 w-4" />
+          Add a time
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityEditor;
@@ -1,5 +1,5 @@
 import React from 'react';
-import { SparklesIcon, UserGroupIcon, AcademicCapIcon, StarIcon } from '@heroicons/react/24/solid';
+import { SparklesIcon, UserGroupIcon, AcademicCapIcon, StarIcon, MapIcon } from '@heroicons/react/24/solid';
 
 const Badge = ({ name }) => {
   const badgeStyles = {
@@ -57,6 +57,18 @@ const Badge = ({ name }) => {
       glow: 'shadow-[0_0_6px_1px_rgba(139,92,246,0.3)]',
       tooltip: 'Completed 20+ swaps',
     },
+    'Path Finisher': {
+      icon: <MapIcon />,
+      color: 'from-teal-400 to-teal-600',
+      glow: 'shadow-[0_0_4px_0_rgba(20,184,166,0.25)]',
+      tooltip: 'Completed a learning path',
+    },
+    'Pathfinder': {
+      icon: <MapIcon />,
+      color: 'from-indigo-500 to-indigo-700',
+      glow: 'shadow-[0_0_6px_1px_rgba(99,102,241,0.3)]',
+      tooltip: 'Completed 3+ learning paths',
+    },
   };
 
   const style = badgeStyles[name] || {
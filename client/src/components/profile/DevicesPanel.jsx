@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { formatDistanceToNow } from 'date-fns';
+import { ComputerDesktopIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+import apiClient from '../../api/axios';
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+// "Chrome on Windows" is enough to recognise a device; the full string is in the tooltip.
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token))?.[1];
+  if (!browser && !system) return 'Unknown device';
+  return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Mobile|Android|iPhone|iPad/.test(userAgent);
+
+const DevicesPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    apiClient
+      .get('/users/me/sessions')
+      .then((response) => setSessions(response.data.data))
+      .catch(() => toast.error('Could not load your devices.'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await apiClient.delete(`/users/me/sessions/${sessionId}`);
+      setSessions(prev => prev.filter(session => session._id !== sessionId));
+      toast.success('Device logged out.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not log out that device.');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Log out of every other device?')) return;
+    try {
+      await apiClient.delete('/users/me/sessions');
+      setSessions(prev => prev.filter(session => session.isCurrent));
+      toast.success('Logged out of all other devices.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not log out the other devices.');
+    }
+  };
+
+  if (loading) return <p className="text-sm text-gray-500">Loading devices...</p>;
+
+  return (
+    <div className="space-y-3">
+      {sessions.map(session => {
+        const Icon = isMobile(session.userAgent) ? DevicePhoneMobileIcon : ComputerDesktopIcon;
+        return (
+          <div key={session._id} className="flex items-center gap-3 p-3 bg-white dark:bg-slate-700 rounded-md">
+            <Icon className="h-6 w-6 text-slate-500 flex-shrink-0" />
+            <div className="flex-grow min-w-0">
+              <p className="font-medium truncate" title={session.userAgent}>
+                {describeDevice(session.userAgent)}
+                {session.isCurrent && <span className="ml-2 text-xs font-semibold text-green-600 dark:text-green-400">This device</span>}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {session.ip || 'Unknown IP'} · Signed in {formatDistanceToNow(new Date(session.createdAt), { addSuffix: true })} · Last active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+              </p>
+            </div>
+            {!session.isCurrent && (
+              <button type="button" onClick={() => handleRevoke(session._id)} className="px-3 py-1 text-sm font-semibold text-red-600 hover:bg-red-50 dark:hover:bg-slate-600 rounded-md flex-shrink-0">
+                Log out
+              </button>
+            )}
+          </div>
+        );
+      })}
+      {sessions.length === 0 && <p className="text-sm text-gray-500">No active devices.</p>}
+      {sessions.some(session => !session.isCurrent) && (
+        <button type="button" onClick={handleRevokeOthers} className="w-full px-4 py-2 font-bold text-white bg-red-500 rounded-md hover:bg-red-600">
+          Log Out All Other Devices
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default DevicesPanel;
@@ -1,4 +1,6 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
 
 
 const StarRating = ({ rating }) => {
@@ -13,16 +15,81 @@ const StarRating = ({ rating }) => {
   return <div className="flex">{stars}</div>;
 };
 
-const ReviewCard = ({ review }) => {
+const ReviewCard = ({ review, canReply = false, onUpdate }) => {
+  const [isReplying, setIsReplying] = useState(false);
+  const [reply, setReply] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const startReply = () => {
+    setReply(review.reply?.comment || '');
+    setIsReplying(true);
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await apiClient.patch(`/reviews/${review._id}/reply`, { comment: reply });
+      onUpdate?.(response.data.data);
+      setIsReplying(false);
+      toast.success('Reply posted!');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to post reply.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   return (
     <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow">
       <div className="flex justify-between items-center mb-2">
-        <span className="font-bold text-gray-800 dark:text-white">{review.reviewer.username}</span>
+        <span className="font-bold text-gray-800 dark:text-white">{review.reviewer?.username || 'A former user'}</span>
         <StarRating rating={review.rating} />
       </div>
+      {review.skill?.title && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">For {review.skill.title}</p>
+      )}
       <p className="text-gray-600 dark:text-gray-400 italic">"{review.comment}"</p>
+      {review.createdAt && (
+        <p className="text-xs text-gray-400 mt-2">{new Date(review.createdAt).toLocaleDateString()}</p>
+      )}
+
+      {review.reply?.comment && !isReplying && (
+        <div className="mt-3 ml-4 pl-3 border-l-2 border-accent-500">
+          <p className="text-xs font-semibold text-gray-700 dark:text-gray-300">Reply from {review.reviewee?.username}</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">{review.reply.comment}</p>
+        </div>
+      )}
+
+      {canReply && !isReplying && (
+        <button onClick={startReply} className="mt-2 text-sm font-semibold text-accent-500 hover:underline">
+          {review.reply?.comment ? 'Edit Reply' : 'Reply'}
+        </button>
+      )}
+
+      {isReplying && (
+        <form onSubmit={handleReply} className="mt-3 space-y-2">
+          <textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            rows="3"
+            maxLength={1000}
+            required
+            placeholder="Write a public reply..."
+            className="w-full px-3 py-2 text-sm bg-gray-100 dark:bg-gray-700 rounded-md focus:ring-2 focus:ring-accent-500 outline-none"
+          ></textarea>
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setIsReplying(false)} className="px-3 py-1 text-sm rounded-md bg-gray-200 dark:bg-gray-700">
+              Cancel
+            </button>
+            <button type="submit" disabled={isSubmitting} className="px-3 py-1 text-sm font-semibold text-white rounded-md bg-accent-600 hover:bg-accent-700 disabled:opacity-50">
+              {isSubmitting ? 'Posting...' : 'Post Reply'}
+            </button>
+          </div>
+        </form>
+      )}
     </div>
   );
 };   
 
-export default ReviewCard;
\ No newline at end of file
+export default ReviewCard;
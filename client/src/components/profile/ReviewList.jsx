@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import ReviewCard from './ReviewCard';
+import Spinner from '../common/Spinner';
+
+/**
+ * Reviews received by a user (`username`) or left for a skill (`skillId`).
+ */
+const ReviewList = ({ username, skillId }) => {
+  const { user } = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState({ averageRating: 0, totalReviews: 0 });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const endpoint = username ? `/reviews/user/${username}` : `/reviews/skill/${skillId}`;
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await apiClient.get(`${endpoint}?page=${page}`);
+        const { reviews: fetched, averageRating, totalReviews, totalPages: pages } = response.data.data;
+        setReviews(prev => (page === 1 ? fetched : [...prev, ...fetched]));
+        setSummary({ averageRating, totalReviews });
+        setTotalPages(pages);
+      } catch {
+        setError('Could not load reviews.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReviews();
+  }, [endpoint, page]);
+
+  const handleUpdate = (updatedReview) => {
+    setReviews(prev => prev.map(review => review._id === updatedReview._id ? updatedReview : review));
+  };
+
+  if (loading && page === 1) return <Spinner text="Loading reviews..." />;
+  if (error) return <p className="text-red-500 text-sm">{error}</p>;
+
+  if (reviews.length === 0) {
+    return <p className="text-slate-500 italic">No reviews yet.</p>;
+  }
+
+  return (
+    <div>
+      <p className="mb-4 text-slate-600 dark:text-slate-400">
+        <span className="font-bold text-lg text-slate-800 dark:text-white">{summary.averageRating.toFixed(1)} / 5</span>
+        {' '}from {summary.totalReviews} review{summary.totalReviews === 1 ? '' : 's'}
+      </p>
+      <div className="space-y-4">
+        {reviews.map(review => (
+          <ReviewCard
+            key={review._id}
+            review={review}
+            canReply={Boolean(user) && review.reviewee?._id === user._id}
+            onUpdate={handleUpdate}
+          />
+        ))}
+      </div>
+      {page < totalPages && (
+        <div className="text-center mt-4">
+          <button
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={loading}
+            className="px-4 py-2 text-sm font-semibold text-accent-500 hover:underline disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more reviews'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewList;
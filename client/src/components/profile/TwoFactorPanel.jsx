@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { ShieldCheckIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import apiClient from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied!');
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Save these recovery codes somewhere safe. Each one lets you log in once if you lose your phone. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-3 font-mono text-sm bg-white dark:bg-slate-700 rounded-md">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={handleCopy} className="flex items-center gap-1 px-4 py-2 text-sm font-semibold bg-slate-200 dark:bg-slate-600 rounded-md hover:bg-slate-300 dark:hover:bg-slate-500">
+          <ClipboardDocumentIcon className="h-4 w-4" /> Copy
+        </button>
+        <button type="button" onClick={onDone} className="px-4 py-2 text-sm font-semibold text-white bg-accent-600 rounded-md hover:bg-accent-700">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorPanel = () => {
+  const { updateUserState } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    apiClient
+      .get('/users/me/2fa')
+      .then((response) => setStatus(response.data.data))
+      .catch(() => toast.error('Could not load your two-factor settings.'));
+  }, []);
+
+  const run = async (request, onSuccess) => {
+    setBusy(true);
+    try {
+      const response = await request();
+      setCode('');
+      onSuccess(response.data.data);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSetup = () => run(() => apiClient.post('/users/me/2fa/setup'), setEnrollment);
+
+  const handleEnable = () => run(() => apiClient.post('/users/me/2fa/enable', { code }), (data) => {
+    setEnrollment(null);
+    setRecoveryCodes(data.recoveryCodes);
+    setStatus(prev => ({ ...prev, enabled: true, recoveryCodesLeft: data.recoveryCodes.length }));
+    updateUserState({ twoFactorEnabled: true });
+  });
+
+  const handleRegenerate = () => run(() => apiClient.post('/users/me/2fa/recovery-codes', { code }), (data) => {
+    setRecoveryCodes(data.recoveryCodes);
+    setStatus(prev => ({ ...prev, recoveryCodesLeft: data.recoveryCodes.length }));
+  });
+
+  const handleDisable = () => {
+    if (!window.confirm('Turn off two-factor authentication? Your account will only be protected by your password.')) return;
+    run(() => apiClient.post('/users/me/2fa/disable', { code }), () => {
+      setStatus(prev => ({ ...prev, enabled: false, recoveryCodesLeft: 0 }));
+      updateUserState({ twoFactorEnabled: false });
+    });
+  };
+
+  if (!status) return <p className="text-sm text-gray-500">Loading...</p>;
+
+  if (recoveryCodes) return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      placeholder="6-digit code"
+      className="w-40 px-3 py-2 bg-white dark:bg-slate-700 rounded-md tracking-widest"
+    />
+  );
+
+  if (enrollment) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-600 dark:text-gray-300">
+          Scan this QR code with an authenticator app such as Google Authenticator, Authy or 1Password, then enter the code it shows.
+        </p>
+        <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-48 h-48 bg-white p-2 rounded-md" />
+        <p className="text-xs text-gray-500 break-all">Can't scan it? Enter this key instead: <span className="font-mono">{enrollment.secret}</span></p>
+        <div className="flex gap-2">
+          {codeInput}
+          <button type="button" onClick={handleEnable} disabled={busy || !code} className="px-4 py-2 text-sm font-semibold text-white bg-accent-600 rounded-md hover:bg-accent-700 disabled:opacity-50">
+            Verify & Turn On
+          </button>
+          <button type="button" onClick={() => setEnrollment(null)} className="px-4 py-2 text-sm text-gray-500 hover:underline">Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="space-y-3">
+        {status.required && (
+          <p className="text-sm font-semibold text-red-500">Admin accounts need two-factor authentication to use the admin panel.</p>
+        )}
+        <button type="button" onClick={handleSetup} disabled={busy} className="w-full px-4 py-2 font-bold text-white bg-slate-600 rounded-md hover:bg-slate-700 disabled:opacity-50">
+          Turn On Two-Factor Authentication
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="flex items-center gap-2 text-sm font-semibold text-green-600 dark:text-green-400">
+        <ShieldCheckIcon className="h-5 w-5" /> Two-factor authentication is on
+      </p>
+      <p className="text-sm text-gray-500">
+        {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left. Enter a code from your app to manage these settings.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {codeInput}
+        <button type="button" onClick={handleRegenerate} disabled={busy || !code} className="px-4 py-2 text-sm font-semibold bg-slate-200 dark:bg-slate-600 rounded-md hover:bg-slate-300 dark:hover:bg-slate-500 disabled:opacity-50">
+          New Recovery Codes
+        </button>
+        {!status.required && (
+          <button type="button" onClick={handleDisable} disabled={busy || !code} className="px-4 py-2 text-sm font-semibold text-white bg-red-500 rounded-md hover:bg-red-600 disabled:opacity-50">
+            Turn Off
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorPanel;
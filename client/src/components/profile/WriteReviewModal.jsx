@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import ReactDOM from 'react-dom';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { StarIcon } from '@heroicons/react/24/solid';
+
+const WriteReviewModal = ({ isOpen, onClose, proposalId, teamId, revieweeName }) => {
+  const [rating, setRating] = useState(0);
+  const [hoverRating, setHoverRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setRating(0);
+      setComment('');
+      setError('');
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!rating) return setError('Please choose a star rating.');
+    setIsSubmitting(true);
+    setError('');
+    try {
+      await apiClient.post('/reviews', { proposalId, teamId, rating, comment });
+      toast.success('Thank you for your review!');
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit review.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-[9999] p-4">
+      <div className="bg-white dark:bg-slate-800 p-8 rounded-lg shadow-xl w-full max-w-md relative animate-fadeIn">
+        <h2 className="text-2xl font-bold mb-2 text-center text-slate-800 dark:text-white">Leave a Review</h2>
+        <p className="text-center text-sm text-slate-500 dark:text-slate-400 mb-6">
+          How was your experience with {revieweeName}? Your review will be public.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="flex justify-center space-x-1">
+            {[1, 2, 3, 4, 5].map(star => (
+              <button
+                type="button"
+                key={star}
+                onClick={() => setRating(star)}
+                onMouseEnter={() => setHoverRating(star)}
+                onMouseLeave={() => setHoverRating(0)}
+              >
+                <StarIcon className={`h-8 w-8 ${star <= (hoverRating || rating) ? 'text-yellow-400' : 'text-slate-300'}`} />
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows="4"
+            maxLength={1000}
+            required
+            placeholder="What went well? What could be better?"
+            className="w-full px-4 py-3 bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200 rounded-lg focus:ring-2 focus:ring-accent-500 outline-none transition-all"
+          ></textarea>
+
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+
+          <div className="flex justify-end space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 rounded-md text-slate-700 dark:text-slate-300 bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-6 py-2 rounded-md font-semibold text-white bg-violet-600 hover:bg-violet-700 shadow-lg shadow-violet-500/30 transition-all disabled:opacity-50"
+            >
+              {isSubmitting ? 'Submitting...' : 'Submit Review'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default WriteReviewModal;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import apiClient from '../../api/axios';
+import { ClockIcon } from '@heroicons/react/24/outline';
+import { formatWeeklyRange } from '../../utils/availability';
+
+/**
+ * Weekly times when the current user and the skill's owner are both free. Picking one
+ * suggests it to the other side as the preferred time for the swap.
+ */
+const OverlapSuggestions = ({ skillId, selected, onSelect, onNavigate }) => {
+  const [overlap, setOverlap] = useState(null);
+
+  useEffect(() => {
+    apiClient
+      .get(`/skills/${skillId}/availability-overlap`)
+      .then((res) => setOverlap(res.data.data))
+      .catch(() => setOverlap(null));
+  }, [skillId]);
+
+  if (!overlap) return null;
+
+  if (!overlap.mine) {
+    return (
+      <p className="text-sm text-slate-500 mb-4">
+        <Link to="/profile/edit" onClick={onNavigate} className="text-blue-500 hover:underline">Add your weekly availability</Link>{' '}
+        to see when you are both free.
+      </p>
+    );
+  }
+  if (!overlap.theirs) return null;
+  if (overlap.overlaps.length === 0) {
+    return <p className="text-sm text-slate-500 mb-4">Your weekly availability does not overlap. You can agree on a time in chat.</p>;
+  }
+
+  return (
+    <div className="mb-4">
+      <p className="flex items-center gap-1 text-sm font-medium mb-2">
+        <ClockIcon className="h-4 w-4" />
+        You are both free (your time, {overlap.mine.timezone}):
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {overlap.overlaps.map(({ mine, theirs }) => {
+          const label = formatWeeklyRange(mine);
+          const isSelected = selected && formatWeeklyRange(selected) === label;
+          return (
+            <button
+              key={label}
+              type="button"
+              onClick={() => onSelect(isSelected ? null : mine)}
+              title={`${formatWeeklyRange(theirs)} for them (${theirs.timezone})`}
+              className={`px-3 py-1 text-sm rounded-full border ${
+                isSelected
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'border-slate-300 dark:border-slate-600 hover:border-blue-500'
+              }`}
+            >
+              {label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default OverlapSuggestions;
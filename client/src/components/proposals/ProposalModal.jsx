@@ -4,6 +4,7 @@ import { useAuth } from '../../context/AuthContext';
 import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import Spinner from '../common/Spinner';
+import OverlapSuggestions from './OverlapSuggestions';
 
 const ProposalModal = ({ isOpen, onClose, requestedSkill }) => {
   const { user } = useAuth();
@@ -15,6 +16,7 @@ const ProposalModal = ({ isOpen, onClose, requestedSkill }) => {
   const [success, setSuccess] = useState('');
   const [loadingSkills, setLoadingSkills] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [preferredSlot, setPreferredSlot] = useState(null);
 
   useEffect(() => {
     if (isOpen && proposalType === 'skill' && user?._id) {
@@ -37,6 +39,7 @@ const ProposalModal = ({ isOpen, onClose, requestedSkill }) => {
       requestedSkillId: requestedSkill._id,
       proposalType,
       offeredSkillId: proposalType === 'skill' ? selectedSkillId : undefined,
+      preferredSlot: preferredSlot || undefined,
     };
 
     if (proposalType === 'skill' && !selectedSkillId) {
@@ -213,6 +216,15 @@ const ProposalModal = ({ isOpen, onClose, requestedSkill }) => {
                 </>
               )}
 
+              <div className="mt-4">
+                <OverlapSuggestions
+                  skillId={requestedSkill._id}
+                  selected={preferredSlot}
+                  onSelect={setPreferredSlot}
+                  onNavigate={onClose}
+                />
+              </div>
+
               {error && (
                 <p className="text-red-500 text-sm text-center my-4">{error}</p>
               )}
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import { ArrowRightIcon, CheckCircleIcon, ClockIcon, XCircleIcon } from '@heroicons/react/24/outline';
+
+const statusColors = {
+  proposed: 'bg-yellow-500',
+  active: 'bg-blue-500',
+  completed: 'bg-green-500',
+  declined: 'bg-red-500',
+  cancelled: 'bg-slate-500',
+  expired: 'bg-slate-500',
+};
+
+const responseIcons = {
+  accepted: <CheckCircleIcon className="h-4 w-4 text-green-500" />,
+  declined: <XCircleIcon className="h-4 w-4 text-red-500" />,
+  pending: <ClockIcon className="h-4 w-4 text-yellow-500" />,
+};
+
+const RingSwapCard = ({ ringSwap, onUpdate }) => {
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(false);
+
+  const me = ringSwap.participants.find(participant => participant.user?._id === user._id);
+  const canRespond = ringSwap.status === 'proposed' && me?.response === 'pending';
+  const canCancel = ['proposed', 'active'].includes(ringSwap.status);
+
+  const runAction = async (request, successMessage) => {
+    setLoading(true);
+    try {
+      const response = await request();
+      onUpdate(response.data.data);
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Something went wrong.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRespond = (response) => runAction(
+    () => apiClient.patch(`/ring-swaps/${ringSwap._id}/respond`, { response }),
+    response === 'accepted' ? 'Ring swap accepted!' : 'Ring swap declined.'
+  );
+
+  const handleCompleteEdge = (edge) => runAction(
+    () => apiClient.patch(`/ring-swaps/${ringSwap._id}/edges/${edge._id}/complete`),
+    'Marked as done.'
+  );
+
+  const handleCancel = () => {
+    if (!window.confirm('Are you sure you want to cancel this ring swap for everyone?')) return;
+    runAction(() => apiClient.patch(`/ring-swaps/${ringSwap._id}/cancel`), 'Ring swap cancelled.');
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md border-l-4 border-violet-500">
+      <div className="flex justify-between items-center mb-3">
+        <span className={`px-3 py-1 text-xs font-semibold text-white rounded-full ${statusColors[ringSwap.status]}`}>
+          {ringSwap.status}
+        </span>
+        <span className="text-xs text-slate-500 dark:text-slate-400">
+          {ringSwap.participants.length}-person ring
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-3 mb-3">
+        {ringSwap.participants.map(participant => (
+          <span key={participant.user?._id} className="flex items-center gap-1 text-sm text-slate-700 dark:text-slate-300">
+            {ringSwap.status === 'proposed' && responseIcons[participant.response]}
+            {participant.user?._id === user._id ? 'You' : participant.user?.username}
+          </span>
+        ))}
+      </div>
+
+      <ul className="space-y-2">
+        {ringSwap.edges.map(edge => {
+          const isMine = edge.teacher?._id === user._id || edge.learner?._id === user._id;
+          const confirmedByMe = edge.completedBy?.includes(user._id);
+          return (
+            <li key={edge._id} className="flex flex-wrap items-center justify-between gap-2 text-sm text-slate-600 dark:text-slate-400">
+              <span className="flex items-center gap-2">
+                <span className="font-semibold">{edge.teacher?.username}</span>
+                <ArrowRightIcon className="h-4 w-4" />
+                <span className="font-semibold">{edge.learner?.username}</span>
+                <span>: {edge.skillTitle}</span>
+              </span>
+              {edge.status === 'completed' ? (
+                <span className="flex items-center gap-1 text-green-600"><CheckCircleIcon className="h-4 w-4" /> Done</span>
+              ) : ringSwap.status === 'active' && isMine && (
+                confirmedByMe ? (
+                  <span className="text-xs italic">Waiting for the other side</span>
+                ) : (
+                  <button
+                    onClick={() => handleCompleteEdge(edge)}
+                    disabled={loading}
+                    className="px-3 py-1 text-xs font-medium text-white bg-green-600 rounded-md hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Mark Done
+                  </button>
+                )
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="flex flex-wrap justify-end items-center gap-3 mt-4">
+        {loading ? (
+          <span className="text-sm italic">Processing...</span>
+        ) : (
+          <>
+            {canCancel && (
+              <button onClick={handleCancel} className="text-sm font-semibold text-slate-500 hover:text-red-500">
+                Cancel
+              </button>
+            )}
+            {canRespond && (
+              <>
+                <button onClick={() => handleRespond('declined')} className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700">
+                  Decline
+                </button>
+                <button onClick={() => handleRespond('accepted')} className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700">
+                  Accept
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RingSwapCard;
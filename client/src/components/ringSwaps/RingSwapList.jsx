@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { useSocketContext } from '../../context/SocketContext';
+import RingSwapCard from './RingSwapCard';
+import Spinner from '../common/Spinner';
+import { ArrowPathRoundedSquareIcon, ArrowRightIcon } from '@heroicons/react/24/outline';
+
+/**
+ * The user's ring swaps, plus suggested loops they could propose.
+ */
+const RingSwapList = () => {
+  const [ringSwaps, setRingSwaps] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [proposingIndex, setProposingIndex] = useState(null);
+  const { socket } = useSocketContext();
+
+  const fetchRingSwaps = useCallback(async () => {
+    try {
+      const [mineResponse, suggestionsResponse] = await Promise.all([
+        apiClient.get('/ring-swaps'),
+        apiClient.get('/ring-swaps/suggestions'),
+      ]);
+      setRingSwaps(mineResponse.data.data);
+      setSuggestions(suggestionsResponse.data.data);
+    } catch {
+      toast.error('Could not load ring swaps.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRingSwaps();
+  }, [fetchRingSwaps]);
+
+  useEffect(() => {
+    socket?.on('new_notification', fetchRingSwaps);
+    return () => socket?.off('new_notification', fetchRingSwaps);
+  }, [socket, fetchRingSwaps]);
+
+  const handleUpdate = (updatedRingSwap) => {
+    setRingSwaps(prev => prev.map(ringSwap => ringSwap._id === updatedRingSwap._id ? updatedRingSwap : ringSwap));
+  };
+
+  const handlePropose = async (suggestion, index) => {
+    setProposingIndex(index);
+    try {
+      const response = await apiClient.post('/ring-swaps', { userIds: suggestion.users.map(user => user._id) });
+      setRingSwaps(prev => [response.data.data, ...prev]);
+      setSuggestions(prev => prev.filter((_, i) => i !== index));
+      toast.success('Ring swap proposed!');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not propose ring swap.');
+    } finally {
+      setProposingIndex(null);
+    }
+  };
+
+  if (loading) return <Spinner text="Loading ring swaps..." />;
+
+  return (
+    <div className="space-y-8">
+      {suggestions.length > 0 && (
+        <section>
+          <h2 className="text-lg font-bold text-slate-800 dark:text-white mb-1">Suggested Ring Swaps</h2>
+          <p className="text-sm text-slate-500 dark:text-slate-400 mb-4">
+            Nobody here can swap directly, but together everyone teaches and everyone learns.
+          </p>
+          <div className="space-y-4">
+            {suggestions.map((suggestion, index) => (
+              <div key={suggestion.users.map(user => user._id).join('-')} className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md">
+                <ul className="space-y-1 text-sm text-slate-600 dark:text-slate-400">
+                  {suggestion.edges.map(edge => (
+                    <li key={`${edge.teacher?._id}-${edge.learner?._id}`} className="flex flex-wrap items-center gap-2">
+                      <span className="font-semibold">{edge.teacher?.username}</span>
+                      <ArrowRightIcon className="h-4 w-4" />
+                      <span className="font-semibold">{edge.learner?.username}</span>
+                      <span>: {edge.skillTitle}</span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="flex justify-end mt-3">
+                  <button
+                    onClick={() => handlePropose(suggestion, index)}
+                    disabled={proposingIndex !== null}
+                    className="px-4 py-2 text-sm font-medium text-white bg-violet-600 rounded-md hover:bg-violet-700 disabled:opacity-50"
+                  >
+                    {proposingIndex === index ? 'Proposing...' : 'Propose Ring Swap'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      <section>
+        <h2 className="text-lg font-bold text-slate-800 dark:text-white mb-4">My Ring Swaps</h2>
+        {ringSwaps.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-10 px-4 text-center">
+            <ArrowPathRoundedSquareIcon className="h-8 w-8 text-slate-400 mb-2" />
+            <p className="text-sm text-slate-500">No ring swaps yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {ringSwaps.map(ringSwap => (
+              <RingSwapCard key={ringSwap._id} ringSwap={ringSwap} onUpdate={handleUpdate} />
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default RingSwapList;
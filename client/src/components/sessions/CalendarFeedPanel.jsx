@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { CalendarDaysIcon, ClipboardDocumentIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+
+const CalendarFeedPanel = () => {
+  const [feedUrl, setFeedUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadFeedUrl = async (reset = false) => {
+    if (reset && !window.confirm('Create a new calendar link? Calendars subscribed with the old link will stop updating.')) return;
+    setLoading(true);
+    try {
+      const response = reset
+        ? await apiClient.post('/sessions/calendar-feed')
+        : await apiClient.get('/sessions/calendar-feed');
+      setFeedUrl(response.data.data.url);
+      if (reset) toast.success('A new calendar link has been created.');
+    } catch {
+      toast.error('Could not load your calendar link.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(feedUrl);
+    toast.success('Calendar link copied!');
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md mb-6">
+      <div className="flex items-center gap-2 mb-2">
+        <CalendarDaysIcon className="h-5 w-5 text-violet-500" />
+        <h3 className="font-semibold text-slate-800 dark:text-white">Sync with your calendar</h3>
+      </div>
+      <p className="text-sm text-slate-500 dark:text-slate-400 mb-3">
+        Subscribe to this private link in Google Calendar, Outlook or Apple Calendar to see your sessions there. Keep it secret: anyone with the link can see your sessions.
+      </p>
+      {feedUrl ? (
+        <div className="flex gap-2">
+          <input readOnly value={feedUrl} onFocus={e => e.target.select()} className="w-full px-3 py-2 text-sm bg-slate-100 dark:bg-slate-700 rounded-md" />
+          <button onClick={handleCopy} className="p-2 bg-slate-200 dark:bg-slate-600 rounded-md hover:bg-slate-300 dark:hover:bg-slate-500" title="Copy link">
+            <ClipboardDocumentIcon className="h-5 w-5" />
+          </button>
+          <button onClick={() => loadFeedUrl(true)} disabled={loading} className="p-2 bg-slate-200 dark:bg-slate-600 rounded-md hover:bg-slate-300 dark:hover:bg-slate-500 disabled:opacity-50" title="Create a new link">
+            <ArrowPathIcon className="h-5 w-5" />
+          </button>
+        </div>
+      ) : (
+        <button onClick={() => loadFeedUrl()} disabled={loading} className="px-4 py-2 text-sm font-semibold text-white bg-violet-600 rounded-md hover:bg-violet-700 disabled:opacity-50">
+          {loading ? 'Loading...' : 'Show Calendar Link'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeedPanel;
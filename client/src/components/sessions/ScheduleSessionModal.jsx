@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import ReactDOM from 'react-dom';
+import { format } from 'date-fns';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+
+const DURATIONS = [30, 45, 60, 90, 120, 180];
+const inputClass = "w-full px-4 py-2 bg-slate-100 dark:bg-slate-700 text-slate-800 dark:text-slate-200 rounded-lg focus:ring-2 focus:ring-accent-500 outline-none transition-all";
+
+// Times are entered in the browser's time zone, which is stored with the session.
+const localTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Creates a session for a swap (proposalId) or team (teamId), or proposes a new time for
+ * an existing session when `session` is given.
+ */
+const ScheduleSessionModal = ({ isOpen, onClose, onSaved, proposalId, teamId, session, defaultTitle = '' }) => {
+  const [form, setForm] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setError('');
+    if (session) {
+      setForm({
+        title: session.title,
+        start: format(new Date(session.startTime), "yyyy-MM-dd'T'HH:mm"),
+        duration: Math.round((new Date(session.endTime) - new Date(session.startTime)) / 60000),
+        location: session.location || '',
+        meetingLink: session.meetingLink || '',
+        frequency: session.recurrence?.frequency || 'none',
+        count: session.recurrence?.count || 4,
+      });
+    } else {
+      setForm({ title: defaultTitle, start: '', duration: 60, location: '', meetingLink: '', frequency: 'none', count: 4 });
+    }
+  }, [isOpen, session, defaultTitle]);
+
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    const startTime = new Date(form.start);
+    const payload = {
+      title: form.title,
+      startTime: startTime.toISOString(),
+      endTime: new Date(startTime.getTime() + Number(form.duration) * 60000).toISOString(),
+      timezone: localTimeZone,
+      location: form.location,
+      meetingLink: form.meetingLink,
+      recurrence: form.frequency === 'none'
+        ? { frequency: 'none' }
+        : { frequency: form.frequency, interval: 1, count: Number(form.count) },
+    };
+
+    setIsSubmitting(true);
+    try {
+      const response = session
+        ? await apiClient.patch(`/sessions/${session._id}/reschedule`, payload)
+        : await apiClient.post('/sessions', { ...payload, proposalId, teamId });
+      toast.success(session ? 'New time proposed!' : response.data.data.status === 'confirmed' ? 'Session scheduled!' : 'Session proposed!');
+      onSaved?.(response.data.data);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save session.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return ReactDOM.createPortal(
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-[9999] p-4">
+      <div className="bg-white dark:bg-slate-800 p-8 rounded-lg shadow-xl w-full max-w-md relative animate-fadeIn max-h-[90vh] overflow-y-auto">
+        <h2 className="text-2xl font-bold mb-2 text-center text-slate-800 dark:text-white">
+          {session ? 'Propose a New Time' : 'Schedule a Session'}
+        </h2>
+        <p className="text-center text-sm text-slate-500 dark:text-slate-400 mb-6">
+          Times are in your time zone ({localTimeZone}).
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input name="title" value={form.title || ''} onChange={handleChange} placeholder="Title" maxLength={120} required className={inputClass} />
+
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="datetime-local"
+              name="start"
+              value={form.start || ''}
+              onChange={handleChange}
+              min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+              required
+              className={`${inputClass} col-span-2`}
+            />
+            <select name="duration" value={form.duration} onChange={handleChange} className={inputClass}>
+              {DURATIONS.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}</option>
+              ))}
+            </select>
+          </div>
+
+          <input name="location" value={form.location || ''} onChange={handleChange} placeholder="Location (Optional)" maxLength={200} className={inputClass} />
+          <input type="url" name="meetingLink" value={form.meetingLink || ''} onChange={handleChange} placeholder="Meeting Link (Optional)" className={inputClass} />
+
+          <div className="grid grid-cols-2 gap-2">
+            <select name="frequency" value={form.frequency} onChange={handleChange} className={inputClass}>
+              <option value="none">Does not repeat</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+              <option value="monthly">Monthly</option>
+            </select>
+            {form.frequency !== 'none' && (
+              <input type="number" name="count" min="1" max="52" value={form.count} onChange={handleChange} title="Number of sessions" className={inputClass} />
+            )}
+          </div>
+
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+
+          <div className="flex justify-end space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 rounded-md text-slate-700 dark:text-slate-300 bg-slate-200 dark:bg-slate-700 hover:bg-slate-300 dark:hover:bg-slate-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-6 py-2 rounded-md font-semibold text-white bg-violet-600 hover:bg-violet-700 shadow-lg shadow-violet-500/30 transition-all disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : session ? 'Propose Time' : 'Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default ScheduleSessionModal;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import {
+  CalendarDaysIcon,
+  ArrowDownTrayIcon,
+  MapPinIcon,
+  VideoCameraIcon,
+  ArrowPathIcon,
+} from '@heroicons/react/24/outline';
+
+const statusColors = {
+  proposed: 'bg-yellow-500',
+  confirmed: 'bg-green-500',
+  declined: 'bg-red-500',
+  cancelled: 'bg-slate-500',
+};
+
+const frequencyLabels = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+const SessionCard = ({ session, onUpdate, onReschedule }) => {
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(false);
+
+  const proposedByMe = session.proposedBy?._id === user._id;
+  const isTeamSession = Boolean(session.team);
+  const canRespond = session.status === 'proposed' && !proposedByMe
+    && (!isTeamSession || session.team?.instructor === user._id);
+  const canCancel = ['proposed', 'confirmed'].includes(session.status)
+    && (!isTeamSession || proposedByMe || session.team?.instructor === user._id);
+  const isOpen = ['proposed', 'confirmed', 'declined'].includes(session.status);
+
+  const runAction = async (request, successMessage) => {
+    setLoading(true);
+    try {
+      const response = await request();
+      onUpdate(response.data.data);
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Something went wrong.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRespond = (status) => runAction(
+    () => apiClient.patch(`/sessions/${session._id}/respond`, { status }),
+    status === 'confirmed' ? 'Session accepted!' : 'Session declined.'
+  );
+
+  const handleCancel = () => {
+    if (!window.confirm('Are you sure you want to cancel this session?')) return;
+    runAction(() => apiClient.patch(`/sessions/${session._id}/cancel`), 'Session cancelled.');
+  };
+
+  const handleDownload = async () => {
+    try {
+      const response = await apiClient.get(`/sessions/${session._id}/ics`, { responseType: 'blob' });
+      const fileURL = URL.createObjectURL(new Blob([response.data], { type: 'text/calendar' }));
+      const link = document.createElement('a');
+      link.href = fileURL;
+      link.download = `${session.title}.ics`;
+      link.click();
+      URL.revokeObjectURL(fileURL);
+    } catch {
+      toast.error('Could not download calendar file.');
+    }
+  };
+
+  const context = session.team?.teamName || session.proposal?.requestedSkill?.title;
+  const others = session.participants.filter(participant => participant._id !== user._id);
+  const { frequency, interval = 1, count } = session.recurrence || {};
+
+  return (
+    <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md border-l-4 border-violet-500">
+      <div className="flex justify-between items-center mb-2">
+        <span className={`px-3 py-1 text-xs font-semibold text-white rounded-full ${statusColors[session.status]}`}>
+          {session.status}
+        </span>
+        {context && <span className="text-xs text-slate-500 dark:text-slate-400 truncate ml-2">{context}</span>}
+      </div>
+
+      <h3 className="font-bold text-slate-800 dark:text-white">{session.title}</h3>
+      <div className="mt-2 space-y-1 text-sm text-slate-600 dark:text-slate-400">
+        <p className="flex items-center gap-2">
+          <CalendarDaysIcon className="h-4 w-4 flex-shrink-0" />
+          {format(new Date(session.startTime), 'EEE, MMM d, yyyy · h:mm a')} – {format(new Date(session.endTime), 'h:mm a')}
+        </p>
+        {frequency && frequency !== 'none' && (
+          <p className="flex items-center gap-2">
+            <ArrowPathIcon className="h-4 w-4 flex-shrink-0" />
+            Every {interval > 1 ? `${interval} ${frequencyLabels[frequency]}s` : frequencyLabels[frequency]}
+            {count ? `, ${count} times` : ''}
+          </p>
+        )}
+        {session.location && (
+          <p className="flex items-center gap-2"><MapPinIcon className="h-4 w-4 flex-shrink-0" />{session.location}</p>
+        )}
+        {session.meetingLink && (
+          <p className="flex items-center gap-2">
+            <VideoCameraIcon className="h-4 w-4 flex-shrink-0" />
+            <a href={session.meetingLink} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline break-all">
+              Join Meeting
+            </a>
+          </p>
+        )}
+        <p className="text-xs">
+          {proposedByMe ? 'Proposed by you' : `Proposed by ${session.proposedBy?.username}`}
+          {others.length > 0 && ` · With ${others.map(participant => participant.username).join(', ')}`}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap justify-end items-center gap-3 mt-4">
+        {loading ? (
+          <span className="text-sm italic">Processing...</span>
+        ) : (
+          <>
+            <button onClick={handleDownload} className="flex items-center gap-1 text-sm font-semibold text-slate-500 hover:text-accent-500" title="Add to calendar (.ics)">
+              <ArrowDownTrayIcon className="h-4 w-4" /> .ics
+            </button>
+            {isOpen && (
+              <button onClick={() => onReschedule(session)} className="text-sm font-semibold text-slate-500 hover:text-accent-500">
+                {session.status === 'proposed' && !proposedByMe ? 'Suggest Another Time' : 'Reschedule'}
+              </button>
+            )}
+            {canCancel && (
+              <button onClick={handleCancel} className="text-sm font-semibold text-slate-500 hover:text-red-500">
+                Cancel
+              </button>
+            )}
+            {canRespond && (
+              <>
+                <button onClick={() => handleRespond('declined')} className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700">
+                  Decline
+                </button>
+                <button onClick={() => handleRespond('confirmed')} className="px-4 py-2 text-sm font-medium text-white bg-green-600 rounded-md hover:bg-green-700">
+                  Accept
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionCard;
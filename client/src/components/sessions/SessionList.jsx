@@ -0,0 +1,79 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { useSocketContext } from '../../context/SocketContext';
+import SessionCard from './SessionCard';
+import ScheduleSessionModal from './ScheduleSessionModal';
+import Spinner from '../common/Spinner';
+import { CalendarDaysIcon } from '@heroicons/react/24/outline';
+
+/**
+ * Upcoming sessions for the logged-in user, optionally limited to one team or swap.
+ */
+const SessionList = ({ teamId, proposalId, refreshKey }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reschedulingSession, setReschedulingSession] = useState(null);
+  const { socket } = useSocketContext();
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ scope: 'upcoming' });
+      if (teamId) params.set('teamId', teamId);
+      if (proposalId) params.set('proposalId', proposalId);
+      const response = await apiClient.get(`/sessions?${params.toString()}`);
+      setSessions(response.data.data);
+    } catch {
+      toast.error('Could not load sessions.');
+    } finally {
+      setLoading(false);
+    }
+  }, [teamId, proposalId]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions, refreshKey]);
+
+  useEffect(() => {
+    socket?.on('new_notification', fetchSessions);
+    return () => socket?.off('new_notification', fetchSessions);
+  }, [socket, fetchSessions]);
+
+  const handleUpdate = (updatedSession) => {
+    setSessions(prev => prev.map(session => session._id === updatedSession._id ? updatedSession : session));
+  };
+
+  if (loading) return <Spinner text="Loading sessions..." />;
+
+  if (sessions.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-10 px-4 text-center">
+        <CalendarDaysIcon className="h-8 w-8 text-slate-400 mb-2" />
+        <p className="text-sm text-slate-500">No upcoming sessions.</p>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="space-y-4">
+        {sessions.map(session => (
+          <SessionCard
+            key={session._id}
+            session={session}
+            onUpdate={handleUpdate}
+            onReschedule={setReschedulingSession}
+          />
+        ))}
+      </div>
+      <ScheduleSessionModal
+        isOpen={Boolean(reschedulingSession)}
+        onClose={() => setReschedulingSession(null)}
+        onSaved={handleUpdate}
+        session={reschedulingSession}
+      />
+    </>
+  );
+};
+
+export default SessionList;
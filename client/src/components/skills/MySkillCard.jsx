@@ -1,16 +1,94 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
 import SkillCard from './SkillCard';
-import { UserGroupIcon } from '@heroicons/react/24/solid';
+import { UserGroupIcon, ChartBarIcon } from '@heroicons/react/24/solid';
+
+const statusStyles = {
+  draft: { label: 'Draft', className: 'bg-slate-500' },
+  active: { label: 'Live', className: 'bg-green-600' },
+  paused: { label: 'Paused', className: 'bg-yellow-500' },
+  in_progress: { label: 'In a swap', className: 'bg-blue-500' },
+  completed: { label: 'Completed', className: 'bg-violet-500' },
+  expired: { label: 'Expired', className: 'bg-red-500' },
+};
+
+const MySkillCard = ({ skill, onCreateTeam, onShowAnalytics, onStatusChange }) => {
+  const [updating, setUpdating] = useState(false);
+  const status = statusStyles[skill.status] || statusStyles.active;
+
+  const runAction = async (request, successMessage) => {
+    setUpdating(true);
+    try {
+      const response = await request();
+      onStatusChange(response.data.data);
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Something went wrong.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const setStatus = (nextStatus, successMessage) => runAction(
+    () => apiClient.patch(`/skills/${skill._id}/status`, { status: nextStatus }),
+    successMessage
+  );
+
+  const handleRenew = () => runAction(() => apiClient.post(`/skills/${skill._id}/renew`), 'Skill renewed!');
+
+  const lifecycleButtonClass = 'flex-1 px-3 py-2 text-sm font-semibold rounded-md border border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-700 disabled:opacity-50';
 
-const MySkillCard = ({ skill, onCreateTeam }) => {
   return (
     <div className="bg-white dark:bg-slate-800 rounded-lg shadow-md flex flex-col h-full">
+      <div className="flex items-center justify-between px-4 pt-3">
+        <span className={`px-3 py-1 text-xs font-semibold text-white rounded-full ${status.className}`}>
+          {status.label}
+        </span>
+        {skill.status === 'active' && skill.renewalReminderSentAt && (
+          <span className="text-xs text-red-500">Expiring soon</span>
+        )}
+      </div>
       <div className="flex-grow">
         <SkillCard skill={skill} />
       </div>
-      {/* Add the "Create Team" button only for skills you offer */}
-      {skill.type === 'OFFER' && (
-        <div className="p-4 border-t dark:border-slate-700">
+      <div className="p-4 border-t dark:border-slate-700 space-y-2">
+        <div className="flex gap-2">
+          {skill.status === 'draft' && (
+            <button onClick={() => setStatus('active', 'Skill published!')} disabled={updating} className={lifecycleButtonClass}>
+              Publish
+            </button>
+          )}
+          {skill.status === 'active' && (
+            <>
+              <button onClick={() => setStatus('paused', 'Skill paused.')} disabled={updating} className={lifecycleButtonClass}>
+                Pause
+              </button>
+              <button onClick={handleRenew} disabled={updating} className={lifecycleButtonClass}>
+                Renew
+              </button>
+            </>
+          )}
+          {skill.status === 'paused' && (
+            <button onClick={() => setStatus('active', 'Skill is live again!')} disabled={updating} className={lifecycleButtonClass}>
+              Resume
+            </button>
+          )}
+          {skill.status === 'expired' && (
+            <button onClick={handleRenew} disabled={updating} className={lifecycleButtonClass}>
+              Renew
+            </button>
+          )}
+        </div>
+        <button
+          onClick={() => onShowAnalytics(skill)}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold text-violet-600 dark:text-violet-400 border border-violet-600 dark:border-violet-400 rounded-md hover:bg-violet-50 dark:hover:bg-slate-700"
+        >
+          <ChartBarIcon className="h-5 w-5" />
+          View Analytics
+        </button>
+        {/* Add the "Create Team" button only for skills you offer */}
+        {skill.type === 'OFFER' && (
           <button
             onClick={() => onCreateTeam(skill)}
             className="w-full flex items-center justify-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-green-600 rounded-md hover:bg-green-700"
@@ -18,8 +96,8 @@ const MySkillCard = ({ skill, onCreateTeam }) => {
             <UserGroupIcon className="h-5 w-5" />
             Create a Team
           </button>
-        </div>
-      )}
+        )}
+      </div>
     </div>
   );
 };
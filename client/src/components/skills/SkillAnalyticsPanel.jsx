@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import apiClient from '../../api/axios';
+import Spinner from '../common/Spinner';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+
+const RANGE_OPTIONS = [7, 30, 90];
+
+const SERIES = [
+  { key: 'views', label: 'Views', color: 'bg-violet-500' },
+  { key: 'proposals', label: 'Proposals', color: 'bg-blue-500' },
+  { key: 'completions', label: 'Completed swaps', color: 'bg-green-500' },
+];
+
+const formatRate = value => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+const StatTile = ({ label, value }) => (
+  <div className="p-3 rounded-lg bg-slate-100 dark:bg-slate-700">
+    <p className="text-xs text-slate-500 dark:text-slate-400">{label}</p>
+    <p className="text-xl font-bold text-slate-800 dark:text-white">{value}</p>
+  </div>
+);
+
+/**
+ * One bar group per day; each series is scaled to its own maximum so rare events stay visible.
+ */
+const TimelineChart = ({ timeline }) => {
+  const maxima = Object.fromEntries(SERIES.map(({ key }) => [key, Math.max(1, ...timeline.map(day => day[key]))]));
+  return (
+    <div>
+      <div className="flex items-end gap-px h-40 border-b border-slate-200 dark:border-slate-700">
+        {timeline.map(day => (
+          <div
+            key={day.date}
+            className="flex-1 flex items-end justify-center gap-px h-full"
+            title={`${format(parseISO(day.date), 'MMM d')}: ${SERIES.map(({ key, label }) => `${day[key]} ${label.toLowerCase()}`).join(', ')}`}
+          >
+            {SERIES.map(({ key, color }) => (
+              <div key={key} className={`flex-1 rounded-t ${color}`} style={{ height: `${(day[key] / maxima[key]) * 100}%` }} />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-slate-500 mt-1">
+        <span>{format(parseISO(timeline[0].date), 'MMM d')}</span>
+        <span>{format(parseISO(timeline[timeline.length - 1].date), 'MMM d')}</span>
+      </div>
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-slate-600 dark:text-slate-400">
+        {SERIES.map(({ key, label, color }) => (
+          <span key={key} className="flex items-center gap-1">
+            <span className={`inline-block h-2 w-2 rounded-full ${color}`} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const SkillAnalyticsPanel = ({ skill, onClose }) => {
+  const [days, setDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await apiClient.get(`/skills/${skill._id}/analytics?days=${days}`);
+        setAnalytics(response.data.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Could not load analytics.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAnalytics();
+  }, [skill._id, days]);
+
+  const totals = analytics?.totals;
+
+  return (
+    <div className="mb-8 p-6 bg-white dark:bg-slate-800 rounded-lg shadow-md">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-slate-800 dark:text-white">Analytics</h2>
+          <p className="text-sm text-slate-500 dark:text-slate-400">{skill.title}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-2 py-1 text-sm border rounded-md dark:bg-slate-700 dark:border-slate-600"
+          >
+            {RANGE_OPTIONS.map(option => <option key={option} value={option}>Last {option} days</option>)}
+          </select>
+          <button onClick={onClose} className="p-1 text-slate-500 hover:text-slate-800 dark:hover:text-white" aria-label="Close analytics">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <Spinner text="Loading analytics..." />
+      ) : error ? (
+        <p className="text-sm text-red-500">{error}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6">
+            <StatTile label="Views" value={totals.views} />
+            <StatTile label="Unique viewers" value={totals.uniqueViewers} />
+            <StatTile label="Bookmarks" value={totals.bookmarks} />
+            <StatTile label="Proposals received" value={totals.proposalsReceived} />
+            <StatTile label="Acceptance rate" value={formatRate(totals.acceptanceRate)} />
+            <StatTile label="Proposals per viewer" value={formatRate(totals.viewToProposalRate)} />
+            <StatTile label="Completed swaps" value={totals.completed} />
+            <StatTile label="Proposals completed" value={formatRate(totals.proposalToCompletionRate)} />
+          </div>
+          <TimelineChart timeline={analytics.timeline} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SkillAnalyticsPanel;
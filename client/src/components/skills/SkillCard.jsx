@@ -42,6 +42,16 @@ const SkillCard = ({ skill, hideUser = false }) => {
           {skill.description?.substring(0, 100)}{skill.description?.length > 100 && '...'}
         </p>
 
+        {(skill.distanceKm !== undefined || (skill.locationString && skill.locationString !== 'Remote')) && (
+          <p className="flex items-center text-sm text-slate-500 dark:text-slate-400">
+            <MapPinIcon className="h-4 w-4 mr-1 flex-shrink-0" />
+            <span className="truncate">{skill.locationString}</span>
+            {skill.distanceKm !== undefined && (
+              <span className="ml-1 whitespace-nowrap">· {skill.distanceKm} km away</span>
+            )}
+          </p>
+        )}
+
         <div className="border-t dark:border-slate-700 my-4"></div>
 
         <div className="grid grid-cols-3 gap-2 text-center text-sm text-gray-500 dark:text-gray-400 mb-4">
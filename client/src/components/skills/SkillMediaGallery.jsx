@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import ImageLightbox from '../common/ImageLightBox';
+import { ChevronLeftIcon, ChevronRightIcon, LinkIcon } from '@heroicons/react/24/solid';
+
+/**
+ * A skill's image carousel, embedded videos and sample-work links. Renders nothing when the
+ * skill has no media.
+ */
+const SkillMediaGallery = ({ gallery = [], mediaLinks = [], title }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [lightboxSrc, setLightboxSrc] = useState(null);
+
+  const videos = mediaLinks.filter(link => link.kind === 'video');
+  const samples = mediaLinks.filter(link => link.kind === 'sample');
+  if (gallery.length === 0 && mediaLinks.length === 0) return null;
+
+  const current = gallery[Math.min(activeIndex, gallery.length - 1)];
+  const step = (delta) => setActiveIndex(index => (index + delta + gallery.length) % gallery.length);
+
+  return (
+    <div className="mt-6 space-y-4">
+      {current && (
+        <div>
+          <div className="relative rounded-lg overflow-hidden bg-slate-100 dark:bg-slate-900">
+            <button type="button" onClick={() => setLightboxSrc(current.url)} className="block w-full">
+              <img src={current.url} alt={title} className="w-full max-h-96 object-contain" />
+            </button>
+            {gallery.length > 1 && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => step(-1)}
+                  className="absolute left-2 top-1/2 -translate-y-1/2 p-2 bg-black/40 rounded-full text-white hover:bg-black/60"
+                  aria-label="Previous image"
+                >
+                  <ChevronLeftIcon className="h-5 w-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => step(1)}
+                  className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-black/40 rounded-full text-white hover:bg-black/60"
+                  aria-label="Next image"
+                >
+                  <ChevronRightIcon className="h-5 w-5" />
+                </button>
+              </>
+            )}
+          </div>
+          {gallery.length > 1 && (
+            <div className="flex gap-2 mt-2 overflow-x-auto">
+              {gallery.map((image, index) => (
+                <button
+                  key={image._id}
+                  type="button"
+                  onClick={() => setActiveIndex(index)}
+                  className={`flex-shrink-0 rounded-md overflow-hidden ring-2 ${image === current ? 'ring-indigo-500' : 'ring-transparent'}`}
+                >
+                  <img src={image.thumbnailUrl} alt="" className="h-16 w-20 object-cover" />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {videos.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {videos.map(video => (
+            <div key={video._id}>
+              <iframe
+                src={video.embedUrl}
+                title={video.title || `${title} video`}
+                className="w-full aspect-video rounded-lg"
+                allow="accelerometer; encrypted-media; gyroscope; picture-in-picture"
+                allowFullScreen
+              />
+              {video.title && <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">{video.title}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {samples.length > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold mb-2">Sample Work</h3>
+          <ul className="space-y-1">
+            {samples.map(sample => (
+              <li key={sample._id}>
+                <a href={sample.url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 text-blue-500 hover:underline break-all">
+                  <LinkIcon className="h-4 w-4 flex-shrink-0" />
+                  {sample.title || sample.url}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <ImageLightbox src={lightboxSrc} alt={title} onClose={() => setLightboxSrc(null)} />
+    </div>
+  );
+};
+
+export default SkillMediaGallery;
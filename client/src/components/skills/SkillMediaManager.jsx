@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { PhotoIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+const MAX_IMAGE_MB = 5;
+const ACCEPTED_IMAGE_TYPES = 'image/jpeg,image/png,image/webp,image/gif';
+
+/**
+ * Lets the owner upload and remove gallery images and add or remove sample-work and video links.
+ * Calls `onChange` with the fields that changed.
+ */
+const SkillMediaManager = ({ skill, onChange }) => {
+  const [uploading, setUploading] = useState(false);
+  const [link, setLink] = useState({ kind: 'sample', url: '', title: '' });
+  const [savingLink, setSavingLink] = useState(false);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_IMAGE_MB * 1024 * 1024) {
+      toast.error(`Images can be at most ${MAX_IMAGE_MB} MB.`);
+      return;
+    }
+    const formData = new FormData();
+    formData.append('image', file);
+    setUploading(true);
+    try {
+      const response = await apiClient.post(`/skills/${skill._id}/media`, formData);
+      onChange({ gallery: response.data.data });
+      toast.success('Image uploaded!');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to upload image.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemoveImage = async (image) => {
+    if (!window.confirm('Remove this image?')) return;
+    try {
+      const response = await apiClient.delete(`/skills/${skill._id}/media/${image._id}`);
+      onChange({ gallery: response.data.data });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove image.');
+    }
+  };
+
+  const handleAddLink = async (e) => {
+    e.preventDefault();
+    setSavingLink(true);
+    try {
+      const response = await apiClient.post(`/skills/${skill._id}/links`, link);
+      onChange({ mediaLinks: response.data.data });
+      setLink({ kind: link.kind, url: '', title: '' });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add link.');
+    } finally {
+      setSavingLink(false);
+    }
+  };
+
+  const handleRemoveLink = async (mediaLink) => {
+    try {
+      const response = await apiClient.delete(`/skills/${skill._id}/links/${mediaLink._id}`);
+      onChange({ mediaLinks: response.data.data });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove link.');
+    }
+  };
+
+  return (
+    <div className="mt-6 p-4 border rounded-lg dark:border-gray-700">
+      <h3 className="text-lg font-semibold mb-3">Manage Media</h3>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        {(skill.gallery || []).map(image => (
+          <div key={image._id} className="relative">
+            <img src={image.thumbnailUrl} alt="" className="h-20 w-28 object-cover rounded-md" />
+            <button
+              type="button"
+              onClick={() => handleRemoveImage(image)}
+              className="absolute top-1 right-1 p-1 bg-black/50 rounded-full text-white hover:bg-red-600"
+              aria-label="Remove image"
+            >
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        <label className={`h-20 w-28 flex flex-col items-center justify-center gap-1 text-xs border-2 border-dashed rounded-md cursor-pointer text-gray-500 hover:border-indigo-500 dark:border-gray-600 ${uploading ? 'opacity-50 pointer-events-none' : ''}`}>
+          <PhotoIcon className="h-6 w-6" />
+          {uploading ? 'Uploading...' : 'Add image'}
+          <input type="file" accept={ACCEPTED_IMAGE_TYPES} onChange={handleUpload} className="hidden" />
+        </label>
+      </div>
+
+      {(skill.mediaLinks || []).length > 0 && (
+        <ul className="space-y-1 mb-4 text-sm">
+          {skill.mediaLinks.map(mediaLink => (
+            <li key={mediaLink._id} className="flex items-center justify-between gap-2">
+              <span className="truncate">
+                <span className="font-medium">{mediaLink.kind === 'video' ? 'Video' : 'Sample'}:</span> {mediaLink.title || mediaLink.url}
+              </span>
+              <button type="button" onClick={() => handleRemoveLink(mediaLink)} className="text-gray-500 hover:text-red-600" aria-label="Remove link">
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAddLink} className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={link.kind}
+          onChange={(e) => setLink(prev => ({ ...prev, kind: e.target.value }))}
+          className="px-2 py-2 text-sm border rounded-md dark:bg-slate-700 dark:border-slate-600"
+        >
+          <option value="sample">Sample work</option>
+          <option value="video">Video (YouTube, Vimeo, Loom)</option>
+        </select>
+        <input
+          type="url"
+          required
+          placeholder="https://..."
+          value={link.url}
+          onChange={(e) => setLink(prev => ({ ...prev, url: e.target.value }))}
+          className="flex-1 px-3 py-2 text-sm border rounded-md dark:bg-slate-700 dark:border-slate-600"
+        />
+        <input
+          type="text"
+          placeholder="Title (optional)"
+          maxLength={120}
+          value={link.title}
+          onChange={(e) => setLink(prev => ({ ...prev, title: e.target.value }))}
+          className="sm:w-40 px-3 py-2 text-sm border rounded-md dark:bg-slate-700 dark:border-slate-600"
+        />
+        <button type="submit" disabled={savingLink} className="px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50">
+          Add Link
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SkillMediaManager;
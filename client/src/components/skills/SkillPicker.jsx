@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import apiClient from '../../api/axios';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+
+/**
+ * A search box that lists matching skills and calls `onPick` with the one clicked.
+ * Skills whose IDs are in `excludeIds` are left out of the results.
+ */
+const SkillPicker = ({ onPick, excludeIds = [], placeholder = 'Search skills...' }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+    const debounceTimer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({ q: query.trim(), limit: 8 });
+        const response = await apiClient.get(`/skills/search?${params}`);
+        setResults(response.data.data.skills);
+      } catch {
+        setResults([]);
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(debounceTimer);
+  }, [query]);
+
+  const visibleResults = results.filter(skill => !excludeIds.includes(skill._id));
+
+  const handlePick = (skill) => {
+    onPick(skill);
+    setQuery('');
+    setResults([]);
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex items-center gap-2 px-3 py-2 bg-white dark:bg-slate-700 rounded-md border dark:border-slate-600">
+        <MagnifyingGlassIcon className="h-4 w-4 text-slate-400" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={placeholder}
+          className="w-full bg-transparent text-sm focus:outline-none"
+        />
+      </div>
+      {query.trim().length >= 2 && (
+        <ul className="absolute z-10 w-full mt-1 max-h-60 overflow-y-auto bg-white dark:bg-slate-700 rounded-md shadow-lg">
+          {loading && <li className="px-3 py-2 text-sm text-slate-500">Searching...</li>}
+          {!loading && visibleResults.length === 0 && <li className="px-3 py-2 text-sm text-slate-500">No skills found.</li>}
+          {!loading && visibleResults.map(skill => (
+            <li key={skill._id}>
+              <button
+                type="button"
+                onClick={() => handlePick(skill)}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-slate-100 dark:hover:bg-slate-600"
+              >
+                <span className="font-medium">{skill.title}</span>
+                <span className="text-slate-500"> · {skill.category} · by {skill.user?.username || 'Unknown'}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SkillPicker;
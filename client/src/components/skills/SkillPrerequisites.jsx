@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import apiClient from '../../api/axios';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import SkillPicker from './SkillPicker';
+
+const MAX_PREREQUISITES = 5;
+
+/**
+ * The skills a learner should have before this one. The owner can link and unlink them;
+ * `onChange` receives the new list.
+ */
+const SkillPrerequisites = ({ skill, canEdit, onChange }) => {
+  const [saving, setSaving] = useState(false);
+  const prerequisites = skill.prerequisites || [];
+
+  if (!canEdit && prerequisites.length === 0) return null;
+
+  const save = async (next) => {
+    setSaving(true);
+    try {
+      await apiClient.patch(`/skills/${skill._id}`, { prerequisites: next.map(prerequisite => prerequisite._id) });
+      onChange(next);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update prerequisites.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold mb-2">Before You Start</h3>
+      {prerequisites.length > 0 ? (
+        <ul className="space-y-1 mb-3">
+          {prerequisites.map(prerequisite => (
+            <li key={prerequisite._id} className="flex items-center gap-2 text-gray-700 dark:text-gray-300">
+              <Link to={`/skills/${prerequisite._id}`} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+                {prerequisite.title}
+              </Link>
+              <span className="text-sm text-gray-500">{prerequisite.level}</span>
+              {canEdit && (
+                <button
+                  type="button"
+                  onClick={() => save(prerequisites.filter(other => other._id !== prerequisite._id))}
+                  disabled={saving}
+                  className="p-0.5 text-gray-500 hover:text-red-600"
+                  aria-label={`Remove ${prerequisite.title}`}
+                >
+                  <XMarkIcon className="h-4 w-4" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">Link skills learners should have first, e.g. "JavaScript Basics" before "React".</p>
+      )}
+      {canEdit && prerequisites.length < MAX_PREREQUISITES && (
+        <SkillPicker
+          onPick={(picked) => save([...prerequisites, picked])}
+          excludeIds={[skill._id, ...prerequisites.map(prerequisite => prerequisite._id)]}
+          placeholder="Add a prerequisite skill..."
+        />
+      )}
+    </div>
+  );
+};
+
+export default SkillPrerequisites;
@@ -84,35 +84,57 @@ export const AuthProvider = ({ children }) => {
     }
   }, [isAuthenticated, user, fetchUnreadCount]);
 
+  const startSession = useCallback(
+    (userData, accessToken) => {
+      localStorage.setItem('accessToken', accessToken);
+      setToken(accessToken);
+      setUser(userData);
+      setIsAuthenticated(true);
+      subscribeUserToPush();
+      navigate('/');
+    },
+    [navigate]
+  );
+
+  // Resolves to { twoFactorRequired, challengeToken } when the account needs a second step.
   const login = useCallback(
     async (credentials) => {
       try {
         const response = await apiClient.post('/users/login', credentials);
-        const { user: userData, accessToken } = response.data.data;
+        const { user: userData, accessToken, twoFactorRequired, challengeToken } = response.data.data;
+        if (twoFactorRequired) return { twoFactorRequired, challengeToken };
 
-        localStorage.setItem('accessToken', accessToken);
-        setToken(accessToken);
-        setUser(userData);
-        setIsAuthenticated(true);
-        subscribeUserToPush();
-        navigate('/');
+        startSession(userData, accessToken);
       } catch (error) {
         throw error;
       }
     },
-    [navigate]
+    [startSession]
+  );
+
+  const completeTwoFactorLogin = useCallback(
+    async (challengeToken, code) => {
+      const response = await apiClient.post('/users/login/2fa', { challengeToken, code });
+      const { user: userData, accessToken } = response.data.data;
+      startSession(userData, accessToken);
+    },
+    [startSession]
   );
 
-  const setTokenAndUser = useCallback(
-    async (accessToken) => {
+  const loginWithOAuthCode = useCallback(
+    async (code) => {
       setIsLoggingIn(true);
       try {
+        const response = await apiClient.post('/auth/exchange', { code });
+        const { user: userData, accessToken, twoFactorRequired, challengeToken } = response.data.data;
+        if (twoFactorRequired) {
+          setIsLoggingIn(false);
+          return { twoFactorRequired, challengeToken };
+        }
         localStorage.setItem('accessToken', accessToken);
         setToken(accessToken);
-        const response = await apiClient.get('/users/me', {
-          headers: { Authorization: `Bearer ${accessToken}` },
-        });
-        setUser(response.data.data);
+        setUser(userData);
+        setBookmarks(userData.bookmarks || []);
         setIsAuthenticated(true);
 
         setTimeout(() => {
@@ -121,6 +143,7 @@ export const AuthProvider = ({ children }) => {
         }, 1000);
       } catch {
         setIsLoggingIn(false);
+        toast.error('Google sign-in failed or expired. Please try again.');
         logout();
       }
     },
@@ -131,6 +154,17 @@ export const AuthProvider = ({ children }) => {
     setUser((currentUser) => ({ ...currentUser, ...newUserData }));
   }, []);
 
+  const clearSession = useCallback(() => {
+    setUser(null);
+    setToken(null);
+    setIsAuthenticated(false);
+    setBookmarks([]);
+    setChatMessages([]);
+    setTotalUnreadCount(0);
+    sessionStorage.removeItem('chatMessages');
+    localStorage.removeItem('accessToken');
+  }, []);
+
   const logout = useCallback(
     async (shouldNavigate = true) => {
       try {
@@ -138,14 +172,7 @@ export const AuthProvider = ({ children }) => {
       } catch (error) {
         console.error('Logout API call failed:', error);
       } finally {
-        setUser(null);
-        setToken(null);
-        setIsAuthenticated(false);
-        setBookmarks([]);
-        setChatMessages([]);
-        setTotalUnreadCount(0);
-        sessionStorage.removeItem('chatMessages');
-        localStorage.removeItem('accessToken');
+        clearSession();
         if (window.google) {
           window.google.accounts.id.disableAutoSelect();
         }
@@ -154,9 +181,21 @@ export const AuthProvider = ({ children }) => {
         }
       }
     },
-    [navigate]
+    [navigate, clearSession]
   );
 
+  // Fired by apiClient when the refresh token is rejected, e.g. after it was revoked.
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      if (!isAuthenticated) return;
+      clearSession();
+      toast.info('Your session has expired. Please log in again.');
+      navigate('/login');
+    };
+    window.addEventListener('auth:session-expired', handleSessionExpired);
+    return () => window.removeEventListener('auth:session-expired', handleSessionExpired);
+  }, [isAuthenticated, clearSession, navigate]);
+
   const toggleBookmark = useCallback(
     async (skillId) => {
       const originalBookmarks = [...bookmarks];
@@ -197,6 +236,7 @@ export const AuthProvider = ({ children }) => {
     loading,
     bookmarks,
     login,
+    completeTwoFactorLogin,
     logout,
     toggleBookmark,
     updateUserState,
@@ -205,7 +245,7 @@ export const AuthProvider = ({ children }) => {
     totalUnreadCount,
     fetchUnreadCount,
     clearUnreadNotifications,
-    setTokenAndUser,
+    loginWithOAuthCode,
     newlyEarnedBadge,
   };
 
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import apiClient from '../api/axios';
+
+// Categories rarely change, so one request is shared by every component for the whole visit.
+let categoriesRequest = null;
+
+const fetchCategories = () => {
+  if (!categoriesRequest) {
+    categoriesRequest = apiClient
+      .get('/categories')
+      .then((res) => res.data.data)
+      .catch((error) => {
+        categoriesRequest = null;
+        throw error;
+      });
+  }
+  return categoriesRequest;
+};
+
+/**
+ * Active skill categories, each with its `subcategories`. Empty until loaded.
+ */
+export const useCategories = () => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCategories()
+      .then((data) => !cancelled && setCategories(data))
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  return categories;
+};
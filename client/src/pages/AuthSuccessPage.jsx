@@ -1,26 +1,45 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import Spinner from '../components/common/Spinner';
+import TwoFactorChallenge from '../components/auth/TwoFactorChallenge';
 
 const AuthSuccessPage = () => {
-  const { setTokenAndUser } = useAuth();
+  const { loginWithOAuthCode } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
+  const [challengeToken, setChallengeToken] = useState(null);
+  // The code only works once, so a second run of the effect must not send it again.
+  const exchanged = useRef(false);
 
   useEffect(() => {
+    if (exchanged.current) return;
     const params = new URLSearchParams(location.search);
-    const token = params.get('token');
+    const code = params.get('code');
 
-    if (token) {
-      setTokenAndUser(token);
-      navigate('/');
+    if (code) {
+      exchanged.current = true;
+      // Drop the code from the address bar and history.
+      navigate('/auth/success', { replace: true });
+      loginWithOAuthCode(code).then((result) => {
+        if (result?.twoFactorRequired) setChallengeToken(result.challengeToken);
+      });
     } else {
       navigate('/login');
     }
-  }, [location, navigate, setTokenAndUser]);
+  }, [location, navigate, loginWithOAuthCode]);
+
+  if (challengeToken) {
+    return (
+      <div className="flex items-center justify-center min-h-[calc(100vh-200px)] p-4">
+        <div className="w-full max-w-md p-8 bg-white dark:bg-slate-800 shadow-2xl rounded-2xl">
+          <TwoFactorChallenge challengeToken={challengeToken} onCancel={() => navigate('/login')} />
+        </div>
+      </div>
+    );
+  }
 
   return <Spinner text="Finalizing your login..." />;
 };
 
-export default AuthSuccessPage;
\ No newline at end of file
+export default AuthSuccessPage;
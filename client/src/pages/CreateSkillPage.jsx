@@ -3,17 +3,23 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import apiClient from '../api/axios';
 import { toast } from 'react-toastify';
 import { SparklesIcon } from '@heroicons/react/24/solid';
+import { useAuth } from '../context/AuthContext';
+import AvailabilityEditor from '../components/profile/AvailabilityEditor';
+import { toEditableAvailability } from '../utils/availability';
+import { useCategories } from '../hooks/useCategories';
 
 const CreateSkillPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const skillToClone = location.state?.skillToClone;
+  const { user } = useAuth();
 
   const [formData, setFormData] = useState({
     type: 'OFFER',
     title: '',
     description: '',
     category: '',
+    subcategory: '',
     level: 'Intermediate',
     locationString: 'Remote',
     costInCredits: 1,
@@ -22,6 +28,9 @@ const CreateSkillPage = () => {
   });
   const [loading, setLoading] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
+  // Off: the skill follows the availability on the owner's profile.
+  const [hasOwnAvailability, setHasOwnAvailability] = useState(false);
+  const [weeklyAvailability, setWeeklyAvailability] = useState(() => toEditableAvailability(user?.weeklyAvailability));
   
   useEffect(() => {
     if (skillToClone) {
@@ -30,21 +39,32 @@ const CreateSkillPage = () => {
         title: skillToClone.title,
         description: skillToClone.description,
         category: skillToClone.category,
+        subcategory: skillToClone.subcategory || '',
         level: skillToClone.level,
         locationString: skillToClone.locationString,
         costInCredits: skillToClone.costInCredits || 1,
         creditsOffered: skillToClone.creditsOffered || 1,
         desiredSkill: skillToClone.desiredSkill
       });
+      if (skillToClone.weeklyAvailability?.slots?.length) {
+        setHasOwnAvailability(true);
+        setWeeklyAvailability(toEditableAvailability(skillToClone.weeklyAvailability));
+      }
     }
   }, [skillToClone]);
 
-  const skillCategories = ['Tech', 'Art', 'Music', 'Writing', 'Marketing', 'Language', 'Fitness', 'Cooking', 'Crafts', 'other'];
+  const skillCategories = useCategories();
+  const subcategories = skillCategories.find(cat => cat.name === formData.category)?.subcategories || [];
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  // Subcategories belong to one category, so a new category clears the old pick.
+  const handleCategoryChange = (e) => {
+    setFormData({ ...formData, category: e.target.value, subcategory: '' });
+  };
+
   const handleGenerateDescription = async () => {
     if (!formData.title) {
       toast.error("Please enter a title first.");
@@ -67,9 +87,21 @@ const CreateSkillPage = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    // The "Save as Draft" button submits the form too; drafts stay private until published.
+    const isDraft = e.nativeEvent?.submitter?.name === 'draft';
     setLoading(true);
     try {
-      const response = await apiClient.post('/skills', formData);
+      const response = await apiClient.post('/skills', {
+        ...formData,
+        subcategory: formData.subcategory || undefined,
+        status: isDraft ? 'draft' : 'active',
+        weeklyAvailability: hasOwnAvailability ? weeklyAvailability : undefined,
+      });
+      if (isDraft) {
+        toast.success('Draft saved. Publish it from My Skills when you are ready.');
+        navigate('/my-skills');
+        return;
+      }
       toast.success('Skill posted successfully!');
       navigate(`/skills/${response.data.data._id}`);
     } catch (err) {
@@ -98,11 +130,21 @@ const CreateSkillPage = () => {
 
         <div>
           <label className="block text-sm font-medium mb-1">Category</label>
-          <select name="category" value={formData.category} onChange={handleChange} required className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 rounded-md">
+          <select name="category" value={formData.category} onChange={handleCategoryChange} required className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 rounded-md">
             <option value="">-- Select a Category --</option>
-            {skillCategories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+            {skillCategories.map(cat => <option key={cat._id} value={cat.name}>{cat.icon} {cat.name}</option>)}
           </select>
         </div>
+
+        {subcategories.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Subcategory <span className="text-gray-500 font-normal">(optional)</span></label>
+            <select name="subcategory" value={formData.subcategory} onChange={handleChange} className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 rounded-md">
+              <option value="">-- None --</option>
+              {subcategories.map(sub => <option key={sub._id} value={sub.name}>{sub.icon} {sub.name}</option>)}
+            </select>
+          </div>
+        )}
         
         <div>
           <div className="flex justify-between items-center mb-1">
@@ -160,6 +202,18 @@ const CreateSkillPage = () => {
           </div>
         )}
         
+        <div>
+          <label className="block text-sm font-medium mb-1">Location</label>
+          <input
+            type="text"
+            name="locationString"
+            value={formData.locationString}
+            onChange={handleChange}
+            placeholder="e.g., Berlin, Germany or Remote"
+            className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 rounded-md"
+          />
+        </div>
+
         <div>
           <label className="block text-sm font-medium mb-1">Skill Level</label>
           <select name="level" value={formData.level} onChange={handleChange} className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 rounded-md">
@@ -169,9 +223,31 @@ const CreateSkillPage = () => {
           </select>
         </div>
 
-        <button type="submit" disabled={loading} className="w-full px-4 py-3 font-bold text-white bg-blue-600 rounded-md hover:bg-accent-700 disabled:opacity-50">
-          {loading ? 'Posting...' : 'Post Skill'}
-        </button>
+        <div>
+          <label className="flex items-center gap-2 text-sm font-medium">
+            <input
+              type="checkbox"
+              checked={hasOwnAvailability}
+              onChange={(e) => setHasOwnAvailability(e.target.checked)}
+            />
+            Set different availability for this skill
+          </label>
+          <p className="text-xs text-gray-500 mt-1">Otherwise it uses the weekly availability on your profile.</p>
+          {hasOwnAvailability && (
+            <div className="mt-3">
+              <AvailabilityEditor value={weeklyAvailability} onChange={setWeeklyAvailability} />
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <button type="submit" name="draft" disabled={loading} className="w-full sm:w-1/3 px-4 py-3 font-bold text-blue-600 border border-blue-600 rounded-md hover:bg-blue-50 dark:hover:bg-slate-700 disabled:opacity-50">
+            Save as Draft
+          </button>
+          <button type="submit" disabled={loading} className="w-full px-4 py-3 font-bold text-white bg-blue-600 rounded-md hover:bg-accent-700 disabled:opacity-50">
+            {loading ? 'Posting...' : 'Post Skill'}
+          </button>
+        </div>
       </form>
     </div>
   );
@@ -4,6 +4,11 @@ import apiClient from '../api/axios';
 import ProposalCard from '../components/dashboard/ProposalCard';
 import ChatRequestCard from '../components/dashboard/ChatRequestCard';
 import ProposalCardSkeleton from '../components/dashboard/ProposalCardSkeleton';
+import CreditHistory from '../components/dashboard/CreditHistory';
+import SessionList from '../components/sessions/SessionList';
+import CalendarFeedPanel from '../components/sessions/CalendarFeedPanel';
+import RingSwapList from '../components/ringSwaps/RingSwapList';
+import SavedSearchList from '../components/dashboard/SavedSearchList';
 import { useSocketContext } from '../context/SocketContext';
 import { toast } from 'react-toastify';
 import { useAuth } from '../context/AuthContext';
@@ -11,6 +16,10 @@ import {
   InboxArrowDownIcon, 
   PaperAirplaneIcon, 
   ChatBubbleLeftRightIcon,
+  BanknotesIcon,
+  CalendarDaysIcon,
+  ArrowPathRoundedSquareIcon,
+  BellAlertIcon,
 } from '@heroicons/react/24/outline';
 
 const Dashboard = () => {
@@ -24,6 +33,10 @@ const Dashboard = () => {
 
   // --- Fetch Logic (Kept exactly as original) ---
   const fetchData = useCallback(async () => {
+    if (['credits', 'sessions', 'ring_swaps', 'alerts'].includes(activeTab)) {
+      setLoading(false);
+      return;
+    }
     setLoading(true);
     setData([]);
     try {
@@ -121,6 +134,27 @@ const Dashboard = () => {
   );
 
   const renderContent = () => {
+    if (activeTab === 'credits') {
+      return <CreditHistory />;
+    }
+
+    if (activeTab === 'sessions') {
+      return (
+        <>
+          <CalendarFeedPanel />
+          <SessionList />
+        </>
+      );
+    }
+
+    if (activeTab === 'ring_swaps') {
+      return <RingSwapList />;
+    }
+
+    if (activeTab === 'alerts') {
+      return <SavedSearchList />;
+    }
+
     if (loading) {
       return (
         <div className="grid gap-4">
@@ -210,8 +244,8 @@ const Dashboard = () => {
         {/* Navigation Tabs - Grid Layout Fix for Mobile */}
         <div className="mb-8 sticky top-4 z-30">
           <div className="bg-slate-200/80 dark:bg-slate-800/80 backdrop-blur-md p-1.5 rounded-2xl shadow-sm">
-            {/* GRID LAYOUT: Forces 3 columns so nothing is hidden off-screen */}
-            <div className="grid grid-cols-3 gap-1 sm:gap-2">
+            {/* GRID LAYOUT: Forces 7 columns so nothing is hidden off-screen */}
+            <div className="grid grid-cols-7 gap-1 sm:gap-2">
               <TabButton 
                 id="received_proposals" 
                 label="Received" 
@@ -227,6 +261,26 @@ const Dashboard = () => {
                 label="Requests" 
                 icon={ChatBubbleLeftRightIcon} 
               />
+              <TabButton 
+                id="sessions" 
+                label="Sessions" 
+                icon={CalendarDaysIcon} 
+              />
+              <TabButton 
+                id="ring_swaps" 
+                label="Rings" 
+                icon={ArrowPathRoundedSquareIcon} 
+              />
+              <TabButton 
+                id="alerts" 
+                label="Alerts" 
+                icon={BellAlertIcon} 
+              />
+              <TabButton 
+                id="credits" 
+                label="Credits" 
+                icon={BanknotesIcon} 
+              />
             </div>
           </div>
         </div>
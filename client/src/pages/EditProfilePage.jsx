@@ -6,6 +6,10 @@ import { toast } from 'react-toastify';
 import UpdateEmailModal from '../components/profile/UpdateEmailModal';
 import ImageCropModal from '../components/profile/ImageCropModal';
 import { XMarkIcon } from '@heroicons/react/24/solid';
+import AvailabilityEditor from '../components/profile/AvailabilityEditor';
+import DevicesPanel from '../components/profile/DevicesPanel';
+import TwoFactorPanel from '../components/profile/TwoFactorPanel';
+import { toEditableAvailability } from '../utils/availability';
 
 const SkillTagInput = ({ title, skills, setSkills }) => {
     const [inputValue, setInputValue] = useState('');
@@ -70,6 +74,7 @@ const EditProfilePage = () => {
   const [socials, setSocials] = useState(user?.socials || { github: '', linkedin: '', website: '' });
   const [skillsToTeach, setSkillsToTeach] = useState(user?.skillsToTeach || []);
   const [skillsToLearn, setSkillsToLearn] = useState(user?.skillsToLearn || []);
+  const [weeklyAvailability, setWeeklyAvailability] = useState(toEditableAvailability(user?.weeklyAvailability));
   const [avatarFile, setAvatarFile] = useState(null);
   const [isAvatarMarkedForDeletion, setIsAvatarMarkedForDeletion] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -88,6 +93,7 @@ const EditProfilePage = () => {
       setSocials(user.socials || { github: '', linkedin: '', website: '' });
       setSkillsToTeach(user.skillsToTeach || []);
       setSkillsToLearn(user.skillsToLearn || []);
+      setWeeklyAvailability(toEditableAvailability(user.weeklyAvailability));
     }
   }, [user]);
 
@@ -143,7 +149,8 @@ const EditProfilePage = () => {
         locationString, 
         socials,
         skillsToTeach,
-        skillsToLearn 
+        skillsToLearn,
+        weeklyAvailability
       };
       
       const response = await apiClient.patch('/users/me', updatedData);
@@ -282,6 +289,11 @@ const EditProfilePage = () => {
                 <SkillTagInput title="Skills you want to learn" skills={skillsToLearn} setSkills={setSkillsToLearn} />
               </div>
             </div>
+          <div className="border-t dark:border-slate-700 pt-6">
+            <h2 className="text-xl font-semibold mb-1">Weekly Availability</h2>
+            <p className="text-sm text-gray-500 mb-4">When you are usually free to swap. Your skills use these times unless you set their own.</p>
+            <AvailabilityEditor value={weeklyAvailability} onChange={setWeeklyAvailability} />
+          </div>
         </form>
          <div className="fixed bottom-0 left-0 w-full p-4 bg-white dark:bg-slate-800 border-t dark:border-slate-700 md:relative md:bg-transparent md:border-none md:p-0 md:mt-8">
           <div className="container mx-auto max-w-2xl">
@@ -306,6 +318,16 @@ const EditProfilePage = () => {
             Change Password
           </button>
         </div>
+        <div className="mt-8 border-t dark:border-slate-700 pt-6">
+          <h2 className="text-xl font-semibold mb-1">Two-Factor Authentication</h2>
+          <p className="text-sm text-gray-500 mb-4">Ask for a code from your phone as well as your password when logging in.</p>
+          <TwoFactorPanel />
+        </div>
+        <div className="mt-8 border-t dark:border-slate-700 pt-6">
+          <h2 className="text-xl font-semibold mb-1">Devices</h2>
+          <p className="text-sm text-gray-500 mb-4">Where you are logged in. Log out any device you don't recognise.</p>
+          <DevicesPanel />
+        </div>
       </div>
     </div>
      <UpdateEmailModal 
@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { TrophyIcon, FlagIcon } from '@heroicons/react/24/solid';
+import { TrophyIcon, FlagIcon, PlusIcon } from '@heroicons/react/24/solid';
 import { Link } from 'react-router-dom';
 import apiClient from '../api/axios';
 import TeamCard from '../components/explore/TeamCard';
+import LearningPathCard from '../components/explore/LearningPathCard';
 import Spinner from '../components/common/Spinner';
 import { toast } from 'react-toastify';
 import { useAuth } from '../context/AuthContext';
@@ -10,6 +11,7 @@ import { useAuth } from '../context/AuthContext';
 const ExplorePage = () => {
   const [teams, setTeams] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [paths, setPaths] = useState([]);
   const { isAuthenticated } = useAuth();
 
   const fetchTeams = useCallback(async () => {
@@ -29,6 +31,13 @@ const ExplorePage = () => {
     fetchTeams();
   }, [fetchTeams]);
 
+  useEffect(() => {
+    apiClient
+      .get('/learning-paths?limit=6')
+      .then((response) => setPaths(response.data.data.paths))
+      .catch((error) => console.error("Failed to fetch learning paths", error));
+  }, []);
+
   const handleJoinTeam = async (teamId) => {
     if (!isAuthenticated) {
         toast.info("Please log in to join a team.");
@@ -95,6 +104,25 @@ const ExplorePage = () => {
 </div>
 
 
+      {/* Learning Paths Section */}
+      <div className="mb-16">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-3xl font-bold">Learning Paths</h2>
+          <Link to="/learning-paths/new" className="flex items-center gap-1 px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded-md hover:bg-blue-700">
+            <PlusIcon className="h-4 w-4" /> Create a Path
+          </Link>
+        </div>
+        {paths.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {paths.map(path => (
+              <LearningPathCard key={path._id} path={path} />
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-slate-500 py-10">No learning paths yet. Put one together from skills and teams you know!</p>
+        )}
+      </div>
+
       {/* Teams Section */}
       <div>
         <h2 className="text-3xl font-bold mb-6">Join a Team</h2>
@@ -1,26 +1,37 @@
-import React, { useState, useEffect, useCallback, useMemo, Suspense ,useRef} from 'react';
+import React, { useState, useEffect, useCallback, Suspense ,useRef} from 'react';
 import apiClient from '../api/axios';
 import { debounce } from 'lodash';
 import { MagnifyingGlassIcon as SearchIcon, UserGroupIcon, ArrowsRightLeftIcon, MagnifyingGlassIcon, XMarkIcon } from '@heroicons/react/24/solid';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import RecommendedSkills from '../components/home/RecommendedSkills';
 import LeaderboardPreview from '../components/home/LeaderboardPreview';
 import { ArrowDownCircleIcon, Gift } from 'lucide-react';
 import LazyLoad from '../components/common/LazyLoad';
+import SearchFacets from '../components/home/SearchFacets';
+import { AVAILABILITY_FILTERS } from '../utils/availability';
+import { useCategories } from '../hooks/useCategories';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import { BellAlertIcon } from '@heroicons/react/24/outline';
 
 const UserSearch = React.lazy(() => import('../components/home/UserSearch'));
 const SkillCard = React.lazy(() => import('../components/skills/SkillCard'));
 const SkillCardSkeleton = React.lazy(() => import('../components/skills/SkillCardSkeleton'));
 const SKILLS_LIMIT = 6;
+const EMPTY_FILTERS = { keywords: '', category: '', level: '', type: '', cost: '', available: '', radius: '' };
+const RADIUS_OPTIONS = [5, 10, 25, 50, 100];
 
 const Home = () => {
   const [skills, setSkills] = useState([]);
-  const [sortBy, setSortBy] = useState('createdAt'); 
-  const [page, setPage] = useState(1);
+  const [sortBy, setSortBy] = useState('');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [facets, setFacets] = useState(null);
+  const [totalSkills, setTotalSkills] = useState(0);
+  const [didYouMean, setDidYouMean] = useState([]);
   const [hasMore, setHasMore] = useState(true);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
-  const [filters, setFilters] = useState({ keywords: '', category: '', level: '' });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [locationQuery, setLocationQuery] = useState('');
   const [keywordSuggestions, setKeywordSuggestions] = useState([]);
   const [currentSearch, setCurrentSearch] = useState('');
@@ -32,30 +43,48 @@ const Home = () => {
   const [showScrollButton, setShowScrollButton] = useState(false);
   const [userSearchQuery, setUserSearchQuery] = useState('');
   const userSearchRef = useRef(null);
-  const skillCategories = useMemo(() => [
-    'Tech', 'Art', 'Music', 'Writing', 'Marketing', 'Language', 'Fitness', 'Cooking', 'Crafts', 'others'
-  ], []);
+  // Browser coordinates for "within N km", kept in a ref so searches never see a stale value.
+  const userCoordsRef = useRef(null);
+  const skillCategories = useCategories();
+  const { isAuthenticated } = useAuth();
+  // Alert links open Home with `?savedSearch=<id>` to re-run that search.
+  const [searchParams] = useSearchParams();
+  const savedSearchId = searchParams.get('savedSearch');
 
   
-  const buildQueryString = (pageNum = 1, currentFilters = filters, currentLocQuery = locationQuery) => {
-    const params = new URLSearchParams({ page: pageNum, limit: SKILLS_LIMIT });
-    if (currentFilters.keywords) params.append('keywords', currentFilters.keywords);
+  const buildQueryString = (cursor = null, currentFilters = filters, currentLocQuery = locationQuery, currentSort = sortBy) => {
+    const params = new URLSearchParams({ limit: SKILLS_LIMIT });
+    const nearMe = currentFilters.radius && userCoordsRef.current;
+    if (currentSort && (currentSort !== 'distance' || nearMe)) params.append('sort', currentSort);
+    if (currentFilters.keywords) params.append('q', currentFilters.keywords);
     if (currentFilters.category) params.append('category', currentFilters.category);
     if (currentFilters.level) params.append('level', currentFilters.level);
+    if (currentFilters.type) params.append('type', currentFilters.type);
+    if (currentFilters.cost) params.append('cost', currentFilters.cost);
+    if (currentFilters.available) params.append('available', currentFilters.available);
     if (currentLocQuery) params.append('location', currentLocQuery);
+    if (nearMe) {
+      params.append('near', `${nearMe.lat},${nearMe.lng}`);
+      params.append('radius', currentFilters.radius);
+    }
+    if (cursor) params.append('cursor', cursor);
     return params.toString();
   };
 
 
-  const fetchSkills = async (pageNum = 1, isNewSearch = false, currentFilters = filters, currentLocQuery = locationQuery) => {
+  const fetchSkills = async (isNewSearch = false, currentFilters = filters, currentLocQuery = locationQuery, currentSort = sortBy) => {
     setLoading(true);
     setError('');
     try {
-      const queryString = buildQueryString(pageNum, currentFilters, currentLocQuery);
-      const response = await apiClient.get(`/skills?${queryString}`);
-      const newSkills = response.data.data.skills || [];
+      const queryString = buildQueryString(isNewSearch ? null : nextCursor, currentFilters, currentLocQuery, currentSort);
+      const response = await apiClient.get(`/skills/search?${queryString}`);
+      const { skills: newSkills = [], nextCursor: cursor, facets: newFacets, total, didYouMean: spelling } = response.data.data;
       setSkills(isNewSearch ? newSkills : prev => [...prev, ...newSkills]);
-      setHasMore(newSkills.length === SKILLS_LIMIT);
+      setNextCursor(cursor);
+      setHasMore(Boolean(cursor));
+      setFacets(newFacets);
+      setTotalSkills(total);
+      setDidYouMean(spelling?.suggestions || []);
     } catch {
       setError('Failed to load skills.');
     } finally {
@@ -90,8 +119,6 @@ const Home = () => {
   );
 
   useEffect(() => {
-  fetchSkills(1, true); 
-
   fetchYoutubePlaceholders();
 
   return () => {
@@ -103,11 +130,15 @@ const Home = () => {
 const fetchKeywordSuggestions = async (query) => {
     if (query.length > 1) {
       try {
-        const response = await apiClient.get(`/skills/keyword-suggestions?search=${query}`);
-        const suggestions = response.data.data || [];
+        const response = await apiClient.get(`/skills/keyword-suggestions?search=${encodeURIComponent(query)}`);
+        const { matches = [], didYouMean = [] } = response.data.data || {};
+        const suggestions = [
+          ...matches,
+          ...didYouMean.map((title) => ({ title, isCorrection: true })),
+        ];
 
         const uniqueSuggestions = [
-          ...new Map(suggestions.map((item) => [item.title, item])).values(),
+          ...new Map(suggestions.map((item) => [item.title.toLowerCase(), item])).values(),
         ];
 
         setKeywordSuggestions(uniqueSuggestions);
@@ -142,14 +173,17 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
     activeFilters.keywords,
     activeFilters.category,
     activeFilters.level,
+    activeFilters.type,
+    activeFilters.cost && `cost: ${activeFilters.cost}`,
+    activeFilters.available && AVAILABILITY_FILTERS.find(option => option.value === activeFilters.available)?.label.toLowerCase(),
+    activeFilters.radius && `within ${activeFilters.radius} km`,
     currentLocQuery
   ].filter(Boolean);
 
   setCurrentSearch(searchTerms.join(', '));
   
-  setPage(1);
   setHasMore(true);
-  fetchSkills(1, true, activeFilters, currentLocQuery);
+  fetchSkills(true, activeFilters, currentLocQuery);
   
   setKeywordSuggestions([]);
 
@@ -158,23 +192,20 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
 };
 
   const loadMoreSkills = () => {
-    const nextPage = page + 1;
-    setPage(nextPage);
-    fetchSkills(nextPage, false);
+    fetchSkills(false);
   };
 
   const clearMainFilters = () => {
-    setFilters({ keywords: '', category: '', level: '' });
+    setFilters(EMPTY_FILTERS);
     setSearchedKeyword('');
-    handleMainSearch(null, { keywords: '', category: '', level: '' }, locationQuery);
+    handleMainSearch(null, EMPTY_FILTERS, locationQuery);
     setYoutubeVideos([]);
     setShowScrollButton(false);
   };
 
   const handleShowLess = () => {
-    setPage(1);
     setHasMore(true);
-    fetchSkills(1, true, filters, locationQuery);
+    fetchSkills(true, filters, locationQuery);
     const searchResults = document.getElementById('search-results');
     if (searchResults) {
       searchResults.scrollIntoView({ behavior: 'smooth' });
@@ -201,18 +232,16 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
 
   const handleSkillSearchSubmit = (e) => {
     if (e) e.preventDefault();
-    setPage(1);
     setIsSkillSearchActive(true);
-    fetchSkills(1, true, filters);
+    fetchSkills(true, filters);
     setShowScrollButton(true);
   };
 
   const handleClearSkillSearch = () => {
     const clearedFilters = { keyword: '', category: '', type: '' };
     setFilters(clearedFilters);
-    setPage(1);
     setIsSkillSearchActive(false);
-    fetchSkills(1, true, clearedFilters);
+    fetchSkills(true, clearedFilters);
     setShowScrollButton(false);
   };
   
@@ -225,19 +254,104 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
     setShowScrollButton(false); 
   };
 
+  const runSavedSearch = async (id) => {
+    try {
+      const response = await apiClient.get(`/saved-searches/${id}`);
+      const { keywords, category, level, location, near, radius } = response.data.data.filters;
+      if (near) {
+        const [lat, lng] = near.split(',').map(Number);
+        userCoordsRef.current = { lat, lng };
+      }
+      const nextFilters = { ...EMPTY_FILTERS, keywords, category, level, radius: near ? String(radius) : '' };
+      setFilters(nextFilters);
+      setLocationQuery(location);
+      handleMainSearch(null, nextFilters, location);
+    } catch {
+      fetchSkills(true);
+    }
+  };
+
+  // Points at this render's functions, so the effect below only re-runs when the saved search changes.
+  const loadSkillsRef = useRef(null);
+  loadSkillsRef.current = (id) => (id ? runSavedSearch(id) : fetchSkills(true));
+
+  useEffect(() => {
+    loadSkillsRef.current(savedSearchId);
+  }, [savedSearchId]);
+
+  const handleSaveSearch = async () => {
+    const name = window.prompt('Name this search. We will notify you about new matching skills.', currentSearch.slice(0, 80));
+    if (!name?.trim()) return;
+    const coords = filters.radius && userCoordsRef.current;
+    try {
+      await apiClient.post('/saved-searches', {
+        name: name.trim(),
+        filters: {
+          keywords: filters.keywords,
+          category: filters.category,
+          level: filters.level,
+          location: locationQuery,
+          ...(coords && { near: `${coords.lat},${coords.lng}`, radius: filters.radius }),
+        },
+      });
+      toast.success('Search saved! Manage your alerts from the Dashboard.');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save search.');
+    }
+  };
+
   const isAnyFilterActive = filters.keywords || filters.category || filters.level || locationQuery;
   const displayedSkills = showAllSkills ? skills : skills.slice(0, 6);
   const isMainFilterActive = currentSearch !== '';
-  const sortedSkills = useMemo(() => {
-    const skillsToSort = [...skills];
-    
-    if (sortBy === 'averageRating') {
-      skillsToSort.sort((a, b) => (b.averageRating || 0) - (a.averageRating || 0));
-    } else {
-      skillsToSort.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const handleRadiusChange = (e) => {
+    const radius = e.target.value;
+    const applyRadius = () => {
+      const nextFilters = { ...filters, radius };
+      setFilters(nextFilters);
+      handleMainSearch(null, nextFilters);
+    };
+    if (!radius || userCoordsRef.current) {
+      applyRadius();
+      return;
     }
-    return skillsToSort;
-  }, [skills, sortBy]); 
+    if (!navigator.geolocation) {
+      setError('Your browser cannot share your location.');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        userCoordsRef.current = { lat: position.coords.latitude, lng: position.coords.longitude };
+        applyRadius();
+      },
+      () => setError('Allow location access to find skills near you.'),
+      { maximumAge: 10 * 60 * 1000, timeout: 10000 }
+    );
+  };
+
+  const applySuggestedKeywords = (keywords) => {
+    const nextFilters = { ...filters, keywords };
+    setFilters(nextFilters);
+    handleMainSearch(null, nextFilters);
+  };
+
+  const handleFacetToggle = (name, value) => {
+    if (name === 'location') {
+      const nextLocation = locationQuery === value ? '' : value;
+      setLocationQuery(nextLocation);
+      handleMainSearch(null, filters, nextLocation);
+      return;
+    }
+    const nextFilters = { ...filters, [name]: filters[name] === value ? '' : value };
+    setFilters(nextFilters);
+    handleMainSearch(null, nextFilters);
+  };
+
+  const handleSortChange = (e) => {
+    const { value } = e.target;
+    setSortBy(value);
+    fetchSkills(true, filters, locationQuery, value);
+  };
+
   return (
     <div>
       <div className="w-full bg-gradient-to-r dark:from-blue-600 dark:to-cyan-500 from-blue-300 to-cyan-200 text-blue-900 dark:text-white text-center rounded-lg py-20 transition-all duration-300">
@@ -264,7 +378,7 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
 
       <form
         onSubmit={handleMainSearch}
-        className="mb-8 p-4 mt-2  bg-slate-100 dark:bg-slate-800 rounded-2xl shadow-lg grid grid-cols-1 md:grid-cols-5 gap-4 items-end transition-colors duration-300"
+        className="mb-8 p-4 mt-2  bg-slate-100 dark:bg-slate-800 rounded-2xl shadow-lg grid grid-cols-1 md:grid-cols-6 gap-4 items-end transition-colors duration-300"
       >
         <div className="md:col-span-2 relative">
           <label className="block text-sm font-medium mb-1">
@@ -286,11 +400,19 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
                   key={index}
                   className="px-4 py-2 cursor-pointer hover:bg-slate-100 dark:hover:bg-slate-600"
                   onClick={() => {
+                    if (s.isCorrection) {
+                      applySuggestedKeywords(s.title);
+                      return;
+                    }
                     setFilters((prev) => ({ ...prev, keywords: s.title }));
                     setKeywordSuggestions([]);
                   }}
                 >
-                  {s.title}
+                  {s.isCorrection ? (
+                    <span className="italic text-slate-600 dark:text-slate-300">
+                      Did you mean <span className="font-semibold not-italic">{s.title}</span>?
+                    </span>
+                  ) : s.title}
                 </li>
               ))}
             </ul>
@@ -309,11 +431,11 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
             <option value="">All</option>
             {skillCategories.map((cat) => (
               <option
-                key={cat}
-                value={cat}
+                key={cat._id}
+                value={cat.name}
                 className="bg-white dark:bg-slate-700"
               >
-                {cat}
+                {cat.icon} {cat.name}
               </option>
             ))}
           </select>
@@ -334,17 +456,52 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
             <option className="bg-white dark:bg-slate-700">Expert</option>
           </select>
         </div>
+        <div>
+          <label htmlFor="available" className="block text-sm font-medium mb-1">Available</label>
+          <select
+            id="available"
+            name="available"
+            value={filters.available}
+            onChange={(e) =>
+              setFilters((prev) => ({ ...prev, available: e.target.value }))
+            }
+            className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 border rounded-md"
+          >
+            <option value="">Any time</option>
+            {AVAILABILITY_FILTERS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="radius" className="block text-sm font-medium mb-1">Distance</label>
+          <select
+            id="radius"
+            name="radius"
+            value={filters.radius}
+            onChange={handleRadiusChange}
+            className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 border rounded-md"
+          >
+            <option value="">Anywhere</option>
+            {RADIUS_OPTIONS.map((km) => (
+              <option key={km} value={km}>Within {km} km of me</option>
+            ))}
+          </select>
+        </div>
         <div>
         <label htmlFor="sort-by" className="block text-sm font-medium mb-1">Sort By</label>
         <select
           id="sort-by"
           name="sortBy"
           value={sortBy}
-          onChange={(e) => setSortBy(e.target.value)}
+          onChange={handleSortChange}
           className="w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-200 border rounded-md"
         >
-          <option value="createdAt">Newest</option>
-          <option value="averageRating">Top Rated</option>
+          <option value="">Best Match</option>
+          <option value="newest">Newest</option>
+          <option value="rating">Top Rated</option>
+          <option value="cost">Lowest Cost</option>
+          {filters.radius && <option value="distance">Nearest</option>}
         </select>
       </div>
         <div className="flex flex-col sm:flex-row justify-end gap-2">
@@ -377,9 +534,45 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
         <h2 className="text-2xl font-bold mb-4">
           Showing results for:{" "}
           <span className="text-blue-600">{currentSearch}</span>
+          <span className="text-base font-normal text-slate-500 ml-2">({totalSkills} skills)</span>
+          {isAuthenticated && (
+            <button
+              type="button"
+              onClick={handleSaveSearch}
+              className="ml-3 inline-flex items-center gap-1 align-middle text-sm font-semibold text-blue-600 hover:underline"
+            >
+              <BellAlertIcon className="h-4 w-4" />
+              Save search
+            </button>
+          )}
         </h2>
       )}
 
+      {didYouMean.length > 0 && !loading && (
+        <p className="mb-4 text-slate-600 dark:text-slate-300">
+          Did you mean{' '}
+          {didYouMean.map((suggestion, index) => (
+            <React.Fragment key={suggestion}>
+              {index > 0 && ' or '}
+              <button
+                type="button"
+                onClick={() => applySuggestedKeywords(suggestion)}
+                className="font-semibold text-blue-600 hover:underline"
+              >
+                {suggestion}
+              </button>
+            </React.Fragment>
+          ))}
+          ?
+        </p>
+      )}
+
+      <SearchFacets
+        facets={facets}
+        selected={{ ...filters, location: locationQuery }}
+        onToggle={handleFacetToggle}
+      />
+
       <Suspense
         fallback={
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -406,7 +599,7 @@ const handleMainSearch = (e, customFilters = undefined, currentLocQuery = locati
               id="search-results"
               className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6"
             >
-              {sortedSkills.map((skill) => (
+              {skills.map((skill) => (
                <SkillCard key={skill._id} skill={skill} />))}
             </div>
             <div className="text-center mt-8">
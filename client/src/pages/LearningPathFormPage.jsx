@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import apiClient from '../api/axios';
+import Spinner from '../components/common/Spinner';
+import SkillPicker from '../components/skills/SkillPicker';
+import { useCategories } from '../hooks/useCategories';
+import { ArrowUpIcon, ArrowDownIcon, TrashIcon, UserGroupIcon, AcademicCapIcon } from '@heroicons/react/24/outline';
+
+const MAX_STEPS = 20;
+
+// Steps as the form edits them: the picked skill or team plus the note.
+const toFormStep = (step) => ({
+  kind: step.kind,
+  id: step.kind === 'team' ? step.team?._id : step.skill?._id,
+  title: step.kind === 'team' ? step.team?.teamName || step.team?.skill?.title : step.skill?.title,
+  note: step.note || '',
+});
+
+/**
+ * Creates a learning path, or edits one when the route has a `pathId`.
+ */
+const LearningPathFormPage = () => {
+  const { pathId } = useParams();
+  const navigate = useNavigate();
+  const categories = useCategories();
+  const [form, setForm] = useState({ title: '', description: '', category: '' });
+  const [steps, setSteps] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(Boolean(pathId));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    apiClient.get('/teams').then((response) => setTeams(response.data.data)).catch(() => setTeams([]));
+  }, []);
+
+  useEffect(() => {
+    if (!pathId) return;
+    apiClient
+      .get(`/learning-paths/${pathId}`)
+      .then((response) => {
+        const path = response.data.data;
+        setForm({ title: path.title, description: path.description || '', category: path.category || '' });
+        // Steps whose skill or team was deleted are dropped when the path is saved.
+        setSteps(path.steps.map(toFormStep).filter(step => step.id));
+      })
+      .catch((error) => toast.error(error.response?.data?.message || 'Could not load this learning path.'))
+      .finally(() => setLoading(false));
+  }, [pathId]);
+
+  const usedIds = steps.map(step => step.id);
+  const addStep = (step) => setSteps([...steps, { ...step, note: '' }]);
+  const updateNote = (index, note) => setSteps(steps.map((step, i) => (i === index ? { ...step, note } : step)));
+  const removeStep = (index) => setSteps(steps.filter((_, i) => i !== index));
+  const moveStep = (index, offset) => {
+    const next = [...steps];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setSteps(next);
+  };
+
+  const handleAddTeam = (e) => {
+    const team = teams.find(candidate => candidate._id === e.target.value);
+    if (team) addStep({ kind: 'team', id: team._id, title: team.teamName || team.skill?.title });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (steps.length < 2) {
+      toast.error('Add at least two steps.');
+      return;
+    }
+    setSaving(true);
+    const payload = {
+      ...form,
+      steps: steps.map(step => ({ [step.kind === 'team' ? 'teamId' : 'skillId']: step.id, note: step.note })),
+    };
+    try {
+      const response = pathId
+        ? await apiClient.patch(`/learning-paths/${pathId}`, payload)
+        : await apiClient.post('/learning-paths', payload);
+      toast.success(pathId ? 'Learning path updated!' : 'Learning path created!');
+      navigate(`/learning-paths/${response.data.data._id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save learning path.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <Spinner text="Loading learning path..." />;
+
+  const inputClass = 'w-full px-3 py-2 mt-1 bg-white dark:bg-slate-700 rounded-md';
+
+  return (
+    <div className="max-w-2xl mx-auto p-8 bg-gray-200 dark:bg-slate-800 rounded-lg shadow-md">
+      <h1 className="text-3xl font-bold text-center mb-6">{pathId ? 'Edit Learning Path' : 'Create a Learning Path'}</h1>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label className="block text-sm font-medium mb-1">Title</label>
+          <input type="text" value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} maxLength={120} required className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Description</label>
+          <textarea value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} rows={3} maxLength={2000} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Category</label>
+          <select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} className={inputClass}>
+            <option value="">Mixed</option>
+            {categories.map(cat => <option key={cat._id} value={cat.name}>{cat.icon} {cat.name}</option>)}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-2">Steps, in order</label>
+          {steps.length === 0 && <p className="text-sm text-gray-500 mb-2">Add the skills and teams learners should go through.</p>}
+          <ol className="space-y-2 mb-3">
+            {steps.map((step, index) => {
+              const Icon = step.kind === 'team' ? UserGroupIcon : AcademicCapIcon;
+              return (
+                <li key={`${step.kind}-${step.id}`} className="p-3 bg-white dark:bg-slate-700 rounded-md">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold">{index + 1}.</span>
+                    <Icon className="h-4 w-4 text-slate-500" />
+                    <span className="flex-grow">{step.title}</span>
+                    <button type="button" onClick={() => moveStep(index, -1)} disabled={index === 0} className="p-1 disabled:opacity-30" aria-label="Move up">
+                      <ArrowUpIcon className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} className="p-1 disabled:opacity-30" aria-label="Move down">
+                      <ArrowDownIcon className="h-4 w-4" />
+                    </button>
+                    <button type="button" onClick={() => removeStep(index)} className="p-1 text-gray-500 hover:text-red-600" aria-label="Remove step">
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    value={step.note}
+                    onChange={(e) => updateNote(index, e.target.value)}
+                    maxLength={300}
+                    placeholder="Why this step? (optional)"
+                    className="w-full mt-2 px-2 py-1 text-sm bg-slate-100 dark:bg-slate-600 rounded"
+                  />
+                </li>
+              );
+            })}
+          </ol>
+          {steps.length < MAX_STEPS && (
+            <div className="space-y-2">
+              <SkillPicker
+                onPick={(skill) => addStep({ kind: 'skill', id: skill._id, title: skill.title })}
+                excludeIds={usedIds}
+                placeholder="Add a skill..."
+              />
+              <select value="" onChange={handleAddTeam} className="w-full px-3 py-2 bg-white dark:bg-slate-700 rounded-md text-sm">
+                <option value="">Add a team...</option>
+                {teams.filter(team => !usedIds.includes(team._id)).map(team => (
+                  <option key={team._id} value={team._id}>{team.teamName || team.skill?.title}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        <button type="submit" disabled={saving} className="w-full py-2 px-4 text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:bg-blue-400">
+          {saving ? 'Saving...' : pathId ? 'Save Changes' : 'Create Path'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LearningPathFormPage;
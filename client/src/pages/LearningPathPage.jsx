@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import apiClient from '../api/axios';
+import Spinner from '../components/common/Spinner';
+import { useAuth } from '../context/AuthContext';
+import { CheckCircleIcon, CheckBadgeIcon, UserGroupIcon, AcademicCapIcon } from '@heroicons/react/24/solid';
+
+const stepLink = (step) => {
+  if (step.kind === 'team') {
+    return step.team
+      ? { to: `/team/${step.team._id}`, title: step.team.teamName || step.team.skill?.title, detail: `Team · ${step.team.status}` }
+      : null;
+  }
+  return step.skill
+    ? { to: `/skills/${step.skill._id}`, title: step.skill.title, detail: `${step.skill.level} · by ${step.skill.user?.username || 'Unknown'}` }
+    : null;
+};
+
+const LearningPathPage = () => {
+  const { pathId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [path, setPath] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    apiClient
+      .get(`/learning-paths/${pathId}`)
+      .then((response) => setPath(response.data.data))
+      .catch((error) => toast.error(error.response?.data?.message || 'Could not load this learning path.'))
+      .finally(() => setLoading(false));
+  }, [pathId]);
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this learning path?')) return;
+    try {
+      await apiClient.delete(`/learning-paths/${pathId}`);
+      toast.success('Learning path deleted.');
+      navigate('/explore');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete learning path.');
+    }
+  };
+
+  if (loading) return <Spinner text="Loading learning path..." />;
+  if (!path) return <p className="text-center text-slate-500 py-10">Learning path not found.</p>;
+
+  const { progress } = path;
+  const doneSteps = new Set(progress.completedStepIds);
+  const canEdit = user && (path.creator?._id === user._id || user.role === 'admin');
+  const percent = Math.round((progress.completedSteps / progress.totalSteps) * 100);
+
+  return (
+    <div className="max-w-3xl mx-auto p-6 sm:p-8 bg-white dark:bg-slate-800 rounded-lg shadow-md">
+      <div className="flex items-center gap-2 text-sm text-blue-500 font-semibold">
+        <span>{path.category || 'Mixed'}</span>
+        {path.isOfficial && (
+          <span className="flex items-center gap-1 text-amber-600"><CheckBadgeIcon className="h-4 w-4" /> Official</span>
+        )}
+      </div>
+      <h1 className="text-3xl font-bold mt-1">{path.title}</h1>
+      <p className="text-sm text-slate-500 mt-1">
+        By <Link to={`/profile/${path.creator?.username}`} className="hover:underline">{path.creator?.username || 'Unknown'}</Link>
+        {' · '}{path.completionCount} finished
+      </p>
+      {path.description && <p className="mt-4 text-slate-700 dark:text-slate-300 whitespace-pre-wrap">{path.description}</p>}
+
+      <div className="mt-6">
+        <div className="flex justify-between text-sm mb-1">
+          <span className="font-medium">
+            {progress.completedAt
+              ? `Completed on ${format(new Date(progress.completedAt), 'MMM d, yyyy')} 🎓`
+              : `${progress.completedSteps} of ${progress.totalSteps} steps done`}
+          </span>
+          <span>{percent}%</span>
+        </div>
+        <div className="h-2 bg-slate-200 dark:bg-slate-700 rounded-full overflow-hidden">
+          <div className={`h-full ${progress.completedAt ? 'bg-green-500' : 'bg-blue-500'}`} style={{ width: `${percent}%` }} />
+        </div>
+        <p className="text-xs text-slate-500 mt-1">A step counts as done once you complete a swap for the skill or finish the team.</p>
+      </div>
+
+      <ol className="mt-6 space-y-3">
+        {path.steps.map((step, index) => {
+          const link = stepLink(step);
+          const isDone = doneSteps.has(step._id);
+          const Icon = step.kind === 'team' ? UserGroupIcon : AcademicCapIcon;
+          return (
+            <li key={step._id} className={`flex gap-3 p-4 rounded-lg border dark:border-slate-700 ${isDone ? 'bg-green-50 dark:bg-green-900/20' : ''}`}>
+              <span className="flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center bg-slate-200 dark:bg-slate-700 font-semibold">
+                {isDone ? <CheckCircleIcon className="h-6 w-6 text-green-500" /> : index + 1}
+              </span>
+              <div>
+                {link ? (
+                  <Link to={link.to} className="font-semibold text-indigo-600 dark:text-indigo-400 hover:underline flex items-center gap-1">
+                    <Icon className="h-4 w-4" /> {link.title}
+                  </Link>
+                ) : (
+                  <span className="font-semibold text-slate-500">This {step.kind} is no longer available</span>
+                )}
+                {link && <p className="text-sm text-slate-500">{link.detail}</p>}
+                {step.note && <p className="text-sm mt-1 text-slate-700 dark:text-slate-300">{step.note}</p>}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      {canEdit && (
+        <div className="flex gap-3 mt-8">
+          <Link to={`/learning-paths/${path._id}/edit`} className="px-4 py-2 text-sm font-semibold text-white bg-blue-600 rounded-md hover:bg-blue-700">Edit Path</Link>
+          <button onClick={handleDelete} className="px-4 py-2 text-sm font-semibold text-red-600 border border-red-600 rounded-md hover:bg-red-50 dark:hover:bg-red-900/20">Delete</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LearningPathPage;
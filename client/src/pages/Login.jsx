@@ -5,6 +5,7 @@ import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/solid';
 import apiClient from '../api/axios';
 import { toast } from 'react-toastify';
 import GoogleLoginButton from '../components/auth/GoogleLoginButton';
+import TwoFactorChallenge from '../components/auth/TwoFactorChallenge';
 import Spinner from '../components/common/Spinner'; // 1. Import Spinner
 
 const Login = () => {
@@ -18,6 +19,7 @@ const Login = () => {
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [isLoggingIn, setIsLoggingIn] = useState(false);
     const [timer, setTimer] = useState(0);
+    const [challengeToken, setChallengeToken] = useState(null);
     const navigate = useNavigate();
 
     useEffect(() => {
@@ -77,7 +79,11 @@ const Login = () => {
         setIsSubmitting(true);
 
         try {
-            await login(credentials);
+            const result = await login(credentials);
+            if (result?.twoFactorRequired) {
+                setChallengeToken(result.challengeToken);
+                return;
+            }
             
             setIsLoggingIn(true);
             
@@ -112,44 +118,48 @@ const Login = () => {
                 <div className="w-full md:w-1/2 p-8 md:p-12">
                     <h2 className="font-bold text-3xl mb-4">Welcome Back!</h2>
                     <p className="mb-8 max-w-sm text-slate-600 dark:text-slate-400">Log in to continue your skill-swapping journey.</p>
-                    <form onSubmit={handleSubmit} className="space-y-6">
-                        <div>
-                            <input 
-                                type="text" 
-                                name="email" 
-                                value={credentials.email} 
-                                onChange={handleChange} 
-                                required 
-                                placeholder="Email or Username"
-                                className="w-full px-4 py-2 bg-slate-100 dark:bg-slate-700 rounded-lg"/>
-                        </div>
-                        <div className="relative">
-                            <input 
-                                type={showPassword ? 'text' : 'password'} 
-                                name="password" 
-                                value={credentials.password} 
-                                onChange={handleChange} 
-                                required 
-                                placeholder="Password"
-                                className="w-full px-4 py-2 bg-slate-100 dark:bg-slate-700 rounded-lg"/>
-                            <button type="button" onClick={() => setShowPassword(!showPassword)} className="absolute inset-y-0 right-0 pr-3 flex items-center text-slate-500">
-                                {showPassword ? <EyeSlashIcon className="h-5 w-5"/> : <EyeIcon className="h-5 w-5"/>}
+                    {challengeToken ? (
+                        <TwoFactorChallenge challengeToken={challengeToken} onCancel={() => setChallengeToken(null)} />
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-6">
+                            <div>
+                                <input 
+                                    type="text" 
+                                    name="email" 
+                                    value={credentials.email} 
+                                    onChange={handleChange} 
+                                    required 
+                                    placeholder="Email or Username"
+                                    className="w-full px-4 py-2 bg-slate-100 dark:bg-slate-700 rounded-lg"/>
+                            </div>
+                            <div className="relative">
+                                <input 
+                                    type={showPassword ? 'text' : 'password'} 
+                                    name="password" 
+                                    value={credentials.password} 
+                                    onChange={handleChange} 
+                                    required 
+                                    placeholder="Password"
+                                    className="w-full px-4 py-2 bg-slate-100 dark:bg-slate-700 rounded-lg"/>
+                                <button type="button" onClick={() => setShowPassword(!showPassword)} className="absolute inset-y-0 right-0 pr-3 flex items-center text-slate-500">
+                                    {showPassword ? <EyeSlashIcon className="h-5 w-5"/> : <EyeIcon className="h-5 w-5"/>}
+                                </button>
+                            </div>
+                            <button 
+                                type="submit" 
+                                disabled={isSubmitting}
+                                className="w-full py-3 font-semibold text-white bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg shadow-lg hover:shadow-blue-500/50 transition-all duration-300 transform hover:scale-105 disabled:opacity-70 disabled:cursor-not-allowed"
+                            >
+                                {isSubmitting ? 'Logging in...' : 'Log In'}
                             </button>
-                        </div>
-                        <button 
-                            type="submit" 
-                            disabled={isSubmitting}
-                            className="w-full py-3 font-semibold text-white bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg shadow-lg hover:shadow-blue-500/50 transition-all duration-300 transform hover:scale-105 disabled:opacity-70 disabled:cursor-not-allowed"
-                        >
-                            {isSubmitting ? 'Logging in...' : 'Log In'}
-                        </button>
-                        <div className="my-6 flex items-center">
-                            <div className="flex-grow border-t border-slate-300"></div>
-                            <span className="mx-4 text-slate-500">OR</span>
-                            <div className="flex-grow border-t border-slate-300"></div>
-                        </div>
-                        <GoogleLoginButton />
-                    </form>
+                            <div className="my-6 flex items-center">
+                                <div className="flex-grow border-t border-slate-300"></div>
+                                <span className="mx-4 text-slate-500">OR</span>
+                                <div className="flex-grow border-t border-slate-300"></div>
+                            </div>
+                            <GoogleLoginButton />
+                        </form>
+                    )}
 
                     {error && <p className="text-sm text-center text-red-500 mt-4">{error}</p>}
                     
@@ -4,6 +4,7 @@ import MySkillCard from '../components/skills/MySkillCard';
 import { useAuth } from '../context/AuthContext';
 import SkillCardSkeleton from '../components/skills/SkillCardSkeleton';
 import CreateTeamModal from '../components/teams/CreateTeamModal';
+import SkillAnalyticsPanel from '../components/skills/SkillAnalyticsPanel';
 import { toast } from 'react-toastify';
 
 const MySkillsPage = () => {
@@ -13,14 +14,15 @@ const MySkillsPage = () => {
   const { user } = useAuth();
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedSkill, setSelectedSkill] = useState(null);
+  const [analyticsSkill, setAnalyticsSkill] = useState(null);
 
   useEffect(() => {
     if (user?._id) {
       const fetchMySkills = async () => {
         try {
           setLoading(true);
-          const response = await apiClient.get(`/skills?userId=${user._id}`);
-          setMySkills(response.data.data.skills);
+          const response = await apiClient.get('/skills/mine');
+          setMySkills(response.data.data);
         } catch (err) {
           setError('Failed to load your skills.');
         } finally {
@@ -36,6 +38,15 @@ const MySkillsPage = () => {
     setIsModalOpen(true);
   };
 
+  const handleShowAnalytics = (skill) => {
+    setAnalyticsSkill(skill);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleStatusChange = (updatedSkill) => {
+    setMySkills(prev => prev.map(skill => skill._id === updatedSkill._id ? { ...skill, ...updatedSkill, user: skill.user } : skill));
+  };
+
   const handleTeamCreated = (newTeam) => {
     toast.info(`Team "${newTeam.teamName}" is now open for members!`);
   };
@@ -58,10 +69,13 @@ const MySkillsPage = () => {
     <>
       <div className="container mx-auto px-4 py-8">
         <h1 className="text-3xl font-bold mb-6">My Posted Skills</h1>
+        {analyticsSkill && (
+          <SkillAnalyticsPanel key={analyticsSkill._id} skill={analyticsSkill} onClose={() => setAnalyticsSkill(null)} />
+        )}
         {mySkills.length > 0 ? (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {mySkills.map((skill) => (
-              <MySkillCard key={skill._id} skill={skill} onCreateTeam={handleOpenModal} />
+              <MySkillCard key={skill._id} skill={skill} onCreateTeam={handleOpenModal} onShowAnalytics={handleShowAnalytics} onStatusChange={handleStatusChange} />
             ))}
           </div>
         ) : (
@@ -11,6 +11,7 @@ import ProfilePageSkeleton from '../components/profile/ProfilePageSkeleton';
 import NotificationPanel from '../components/profile/NotificationPanel';
 import { toast } from 'react-toastify';
 import SkillCardSkeleton from '../components/skills/SkillCardSkeleton';
+import ReviewList from '../components/profile/ReviewList';
 
 const AuthPrompt = () => (
     <div className="text-center p-8 bg-white dark:bg-slate-800 rounded-lg shadow-md">
@@ -232,6 +233,10 @@ const ProfilePage = () => {
     const topCategories = [...new Set(skills.map(skill => skill.category))];
 
     const renderTabContent = () => {
+        if (activeTab === 'reviews') {
+            return <ReviewList key={username} username={username} />;
+        }
+
         if (isTabLoading) {
             return (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
@@ -343,7 +348,15 @@ const ProfilePage = () => {
                                     <CurrencyDollarIcon className="h-4 w-4 mr-1" />
                                     {profile.swapCredits}
                                 </span>
+                                <span className="text-xs text-slate-500">available</span>
                             </div>
+                            {profile.heldCredits > 0 && (
+                                <div className="flex items-center gap-1">
+                                    <strong>Held in Escrow:</strong>
+                                    <span className="font-bold text-slate-500 dark:text-slate-300">{profile.heldCredits}</span>
+                                    <span className="text-xs text-slate-500">reserved for accepted swaps</span>
+                                </div>
+                            )}
                         </div>
                     </div>
                     <div className="flex-1">
@@ -374,6 +387,7 @@ const ProfilePage = () => {
                 <nav className="flex space-x-8">
                     <button onClick={() => setActiveTab("skills")} className={`py-4 px-1 border-b-2 font-medium ${activeTab === "skills" ? "border-accent-500 text-accent-600" : "border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300"}`}>Skills Offered</button>
                     <button onClick={() => setActiveTab("bookmarks")} className={`py-4 px-1 border-b-2 font-medium ${activeTab === "bookmarks" ? "border-accent-500 text-accent-600" : "border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300"}`}>Bookmarks</button>
+                    <button onClick={() => setActiveTab("reviews")} className={`py-4 px-1 border-b-2 font-medium ${activeTab === "reviews" ? "border-accent-500 text-accent-600" : "border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300"}`}>Reviews</button>
                 </nav>
             </div>
             <div>
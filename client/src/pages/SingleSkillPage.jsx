@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api/axios';
 import { useAuth } from '../context/AuthContext';
@@ -8,6 +8,11 @@ import Spinner from '../components/common/Spinner';
 import ProposalModal from '../components/proposals/ProposalModal';
 import { toast } from 'react-toastify';
 import ReportSkillModal from '../components/ReportSkillModal';
+import ReviewList from '../components/profile/ReviewList';
+import SkillMediaGallery from '../components/skills/SkillMediaGallery';
+import SkillMediaManager from '../components/skills/SkillMediaManager';
+import SkillPrerequisites from '../components/skills/SkillPrerequisites';
+import { formatWeeklyRange, hasAvailability } from '../utils/availability';
 
 
 const StarRating = ({ rating }) => {
@@ -25,6 +30,36 @@ const StarRating = ({ rating }) => {
   return <div className="flex">{stars}</div>;
 };
 
+// Statuses other users can still send proposals for; mirrors the server's PROPOSABLE_STATUSES.
+const PROPOSABLE_STATUSES = ['active', 'in_progress'];
+
+const STATUS_NOTICES_FOR_OWNER = {
+  draft: 'This is a draft. Only you can see it until you publish it from My Skills.',
+  paused: 'This skill is paused and hidden from search. Resume it from My Skills.',
+  expired: 'This skill expired and is hidden from search. Renew it from My Skills.',
+  completed: 'This skill is hidden from search. Republish it from My Skills.',
+  archived: 'You deleted this skill. It is only kept for the history of past swaps.',
+};
+
+const RatingBreakdown = ({ histogram, total }) => (
+  <div className="space-y-1 mb-4 max-w-sm">
+    {[5, 4, 3, 2, 1].map((star) => {
+      const count = histogram?.[star] || 0;
+      const percent = total > 0 ? Math.round((count / total) * 100) : 0;
+      return (
+        <div key={star} className="flex items-center gap-2 text-sm">
+          <span className="w-6 text-right text-gray-600 dark:text-gray-400">{star}</span>
+          <StarIcon className="h-4 w-4 text-yellow-400" />
+          <div className="flex-1 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }} />
+          </div>
+          <span className="w-8 text-right text-gray-500">{count}</span>
+        </div>
+      );
+    })}
+  </div>
+);
+
 const StarRatingInput = ({ currentRating, onRate }) => {
   const [hoverRating, setHoverRating] = useState(0);
   return (
@@ -70,6 +105,17 @@ const SingleSkillPage = () => {
   const [isReportModalOpen, setIsReportModalOpen] = useState(false);
 
 
+  const applyRatings = useCallback((ratedSkill) => {
+    const ratingsArr = (ratedSkill?.ratings || []).filter(Boolean);
+    const avg = ratedSkill?.ratingStats?.average
+      ?? (ratingsArr.length > 0
+        ? ratingsArr.reduce((acc, r) => acc + (r.rating || 0), 0) / ratingsArr.length
+        : 0);
+    setAvgRating(Number.isFinite(avg) ? avg : 0);
+    const myRating = ratingsArr.find((r) => r.user?._id === user?._id);
+    setUserRating(myRating ? myRating.rating : 0);
+  }, [user?._id]);
+
   useEffect(() => {
     const fetchSkillAndMatches = async () => {
       try {
@@ -99,22 +145,7 @@ const SingleSkillPage = () => {
         }
 
         // Ratings logic
-        const ratingsArr = fetchedSkill.ratings || [];
-        if (ratingsArr.length > 0) {
-          const total = ratingsArr.reduce(
-            (acc, r) => acc + (r?.rating || 0),
-            0
-          );
-          const avg = total / ratingsArr.length;
-          setAvgRating(Number.isFinite(avg) ? avg : 0);
-          const myRating = ratingsArr.find(
-            (r) => r?.user?._id === user?._id
-          );
-          setUserRating(myRating ? myRating.rating : 0);
-        } else {
-          setAvgRating(0);
-          setUserRating(0);
-        }
+        applyRatings(fetchedSkill);
 
         // Matches logic
         if (
@@ -137,10 +168,10 @@ const SingleSkillPage = () => {
     };
 
     fetchSkillAndMatches();
-  }, [skillId, user?._id, isAuthenticated]);
+  }, [skillId, user?._id, isAuthenticated, applyRatings]);
 
   const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this skill?')) {
+    if (window.confirm('Are you sure you want to delete this skill? It will be hidden from everyone, but past swaps keep their history.')) {
       setDeleting(true);
       try {
         await apiClient.delete(`/skills/${skillId}`);
@@ -164,22 +195,7 @@ const SingleSkillPage = () => {
       const updatedSkill = response.data?.data;
       setSkill(updatedSkill);
 
-      const ratingsArr = updatedSkill?.ratings || [];
-      if (ratingsArr.length > 0) {
-        const total = ratingsArr.reduce(
-          (acc, r) => acc + (r?.rating || 0),
-          0
-        );
-        const avg = total / ratingsArr.length;
-        setAvgRating(Number.isFinite(avg) ? avg : 0);
-        const myRating = ratingsArr.find(
-          (r) => r?.user?._id === user?._id
-        );
-        setUserRating(myRating ? myRating.rating : 0);
-      } else {
-        setAvgRating(0);
-        setUserRating(0);
-      }
+      applyRatings(updatedSkill);
       toast.success('Your rating has been submitted!');
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to submit rating.');
@@ -207,8 +223,12 @@ const SingleSkillPage = () => {
   };
 
   const isOwner = isAuthenticated && user?._id === skill?.user?._id;
-  const canPropose = isAuthenticated && !isOwner;
+  const isProposable = PROPOSABLE_STATUSES.includes(skill?.status);
+  const canPropose = isAuthenticated && !isOwner && isProposable;
+  // A skill without slots of its own follows its owner's profile.
+  const availability = [skill?.weeklyAvailability, skill?.user?.weeklyAvailability].find(hasAvailability);
   const safeAvg = Number.isFinite(avgRating) ? avgRating.toFixed(1) : '0.0';
+  const ratingCount = skill?.ratingStats?.count ?? (skill?.ratings || []).length;
 
   if (loading) return <Spinner text="Loading skill details..." />;
   if (error) {
@@ -237,6 +257,11 @@ const SingleSkillPage = () => {
   return (
     <div className="max-w-4xl mx-auto py-8">
       <div className="bg-white dark:bg-slate-800 rounded-lg shadow-md p-6">
+        {!isProposable && (
+          <div className="mb-4 p-3 rounded-md bg-yellow-50 dark:bg-yellow-900/30 text-sm text-yellow-800 dark:text-yellow-200">
+            {isOwner ? STATUS_NOTICES_FOR_OWNER[skill.status] : 'This skill is no longer available for new swaps.'}
+          </div>
+        )}
         <div className="flex justify-between items-start">
           <h1 className="text-3xl font-bold mb-2">{skill.title}</h1>
           {!isOwner && isAuthenticated && (
@@ -268,7 +293,7 @@ const SingleSkillPage = () => {
     {skill.type || 'OFFER'}
   </span>
   <span className="text-sm font-semibold bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 px-3 py-1 rounded-full mr-4">
-    {skill.category}
+    {skill.category}{skill.subcategory && ` · ${skill.subcategory}`}
   </span>
           <Link
             to={`/profile/${skill.user?.username || ''}`}
@@ -285,6 +310,16 @@ const SingleSkillPage = () => {
           {skill.description}
         </p>
 
+        <SkillMediaGallery gallery={skill.gallery} mediaLinks={skill.mediaLinks} title={skill.title} />
+        {isOwner && skill.status !== 'archived' && (
+          <SkillMediaManager skill={skill} onChange={(media) => setSkill(prev => ({ ...prev, ...media }))} />
+        )}
+        <SkillPrerequisites
+          skill={skill}
+          canEdit={isOwner && skill.status !== 'archived'}
+          onChange={(prerequisites) => setSkill(prev => ({ ...prev, prerequisites }))}
+        />
+
         <div className="mt-6">
   <h3 className="text-lg font-semibold mb-2">Details</h3>
   <ul className="space-y-1 text-gray-700 dark:text-gray-300">
@@ -299,6 +334,12 @@ const SingleSkillPage = () => {
       <MapPinIcon className="h-4 w-4 mr-1" />
       <span>{skill.location || 'Remote'}</span>
     </li>
+    <li>
+      <span className="font-medium">Availability:</span>{' '}
+      {availability
+        ? `${availability.slots.map(formatWeeklyRange).join(', ')} (${availability.timezone})`
+        : skill.availability || 'Flexible'}
+    </li>
   </ul>
 </div>
 
@@ -308,18 +349,28 @@ const SingleSkillPage = () => {
           <div className="flex items-center gap-4 mb-4">
             <p className="font-bold text-lg">{safeAvg} / 5</p>
             <p className="text-sm text-gray-500">
-              ({(skill?.ratings || []).length} ratings)
+              ({ratingCount} ratings)
             </p>
           </div>
 
+          {ratingCount > 0 && (
+            <RatingBreakdown histogram={skill.ratingStats?.histogram} total={ratingCount} />
+          )}
+
           {isAuthenticated && !isOwner && (
-            <div className="mb-4">
-              <p className="text-sm font-medium mb-2">Your Rating:</p>
-              <StarRatingInput
-                currentRating={userRating}
-                onRate={handleRateSkill}
-              />
-            </div>
+            skill.canRate ? (
+              <div className="mb-4">
+                <p className="text-sm font-medium mb-2">Your Rating:</p>
+                <StarRatingInput
+                  currentRating={userRating}
+                  onRate={handleRateSkill}
+                />
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500 mb-4">
+                Complete a swap or team for this skill to rate it.
+              </p>
+            )
           )}
 
           {(skill.ratings || []).filter(Boolean).length > 0 && (
@@ -339,6 +390,12 @@ const SingleSkillPage = () => {
           )}
         </div>
 
+        {/* Reviews Section */}
+        <div className="mt-8 border-t dark:border-gray-700 pt-6">
+          <h3 className="text-xl font-semibold mb-4">Reviews</h3>
+          <ReviewList key={skillId} skillId={skillId} />
+        </div>
+
         {/* Action buttons */}
         <div className="mt-8 flex justify-center items-center gap-4">
           {canPropose && (
@@ -349,7 +406,7 @@ const SingleSkillPage = () => {
               Propose a Swap
             </button>
           )}
-          {isOwner && (
+          {isOwner && skill.status !== 'archived' && (
             <button
               onClick={handleDelete}
               disabled={deleting}
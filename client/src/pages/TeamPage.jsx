@@ -17,9 +17,13 @@ import {
   CheckCircleIcon,
   XCircleIcon,
   ExclamationTriangleIcon,
+  CalendarDaysIcon,
 } from '@heroicons/react/24/solid';
 import { format, isSameDay, isToday, isYesterday } from 'date-fns';
 import EditTeamModal from '../components/teams/EditTeamModal';
+import SessionList from '../components/sessions/SessionList';
+import ScheduleSessionModal from '../components/sessions/ScheduleSessionModal';
+import WriteReviewModal from '../components/profile/WriteReviewModal';
 
 const formatDateSeparator = (date) => {
   const d = new Date(date);
@@ -43,6 +47,9 @@ const TeamPage = () => {
   const [meetingLink, setMeetingLink] = useState('');
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isConfirming, setIsConfirming] = useState(false);
+  const [isScheduleModalOpen, setIsScheduleModalOpen] = useState(false);
+  const [isReviewModalOpen, setIsReviewModalOpen] = useState(false);
+  const [sessionsRefreshKey, setSessionsRefreshKey] = useState(0);
   const chatEndRef = useRef(null);
 
   const fetchTeam = useCallback(async () => {
@@ -371,6 +378,29 @@ const TeamPage = () => {
         </div>
       )}
 
+      {(isInstructor || isMember) && (
+        <div className="bg-white dark:bg-slate-800 rounded-lg shadow-md p-6 mb-8">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold">Upcoming Sessions</h2>
+            {!isTeamCompleted && (
+              <button onClick={() => setIsScheduleModalOpen(true)} className="flex items-center gap-2 px-4 py-2 text-sm font-semibold text-white bg-violet-600 rounded-md hover:bg-violet-700">
+                <CalendarDaysIcon className="h-5 w-5" /> {isInstructor ? 'Schedule Session' : 'Suggest a Time'}
+              </button>
+            )}
+          </div>
+          <SessionList teamId={teamId} refreshKey={sessionsRefreshKey} />
+        </div>
+      )}
+
+      {isTeamCompleted && isMember && hasConfirmed && (
+        <div className="bg-white dark:bg-slate-800 rounded-lg shadow-md p-6 mb-8 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+          <p className="text-slate-600 dark:text-slate-400">This team is complete. How was learning with {team.instructor.username}?</p>
+          <button onClick={() => setIsReviewModalOpen(true)} className="px-4 py-2 text-sm font-semibold text-white bg-violet-600 rounded-md hover:bg-violet-700">
+            Review Instructor
+          </button>
+        </div>
+      )}
+
       {isPendingCompletion && (isMember || isInstructor) && (
         <div className="bg-white dark:bg-slate-800 rounded-lg shadow-md p-6 mb-8">
           <h2 className="text-xl font-bold mb-2">Confirm Team Completion</h2>
@@ -523,6 +553,19 @@ const TeamPage = () => {
           )}
         </div>
       </div>
+      <WriteReviewModal
+        isOpen={isReviewModalOpen}
+        onClose={() => setIsReviewModalOpen(false)}
+        teamId={teamId}
+        revieweeName={team.instructor.username}
+      />
+      <ScheduleSessionModal
+        isOpen={isScheduleModalOpen}
+        onClose={() => setIsScheduleModalOpen(false)}
+        onSaved={() => setSessionsRefreshKey(key => key + 1)}
+        teamId={teamId}
+        defaultTitle={`${team.teamName} session`}
+      />
       {isInstructor && <EditTeamModal isOpen={isEditModalOpen} onClose={() => setIsEditModalOpen(false)} team={team} onSuccess={fetchTeam}/>}
     </div>
   );
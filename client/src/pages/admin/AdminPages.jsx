@@ -54,6 +54,7 @@ export const AdminUsers = () => {
                             <th className="p-2 sm:p-4">Last Name</th>
                             <th className="p-2 sm:p-4">Email</th>
                             <th className="p-2 sm:p-4 text-center">Swaps</th>
+                            <th className="p-2 sm:p-4 text-center">2FA</th>
                             <th className="p-2 sm:p-4">Joined</th>
                             <th className="p-2 sm:p-4">Actions</th>
                         </tr>
@@ -66,6 +67,11 @@ export const AdminUsers = () => {
                                 <td className="p-2 sm:p-4">{user.lastName}</td>
                                 <td className="p-2 sm:p-4 break-words">{user.email}</td>
                                 <td className="p-2 sm:p-4 text-center">{user.swapsCompleted || 0}</td>
+                                <td className="p-2 sm:p-4 text-center">
+                                    {user.twoFactorEnabled
+                                        ? <span className="text-xs font-semibold text-green-600 dark:text-green-400">On</span>
+                                        : <span className="text-xs text-slate-400">Off</span>}
+                                </td>
                                 <td className="p-2 sm:p-4">{format(new Date(user.createdAt), 'MMM d, yyyy')}</td>
                                 <td className="p-2 sm:p-4">
                                     <button onClick={() => handleDelete(user._id)} className="text-red-500 hover:underline text-sm sm:text-base">Delete</button>
@@ -113,6 +119,143 @@ export const AdminSkills = () => {
     );
 };
 
+// --- Categories Page ---
+const EMPTY_CATEGORY = { name: '', icon: '', description: '', subtopics: '', order: 0, parentId: '' };
+
+export const AdminCategories = () => {
+    const [categories, setCategories] = useState([]);
+    const [form, setForm] = useState(EMPTY_CATEGORY);
+    const [editingId, setEditingId] = useState(null);
+
+    const loadCategories = () => apiClient.get('/admin/categories').then(res => setCategories(res.data.data));
+    useEffect(() => { loadCategories(); }, []);
+
+    const resetForm = () => {
+        setForm(EMPTY_CATEGORY);
+        setEditingId(null);
+    };
+
+    const startEdit = (category) => {
+        setEditingId(category._id);
+        setForm({
+            name: category.name,
+            icon: category.icon || '',
+            description: category.description || '',
+            subtopics: (category.subtopics || []).join('\n'),
+            order: category.order || 0,
+            parentId: '',
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const payload = {
+            name: form.name,
+            icon: form.icon,
+            description: form.description,
+            subtopics: form.subtopics.split('\n'),
+            order: form.order,
+        };
+        try {
+            if (editingId) {
+                await apiClient.patch(`/admin/categories/${editingId}`, payload);
+                toast.success("Category updated.");
+            } else {
+                await apiClient.post('/admin/categories', { ...payload, parentId: form.parentId || undefined });
+                toast.success("Category created.");
+            }
+            resetForm();
+            loadCategories();
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Failed to save category.");
+        }
+    };
+
+    const handleToggleActive = async (category) => {
+        try {
+            await apiClient.patch(`/admin/categories/${category._id}`, { isActive: !category.isActive });
+            loadCategories();
+        } catch {
+            toast.error("Failed to update category.");
+        }
+    };
+
+    const handleDelete = async (category) => {
+        if (!window.confirm(`Delete "${category.name}"?`)) return;
+        try {
+            await apiClient.delete(`/admin/categories/${category._id}`);
+            toast.success("Category deleted.");
+            loadCategories();
+        } catch (error) {
+            toast.error(error.response?.data?.message || "Failed to delete category.");
+        }
+    };
+
+    const renderRow = (category, isChild) => (
+        <tr key={category._id} className={`border-b dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700/50 ${category.isActive ? '' : 'opacity-50'}`}>
+            <td className={`p-2 sm:p-4 ${isChild ? 'pl-8 sm:pl-12' : 'font-semibold'}`}>{category.icon} {category.name}</td>
+            <td className="p-2 sm:p-4 font-mono text-xs">{category.slug}</td>
+            <td className="p-2 sm:p-4 text-center">{category.skillCount}</td>
+            <td className="p-2 sm:p-4">{category.isActive ? 'Active' : 'Inactive'}</td>
+            <td className="p-2 sm:p-4 flex gap-3 text-sm">
+                <button onClick={() => startEdit(category)} className="text-blue-500 hover:underline">Edit</button>
+                <button onClick={() => handleToggleActive(category)} className="text-yellow-600 hover:underline">{category.isActive ? 'Deactivate' : 'Activate'}</button>
+                <button onClick={() => handleDelete(category)} className="text-red-500 hover:underline">Delete</button>
+            </td>
+        </tr>
+    );
+
+    const inputClass = "w-full p-2 bg-slate-100 dark:bg-slate-700 rounded text-sm sm:text-base";
+
+    return (
+        <div>
+            <h1 className="text-xl sm:text-3xl font-bold mb-6 text-slate-800 dark:text-white">Categories</h1>
+            <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-800 p-4 sm:p-6 rounded-lg shadow w-full max-w-lg flex flex-col gap-4 mb-6 text-slate-800 dark:text-slate-300">
+                <h2 className="font-semibold">{editingId ? `Edit "${categories.flatMap(c => [c, ...c.subcategories]).find(c => c._id === editingId)?.name}"` : 'New Category'}</h2>
+                <div className="flex gap-2">
+                    <input type="text" value={form.icon} onChange={e => setForm({ ...form, icon: e.target.value })} placeholder="Icon" maxLength={16} className={`${inputClass} w-20`} />
+                    <input type="text" value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="Name" maxLength={60} className={inputClass} required />
+                </div>
+                {!editingId && (
+                    <select value={form.parentId} onChange={e => setForm({ ...form, parentId: e.target.value })} className={inputClass}>
+                        <option value="">Top-level category</option>
+                        {categories.map(category => <option key={category._id} value={category._id}>Subcategory of {category.name}</option>)}
+                    </select>
+                )}
+                <input type="text" value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} placeholder="Description" maxLength={300} className={inputClass} />
+                <textarea value={form.subtopics} onChange={e => setForm({ ...form, subtopics: e.target.value })} placeholder="YouTube tutorial topics, one per line" rows={3} className={inputClass} />
+                <label className="flex items-center gap-2 text-sm">
+                    Display order
+                    <input type="number" value={form.order} onChange={e => setForm({ ...form, order: e.target.value })} className={`${inputClass} w-24`} />
+                </label>
+                <div className="flex gap-2">
+                    <button type="submit" className="bg-blue-600 text-white py-2 px-4 rounded hover:bg-blue-700">{editingId ? 'Save' : 'Create'}</button>
+                    {editingId && <button type="button" onClick={resetForm} className="py-2 px-4 rounded bg-slate-200 dark:bg-slate-700">Cancel</button>}
+                </div>
+            </form>
+            <div className="bg-white dark:bg-slate-800 p-2 sm:p-4 rounded-lg shadow overflow-x-auto">
+                <table className="w-full min-w-[700px] text-left text-slate-800 dark:text-slate-300 text-sm sm:text-base">
+                    <thead>
+                        <tr className="border-b dark:border-slate-700">
+                            <th className="p-2 sm:p-4">Name</th>
+                            <th className="p-2 sm:p-4">Slug</th>
+                            <th className="p-2 sm:p-4 text-center">Skills</th>
+                            <th className="p-2 sm:p-4">Status</th>
+                            <th className="p-2 sm:p-4">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {categories.flatMap(category => [
+                            renderRow(category, false),
+                            ...category.subcategories.map(child => renderRow(child, true)),
+                        ])}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
 // --- Reports Page (Responsive) ---
 export const AdminReports = () => {
     const [reports, setReports] = useState([]);
@@ -0,0 +1,55 @@
+// Helpers for weekly availability. Slots are { day, start, end }: day 0 is Sunday and times are
+// minutes after local midnight, with an end of 1440 meaning "until midnight".
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Values accepted by the `available` search filter.
+export const AVAILABILITY_FILTERS = [
+  { value: 'weekdays-morning', label: 'Weekday mornings' },
+  { value: 'weekdays-afternoon', label: 'Weekday afternoons' },
+  { value: 'weekdays-evening', label: 'Weekday evenings' },
+  { value: 'weekends-morning', label: 'Weekend mornings' },
+  { value: 'weekends-afternoon', label: 'Weekend afternoons' },
+  { value: 'weekends-evening', label: 'Weekend evenings' },
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+export const listTimeZones = (current) => {
+  const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(current) ? zones : [current, ...zones];
+};
+
+/**
+ * "HH:MM" for a time input. Midnight at the end of a slot is shown as 00:00.
+ */
+export const minutesToTime = (minutes) => `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+
+export const timeToMinutes = (time, { isEnd = false } = {}) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const total = hours * 60 + minutes;
+  return isEnd && total === 0 ? 1440 : total;
+};
+
+/**
+ * "Mon 18:00–21:00", or "Sat 23:00 – Sun 01:00" for a range that crosses midnight.
+ */
+export const formatWeeklyRange = ({ day, start, endDay = day, end }) => {
+  const endLabel = end === 1440 ? '24:00' : minutesToTime(end);
+  return endDay === day
+    ? `${DAY_NAMES[day]} ${minutesToTime(start)}–${endLabel}`
+    : `${DAY_NAMES[day]} ${minutesToTime(start)} – ${DAY_NAMES[endDay]} ${endLabel}`;
+};
+
+export const hasAvailability = (availability) => availability?.slots?.length > 0;
+
+/**
+ * Availability ready for AvailabilityEditor. Until someone adds slots, their time zone is only the
+ * server default, so the browser's is suggested instead.
+ */
+export const toEditableAvailability = (availability) => ({
+  timezone: hasAvailability(availability) ? availability.timezone : browserTimeZone(),
+  slots: availability?.slots?.map(({ day, start, end }) => ({ day, start, end })) || [],
+});
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Skill } from './models/skill.model.js';
+import { computeRatingStats } from './utils/ratingStats.js';
+import connectDB from './config/db.js';
+
+dotenv.config({ path: './.env' });
+
+const backfillRatingStats = async () => {
+  try {
+    await connectDB();
+    console.log('Recomputing rating stats for all skills...');
+
+    let updatedCount = 0;
+    const cursor = Skill.find({}).select('ratings').cursor();
+    for await (const skill of cursor) {
+      await Skill.updateOne({ _id: skill._id }, { $set: { ratingStats: computeRatingStats(skill.ratings) } });
+      updatedCount++;
+    }
+
+    console.log(`✅ Updated rating stats for ${updatedCount} skill(s).`);
+
+  } catch (error) {
+    console.error('❌ Error backfilling rating stats:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+backfillRatingStats();
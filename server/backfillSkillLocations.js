@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Skill } from './models/skill.model.js';
+import { geocodeLocation } from './utils/geocoder.js';
+import connectDB from './config/db.js';
+
+dotenv.config({ path: './.env' });
+
+const backfillSkillLocations = async () => {
+  try {
+    await connectDB();
+    console.log('Geocoding skills that have a location but no coordinates...');
+
+    let geocodedCount = 0;
+    let skippedCount = 0;
+    const cursor = Skill.find({ 'geoCoordinates.coordinates.0': { $exists: false } }).select('locationString').cursor();
+    for await (const skill of cursor) {
+      const geoCoordinates = await geocodeLocation(skill.locationString);
+      if (!geoCoordinates) {
+        skippedCount++;
+        continue;
+      }
+      await Skill.updateOne({ _id: skill._id }, { $set: { geoCoordinates } });
+      geocodedCount++;
+    }
+
+    console.log(`✅ Geocoded ${geocodedCount} skill(s); ${skippedCount} remote or unknown location(s) skipped.`);
+
+  } catch (error) {
+    console.error('❌ Error backfilling skill locations:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+backfillSkillLocations();
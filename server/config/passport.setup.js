@@ -7,8 +7,8 @@ passport.use(
     {
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      // ▼▼▼ FORCE THE HTTPS URL (No 'If/Else' logic allowed) ▼▼▼
-      callbackURL: 'https://api.skill4skill.tech/api/v1/auth/google/callback',
+      // Must match a redirect URI registered for the Google client, e.g. http://localhost:8000/... in development.
+      callbackURL: process.env.GOOGLE_CALLBACK_URL || 'https://api.skill4skill.tech/api/v1/auth/google/callback',
       scope: ['profile', 'email'],
       proxy: true, 
     },
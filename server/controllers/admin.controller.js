@@ -9,6 +9,8 @@ import { Report } from '../models/report.model.js';
 import { createNotification } from './notification.controller.js';
 import { sendPushNotification } from '../utils/pushNotifier.js';
 import { io, getReceiverSocketId } from '../socket/socket.js';
+import { refundHeldProposals } from '../utils/creditManager.js';
+import { runInTransaction } from '../utils/transaction.js';
 
 // --- Dashboard Stats ---
 const getDashboardStats = asyncHandler(async (req, res) => {
@@ -31,10 +33,8 @@ const deleteUser = asyncHandler(async (req, res) => {
     const user = await User.findById(userId);
     if (!user) throw new ApiError(404, "User not found.");
 
-    // Add logic here to clean up user's data (skills, proposals, etc.) if needed
-    await Skill.deleteMany({ user: userId });
-    // ... other cleanup logic
-
+    await runInTransaction((session) => refundHeldProposals({ receiver: userId }, "The other user's account was removed", session));
+    // The model's deleteOne hook removes the user's skills, their uploaded media and the rest of their data.
     await user.deleteOne();
     res.status(200).json(new ApiResponse(200, {}, "User account deleted successfully."));
 });
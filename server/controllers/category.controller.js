@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Category } from '../models/category.model.js';
+import { Skill } from '../models/skill.model.js';
+import { getCategoryTree, invalidateCategories, slugFor } from '../utils/categories.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SUBTOPICS = 50;
+
+/**
+ * Picks the editable fields out of a request body, validating the ones that are present.
+ */
+const parseCategoryFields = ({ name, slug, icon, description, subtopics, order, isActive }) => {
+  const fields = {};
+  if (name !== undefined) {
+    if (!String(name).trim()) throw new ApiError(400, "Category name is required.");
+    fields.name = String(name).trim();
+  }
+  if (slug !== undefined && slug !== '') {
+    if (!SLUG_PATTERN.test(slug)) throw new ApiError(400, "Slugs may only contain lowercase letters, numbers and single hyphens.");
+    fields.slug = slug;
+  }
+  if (icon !== undefined) fields.icon = String(icon).trim();
+  if (description !== undefined) fields.description = String(description).trim();
+  if (subtopics !== undefined) {
+    if (!Array.isArray(subtopics)) throw new ApiError(400, "Subtopics must be a list.");
+    fields.subtopics = [...new Set(subtopics.map(topic => String(topic).trim()).filter(Boolean))].slice(0, MAX_SUBTOPICS);
+  }
+  if (order !== undefined) {
+    if (!Number.isInteger(Number(order))) throw new ApiError(400, "Order must be a whole number.");
+    fields.order = Number(order);
+  }
+  if (isActive !== undefined) fields.isActive = Boolean(isActive);
+  return fields;
+};
+
+const rethrowDuplicate = (error) => {
+  if (error.code === 11000) throw new ApiError(409, "A category with that name or slug already exists.");
+  throw error;
+};
+
+const findCategory = async (categoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(categoryId)) throw new ApiError(400, "Invalid category ID format");
+  const category = await Category.findById(categoryId);
+  if (!category) throw new ApiError(404, "Category not found.");
+  return category;
+};
+
+/**
+ * @description Active categories, each with its subcategories
+ */
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await getCategoryTree();
+  return res.status(200).json(new ApiResponse(200, categories, "Categories fetched successfully"));
+});
+
+/**
+ * @description Every category, active or not, with how many skills use each
+ */
+const getAdminCategories = asyncHandler(async (req, res) => {
+  const [categories, counts] = await Promise.all([
+    getCategoryTree({ includeInactive: true }),
+    Skill.aggregate([{ $group: { _id: { category: '$category', subcategory: '$subcategory' }, count: { $sum: 1 } } }]),
+  ]);
+  const countFor = (category, subcategory) => counts
+    .filter(({ _id }) => _id.category === category && (subcategory === undefined || _id.subcategory === subcategory))
+    .reduce((sum, { count }) => sum + count, 0);
+
+  const withCounts = categories.map(category => ({
+    ...category,
+    skillCount: countFor(category.name),
+    subcategories: category.subcategories.map(child => ({ ...child, skillCount: countFor(category.name, child.name) })),
+  }));
+  return res.status(200).json(new ApiResponse(200, withCounts, "Categories fetched successfully"));
+});
+
+/**
+ * @description Adds a category, or a subcategory when `parentId` is given
+ */
+const createCategory = asyncHandler(async (req, res) => {
+  const fields = parseCategoryFields(req.body);
+  if (!fields.name) throw new ApiError(400, "Category name is required.");
+
+  let parent = null;
+  if (req.body.parentId) {
+    parent = await findCategory(req.body.parentId);
+    if (parent.parent) throw new ApiError(400, "Subcategories cannot have subcategories of their own.");
+  }
+
+  const category = await Category.create({
+    ...fields,
+    slug: fields.slug || slugFor(fields.name, parent),
+    parent: parent?._id ?? null,
+  }).catch(rethrowDuplicate);
+  invalidateCategories();
+  return res.status(201).json(new ApiResponse(201, category, "Category created."));
+});
+
+/**
+ * @description Edits a category. A new name is carried over to every skill filed under the old one.
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.categoryId);
+  const fields = parseCategoryFields(req.body);
+  const oldName = category.name;
+
+  category.set(fields);
+  await category.save().catch(rethrowDuplicate);
+
+  if (fields.name && fields.name !== oldName) {
+    if (category.parent) {
+      const parent = await Category.findById(category.parent).select('name');
+      await Skill.updateMany({ category: parent.name, subcategory: oldName }, { $set: { subcategory: category.name } });
+    } else {
+      await Skill.updateMany({ category: oldName }, { $set: { category: category.name } });
+    }
+  }
+  invalidateCategories();
+  return res.status(200).json(new ApiResponse(200, category, "Category updated."));
+});
+
+/**
+ * @description Deletes an unused category. Ones that skills still use can be deactivated instead.
+ */
+const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await findCategory(req.params.categoryId);
+
+  if (await Category.exists({ parent: category._id })) {
+    throw new ApiError(409, "Delete this category's subcategories first.");
+  }
+  let skillFilter = { category: category.name };
+  if (category.parent) {
+    const parent = await Category.findById(category.parent).select('name');
+    skillFilter = { category: parent.name, subcategory: category.name };
+  }
+  const skillCount = await Skill.countDocuments(skillFilter);
+  if (skillCount > 0) {
+    throw new ApiError(409, `${skillCount} skill(s) still use this category. Deactivate it instead so they keep it.`);
+  }
+
+  await category.deleteOne();
+  invalidateCategories();
+  return res.status(200).json(new ApiResponse(200, {}, "Category deleted."));
+});
+
+export {
+  getCategories,
+  getAdminCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,32 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { CreditTransaction } from '../models/creditTransaction.model.js';
+
+/**
+ * @description Get the logged-in user's credit ledger, newest first
+ */
+const getCreditHistory = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const query = { user: req.user._id };
+
+  const [transactions, totalTransactions] = await Promise.all([
+    CreditTransaction.find(query)
+      .populate('counterparty', 'username profilePicture')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    CreditTransaction.countDocuments(query),
+  ]);
+
+  return res.status(200).json(new ApiResponse(200, {
+    transactions,
+    totalPages: Math.ceil(totalTransactions / limit),
+    currentPage: page,
+    totalTransactions,
+    balance: req.user.swapCredits,
+    heldBalance: req.user.heldCredits,
+  }, "Credit history fetched successfully."));
+});
+
+export { getCreditHistory };
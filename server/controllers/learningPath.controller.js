@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { LearningPath } from '../models/learningPath.model.js';
+import { resolveCategory, categoryNameFor } from '../utils/categories.js';
+import {
+  normalizePathSteps,
+  findCompletedLearning,
+  collectStepTargets,
+  getPathProgress,
+  recordPathCompletions,
+} from '../utils/learningPaths.js';
+
+const MAX_PAGE_SIZE = 24;
+
+const populatePath = (query) => query
+  .populate('creator', 'username profilePicture')
+  .populate({ path: 'steps.skill', select: 'title category level status user', populate: { path: 'user', select: 'username' } })
+  .populate({ path: 'steps.team', select: 'teamName status skill', populate: { path: 'skill', select: 'title category' } });
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findEditablePath = async (pathId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(pathId)) throw new ApiError(400, "Invalid learning path ID format");
+  const path = await LearningPath.findById(pathId);
+  if (!path) throw new ApiError(404, "Learning path not found");
+  if (!path.creator.equals(user._id) && user.role !== 'admin') {
+    throw new ApiError(403, "Only the creator or an admin can change this learning path.");
+  }
+  return path;
+};
+
+/**
+ * Summary fields for list views; the full steps are only sent for a single path.
+ */
+const toSummary = (path, progress) => {
+  const { completions, ...rest } = path;
+  return { ...rest, completionCount: completions.length, progress };
+};
+
+/**
+ * @description Browse learning paths, official ones first, with the current user's progress
+ */
+const getLearningPaths = asyncHandler(async (req, res) => {
+  const { q, category, creator, page = 1, limit = 12 } = req.query;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 12, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  const query = {};
+  if (q?.trim()) query.title = { $regex: new RegExp(escapeRegex(q.trim()), 'i') };
+  if (category) query.category = await categoryNameFor(category);
+  if (creator === 'me') query.creator = req.user._id;
+
+  const [paths, total] = await Promise.all([
+    LearningPath.find(query)
+      .populate('creator', 'username profilePicture')
+      .populate('steps.skill', 'title')
+      .populate('steps.team', 'teamName')
+      .sort({ isOfficial: -1, createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    LearningPath.countDocuments(query),
+  ]);
+
+  const learned = await findCompletedLearning(req.user._id, collectStepTargets(paths));
+  const summaries = paths.map(path => toSummary(path, getPathProgress(path, req.user._id, learned)));
+
+  return res.status(200).json(new ApiResponse(200, {
+    paths: summaries,
+    currentPage: pageNumber,
+    totalPages: Math.ceil(total / pageSize),
+    totalPaths: total,
+  }, "Learning paths fetched successfully"));
+});
+
+/**
+ * @description One learning path with its steps and the current user's progress through it
+ */
+const getLearningPathById = asyncHandler(async (req, res) => {
+  const { pathId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(pathId)) throw new ApiError(400, "Invalid learning path ID format");
+  let path = await populatePath(LearningPath.findById(pathId));
+  if (!path) throw new ApiError(404, "Learning path not found");
+
+  const learned = await findCompletedLearning(req.user._id, collectStepTargets([path]));
+  let progress = getPathProgress(path, req.user._id, learned);
+  // Steps finished before the path existed, or before it was edited, count too.
+  if (progress.isComplete && !progress.completedAt) {
+    await recordPathCompletions(req.user._id, { pathIds: [path._id] });
+    path = await populatePath(LearningPath.findById(pathId));
+    progress = getPathProgress(path, req.user._id, learned);
+  }
+
+  const { completions, ...rest } = path.toJSON();
+  return res.status(200).json(new ApiResponse(200, { ...rest, completionCount: completions.length, progress }, "Learning path fetched successfully"));
+});
+
+/**
+ * @description Assemble a learning path from existing skills and teams
+ */
+const createLearningPath = asyncHandler(async (req, res) => {
+  const { title, description, category, steps } = req.body;
+  if (!title?.trim()) throw new ApiError(400, "A learning path needs a title.");
+
+  const path = await LearningPath.create({
+    title,
+    description,
+    category: category ? (await resolveCategory(category)).category : undefined,
+    creator: req.user._id,
+    isOfficial: req.user.role === 'admin',
+    steps: await normalizePathSteps(steps),
+  });
+  const populated = await populatePath(LearningPath.findById(path._id));
+  return res.status(201).json(new ApiResponse(201, populated, "Learning path created."));
+});
+
+/**
+ * @description Edit a learning path. Recorded completions are kept when steps change.
+ */
+const updateLearningPath = asyncHandler(async (req, res) => {
+  const path = await findEditablePath(req.params.pathId, req.user);
+  const { title, description, category, steps } = req.body;
+
+  if (title !== undefined) {
+    if (!title.trim()) throw new ApiError(400, "A learning path needs a title.");
+    path.title = title;
+  }
+  if (description !== undefined) path.description = description;
+  if (category !== undefined) path.category = category ? (await resolveCategory(category)).category : undefined;
+  if (steps !== undefined) path.steps = await normalizePathSteps(steps);
+  await path.save();
+
+  const populated = await populatePath(LearningPath.findById(path._id));
+  return res.status(200).json(new ApiResponse(200, populated, "Learning path updated."));
+});
+
+/**
+ * @description Delete a learning path. Badges already earned from it are kept.
+ */
+const deleteLearningPath = asyncHandler(async (req, res) => {
+  const path = await findEditablePath(req.params.pathId, req.user);
+  await path.deleteOne();
+  return res.status(200).json(new ApiResponse(200, {}, "Learning path deleted."));
+});
+
+export {
+  getLearningPaths,
+  getLearningPathById,
+  createLearningPath,
+  updateLearningPath,
+  deleteLearningPath,
+};
@@ -4,15 +4,93 @@ import { ApiResponse } from '../utils/ApiResponse.js';
 import { Proposal } from '../models/proposal.model.js';
 import { Skill } from '../models/skill.model.js';
 import { User } from '../models/user.model.js';
-import { calculateUserStats } from '../utils/BadgeManager.js';
 import mongoose from 'mongoose';
 import { Conversation } from '../models/conversation.model.js';
 import { getReceiverSocketId, io } from '../socket/socket.js';
 import { sendPushNotification } from '../utils/pushNotifier.js';
-import { createNotification } from '../utils/notificationManager.js';
+import { createNotification, notifyUser } from '../utils/notificationManager.js';
+import { holdProposalCredits, refundProposalCredits } from '../utils/creditManager.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { settleSwapCompletion } from '../utils/settlement.js';
+import { ScheduledSession } from '../models/scheduledSession.model.js';
+import { PROPOSABLE_STATUSES } from '../utils/skillLifecycle.js';
+import { parseWeeklyRange } from '../utils/availability.js';
+import { recordPathCompletions } from '../utils/learningPaths.js';
+import {
+  OPEN_STATUSES,
+  getExpiryDate,
+  getProposalRole,
+  assertProposalTransition,
+  transitionProposal,
+} from '../utils/proposalStateMachine.js';
+
+const findPopulatedProposal = (id) => Proposal.findById(id)
+  .populate('requestedSkill', 'title category costInCredits')
+  .populate('offeredSkill', 'title category')
+  .populate('counterOffer.offeredSkill', 'title category')
+  .populate('proposer', 'username firstName lastName profilePicture')
+  .populate('receiver', 'username firstName lastName profilePicture');
+
+const skillTitleOf = (proposal) => proposal.requestedSkill?.title || 'a deleted skill';
+
+/**
+ * Opens a conversation between both sides and marks the skills involved as in progress.
+ */
+const activateAcceptedProposal = async (proposal, contactInfo) => {
+  let conversation = await Conversation.findOne({
+    participants: { $all: [proposal.proposer._id, proposal.receiver._id] },
+  });
+
+  if (!conversation) {
+    await Conversation.create({
+      participants: [proposal.proposer._id, proposal.receiver._id],
+    });
+  }
+
+  const skillsToUpdate = [proposal.requestedSkill._id];
+  if (proposal.offeredSkill) {
+    skillsToUpdate.push(proposal.offeredSkill._id);
+  }
+  await Skill.updateMany({ _id: { $in: skillsToUpdate } }, { $set: { status: 'in_progress' } });
+
+  if (contactInfo && (contactInfo.phone || contactInfo.email || contactInfo.note)) {
+    io.to(proposal.proposer._id.toString()).emit('contact_info_received', {
+      message: `${proposal.receiver.username} has shared their contact details with you.`,
+      details: contactInfo
+    });
+  }
+};
+
+/**
+ * Puts skills that were marked in progress by an accepted swap back to active,
+ * unless another accepted swap still uses them.
+ */
+const reactivateProposalSkills = async (proposal) => {
+  const skillIds = [proposal.requestedSkill?._id, proposal.offeredSkill?._id].filter(Boolean);
+  for (const skillId of skillIds) {
+    const stillInUse = await Proposal.exists({
+      _id: { $ne: proposal._id },
+      status: 'accepted',
+      $or: [{ requestedSkill: skillId }, { offeredSkill: skillId }],
+    });
+    if (!stillInUse) {
+      await Skill.updateOne({ _id: skillId, status: 'in_progress' }, { $set: { status: 'active' } });
+    }
+  }
+};
+
+/**
+ * Checks that the proposer can still afford a credit swap before it is accepted.
+ */
+const assertProposerCanPay = async (proposal, cost) => {
+  const proposer = await User.findById(proposal.proposer._id).select('swapCredits');
+  if (!proposer || proposer.swapCredits < cost) {
+    throw new ApiError(400, `${proposal.proposer.username} no longer has enough credits for this swap.`);
+  }
+};
 
 const createProposal = asyncHandler(async (req, res) => {
-  const { requestedSkillId, proposalType, offeredSkillId } = req.body;
+  const { requestedSkillId, proposalType, offeredSkillId, preferredSlot } = req.body;
   const proposerId = req.user._id;
 
   if (!mongoose.Types.ObjectId.isValid(requestedSkillId)) {
@@ -21,6 +99,9 @@ const createProposal = asyncHandler(async (req, res) => {
 
   const requestedSkill = await Skill.findById(requestedSkillId);
   if (!requestedSkill) throw new ApiError(404, "Requested skill not found");
+  if (!PROPOSABLE_STATUSES.includes(requestedSkill.status)) {
+    throw new ApiError(400, "This skill is not taking proposals right now.");
+  }
 
   const receiverId = requestedSkill.user;
   if (proposerId.equals(receiverId)) {
@@ -32,7 +113,9 @@ const createProposal = asyncHandler(async (req, res) => {
     receiver: receiverId,
     requestedSkill: requestedSkillId,
     proposalType,
+    expiresAt: getExpiryDate(),
   };
+  if (preferredSlot) proposalData.preferredSlot = parseWeeklyRange(preferredSlot);
 
   if (proposalType === 'skill') {
     if (!offeredSkillId) throw new ApiError(400, "An offered skill is required for this proposal type.");
@@ -43,6 +126,9 @@ const createProposal = asyncHandler(async (req, res) => {
     if (!offeredSkill || !offeredSkill.user.equals(proposerId)) {
       throw new ApiError(403, "You can only offer a skill that you own.");
     }
+    if (['draft', 'archived'].includes(offeredSkill.status)) {
+      throw new ApiError(400, "You can only offer a published skill.");
+    }
     proposalData.offeredSkill = offeredSkillId;
   } else {
     const proposer = await User.findById(proposerId);
@@ -86,6 +172,7 @@ const getProposals = asyncHandler(async (req, res) => {
     .populate({ path: 'receiver', select: 'username firstName lastName profilePicture' })
     .populate({ path: 'requestedSkill', select: 'title category costInCredits type' })
     .populate({ path: 'offeredSkill', select: 'title category type' })
+    .populate({ path: 'counterOffer.offeredSkill', select: 'title category type' })
     .sort({ createdAt: -1 });
 
   return res.status(200).json(new ApiResponse(200, proposals, 'Proposals fetched successfully'));
@@ -100,77 +187,195 @@ const respondToProposal = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid status.");
   }
 
-  const proposal = await Proposal.findById(id)
-    .populate('requestedSkill', 'title category costInCredits')
-    .populate('offeredSkill', 'title category')
-    .populate('proposer', 'username badges swapsCompleted')
-    .populate('receiver', 'username badges swapsCompleted');
+  const proposal = await findPopulatedProposal(id);
 
   if (!proposal) throw new ApiError(404, 'Proposal not found');
-  if (!proposal.receiver.equals(userId)) throw new ApiError(403, 'You are not authorized to respond.');
+  if (getProposalRole(proposal, userId) !== 'receiver') throw new ApiError(403, 'You are not authorized to respond.');
   if (proposal.status !== 'pending') throw new ApiError(400, `This proposal has already been ${proposal.status}.`);
+  assertProposalTransition(proposal, status, 'receiver');
 
+  const updates = {};
   if (status === 'accepted' && contactInfo) {
-    proposal.contactInfo = contactInfo;
+    updates.contactInfo = contactInfo;
   }
 
-  proposal.status = status;
-  await proposal.save({ validateBeforeSave: false });
+  const holdsCredits = status === 'accepted' && proposal.proposalType === 'credits';
+  if (holdsCredits) {
+    await assertProposerCanPay(proposal, proposal.costInCredits);
+  }
+
+  await runInTransaction(async (session) => {
+    const claimed = await transitionProposal(proposal, status, 'receiver', updates, session);
+    if (holdsCredits) {
+      await holdProposalCredits(claimed, `Credits held for "${skillTitleOf(proposal)}"`, session);
+      await claimed.save({ session, validateBeforeSave: false });
+    }
+  });
+
+  proposal.set({ ...updates, status });
+  if (holdsCredits) proposal.escrowStatus = 'held';
 
   if (status === 'accepted') {
-    let conversation = await Conversation.findOne({
-      participants: { $all: [proposal.proposer._id, proposal.receiver._id] },
-    });
+    await activateAcceptedProposal(proposal, contactInfo);
+    await notifyUser(proposal.proposer._id, `${proposal.receiver.username} has accepted your proposal.`, { pushTitle: 'Proposal Accepted' });
+  } else {
+    await notifyUser(proposal.proposer._id, `${proposal.receiver.username} has declined your proposal for "${skillTitleOf(proposal)}".`, { pushTitle: 'Proposal Declined' });
+  }
 
-    if (!conversation) {
-      await Conversation.create({
-        participants: [proposal.proposer._id, proposal.receiver._id],
-      });
-    }
+  return res.status(200).json(new ApiResponse(200, proposal, `Proposal has been ${status}.`));
+});
 
-    const skillsToUpdate = [proposal.requestedSkill._id];
-    if (proposal.offeredSkill) {
-      skillsToUpdate.push(proposal.offeredSkill._id);
-    }
-    await Skill.updateMany({ _id: { $in: skillsToUpdate } }, { $set: { status: 'in_progress' } });
+const counterProposal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { proposalType, offeredSkillId, costInCredits, message } = req.body;
+  const userId = req.user._id;
 
-    if (contactInfo && (contactInfo.phone || contactInfo.email || contactInfo.note)) {
-      io.to(proposal.proposer._id.toString()).emit('contact_info_received', {
-        message: `${proposal.receiver.username} has shared their contact details with you.`,
-        details: contactInfo
-      });
+  const proposal = await findPopulatedProposal(id);
+  if (!proposal) throw new ApiError(404, 'Proposal not found');
+  assertProposalTransition(proposal, 'countered', getProposalRole(proposal, userId));
+
+  const counterOffer = { proposalType, message, createdAt: new Date() };
+
+  if (proposalType === 'skill') {
+    if (!mongoose.Types.ObjectId.isValid(offeredSkillId)) {
+      throw new ApiError(400, "Invalid offered skill ID format");
+    }
+    const offeredSkill = await Skill.findById(offeredSkillId);
+    if (!offeredSkill || !offeredSkill.user.equals(proposal.proposer._id)) {
+      throw new ApiError(400, "You can only ask for a skill the proposer offers.");
+    }
+    if (proposal.proposalType === 'skill' && proposal.offeredSkill?._id.equals(offeredSkill._id)) {
+      throw new ApiError(400, "A counter-offer must change the terms of the proposal.");
+    }
+    counterOffer.offeredSkill = offeredSkill._id;
+  } else if (proposalType === 'credits') {
+    const cost = Number(costInCredits);
+    if (!Number.isInteger(cost) || cost < 0) {
+      throw new ApiError(400, "Please provide a whole number of credits.");
     }
+    if (proposal.proposalType === 'credits' && proposal.costInCredits === cost) {
+      throw new ApiError(400, "A counter-offer must change the terms of the proposal.");
+    }
+    counterOffer.costInCredits = cost;
+  } else {
+    throw new ApiError(400, "Invalid proposal type.");
+  }
+
+  await transitionProposal(proposal, 'countered', 'receiver', { counterOffer, expiresAt: getExpiryDate() });
+
+  const terms = proposalType === 'skill' ? 'a different skill in exchange' : `${counterOffer.costInCredits} credits`;
+  await notifyUser(
+    proposal.proposer._id,
+    `${proposal.receiver.username} sent a counter-offer for "${skillTitleOf(proposal)}": ${terms}.`,
+    { pushTitle: 'New Counter-Offer' }
+  );
+
+  const updatedProposal = await findPopulatedProposal(id);
+  return res.status(200).json(new ApiResponse(200, updatedProposal, "Counter-offer sent."));
+});
+
+const respondToCounterOffer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  const userId = req.user._id;
+
+  if (!['accepted', 'rejected'].includes(status)) {
+    throw new ApiError(400, "Invalid status.");
+  }
+
+  const proposal = await findPopulatedProposal(id);
+  if (!proposal) throw new ApiError(404, 'Proposal not found');
+  if (proposal.status !== 'countered') throw new ApiError(400, "This proposal has no open counter-offer.");
+  assertProposalTransition(proposal, status, getProposalRole(proposal, userId));
+
+  if (status === 'rejected') {
+    await transitionProposal(proposal, 'rejected', 'proposer');
+    await notifyUser(proposal.receiver._id, `${proposal.proposer.username} declined your counter-offer for "${skillTitleOf(proposal)}".`, { pushTitle: 'Counter-Offer Declined' });
+    const updatedProposal = await findPopulatedProposal(id);
+    return res.status(200).json(new ApiResponse(200, updatedProposal, "Counter-offer declined."));
+  }
 
-    const usersInvolved = await User.find({ _id: { $in: [proposal.proposer._id, proposal.receiver._id] } });
-
-    for (const user of usersInvolved) {
-      const oldBadges = new Set(user.badges || []);
-      user.swapsCompleted = (user.swapsCompleted || 0) + 1;
-      const { earnedBadges } = await calculateUserStats(user);
-      const newBadges = new Set(earnedBadges);
-      const newlyEarnedBadges = [...newBadges].filter(badge => !oldBadges.has(badge));
-
-      if (newlyEarnedBadges.length > 0) {
-        user.badges = earnedBadges;
-        await user.save({ validateBeforeSave: false });
-        newlyEarnedBadges.forEach(badgeName => {
-          io.to(user._id.toString()).emit('new_badge_earned', { badgeName });
-        });
-      } else {
-        await user.save({ validateBeforeSave: false });
-      }
+  const { counterOffer } = proposal;
+  const terms = {
+    proposalType: counterOffer.proposalType,
+    offeredSkill: counterOffer.proposalType === 'skill' ? counterOffer.offeredSkill?._id : null,
+    costInCredits: counterOffer.proposalType === 'credits' ? counterOffer.costInCredits : null,
+  };
+
+  if (terms.proposalType === 'skill') {
+    const offeredSkill = terms.offeredSkill && await Skill.findById(terms.offeredSkill);
+    if (!offeredSkill || !offeredSkill.user.equals(userId)) {
+      throw new ApiError(400, "The skill requested in this counter-offer is no longer available.");
     }
+  } else {
+    await assertProposerCanPay(proposal, terms.costInCredits);
+  }
 
-    const notificationMessage = `${proposal.receiver.username} has accepted your proposal.`;
-    const notificationUrl = '/dashboard';
-    const proposerSocketId = getReceiverSocketId(proposal.proposer._id.toString());
-    if (proposerSocketId) {
-      io.to(proposerSocketId).emit('new_notification', { message: notificationMessage });
+  await runInTransaction(async (session) => {
+    const accepted = await transitionProposal(proposal, 'accepted', 'proposer', terms, session);
+    if (terms.proposalType === 'credits') {
+      await holdProposalCredits(accepted, `Credits held for "${skillTitleOf(proposal)}"`, session);
+      await accepted.save({ session, validateBeforeSave: false });
     }
-    await createNotification(proposal.proposer._id, notificationMessage, notificationUrl);
+  });
+
+  const updatedProposal = await findPopulatedProposal(id);
+  await activateAcceptedProposal(updatedProposal);
+  await notifyUser(proposal.receiver._id, `${proposal.proposer.username} accepted your counter-offer for "${skillTitleOf(proposal)}".`, { pushTitle: 'Counter-Offer Accepted' });
+
+  return res.status(200).json(new ApiResponse(200, updatedProposal, "Counter-offer accepted."));
+});
+
+const withdrawProposal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const proposal = await findPopulatedProposal(id);
+  if (!proposal) throw new ApiError(404, 'Proposal not found');
+  await transitionProposal(proposal, 'withdrawn', getProposalRole(proposal, userId));
+
+  await notifyUser(proposal.receiver._id, `${proposal.proposer.username} withdrew their proposal for "${skillTitleOf(proposal)}".`, { pushTitle: 'Proposal Withdrawn' });
+
+  const updatedProposal = await findPopulatedProposal(id);
+  return res.status(200).json(new ApiResponse(200, updatedProposal, "Proposal withdrawn."));
+});
+
+const cancelProposal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const userId = req.user._id;
+
+  if (!reason || !reason.trim()) {
+    throw new ApiError(400, "A reason is required to cancel a swap.");
   }
 
-  return res.status(200).json(new ApiResponse(200, proposal, `Proposal has been ${status}.`));
+  const proposal = await findPopulatedProposal(id);
+  if (!proposal) throw new ApiError(404, 'Proposal not found');
+  const role = getProposalRole(proposal, userId);
+
+  await runInTransaction(async (session) => {
+    const cancelled = await transitionProposal(proposal, 'cancelled', role, {
+      cancellation: { by: userId, reason: reason.trim(), at: new Date() },
+    }, session);
+    if (cancelled.escrowStatus === 'held') {
+      await refundProposalCredits(cancelled, `Swap for "${skillTitleOf(proposal)}" was cancelled`, session);
+      await cancelled.save({ session, validateBeforeSave: false });
+    }
+    await ScheduledSession.updateMany(
+      { proposal: cancelled._id, status: { $in: ['proposed', 'confirmed'] } },
+      { $set: { status: 'cancelled' } },
+      { session }
+    );
+  });
+
+  await reactivateProposalSkills(proposal);
+
+  const otherUser = role === 'proposer' ? proposal.receiver : proposal.proposer;
+  await notifyUser(otherUser._id, `${req.user.username} cancelled your swap for "${skillTitleOf(proposal)}". Reason: ${reason.trim()}`, { pushTitle: 'Swap Cancelled' });
+  await notifyUser(userId, `You cancelled the swap for "${skillTitleOf(proposal)}" with ${otherUser.username}.`, { pushTitle: 'Swap Cancelled' });
+
+  const updatedProposal = await findPopulatedProposal(id);
+  return res.status(200).json(new ApiResponse(200, updatedProposal, "Swap cancelled."));
 });
 
 const deleteProposal = asyncHandler(async (req, res) => {
@@ -186,16 +391,15 @@ const deleteProposal = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Proposal not found or you are not authorized to modify it.");
   }
 
-  if (proposal.status === 'completed') {
-    if (!proposal.archivedBy.includes(userId)) {
-      proposal.archivedBy.push(userId);
-      await proposal.save();
-    }
-    return res.status(200).json(new ApiResponse(200, {}, "Completed swap has been removed from your dashboard."));
-  } else {
-    await proposal.deleteOne();
-    return res.status(200).json(new ApiResponse(200, {}, "Proposal has been permanently deleted."));
+  if (OPEN_STATUSES.includes(proposal.status)) {
+    throw new ApiError(400, "Withdraw, decline or cancel this proposal before removing it.");
+  }
+
+  if (!proposal.archivedBy.includes(userId)) {
+    proposal.archivedBy.push(userId);
+    await proposal.save({ validateBeforeSave: false });
   }
+  return res.status(200).json(new ApiResponse(200, {}, "Proposal has been removed from your dashboard."));
 });
 
 const updateContactInfo = asyncHandler(async (req, res) => {
@@ -238,55 +442,44 @@ const completeSwap = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const userId = req.user._id;
 
-  const proposal = await Proposal.findById(id)
-    .populate('proposer receiver')
-    .populate('requestedSkill', 'title category costInCredits')
-    .populate('offeredSkill', 'title category');
-
-  if (!proposal) throw new ApiError(404, "Proposal not found");
+  const { proposal: settled, completed, badgeAwards } = await settleSwapCompletion(id, userId);
 
-  if ((!proposal.proposer._id.equals(userId) && !proposal.receiver._id.equals(userId)) || proposal.status !== 'accepted') {
+  if (!settled) {
+    const existing = await Proposal.findById(id);
+    if (!existing) throw new ApiError(404, "Proposal not found");
+    const isParticipant = existing.proposer.equals(userId) || existing.receiver.equals(userId);
+    if (isParticipant && existing.status === 'completed') {
+      return res.status(200).json(new ApiResponse(200, existing, "This swap is already complete."));
+    }
     throw new ApiError(403, "This swap cannot be marked as complete.");
   }
 
-  const completedByIds = proposal.completedBy.map(uid => uid.toString());
-  if (!completedByIds.includes(userId.toString())) {
-    proposal.completedBy.push(userId);
-  }
-
-  if (proposal.completedBy.length === 2) {
-    proposal.status = 'completed';
-
-    await User.findByIdAndUpdate(proposal.proposer._id, { $inc: { swapsCompleted: 1 } });
-    await User.findByIdAndUpdate(proposal.receiver._id, { $inc: { swapsCompleted: 1 } });
-
-    if (proposal.proposalType === 'credits') {
-      const cost = proposal.costInCredits;
-      await User.findByIdAndUpdate(proposal.proposer._id, { $inc: { swapCredits: -cost } });
-      await User.findByIdAndUpdate(proposal.receiver._id, { $inc: { swapCredits: cost } });
+  const proposal = await settled.populate([
+    { path: 'proposer', select: 'username firstName lastName profilePicture' },
+    { path: 'receiver', select: 'username firstName lastName profilePicture' },
+    { path: 'offeredSkill', select: 'title category' },
+  ]);
+
+  if (completed) {
+    // The listings are free for new swaps again.
+    await reactivateProposalSkills(proposal);
+    // Each side learned the skill the other taught, which may finish a learning path.
+    if (proposal.requestedSkill) {
+      await recordPathCompletions(proposal.proposer._id, { skillIds: [proposal.requestedSkill._id] });
     }
-
-    const usersToUpdate = [proposal.proposer, proposal.receiver];
-    for (const user of usersToUpdate) {
-      const oldBadges = new Set(user.badges || []);
-      user.swapsCompleted = (user.swapsCompleted || 0) + 1;
-      const { earnedBadges } = await calculateUserStats(user);
-      const newBadges = new Set(earnedBadges);
-      const newlyEarnedBadges = [...newBadges].filter(badge => !oldBadges.has(badge));
-
-      if (newlyEarnedBadges.length > 0) {
-        user.badges = earnedBadges;
-        newlyEarnedBadges.forEach(badgeName => {
-          const badgeMessage = `Congratulations! You've earned the "${badgeName}" badge! 🎉`;
-          const badgeUrl = `/profile/${user.username}`;
-          const userSocketId = getReceiverSocketId(user._id.toString());
-          if (userSocketId) {
-            io.to(userSocketId).emit('new_notification', { message: badgeMessage });
-          }
-          createNotification(user._id, badgeMessage, badgeUrl);
-        });
-      }
-      await user.save({ validateBeforeSave: false });
+    if (proposal.offeredSkill) {
+      await recordPathCompletions(proposal.receiver._id, { skillIds: [proposal.offeredSkill._id] });
+    }
+    for (const { user, newBadges } of badgeAwards) {
+      newBadges.forEach(badgeName => {
+        const badgeMessage = `Congratulations! You've earned the "${badgeName}" badge! 🎉`;
+        const badgeUrl = `/profile/${user.username}`;
+        const userSocketId = getReceiverSocketId(user._id.toString());
+        if (userSocketId) {
+          io.to(userSocketId).emit('new_notification', { message: badgeMessage });
+        }
+        createNotification(user._id, badgeMessage, badgeUrl);
+      });
     }
 
     const proposerMessage = `Your swap with ${proposal.receiver.username} is now complete!`;
@@ -309,7 +502,6 @@ const completeSwap = asyncHandler(async (req, res) => {
     await createNotification(otherUser._id, notificationMessage, notificationUrl);
   }
 
-  await proposal.save();
   return res.status(200).json(new ApiResponse(200, proposal, "Swap completion status updated."));
 });
 
@@ -317,6 +509,10 @@ export {
   createProposal,
   getProposals,
   respondToProposal,
+  counterProposal,
+  respondToCounterOffer,
+  withdrawProposal,
+  cancelProposal,
   deleteProposal,
   updateContactInfo,
   completeSwap
@@ -0,0 +1,209 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { Review } from '../models/review.model.js';
+import { Proposal } from '../models/proposal.model.js';
+import { Team } from '../models/team.model.js';
+import { User } from '../models/user.model.js';
+import { notifyUser } from '../utils/notificationManager.js';
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Trims a review or reply text, rejecting anything that is not a non-empty string within the
+ * length the model allows.
+ */
+const parseComment = (comment, emptyMessage) => {
+  if (typeof comment !== 'string' || !comment.trim()) throw new ApiError(400, emptyMessage);
+  const trimmed = comment.trim();
+  if (trimmed.length > MAX_COMMENT_LENGTH) {
+    throw new ApiError(400, `Please keep it under ${MAX_COMMENT_LENGTH} characters.`);
+  }
+  return trimmed;
+};
+
+/**
+ * Works out who is reviewed, and for which skill, when `reviewerId` reviews a swap or team.
+ * Swaps can be reviewed by both participants once completed; teams can be reviewed by
+ * members who confirmed completion, and the review is about the instructor.
+ */
+const resolveReviewContext = async ({ proposalId, teamId }, reviewerId) => {
+  if (proposalId) {
+    if (!mongoose.Types.ObjectId.isValid(proposalId)) throw new ApiError(400, "Invalid proposal ID format");
+    const proposal = await Proposal.findById(proposalId);
+    if (!proposal) throw new ApiError(404, "Proposal not found");
+    const isProposer = proposal.proposer.equals(reviewerId);
+    if (!isProposer && !proposal.receiver.equals(reviewerId)) {
+      throw new ApiError(403, "Only the participants of this swap can review it.");
+    }
+    if (proposal.status !== 'completed') {
+      throw new ApiError(400, "You can only review a swap once it is completed.");
+    }
+    return {
+      reviewee: isProposer ? proposal.receiver : proposal.proposer,
+      skill: isProposer ? proposal.requestedSkill : proposal.offeredSkill,
+      sourceModel: 'Proposal',
+      sourceId: proposal._id,
+    };
+  }
+
+  if (teamId) {
+    if (!mongoose.Types.ObjectId.isValid(teamId)) throw new ApiError(400, "Invalid team ID format");
+    const team = await Team.findById(teamId);
+    if (!team) throw new ApiError(404, "Team not found");
+    if (team.status !== 'completed') {
+      throw new ApiError(400, "You can only review a team once it is completed.");
+    }
+    if (!team.completionConfirmedBy.some(memberId => memberId.equals(reviewerId))) {
+      throw new ApiError(403, "Only members who confirmed the team's completion can review it.");
+    }
+    return {
+      reviewee: team.instructor,
+      skill: team.skill,
+      sourceModel: 'Team',
+      sourceId: team._id,
+    };
+  }
+
+  throw new ApiError(400, "A review must be for a proposal or a team.");
+};
+
+/**
+ * Fetches a page of reviews matching `query` together with their average rating.
+ */
+const getReviewPage = async (query, req) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  const [reviews, [summary]] = await Promise.all([
+    Review.find(query)
+      .populate('reviewer', 'username firstName lastName profilePicture')
+      .populate('reviewee', 'username')
+      .populate('skill', 'title')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.aggregate([
+      { $match: query },
+      { $group: { _id: null, averageRating: { $avg: '$rating' }, totalReviews: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const totalReviews = summary?.totalReviews || 0;
+  return {
+    reviews,
+    averageRating: summary ? Math.round(summary.averageRating * 10) / 10 : 0,
+    totalReviews,
+    totalPages: Math.ceil(totalReviews / limit),
+    currentPage: page,
+  };
+};
+
+/**
+ * @description Review the other side of a completed swap, or the instructor of a completed team
+ */
+const createReview = asyncHandler(async (req, res) => {
+  const { proposalId, teamId, rating } = req.body;
+  const reviewerId = req.user._id;
+
+  if (proposalId && teamId) {
+    throw new ApiError(400, "A review must be for either a proposal or a team.");
+  }
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ApiError(400, "Please provide a rating between 1 and 5.");
+  }
+  const comment = parseComment(req.body.comment, "Please write a few words about your experience.");
+
+  const context = await resolveReviewContext({ proposalId, teamId }, reviewerId);
+
+  const alreadyReviewed = await Review.exists({ sourceId: context.sourceId, reviewer: reviewerId, reviewee: context.reviewee });
+  if (alreadyReviewed) {
+    throw new ApiError(409, "You have already reviewed this.");
+  }
+
+  let review;
+  try {
+    review = await Review.create({ ...context, reviewer: reviewerId, rating, comment });
+  } catch (error) {
+    if (error.code === 11000) throw new ApiError(409, "You have already reviewed this.");
+    throw error;
+  }
+
+  const reviewee = await User.findById(context.reviewee).select('username');
+  if (reviewee) {
+    await notifyUser(reviewee._id, `${req.user.username} left you a ${rating}-star review.`, {
+      url: `/profile/${reviewee.username}`,
+      pushTitle: 'New Review',
+    });
+  }
+
+  const populatedReview = await Review.findById(review._id)
+    .populate('reviewer', 'username firstName lastName profilePicture')
+    .populate('reviewee', 'username')
+    .populate('skill', 'title');
+  return res.status(201).json(new ApiResponse(201, populatedReview, "Thank you for your review!"));
+});
+
+/**
+ * @description Get the reviews a user has received
+ */
+const getUserReviews = asyncHandler(async (req, res) => {
+  const user = await User.findOne({ username: req.params.username?.toLowerCase() }).select('_id');
+  if (!user) throw new ApiError(404, "User not found");
+
+  const result = await getReviewPage({ reviewee: user._id }, req);
+  return res.status(200).json(new ApiResponse(200, result, "Reviews fetched successfully."));
+});
+
+/**
+ * @description Get the reviews left for a skill
+ */
+const getSkillReviews = asyncHandler(async (req, res) => {
+  const { skillId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(skillId)) throw new ApiError(400, "Invalid skill ID format");
+
+  const result = await getReviewPage({ skill: new mongoose.Types.ObjectId(skillId) }, req);
+  return res.status(200).json(new ApiResponse(200, result, "Reviews fetched successfully."));
+});
+
+/**
+ * @description Post or edit the reviewed user's public reply to a review
+ */
+const replyToReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const userId = req.user._id;
+
+  if (!mongoose.Types.ObjectId.isValid(reviewId)) throw new ApiError(400, "Invalid review ID format");
+  const comment = parseComment(req.body.comment, "Reply cannot be empty.");
+
+  const review = await Review.findById(reviewId);
+  if (!review) throw new ApiError(404, "Review not found");
+  if (!review.reviewee.equals(userId)) {
+    throw new ApiError(403, "Only the reviewed user can reply to this review.");
+  }
+
+  const isNewReply = !review.reply?.comment;
+  review.reply = { comment, createdAt: new Date() };
+  await review.save();
+
+  if (isNewReply) {
+    await notifyUser(review.reviewer, `${req.user.username} replied to your review.`, {
+      url: `/profile/${req.user.username}`,
+      pushTitle: 'Review Reply',
+    });
+  }
+
+  const populatedReview = await Review.findById(review._id)
+    .populate('reviewer', 'username firstName lastName profilePicture')
+    .populate('reviewee', 'username')
+    .populate('skill', 'title');
+  return res.status(200).json(new ApiResponse(200, populatedReview, "Reply posted."));
+});
+
+export {
+  createReview,
+  getUserReviews,
+  getSkillReviews,
+  replyToReview,
+};
@@ -2,6 +2,8 @@ import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { ApiResponse } from '../utils/ApiResponse.js';
 import { User } from '../models/user.model.js';
+import { applyCreditChange } from '../utils/creditManager.js';
+import { runInTransaction } from '../utils/transaction.js';
 
 const claimDailyReward = asyncHandler(async (req, res) => {
   const userId = req.user._id;
@@ -24,11 +26,25 @@ const claimDailyReward = asyncHandler(async (req, res) => {
   
   const prizeValue = prizes[prizeIndex];
 
-  user.swapCredits += prizeValue;
-  user.lastLuckyRoll = now;
-  await user.save({ validateBeforeSave: false });
+  const transaction = await runInTransaction(async (session) => {
+    const claimed = await User.findOneAndUpdate(
+      { _id: userId, lastLuckyRoll: user.lastLuckyRoll ?? { $exists: false } },
+      { $set: { lastLuckyRoll: now } },
+      { session }
+    );
+    if (!claimed) {
+      throw new ApiError(400, "You have already claimed your daily reward. Try again tomorrow!");
+    }
+    return applyCreditChange({
+      userId,
+      amount: prizeValue,
+      type: 'daily_reward',
+      description: 'Daily Lucky Roll prize',
+      session,
+    });
+  });
 
-  return res.status(200).json(new ApiResponse(200, { prize: prizeIndex, newCreditTotal: user.swapCredits }, `Congratulations! You won ${prizeValue} credits!`));
+  return res.status(200).json(new ApiResponse(200, { prize: prizeIndex, newCreditTotal: transaction.balanceAfter }, `Congratulations! You won ${prizeValue} credits!`));
 });
 
 const getRewardStatus = asyncHandler(async (req, res) => {
@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { RingSwap, getCycleKey, RING_SWAP_MIN_SIZE, RING_SWAP_MAX_SIZE } from '../models/ringSwap.model.js';
+import { RingSwapSuggestion } from '../models/ringSwapSuggestion.model.js';
+import { User } from '../models/user.model.js';
+import { notifyUser } from '../utils/notificationManager.js';
+import { resolveRingEdges } from '../utils/ringSwapFinder.js';
+import { settleRingEdgeCompletion } from '../utils/settlement.js';
+import { getExpiryDate } from '../utils/proposalStateMachine.js';
+
+const OPEN_RING_STATUSES = ['proposed', 'active'];
+// Matches the cancellation reason's maxlength in the model.
+const MAX_CANCEL_REASON_LENGTH = 500;
+
+const populateRingSwap = (query) => query
+  .populate('participants.user', 'username firstName lastName profilePicture')
+  .populate('edges.teacher', 'username')
+  .populate('edges.learner', 'username')
+  .populate('edges.skill', 'title category');
+
+const findPopulatedRingSwap = (id) => populateRingSwap(RingSwap.findById(id));
+
+const participantIds = (ringSwap) => ringSwap.participants.map(participant => participant.user._id ?? participant.user);
+
+const isParticipant = (ringSwap, userId) => participantIds(ringSwap).some(id => id.equals(userId));
+
+const notifyParticipants = (ringSwap, message, { except, pushTitle = 'Ring Swap' } = {}) => Promise.all(
+  participantIds(ringSwap)
+    .filter(id => !except || !id.equals(except))
+    .map(id => notifyUser(id, message, { pushTitle }))
+);
+
+const findOwnRingSwap = async (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new ApiError(400, "Invalid ring swap ID format");
+  const ringSwap = await RingSwap.findById(id);
+  if (!ringSwap) throw new ApiError(404, "Ring swap not found");
+  if (!isParticipant(ringSwap, userId)) throw new ApiError(403, "You are not part of this ring swap.");
+  return ringSwap;
+};
+
+/**
+ * @description Suggest 3-4 person swap loops that include the current user. The loops are found
+ * hourly by refreshRingSwapSuggestions; proposing one checks it again against current skills.
+ */
+const getRingSwapSuggestions = asyncHandler(async (req, res) => {
+  const stored = await RingSwapSuggestion.findOne({ user: req.user._id }).lean();
+  const cycles = stored?.cycles || [];
+
+  // Leave out loops that are already on the table.
+  const openKeys = new Set((await RingSwap.find({
+    cycleKey: { $in: cycles.map(cycle => getCycleKey(cycle.users)) },
+    status: { $in: OPEN_RING_STATUSES },
+  }).select('cycleKey')).map(ringSwap => ringSwap.cycleKey));
+  const freshCycles = cycles.filter(cycle => !openKeys.has(getCycleKey(cycle.users)));
+
+  const users = await User.find({ _id: { $in: [...new Set(freshCycles.flatMap(cycle => cycle.users))] } })
+    .select('username firstName lastName profilePicture');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const suggestions = freshCycles.map(cycle => ({
+    users: cycle.users.map(id => usersById.get(id.toString())).filter(Boolean),
+    edges: cycle.edges.map(edge => ({
+      ...edge,
+      teacher: usersById.get(edge.teacher.toString()),
+      learner: usersById.get(edge.learner.toString()),
+    })),
+    score: cycle.score,
+  })).filter(suggestion => suggestion.users.length === suggestion.edges.length);
+
+  return res.status(200).json(new ApiResponse(200, suggestions, "Ring swap suggestions fetched."));
+});
+
+/**
+ * @description Propose a ring swap. `userIds` lists the loop in teaching order, starting with
+ * the current user: each person teaches the next, and the last teaches the first.
+ */
+const createRingSwap = asyncHandler(async (req, res) => {
+  const { userIds } = req.body;
+  const proposerId = req.user._id;
+
+  if (!Array.isArray(userIds) || userIds.length < RING_SWAP_MIN_SIZE || userIds.length > RING_SWAP_MAX_SIZE) {
+    throw new ApiError(400, `A ring swap needs ${RING_SWAP_MIN_SIZE} to ${RING_SWAP_MAX_SIZE} participants.`);
+  }
+  if (!userIds.every(id => mongoose.Types.ObjectId.isValid(id))) throw new ApiError(400, "Invalid user ID format");
+  if (new Set(userIds.map(String)).size !== userIds.length) throw new ApiError(400, "Each participant can only appear once.");
+  if (userIds[0].toString() !== proposerId.toString()) throw new ApiError(400, "The loop must start with you.");
+
+  const cycleKey = getCycleKey(userIds);
+  if (await RingSwap.exists({ cycleKey, status: { $in: OPEN_RING_STATUSES } })) {
+    throw new ApiError(409, "This ring swap has already been proposed.");
+  }
+
+  const edges = await resolveRingEdges(userIds);
+  if (!edges) {
+    throw new ApiError(400, "This loop no longer works: someone has nothing the next person wants to learn.");
+  }
+
+  const ringSwap = await RingSwap.create({
+    proposedBy: proposerId,
+    participants: userIds.map(id => ({
+      user: id,
+      response: id.toString() === proposerId.toString() ? 'accepted' : 'pending',
+      respondedAt: id.toString() === proposerId.toString() ? new Date() : undefined,
+    })),
+    edges: edges.map(({ teacher, learner, skill, skillTitle }) => ({ teacher, learner, skill, skillTitle })),
+    cycleKey,
+    expiresAt: getExpiryDate(),
+  });
+
+  await notifyParticipants(
+    ringSwap,
+    `${req.user.username} proposed a ${userIds.length}-person ring swap with you. Everyone must accept before it starts.`,
+    { except: proposerId, pushTitle: 'New Ring Swap' }
+  );
+
+  const populated = await findPopulatedRingSwap(ringSwap._id);
+  return res.status(201).json(new ApiResponse(201, populated, "Ring swap proposed!"));
+});
+
+/**
+ * @description Get the ring swaps the current user is part of
+ */
+const getMyRingSwaps = asyncHandler(async (req, res) => {
+  const ringSwaps = await populateRingSwap(RingSwap.find({ 'participants.user': req.user._id }))
+    .sort({ updatedAt: -1 });
+  return res.status(200).json(new ApiResponse(200, ringSwaps, "Ring swaps fetched."));
+});
+
+/**
+ * @description Accept or decline a proposed ring swap. It starts once everyone has accepted,
+ * and is called off as soon as anyone declines.
+ */
+const respondToRingSwap = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { response } = req.body;
+  const userId = req.user._id;
+
+  if (!['accepted', 'declined'].includes(response)) {
+    throw new ApiError(400, "Response must be 'accepted' or 'declined'.");
+  }
+  await findOwnRingSwap(id, userId);
+
+  // Conditional update so two participants answering at once cannot overwrite each other.
+  const ringSwap = await RingSwap.findOneAndUpdate(
+    { _id: id, status: 'proposed', participants: { $elemMatch: { user: userId, response: 'pending' } } },
+    { $set: { 'participants.$.response': response, 'participants.$.respondedAt': new Date() } },
+    { new: true }
+  );
+  if (!ringSwap) throw new ApiError(409, "This ring swap is no longer waiting for your answer.");
+
+  if (response === 'declined') {
+    await RingSwap.updateOne({ _id: id, status: 'proposed' }, { $set: { status: 'declined' } });
+    await notifyParticipants(ringSwap, `${req.user.username} declined the ring swap, so it has been called off.`, { except: userId });
+  } else if (ringSwap.participants.every(participant => participant.response === 'accepted')) {
+    const started = await RingSwap.updateOne({ _id: id, status: 'proposed' }, { $set: { status: 'active' } });
+    if (started.modifiedCount > 0) {
+      await notifyParticipants(ringSwap, "Everyone accepted the ring swap. Time to start teaching!");
+    }
+  } else {
+    await notifyParticipants(ringSwap, `${req.user.username} accepted the ring swap.`, { except: userId });
+  }
+
+  const populated = await findPopulatedRingSwap(id);
+  return res.status(200).json(new ApiResponse(200, populated, `Ring swap ${response}.`));
+});
+
+/**
+ * @description Confirm that one link of an active ring swap has happened. Each link settles
+ * like a swap once its teacher and learner have both confirmed.
+ */
+const completeRingSwapEdge = asyncHandler(async (req, res) => {
+  const { id, edgeId } = req.params;
+  const userId = req.user._id;
+
+  if (!mongoose.Types.ObjectId.isValid(edgeId)) throw new ApiError(400, "Invalid link ID format");
+  const existing = await findOwnRingSwap(id, userId);
+  const edge = existing.edges.id(edgeId);
+  if (!edge) throw new ApiError(404, "Link not found in this ring swap.");
+  if (!edge.teacher.equals(userId) && !edge.learner.equals(userId)) {
+    throw new ApiError(403, "Only the teacher and learner of this link can confirm it.");
+  }
+
+  const { ringSwap, edgeCompleted, ringCompleted, badgeAwards } = await settleRingEdgeCompletion(id, edgeId, userId);
+  if (!ringSwap) {
+    if (edge.status === 'completed') {
+      const populated = await findPopulatedRingSwap(id);
+      return res.status(200).json(new ApiResponse(200, populated, "This link is already complete."));
+    }
+    throw new ApiError(400, "This link cannot be marked as complete.");
+  }
+
+  const otherId = edge.teacher.equals(userId) ? edge.learner : edge.teacher;
+  if (!edgeCompleted) {
+    await notifyUser(otherId, `${req.user.username} marked "${edge.skillTitle}" in your ring swap as done. Please confirm.`, { pushTitle: 'Ring Swap' });
+  } else {
+    for (const { user, newBadges } of badgeAwards) {
+      for (const badgeName of newBadges) {
+        await notifyUser(user._id, `Congratulations! You've earned the "${badgeName}" badge! 🎉`, { url: `/profile/${user.username}` });
+      }
+    }
+    await notifyUser(otherId, `"${edge.skillTitle}" in your ring swap is complete!`, { pushTitle: 'Ring Swap' });
+    if (ringCompleted) {
+      await notifyParticipants(ringSwap, "Every link of your ring swap is done. The ring swap is complete!");
+    }
+  }
+
+  const populated = await findPopulatedRingSwap(id);
+  return res.status(200).json(new ApiResponse(200, populated, "Ring swap progress updated."));
+});
+
+/**
+ * @description Call off a proposed or active ring swap
+ */
+const cancelRingSwap = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  if (req.body.reason != null && typeof req.body.reason !== 'string') throw new ApiError(400, "Reason must be text.");
+  const reason = req.body.reason?.trim() || undefined;
+  if (reason && reason.length > MAX_CANCEL_REASON_LENGTH) {
+    throw new ApiError(400, `Please keep the reason under ${MAX_CANCEL_REASON_LENGTH} characters.`);
+  }
+
+  await findOwnRingSwap(id, userId);
+  const ringSwap = await RingSwap.findOneAndUpdate(
+    { _id: id, status: { $in: OPEN_RING_STATUSES } },
+    { $set: { status: 'cancelled', cancellation: { by: userId, reason, at: new Date() } } },
+    { new: true, runValidators: true }
+  );
+  if (!ringSwap) throw new ApiError(409, "This ring swap is already closed.");
+
+  const reasonText = reason ? ` Reason: ${reason}` : '';
+  await notifyParticipants(ringSwap, `${req.user.username} cancelled the ring swap.${reasonText}`, { except: userId });
+
+  const populated = await findPopulatedRingSwap(id);
+  return res.status(200).json(new ApiResponse(200, populated, "Ring swap cancelled."));
+});
+
+export {
+  getRingSwapSuggestions,
+  createRingSwap,
+  getMyRingSwaps,
+  respondToRingSwap,
+  completeRingSwapEdge,
+  cancelRingSwap,
+};
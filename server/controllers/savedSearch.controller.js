@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { SavedSearch, MAX_SAVED_SEARCHES } from '../models/savedSearch.model.js';
+import { normalizeSavedSearchFilters } from '../utils/savedSearches.js';
+
+// Bookkeeping the cron jobs use; never sent to the client.
+const HIDDEN_FIELDS = '-alertedSkills -pendingDigest';
+
+const parseChannels = (channels) => {
+  if (channels === undefined) return undefined;
+  if (typeof channels !== 'object' || channels === null) throw new ApiError(400, "Channels must be an object.");
+  const parsed = {};
+  for (const channel of ['inApp', 'push', 'email']) {
+    if (channels[channel] !== undefined) parsed[channel] = Boolean(channels[channel]);
+  }
+  return parsed;
+};
+
+const findOwnSavedSearch = async (id, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new ApiError(400, "Invalid saved search ID format");
+  const search = await SavedSearch.findOne({ _id: id, user: userId }).select(HIDDEN_FIELDS);
+  if (!search) throw new ApiError(404, "Saved search not found");
+  return search;
+};
+
+/**
+ * @description The current user's saved searches, newest first
+ */
+const getSavedSearches = asyncHandler(async (req, res) => {
+  const searches = await SavedSearch.find({ user: req.user._id }).select(HIDDEN_FIELDS).sort({ createdAt: -1 });
+  return res.status(200).json(new ApiResponse(200, searches, "Saved searches fetched successfully"));
+});
+
+/**
+ * @description One saved search, so Home can re-run it from an alert link
+ */
+const getSavedSearchById = asyncHandler(async (req, res) => {
+  const search = await findOwnSavedSearch(req.params.id, req.user._id);
+  return res.status(200).json(new ApiResponse(200, search, "Saved search fetched successfully"));
+});
+
+/**
+ * @description Save the current Home filters as a named alert. Only listings posted from now on trigger it.
+ */
+const createSavedSearch = asyncHandler(async (req, res) => {
+  const { name, filters, channels } = req.body;
+  if (!name?.trim()) throw new ApiError(400, "Give your saved search a name.");
+  if (await SavedSearch.countDocuments({ user: req.user._id }) >= MAX_SAVED_SEARCHES) {
+    throw new ApiError(400, `You can have at most ${MAX_SAVED_SEARCHES} saved searches. Delete one first.`);
+  }
+
+  const search = await SavedSearch.create({
+    user: req.user._id,
+    name,
+    filters: await normalizeSavedSearchFilters(filters),
+    channels: parseChannels(channels),
+  });
+  const { alertedSkills, pendingDigest, ...saved } = search.toObject();
+  return res.status(201).json(new ApiResponse(201, saved, "Search saved. We'll let you know about new matches."));
+});
+
+/**
+ * @description Rename, pause or resume a saved search, or change how its alerts arrive
+ */
+const updateSavedSearch = asyncHandler(async (req, res) => {
+  const search = await findOwnSavedSearch(req.params.id, req.user._id);
+  const { name, channels, isActive } = req.body;
+
+  if (name !== undefined) {
+    if (!name.trim()) throw new ApiError(400, "Give your saved search a name.");
+    search.name = name;
+  }
+  const parsedChannels = parseChannels(channels);
+  if (parsedChannels) {
+    Object.assign(search.channels, parsedChannels);
+    // Matches collected for the digest are dropped along with the email channel.
+    if (parsedChannels.email === false) await SavedSearch.updateOne({ _id: search._id }, { $set: { pendingDigest: [] } });
+  }
+  if (isActive !== undefined) {
+    search.isActive = Boolean(isActive);
+    // Resuming starts from now instead of announcing everything posted while paused.
+    if (search.isActive) search.lastCheckedAt = new Date();
+  }
+  await search.save();
+  return res.status(200).json(new ApiResponse(200, search, "Saved search updated."));
+});
+
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+  const search = await findOwnSavedSearch(req.params.id, req.user._id);
+  await search.deleteOne();
+  return res.status(200).json(new ApiResponse(200, {}, "Saved search deleted."));
+});
+
+export {
+  getSavedSearches,
+  getSavedSearchById,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+};
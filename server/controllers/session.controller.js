@@ -0,0 +1,414 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { ScheduledSession, RECURRENCE_FREQUENCIES, isValidTimeZone } from '../models/scheduledSession.model.js';
+import { Proposal } from '../models/proposal.model.js';
+import { Team } from '../models/team.model.js';
+import { User } from '../models/user.model.js';
+import { notifyUser } from '../utils/notificationManager.js';
+import { buildICalendar, formatSessionTime } from '../utils/calendar.js';
+
+const MAX_SESSION_HOURS = 12;
+// Matches the maxlengths in the model, so an overlong field is a 400 rather than a validation error.
+const SESSION_DETAIL_FIELDS = {
+  title: { label: 'Title', max: 120 },
+  description: { label: 'Description', max: 1000 },
+  location: { label: 'Location', max: 200 },
+  meetingLink: { label: 'Meeting link', max: 500 },
+};
+
+const populateSession = (query) => query
+  .populate('participants', 'username firstName lastName profilePicture')
+  .populate('proposedBy', 'username')
+  .populate({ path: 'proposal', select: 'requestedSkill', populate: { path: 'requestedSkill', select: 'title' } })
+  .populate('team', 'teamName instructor');
+
+/**
+ * Validates the text fields of a create or reschedule request. Only the fields that were sent
+ * are returned; an empty title is left out so the default or current title is kept.
+ * @returns {object} The fields to store on the session.
+ */
+const parseSessionDetails = (body) => {
+  const details = {};
+  for (const [field, { label, max }] of Object.entries(SESSION_DETAIL_FIELDS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== 'string') throw new ApiError(400, `${label} must be text.`);
+    const trimmed = value?.trim() || '';
+    if (trimmed.length > max) throw new ApiError(400, `${label} cannot be longer than ${max} characters.`);
+    if (field !== 'title' || trimmed) details[field] = trimmed;
+  }
+
+  // The link is shown to the other participants as a clickable link, so only web URLs are allowed.
+  if (details.meetingLink) {
+    let parsed;
+    try {
+      parsed = new URL(details.meetingLink);
+    } catch {
+      throw new ApiError(400, "Please enter a valid meeting link.");
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ApiError(400, "Meeting links must start with http:// or https://.");
+    }
+    details.meetingLink = parsed.toString();
+  }
+  return details;
+};
+
+/**
+ * Validates the timing fields of a create or reschedule request.
+ * @returns {object} The fields to store on the session.
+ */
+const parseSessionTiming = ({ startTime, endTime, timezone = 'UTC', recurrence }) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (isNaN(start) || isNaN(end)) {
+    throw new ApiError(400, "Please provide a valid start and end time.");
+  }
+  if (end <= start) {
+    throw new ApiError(400, "A session must end after it starts.");
+  }
+  if (end - start > MAX_SESSION_HOURS * 60 * 60 * 1000) {
+    throw new ApiError(400, `A session cannot be longer than ${MAX_SESSION_HOURS} hours.`);
+  }
+  if (start < new Date()) {
+    throw new ApiError(400, "A session cannot start in the past.");
+  }
+  if (!isValidTimeZone(timezone)) {
+    throw new ApiError(400, "Please provide a valid time zone.");
+  }
+
+  const frequency = recurrence?.frequency || 'none';
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new ApiError(400, "Invalid recurrence.");
+  }
+  const timing = { startTime: start, endTime: end, timezone, recurrence: { frequency } };
+  if (frequency !== 'none') {
+    const interval = Number(recurrence.interval ?? 1);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+      throw new ApiError(400, "Recurrence interval must be a whole number between 1 and 12.");
+    }
+    if (recurrence.count && recurrence.until) {
+      throw new ApiError(400, "A recurring session can end after a number of repeats or on a date, not both.");
+    }
+    timing.recurrence.interval = interval;
+    if (recurrence.count) {
+      const count = Number(recurrence.count);
+      if (!Number.isInteger(count) || count < 1 || count > 52) {
+        throw new ApiError(400, "A session can repeat between 1 and 52 times.");
+      }
+      timing.recurrence.count = count;
+    }
+    if (recurrence.until) {
+      const until = new Date(recurrence.until);
+      if (isNaN(until) || until < start) {
+        throw new ApiError(400, "The recurrence end date must be after the first session.");
+      }
+      timing.recurrence.until = until;
+    }
+  }
+  return timing;
+};
+
+/**
+ * Works out who takes part in a swap or team session and who has to confirm it.
+ * For a swap the other participant confirms; for a team the instructor does, so
+ * sessions the instructor proposes are confirmed straight away.
+ */
+const resolveSessionContext = async ({ proposalId, teamId }, userId) => {
+  if (proposalId) {
+    if (!mongoose.Types.ObjectId.isValid(proposalId)) throw new ApiError(400, "Invalid proposal ID format");
+    const proposal = await Proposal.findById(proposalId).populate('requestedSkill', 'title');
+    if (!proposal) throw new ApiError(404, "Proposal not found");
+    if (!proposal.proposer.equals(userId) && !proposal.receiver.equals(userId)) {
+      throw new ApiError(403, "You are not part of this swap.");
+    }
+    if (proposal.status !== 'accepted') {
+      throw new ApiError(400, "Sessions can only be scheduled for accepted swaps.");
+    }
+    return {
+      target: { proposal: proposal._id },
+      participants: [proposal.proposer, proposal.receiver],
+      defaultTitle: `Skill swap: ${proposal.requestedSkill?.title || 'session'}`,
+      confirmers: (proposerId) => [proposal.proposer, proposal.receiver].filter(id => !id.equals(proposerId)),
+    };
+  }
+
+  if (teamId) {
+    if (!mongoose.Types.ObjectId.isValid(teamId)) throw new ApiError(400, "Invalid team ID format");
+    const team = await Team.findById(teamId);
+    if (!team) throw new ApiError(404, "Team not found");
+    const isInstructor = team.instructor.equals(userId);
+    if (!isInstructor && !team.members.some(memberId => memberId.equals(userId))) {
+      throw new ApiError(403, "You are not a member of this team.");
+    }
+    if (team.status === 'completed') {
+      throw new ApiError(400, "Sessions cannot be scheduled for a completed team.");
+    }
+    return {
+      target: { team: team._id },
+      participants: [team.instructor, ...team.members],
+      defaultTitle: `${team.teamName} session`,
+      confirmers: (proposerId) => team.instructor.equals(proposerId) ? [] : [team.instructor],
+    };
+  }
+
+  throw new ApiError(400, "A session must belong to a proposal or a team.");
+};
+
+const findParticipantSession = async (sessionId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) throw new ApiError(400, "Invalid session ID format");
+  const session = await ScheduledSession.findById(sessionId);
+  if (!session) throw new ApiError(404, "Session not found");
+  if (!session.participants.some(participantId => participantId.equals(userId))) {
+    throw new ApiError(403, "You are not part of this session.");
+  }
+  return session;
+};
+
+const notifyParticipants = async (session, senderId, message) => {
+  const recipients = session.participants.filter(participantId => !participantId.equals(senderId));
+  await Promise.all(recipients.map(recipientId => notifyUser(recipientId, message, { pushTitle: session.title })));
+};
+
+const buildFeedUrl = (req, token) => {
+  const baseUrl = process.env.SERVER_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/v1/sessions/feed/${token}.ics`;
+};
+
+const sendCalendar = (res, calendar, filename) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  return res.status(200).send(calendar);
+};
+
+/**
+ * @description Propose a session time for an accepted swap or a team
+ */
+const createSession = asyncHandler(async (req, res) => {
+  const { proposalId, teamId } = req.body;
+  const userId = req.user._id;
+
+  if (proposalId && teamId) {
+    throw new ApiError(400, "A session must belong to either a proposal or a team.");
+  }
+  const context = await resolveSessionContext({ proposalId, teamId }, userId);
+  const timing = parseSessionTiming(req.body);
+  const details = parseSessionDetails(req.body);
+  const confirmers = context.confirmers(userId);
+
+  const session = await ScheduledSession.create({
+    ...context.target,
+    ...timing,
+    ...details,
+    title: details.title || context.defaultTitle,
+    proposedBy: userId,
+    participants: context.participants,
+    status: confirmers.length === 0 ? 'confirmed' : 'proposed',
+  });
+
+  const when = formatSessionTime(session.startTime, session.timezone);
+  const message = session.status === 'confirmed'
+    ? `${req.user.username} scheduled "${session.title}" for ${when}.`
+    : `${req.user.username} proposed "${session.title}" for ${when}. Please accept or decline.`;
+  await notifyParticipants(session, userId, message);
+
+  const populated = await populateSession(ScheduledSession.findById(session._id));
+  return res.status(201).json(new ApiResponse(201, populated, "Session proposed successfully."));
+});
+
+/**
+ * @description Get the logged-in user's sessions. Past sessions are only included with ?scope=all.
+ */
+const getMySessions = asyncHandler(async (req, res) => {
+  const { scope = 'upcoming', proposalId, teamId } = req.query;
+  const query = { participants: req.user._id };
+
+  if (proposalId) {
+    if (!mongoose.Types.ObjectId.isValid(proposalId)) throw new ApiError(400, "Invalid proposal ID format");
+    query.proposal = proposalId;
+  }
+  if (teamId) {
+    if (!mongoose.Types.ObjectId.isValid(teamId)) throw new ApiError(400, "Invalid team ID format");
+    query.team = teamId;
+  }
+  if (scope === 'upcoming') {
+    query.status = { $in: ['proposed', 'confirmed'] };
+    // Recurring sessions stay listed until their last occurrence; the client hides finished ones.
+    query.$or = [{ endTime: { $gte: new Date() } }, { 'recurrence.frequency': { $ne: 'none' } }];
+  }
+
+  const sessions = await populateSession(ScheduledSession.find(query)).sort({ startTime: 1 }).limit(200);
+  return res.status(200).json(new ApiResponse(200, sessions, "Sessions fetched successfully."));
+});
+
+/**
+ * @description Accept or decline a proposed session
+ */
+const respondToSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+  const userId = req.user._id;
+
+  if (!['confirmed', 'declined'].includes(status)) {
+    throw new ApiError(400, "Invalid status.");
+  }
+
+  const session = await findParticipantSession(id, userId);
+  if (session.status !== 'proposed') {
+    throw new ApiError(400, `This session has already been ${session.status}.`);
+  }
+  const context = await resolveSessionContext({ proposalId: session.proposal, teamId: session.team }, session.proposedBy);
+  if (!context.confirmers(session.proposedBy).some(confirmerId => confirmerId.equals(userId))) {
+    throw new ApiError(403, "You are not allowed to respond to this session.");
+  }
+
+  const updated = await ScheduledSession.findOneAndUpdate(
+    { _id: session._id, status: 'proposed', updatedAt: session.updatedAt },
+    { $set: { status, respondedBy: userId } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ApiError(409, "This session was changed in the meantime. Please refresh and try again.");
+  }
+
+  const verb = status === 'confirmed' ? 'accepted' : 'declined';
+  await notifyParticipants(updated, userId, `${req.user.username} ${verb} "${updated.title}" on ${formatSessionTime(updated.startTime, updated.timezone)}.`);
+
+  const populated = await populateSession(ScheduledSession.findById(updated._id));
+  return res.status(200).json(new ApiResponse(200, populated, `Session ${verb}.`));
+});
+
+/**
+ * @description Propose a new time for a session. The session goes back to `proposed`
+ * and the other side has to accept the new time.
+ */
+const rescheduleSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const session = await findParticipantSession(id, userId);
+  if (!['proposed', 'confirmed', 'declined'].includes(session.status)) {
+    throw new ApiError(400, "A cancelled session cannot be rescheduled.");
+  }
+  const context = await resolveSessionContext({ proposalId: session.proposal, teamId: session.team }, userId);
+  const timing = parseSessionTiming({ ...req.body, timezone: req.body.timezone || session.timezone });
+  const confirmers = context.confirmers(userId);
+
+  const updates = {
+    ...timing,
+    ...parseSessionDetails(req.body),
+    proposedBy: userId,
+    participants: context.participants,
+    status: confirmers.length === 0 ? 'confirmed' : 'proposed',
+    respondedBy: null,
+    lastReminderFor: null,
+  };
+
+  const updated = await ScheduledSession.findOneAndUpdate(
+    { _id: session._id, updatedAt: session.updatedAt },
+    { $set: updates },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ApiError(409, "This session was changed in the meantime. Please refresh and try again.");
+  }
+
+  await notifyParticipants(updated, userId, `${req.user.username} proposed a new time for "${updated.title}": ${formatSessionTime(updated.startTime, updated.timezone)}.`);
+
+  const populated = await populateSession(ScheduledSession.findById(updated._id));
+  return res.status(200).json(new ApiResponse(200, populated, "New time proposed."));
+});
+
+/**
+ * @description Cancel a session. Any participant of a swap, or the instructor or proposer of a team session, can cancel.
+ */
+const cancelSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const session = await findParticipantSession(id, userId);
+  if (!['proposed', 'confirmed'].includes(session.status)) {
+    throw new ApiError(400, `This session has already been ${session.status}.`);
+  }
+  if (session.team) {
+    const team = await Team.findById(session.team).select('instructor');
+    if (!team?.instructor.equals(userId) && !session.proposedBy.equals(userId)) {
+      throw new ApiError(403, "Only the instructor can cancel this team session.");
+    }
+  }
+
+  session.status = 'cancelled';
+  await session.save();
+
+  await notifyParticipants(session, userId, `${req.user.username} cancelled "${session.title}" on ${formatSessionTime(session.startTime, session.timezone)}.`);
+
+  const populated = await populateSession(ScheduledSession.findById(session._id));
+  return res.status(200).json(new ApiResponse(200, populated, "Session cancelled."));
+});
+
+/**
+ * @description Download a single session as an .ics file
+ */
+const downloadSessionIcs = asyncHandler(async (req, res) => {
+  const session = await findParticipantSession(req.params.id, req.user._id);
+  return sendCalendar(res, buildICalendar([session], { name: session.title }), `session-${session._id}.ics`);
+});
+
+/**
+ * @description Get the logged-in user's private calendar feed URL, creating one if needed
+ */
+const getCalendarFeedUrl = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+calendarFeedToken');
+  if (!user.calendarFeedToken) {
+    user.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+    await user.save({ validateBeforeSave: false });
+  }
+  return res.status(200).json(new ApiResponse(200, { url: buildFeedUrl(req, user.calendarFeedToken) }, "Calendar feed URL fetched."));
+});
+
+/**
+ * @description Replace the calendar feed URL, so anyone holding the old one loses access
+ */
+const resetCalendarFeedUrl = asyncHandler(async (req, res) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  await User.updateOne({ _id: req.user._id }, { $set: { calendarFeedToken: token } });
+  return res.status(200).json(new ApiResponse(200, { url: buildFeedUrl(req, token) }, "A new calendar feed URL has been created."));
+});
+
+/**
+ * @description Public iCal feed of a user's sessions. The token in the URL is the only credential,
+ * since calendar apps cannot send our auth headers.
+ */
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const token = req.params.token.replace(/\.ics$/, '');
+  const user = token && await User.findOne({ calendarFeedToken: token }).select('username');
+  if (!user) throw new ApiError(404, "Calendar not found");
+
+  const recentlyCancelled = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const sessions = await ScheduledSession.find({
+    participants: user._id,
+    $or: [
+      { status: { $in: ['proposed', 'confirmed'] } },
+      // Keep recent cancellations in the feed so subscribed calendars remove the event.
+      { status: 'cancelled', updatedAt: { $gte: recentlyCancelled } },
+    ],
+  }).sort({ startTime: -1 }).limit(500);
+
+  res.setHeader('Cache-Control', 'private, max-age=900');
+  return sendCalendar(res, buildICalendar(sessions, { name: `skill4skill (${user.username})` }), 'skill4skill.ics');
+});
+
+export {
+  createSession,
+  getMySessions,
+  respondToSession,
+  rescheduleSession,
+  cancelSession,
+  downloadSessionIcs,
+  getCalendarFeedUrl,
+  resetCalendarFeedUrl,
+  getCalendarFeed,
+};
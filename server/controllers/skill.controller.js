@@ -5,22 +5,30 @@ import { ApiResponse } from '../utils/ApiResponse.js';
 import { Skill } from '../models/skill.model.js';
 import { User } from '../models/user.model.js';
 import { Proposal } from '../models/proposal.model.js';
+import { Team } from '../models/team.model.js';
+import { runSkillSearch } from '../utils/skillSearch.js';
+import { getSpellingSuggestions, refreshSkillVocabulary, removeSkillFromVocabulary } from '../utils/searchVocabulary.js';
+import { geocodeLocation } from '../utils/geocoder.js';
+import { findMutualMatches, populateMatches } from '../utils/skillMatcher.js';
+import { recommendSkills } from '../utils/skillRecommender.js';
+import { recordSkillView, getSkillAnalytics, ANALYTICS_DEFAULT_DAYS, ANALYTICS_MAX_DAYS } from '../utils/skillAnalytics.js';
 import natural from 'natural';
 import { createNotification } from './notification.controller.js';
 import { sendPushNotification } from '../utils/pushNotifier.js';
 import { GoogleGenerativeAI, HarmBlockThreshold, HarmCategory } from '@google/generative-ai';
 import { getReceiverSocketId } from '../socket/socket.js';
 import { Report } from '../models/report.model.js';
+import { SKILL_OWNER_TRANSITIONS, transitionSkillStatus, renewActiveSkill } from '../utils/skillLifecycle.js';
+import { transitionProposal } from '../utils/proposalStateMachine.js';
+import { notifyUser } from '../utils/notificationManager.js';
+import { storeSkillImage, parseMediaLink, MAX_GALLERY_IMAGES, MAX_MEDIA_LINKS } from '../utils/skillMedia.js';
+import { removeStoredMedia } from '../utils/mediaStorage.js';
+import { normalizeWeeklyAvailability, getEffectiveAvailability, findAvailabilityOverlaps } from '../utils/availability.js';
+import { resolveCategory, categoryNameFor, getAllSubtopics } from '../utils/categories.js';
+import { normalizePrerequisites } from '../utils/learningPaths.js';
 
 const { WordTokenizer, TfIdf } = natural;
 
-const categorySubtopics = {
-  Tech: ["Learn Python in 1 Hour", "JavaScript Basics", "React Hooks Tutorial", "Node.js for Beginners", "Intro to SQL", "CSS Flexbox Crash Course", "Data Structures Explained", "What is an API?", "Docker Fundamentals", "Git and GitHub Basics", "Intro to Machine Learning", "Cybersecurity Essentials", "Building a REST API", "Vue.js vs React", "TypeScript for Beginners"],
-  Art: ["Digital Painting for Beginners", "Character Design Tips", "Perspective Drawing Basics", "Color Theory Explained", "How to Use Procreate", "Watercolor Techniques", "3D Modeling in Blender", "Sketching Fundamentals", "Pixel Art Tutorial", "Understanding Composition", "Creating Digital Illustrations", "Abstract Art Techniques", "Clay Sculpting Basics", "Figure Drawing", "Concept Art for Games"],
-  Music: ["Beginner Guitar Chords", "How to Read Sheet Music", "Music Theory 101", "Singing Lessons for Beginners", "Making a Beat in FL Studio", "Piano Basics", "Ukulele First Lesson", "How to Use a DAW", "Songwriting for Beginners", "Drumming Fundamentals", "Music Production Basics", "Mixing and Mastering", "Learn to DJ", "Violin for Beginners", "Bass Guitar Basics"],
-  Writing: ["Creative Writing Prompts", "How to Write a Novel", "Screenwriting for Beginners", "Copywriting Tips", "Better Storytelling", "Poetry for Beginners", "Writing a Blog Post", "Editing Your Own Work", "Building Fictional Worlds", "Character Development", "Technical Writing Basics", "Freelance Writing Guide", "How to Overcome Writer's Block", "Journaling for Clarity", "Writing Dialogue"],
-};
-
 const generateTags = (text) => {
   if (!text) return [];
   const tokenizer = new WordTokenizer();
@@ -29,13 +37,27 @@ const generateTags = (text) => {
   return tfidf.listTerms(0).slice(0, 5).map(item => item.term);
 };
 
+// null or an empty string means no location of its own.
+const assertLocationString = (locationString) => {
+  if (locationString != null && typeof locationString !== 'string') {
+    throw new ApiError(400, "Location must be text.");
+  }
+};
+
 const createSkill = asyncHandler(async (req, res) => {
-  const { title, description, category, level, costInCredits, creditsOffered, type } = req.body;
+  const { title, description, category, subcategory, level, costInCredits, creditsOffered, type, locationString, status, weeklyAvailability } = req.body;
   const userId = req.user._id;
 
   if (!title || !description || !category || !level || !type) {
     throw new ApiError(400, "All required fields must be filled out.");
   }
+  const categoryNames = await resolveCategory(category, subcategory);
+  if (status !== undefined && !['draft', 'active'].includes(status)) {
+    throw new ApiError(400, "A new skill can only be saved as a draft or published.");
+  }
+  assertLocationString(locationString);
+  // Without slots of its own, a skill follows the owner's profile availability.
+  const ownAvailability = weeklyAvailability ? normalizeWeeklyAvailability(weeklyAvailability) : null;
 
   const validationPrompt = `
     Analyze the following skill title and description.
@@ -59,17 +81,26 @@ const createSkill = asyncHandler(async (req, res) => {
   const combinedTextForTags = `${title} ${description}`;
   const generatedTags = generateTags(combinedTextForTags);
 
+  // Skills without their own location inherit the poster's profile location.
+  const resolvedLocation = (locationString ?? req.user.locationString)?.trim() || 'Remote';
+  const geoCoordinates = await geocodeLocation(resolvedLocation);
+
   const skill = await Skill.create({
     user: userId,
     title,
     description,
-    category,
+    ...categoryNames,
     level,
     costInCredits: type === 'OFFER' ? costInCredits : undefined,
     creditsOffered: type === 'REQUEST' ? creditsOffered : undefined,
     type,
     tags: generatedTags,
+    locationString: resolvedLocation,
+    ...(geoCoordinates && { geoCoordinates }),
+    status: status || 'active',
+    ...(ownAvailability?.slots.length && { weeklyAvailability: ownAvailability }),
   });
+  refreshSkillVocabulary(skill);
 
   const updateField = type === 'OFFER' ? 'skillsToTeach' : 'skillsToLearn';
   await User.findByIdAndUpdate(userId, { $addToSet: { [updateField]: title } });
@@ -78,18 +109,45 @@ const createSkill = asyncHandler(async (req, res) => {
     await User.findByIdAndUpdate(userId, { $inc: { skillsOfferedCount: 1 } });
   }
 
-  return res.status(201).json(new ApiResponse(201, skill, "Skill posted successfully"));
+  return res.status(201).json(new ApiResponse(201, skill, skill.status === 'draft' ? "Draft saved" : "Skill posted successfully"));
 });
 
+/**
+ * A verified learner has completed a swap in which they received this skill,
+ * or was a member of a completed team for it.
+ */
+const isVerifiedLearner = async (skillId, userId) => {
+  const [completedSwap, completedTeam] = await Promise.all([
+    Proposal.exists({
+      status: 'completed',
+      $or: [
+        { proposer: userId, requestedSkill: skillId },
+        { receiver: userId, offeredSkill: skillId },
+      ],
+    }),
+    Team.exists({ skill: skillId, status: 'completed', members: userId }),
+  ]);
+  return Boolean(completedSwap || completedTeam);
+};
+
+const SKILL_SORTS = {
+  newest: { createdAt: -1 },
+  rating: { 'ratingStats.bayesianScore': -1, 'ratingStats.count': -1, createdAt: -1 },
+};
+
 const escapeRegex = (text) => {
   return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
 };
 
 const getAllSkills = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 6, category, keywords, userId, location, level } = req.query;
-  const query = {};
+  const { page = 1, limit = 6, category, keywords, userId, location, level, sort = 'newest' } = req.query;
+  const query = { status: 'active' };
 
-  if (category) query.category = category;
+  if (!SKILL_SORTS[sort]) {
+    throw new ApiError(400, `Invalid sort. Use one of: ${Object.keys(SKILL_SORTS).join(', ')}.`);
+  }
+
+  if (category) query.category = await categoryNameFor(category);
   if (keywords) {
     const regex = new RegExp(escapeRegex(keywords), 'i'); 
     query.title = { $regex: regex };
@@ -102,7 +160,7 @@ const getAllSkills = asyncHandler(async (req, res) => {
 
   const skills = await Skill.find(query)
     .populate({ path: 'user', select: 'username profilePicture location' })
-    .sort({ createdAt: -1 })
+    .sort(SKILL_SORTS[sort])
     .skip((page - 1) * limit)
     .limit(parseInt(limit));
 
@@ -113,68 +171,95 @@ const getAllSkills = asyncHandler(async (req, res) => {
   return res.status(200).json(new ApiResponse(200, { skills, totalPages, currentPage: parseInt(page), totalSkills: totalDocuments }, "Skills fetched successfully"));
 });
 
-const getAllSkillsUnpaginated = asyncHandler(async (req, res) => {
-  const { category, keywords, location, level } = req.query;
-  const query = {};
-
-  if (category) query.category = category;
-  if (keywords) query.$text = { $search: keywords };
-  if (level) query.level = level;
-  if (location) {
-    query.locationString = { $regex: new RegExp(location, 'i') };
-  }
-
-  const skills = await Skill.find(query)
-    .populate({ path: 'user', select: 'username profilePicture' })
-    .sort(keywords ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
-    .limit(500);
-
-  
-  return res.status(200).json(new ApiResponse(200, { skills }, "All skills fetched successfully"));
+/**
+ * @description Full-text skill search with facet counts and cursor pagination
+ */
+const searchSkills = asyncHandler(async (req, res) => {
+  const { q, keywords, sort, cursor, limit, category, level, type, location, cost, available, near, radius } = req.query;
+  const result = await runSkillSearch({ q: q ?? keywords, sort, cursor, limit, category, level, type, location, cost, available, near, radius });
+  return res.status(200).json(new ApiResponse(200, result, "Skills fetched successfully"));
 });
 
-
 const getSkillById = asyncHandler(async (req, res) => {
   const { skillId } = req.params;
   const skill = await Skill.findById(skillId)
-    .populate({ path: 'user', select: 'username profilePicture' })
-    .populate({ path: 'ratings.user', select: 'username' });
+    .populate({ path: 'user', select: 'username profilePicture weeklyAvailability' })
+    .populate({ path: 'ratings.user', select: 'username' })
+    .populate({
+      path: 'prerequisites',
+      select: 'title category level status user',
+      match: { status: { $ne: 'draft' } },
+      populate: { path: 'user', select: 'username' },
+    });
   if (!skill) throw new ApiError(404, 'Skill not found');
-  return res.status(200).json(new ApiResponse(200, skill, 'Skill details fetched successfully'));
+  const isOwner = Boolean(skill.user?._id.equals(req.user._id));
+  // Drafts are private. Other inactive listings stay reachable so links from past swaps still work.
+  if (skill.status === 'draft' && !isOwner) throw new ApiError(404, 'Skill not found');
+  if (!isOwner) {
+    await recordSkillView(skill._id, req.user._id);
+  }
+  const canRate = !isOwner && await isVerifiedLearner(skill._id, req.user._id);
+  return res.status(200).json(new ApiResponse(200, { ...skill.toJSON(), canRate }, 'Skill details fetched successfully'));
 });
 
 const updateSkill = asyncHandler(async (req, res) => {
     const { skillId } = req.params;
-    const { title, description, category, level, availability, locationString, desiredSkill, costInCredits, creditsOffered } = req.body;
+    const { title, description, category, subcategory, level, availability, weeklyAvailability, locationString, desiredSkill, costInCredits, creditsOffered, prerequisites } = req.body;
     
-    const originalSkill = await Skill.findById(skillId);
-    if (!originalSkill) {
-        throw new ApiError(404, "Skill not found");
+    const originalSkill = await findOwnSkill(skillId, req.user._id);
+    if (originalSkill.status === 'archived') {
+        throw new ApiError(400, "Archived skills cannot be edited.");
     }
 
     const updatedData = { 
       title, 
       description, 
-      category, 
       level, 
       availability, 
-      locationString, 
+ 
       desiredSkill, 
       costInCredits, 
       creditsOffered 
     };
     
     if (title || description) {
-        const skill = await Skill.findById(skillId);
-        const newText = `${title || skill.title} ${description || skill.description}`;
+        const newText = `${title || originalSkill.title} ${description || originalSkill.description}`;
         updatedData.tags = generateTags(newText);
     }
 
-    const updatedSkill = await Skill.findByIdAndUpdate(skillId, { $set: updatedData }, { new: true, runValidators: true });
+    // Editing a listing counts as renewing it.
+    updatedData.lastRenewedAt = new Date();
+    const update = { $set: updatedData, $unset: { renewalReminderSentAt: 1 } };
+    if (locationString !== undefined) {
+        assertLocationString(locationString);
+        updatedData.locationString = locationString?.trim() || 'Remote';
+        const geoCoordinates = await geocodeLocation(updatedData.locationString);
+        if (geoCoordinates) updatedData.geoCoordinates = geoCoordinates;
+        else update.$unset.geoCoordinates = 1;
+    }
+    if (category !== undefined || subcategory !== undefined) {
+        // A new category drops the old subcategory unless a matching one is sent with it.
+        const resolved = await resolveCategory(category ?? originalSkill.category, subcategory);
+        updatedData.category = resolved.category;
+        if (resolved.subcategory) updatedData.subcategory = resolved.subcategory;
+        else update.$unset.subcategory = 1;
+    }
+    if (prerequisites !== undefined) {
+        updatedData.prerequisites = await normalizePrerequisites(originalSkill._id, prerequisites || []);
+    }
+    if (weeklyAvailability !== undefined) {
+        // null, or no slots, goes back to following the owner's profile availability.
+        const normalized = weeklyAvailability && normalizeWeeklyAvailability(weeklyAvailability);
+        if (normalized?.slots.length) updatedData.weeklyAvailability = normalized;
+        else update.$unset.weeklyAvailability = 1;
+    }
+
+    const updatedSkill = await Skill.findByIdAndUpdate(skillId, update, { new: true, runValidators: true });
     
     if (!updatedSkill) {
       throw new ApiError(404, "Skill not found");
     }
+    refreshSkillVocabulary(updatedSkill);
 
      if (title && title !== originalSkill.title) {
         const updateField = originalSkill.type === 'OFFER' ? 'skillsToTeach' : 'skillsToLearn';
@@ -189,17 +274,27 @@ const updateSkill = asyncHandler(async (req, res) => {
     return res.status(200).json(new ApiResponse(200, updatedSkill, "Skill updated successfully"));
 });
 
+/**
+ * Loads a skill and checks that the current user owns it.
+ */
+const findOwnSkill = async (skillId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(skillId)) throw new ApiError(400, "Invalid skill ID format");
+  const skill = await Skill.findById(skillId);
+  if (!skill) throw new ApiError(404, "Skill not found");
+  if (!skill.user.equals(userId)) throw new ApiError(403, "You are not authorized to change this skill");
+  return skill;
+};
+
+/**
+ * @description Soft-deletes a skill: it is archived and hidden everywhere, while proposals and
+ * swaps that used it keep their history. Unanswered proposals for it expire.
+ */
 const deleteSkill = asyncHandler(async (req, res) => {
   const { skillId } = req.params;
   const userId = req.user._id;
 
-  const skill = await Skill.findById(skillId);
-  if (!skill) {
-    throw new ApiError(404, "Skill not found");
-  }
-  if (skill.user.toString() !== userId.toString()) {
-    throw new ApiError(403, "You are not authorized to delete this skill");
-  }
+  const skill = await findOwnSkill(skillId, userId);
+  const archived = await transitionSkillStatus(skill, 'archived');
 
   const updateField = skill.type === 'OFFER' ? 'skillsToTeach' : 'skillsToLearn';
   await User.findByIdAndUpdate(userId, { $pull: { [updateField]: skill.title } });
@@ -208,10 +303,139 @@ const deleteSkill = asyncHandler(async (req, res) => {
     await User.findByIdAndUpdate(userId, { $inc: { skillsOfferedCount: -1 } });
   }
 
-  await skill.deleteOne();
+  const openProposals = await Proposal.find({
+    status: { $in: ['pending', 'countered'] },
+    $or: [{ requestedSkill: skill._id }, { offeredSkill: skill._id }],
+  });
+  for (const proposal of openProposals) {
+    try {
+      await transitionProposal(proposal, 'expired', 'system');
+    } catch {
+      // Answered while the skill was being archived.
+      continue;
+    }
+    const otherUserId = proposal.proposer.equals(userId) ? proposal.receiver : proposal.proposer;
+    await notifyUser(otherUserId, `A proposal involving "${skill.title}" has expired because the skill was removed.`, { pushTitle: 'Proposal Expired' });
+  }
+  removeSkillFromVocabulary(skill._id);
+
+  return res.status(200).json(new ApiResponse(200, archived, "Skill deleted successfully"));
+});
+
+/**
+ * @description The current user's own skills in every status except archived, unless `status` asks for one
+ */
+const getMySkills = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  if (status && !SKILL_OWNER_TRANSITIONS[status] && status !== 'archived') {
+    throw new ApiError(400, "Invalid status filter.");
+  }
+  const skills = await Skill.find({ user: req.user._id, status: status || { $ne: 'archived' } })
+    .populate({ path: 'user', select: 'username profilePicture location' })
+    .sort({ createdAt: -1 });
+  return res.status(200).json(new ApiResponse(200, skills, "Your skills fetched successfully"));
+});
+
+/**
+ * @description Publish a draft, pause or resume a listing, or republish an expired one
+ */
+const updateSkillStatus = asyncHandler(async (req, res) => {
+  const { skillId } = req.params;
+  const { status } = req.body;
+  if (!['active', 'paused'].includes(status)) {
+    throw new ApiError(400, "Status must be 'active' or 'paused'. Use delete to archive a skill.");
+  }
+
+  const skill = await findOwnSkill(skillId, req.user._id);
+  const updatedSkill = await transitionSkillStatus(skill, status);
+  refreshSkillVocabulary(updatedSkill);
+
+  const messages = { active: skill.status === 'draft' ? "Skill published" : "Skill is live again", paused: "Skill paused" };
+  return res.status(200).json(new ApiResponse(200, updatedSkill, messages[status]));
+});
+
+/**
+ * @description Keep an active listing from expiring, or bring back an expired one
+ */
+const renewSkill = asyncHandler(async (req, res) => {
+  const { skillId } = req.params;
+  const skill = await findOwnSkill(skillId, req.user._id);
+  if (!['active', 'expired'].includes(skill.status)) {
+    throw new ApiError(400, "Only active or expired skills can be renewed.");
+  }
+
+  const renewedSkill = skill.status === 'active'
+    ? await renewActiveSkill(skill)
+    : await transitionSkillStatus(skill, 'active');
+  refreshSkillVocabulary(renewedSkill);
+  return res.status(200).json(new ApiResponse(200, renewedSkill, "Skill renewed"));
+});
+
+/**
+ * @description Add an uploaded image (multipart field "image") to a skill's gallery
+ */
+const uploadSkillImage = asyncHandler(async (req, res) => {
+  const skill = await findOwnSkill(req.params.skillId, req.user._id);
+  if (!req.file) throw new ApiError(400, "Please choose an image to upload.");
+  if (skill.gallery.length >= MAX_GALLERY_IMAGES) {
+    throw new ApiError(400, `A skill can have at most ${MAX_GALLERY_IMAGES} images.`);
+  }
+
+  const image = await storeSkillImage(skill._id, req.file.buffer);
+  // The size check is repeated in the update so parallel uploads cannot overfill the gallery.
+  const updatedSkill = await Skill.findOneAndUpdate(
+    { _id: skill._id, [`gallery.${MAX_GALLERY_IMAGES - 1}`]: { $exists: false } },
+    { $push: { gallery: image } },
+    { new: true }
+  );
+  if (!updatedSkill) {
+    await removeStoredMedia([image.storageKey, image.thumbnailKey]);
+    throw new ApiError(400, `A skill can have at most ${MAX_GALLERY_IMAGES} images.`);
+  }
+  return res.status(201).json(new ApiResponse(201, updatedSkill.gallery, "Image uploaded"));
+});
+
+/**
+ * @description Remove an image from a skill's gallery and from storage
+ */
+const deleteSkillImage = asyncHandler(async (req, res) => {
+  const skill = await findOwnSkill(req.params.skillId, req.user._id);
+  const image = skill.gallery.id(req.params.imageId);
+  if (!image) throw new ApiError(404, "Image not found");
+
+  const updatedSkill = await Skill.findByIdAndUpdate(skill._id, { $pull: { gallery: { _id: image._id } } }, { new: true });
+  await removeStoredMedia([image.storageKey, image.thumbnailKey]);
+  return res.status(200).json(new ApiResponse(200, updatedSkill.gallery, "Image removed"));
+});
+
+/**
+ * @description Attach a sample-work or video link to a skill
+ */
+const addSkillLink = asyncHandler(async (req, res) => {
+  const skill = await findOwnSkill(req.params.skillId, req.user._id);
+  const link = parseMediaLink(req.body);
+  if (skill.mediaLinks.length >= MAX_MEDIA_LINKS) {
+    throw new ApiError(400, `A skill can have at most ${MAX_MEDIA_LINKS} links.`);
+  }
+
+  const updatedSkill = await Skill.findOneAndUpdate(
+    { _id: skill._id, [`mediaLinks.${MAX_MEDIA_LINKS - 1}`]: { $exists: false } },
+    { $push: { mediaLinks: link } },
+    { new: true, runValidators: true }
+  );
+  if (!updatedSkill) throw new ApiError(400, `A skill can have at most ${MAX_MEDIA_LINKS} links.`);
+  return res.status(201).json(new ApiResponse(201, updatedSkill.mediaLinks, "Link added"));
+});
 
+/**
+ * @description Remove a sample-work or video link from a skill
+ */
+const deleteSkillLink = asyncHandler(async (req, res) => {
+  const skill = await findOwnSkill(req.params.skillId, req.user._id);
+  if (!skill.mediaLinks.id(req.params.linkId)) throw new ApiError(404, "Link not found");
 
-  return res.status(200).json(new ApiResponse(200, {}, "Skill deleted successfully"));
+  const updatedSkill = await Skill.findByIdAndUpdate(skill._id, { $pull: { mediaLinks: { _id: req.params.linkId } } }, { new: true });
+  return res.status(200).json(new ApiResponse(200, updatedSkill.mediaLinks, "Link removed"));
 });
 
 const getNearbySkills = asyncHandler(async (req, res) => {
@@ -219,6 +443,7 @@ const getNearbySkills = asyncHandler(async (req, res) => {
   if (!lat || !lon) throw new ApiError(400, "Latitude and longitude are required");
   const skills = await Skill.find({
     type: 'OFFER',
+    status: 'active',
     geoCoordinates: {
       $nearSphere: {
         $geometry: { type: 'Point', coordinates: [parseFloat(lon), parseFloat(lat)] },
@@ -233,7 +458,7 @@ const getLocationSuggestions = asyncHandler(async (req, res) => {
     const { search } = req.query;
     if (!search) return res.status(200).json(new ApiResponse(200, [], "No search query provided"));
     const locations = await Skill.aggregate([
-        { $match: { locationString: { $regex: new RegExp(search, 'i') } } },
+        { $match: { status: 'active', locationString: { $regex: new RegExp(search, 'i') } } },
         { $group: { _id: '$locationString' } },
         { $limit: 5 },
         { $project: { _id: 0, location: '$_id' } }
@@ -244,16 +469,21 @@ const getLocationSuggestions = asyncHandler(async (req, res) => {
 const getKeywordSuggestions = asyncHandler(async (req, res) => {
   const { search } = req.query;
   if (!search || search.length < 2) {
-    return res.status(200).json(new ApiResponse(200, [], "Query too short"));
+    return res.status(200).json(new ApiResponse(200, { matches: [], didYouMean: [] }, "Query too short"));
   }
 
   const regex = new RegExp('^' + escapeRegex(search), 'i');
 
-  const suggestions = await Skill.find({ title: { $regex: regex } })
+  const matches = await Skill.find({ status: 'active', title: { $regex: regex } })
     .limit(5) 
     .select('title'); 
 
-  return res.status(200).json(new ApiResponse(200, suggestions, "Keyword suggestions fetched"));
+  // Only reach for spelling corrections when the prefix match comes up short.
+  const { suggestions: didYouMean } = matches.length < 5
+    ? await getSpellingSuggestions(search)
+    : { suggestions: [] };
+
+  return res.status(200).json(new ApiResponse(200, { matches, didYouMean }, "Keyword suggestions fetched"));
 });
 
 
@@ -263,6 +493,7 @@ const getMatchingSkills = asyncHandler(async (req, res) => {
   if (!requestSkill || requestSkill.type !== 'REQUEST') throw new ApiError(404, "Skill request not found.");
   const potentialMatches = await Skill.find({
     type: 'OFFER',
+    status: 'active',
     user: { $ne: req.user._id },
     $or: [{ category: requestSkill.category }, { tags: { $in: requestSkill.tags } }]
   }).populate('user', 'username profilePicture');
@@ -275,6 +506,19 @@ const getMatchingSkills = asyncHandler(async (req, res) => {
   return res.status(200).json(new ApiResponse(200, scoredMatches.slice(0, 5), "Matching skills fetched"));
 });
 
+/**
+ * @description Users the current user could swap with both ways, best match first
+ */
+const getMyMatches = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const matches = await findMutualMatches(req.user._id, { limit });
+  const populatedMatches = await populateMatches(matches);
+  const message = populatedMatches.length > 0
+    ? "Mutual matches fetched"
+    : "No mutual matches yet. Post both a skill you offer and one you want to learn to find some.";
+  return res.status(200).json(new ApiResponse(200, populatedMatches, message));
+});
+
 const bookmarkSkill = asyncHandler(async (req, res) => {
   const { skillId } = req.params;
   const userId = req.user._id;
@@ -295,11 +539,17 @@ const rateSkill = asyncHandler(async (req, res) => {
   const { skillId } = req.params;
   const { rating } = req.body;
   const userId = req.user._id;
-  if (!rating || rating < 1 || rating > 5) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
     throw new ApiError(400, "Please provide a rating between 1 and 5.");
   }
   let skill = await Skill.findById(skillId);
   if (!skill) throw new ApiError(404, "Skill not found");
+  if (skill.user.equals(userId)) {
+    throw new ApiError(403, "You cannot rate your own skill.");
+  }
+  if (!(await isVerifiedLearner(skill._id, userId))) {
+    throw new ApiError(403, "Only users who have completed a swap or team for this skill can rate it.");
+  }
   const existingRating = skill.ratings.find(r => r.user.equals(userId));
   if (existingRating) {
     existingRating.rating = rating;
@@ -308,43 +558,61 @@ const rateSkill = asyncHandler(async (req, res) => {
   }
   await skill.save();
   const updatedSkill = await Skill.findById(skillId).populate('ratings.user', 'username');
-  return res.status(200).json(new ApiResponse(200, updatedSkill.ratings, "Thank you for your rating!"));
+  return res.status(200).json(new ApiResponse(200, {
+    ratings: updatedSkill.ratings,
+    ratingStats: updatedSkill.ratingStats,
+  }, "Thank you for your rating!"));
 });
 
 const getYoutubePlaceholders = asyncHandler(async (req, res) => {
-  const allTopics = Object.values(categorySubtopics).flat();
+  const allTopics = await getAllSubtopics();
   const shuffled = allTopics.sort(() => 0.5 - Math.random());
   const selected = shuffled.slice(0, 12);
   return res.status(200).json(new ApiResponse(200, selected, "YouTube placeholders fetched"));
 });
 
 
-const getRecommendedSkills = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
-  let recommendedSkills = [];
-  
-  const userBookmarks = await Skill.find({ bookmarkedBy: userId }).select('category');
+/**
+ * @description Views, bookmarks and proposal conversion for one of the owner's skills
+ */
+const getSkillAnalyticsForOwner = asyncHandler(async (req, res) => {
+  const { skillId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(skillId)) throw new ApiError(400, "Invalid skill ID format");
+  const skill = await Skill.findById(skillId).select('user bookmarkedBy');
+  if (!skill) throw new ApiError(404, "Skill not found");
+  if (!skill.user.equals(req.user._id)) throw new ApiError(403, "Only the owner can see this skill's analytics.");
 
-  if (userBookmarks.length > 0) {
-    const categories = [...new Set(userBookmarks.map(skill => skill.category))];
-    
-    recommendedSkills = await Skill.find({
-      category: { $in: categories },
-      user: { $ne: userId } 
-    })
-    .sort({ createdAt: -1 })
-    .limit(5)
-    .populate('user', 'username');
-  }
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || ANALYTICS_DEFAULT_DAYS, 1), ANALYTICS_MAX_DAYS);
+  const analytics = await getSkillAnalytics(skill, { days });
+  return res.status(200).json(new ApiResponse(200, analytics, "Skill analytics fetched."));
+});
 
-  if (recommendedSkills.length === 0) {
-    recommendedSkills = await Skill.find({ user: { $ne: userId } })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .populate('user', 'username');
-  }
-  
-   return res.status(200).json(new ApiResponse(200, recommendedSkills, "Recommended skills fetched successfully"));
+/**
+ * @description Weekly times the current user and a skill's owner are both free, to pick from when proposing
+ */
+const getAvailabilityOverlap = asyncHandler(async (req, res) => {
+  const { skillId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(skillId)) throw new ApiError(400, "Invalid skill ID format");
+  const skill = await Skill.findById(skillId)
+    .select('user weeklyAvailability')
+    .populate({ path: 'user', select: 'weeklyAvailability' });
+  if (!skill) throw new ApiError(404, "Skill not found");
+
+  const mine = req.user.weeklyAvailability?.slots?.length ? req.user.weeklyAvailability : null;
+  const theirs = getEffectiveAvailability(skill, skill.user);
+  const overlaps = mine && theirs
+    ? findAvailabilityOverlaps(mine, theirs).map(({ minutes, first, second }) => ({ minutes, mine: first, theirs: second }))
+    : [];
+  return res.status(200).json(new ApiResponse(200, { mine, theirs, overlaps }, "Availability overlap fetched."));
+});
+
+/**
+ * @description Personalised recommendations, each explaining which of the user's interests it fits
+ */
+const getRecommendedSkills = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 6, 1), 20);
+  const recommendedSkills = await recommendSkills(req.user, { limit });
+  return res.status(200).json(new ApiResponse(200, recommendedSkills, "Recommended skills fetched successfully"));
 });
 
 const callGeminiWithFallback = async (params) => {
@@ -558,20 +826,30 @@ const reportSkill = asyncHandler(async (req, res) => {
 export {
   createSkill,
   getAllSkills,
-  getAllSkillsUnpaginated,
+  searchSkills,
   getSkillById,
   updateSkill,
   deleteSkill,
+  getMySkills,
+  updateSkillStatus,
+  renewSkill,
+  uploadSkillImage,
+  deleteSkillImage,
+  addSkillLink,
+  deleteSkillLink,
   getNearbySkills,
   getLocationSuggestions,
   getKeywordSuggestions,
   getMatchingSkills,
+  getMyMatches,
   bookmarkSkill,
   unbookmarkSkill,
   rateSkill,
   getYoutubeTutorials,
   getYoutubePlaceholders,
   getRecommendedSkills,
+  getSkillAnalyticsForOwner,
+  getAvailabilityOverlap,
   generateAiContent,
   checkKeywordSafety,
   reportSkill
@@ -9,6 +9,13 @@ import { io, getReceiverSocketId } from '../socket/socket.js';
 import PDFDocument from 'pdfkit';
 import { createNotification } from './notification.controller.js';
 import { sendPushNotification } from '../utils/pushNotifier.js';
+import { applyCreditChange } from '../utils/creditManager.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { settleTeamCompletion } from '../utils/settlement.js';
+import { ScheduledSession } from '../models/scheduledSession.model.js';
+import { recordPathCompletions } from '../utils/learningPaths.js';
+
+const OPEN_SESSION_STATUSES = ['proposed', 'confirmed'];
 
 const notifyTeamMembers = async (team, senderId, message, url) => {
     const recipients = team.members.filter(memberId => !memberId.equals(senderId));
@@ -55,7 +62,7 @@ const createTeam = asyncHandler(async (req, res) => {
 const joinTeam = asyncHandler(async (req, res) => {
     const { teamId } = req.params;
     const userId = req.user._id;
-    const teamForCostCheck = await Team.findById(teamId).populate('skill', 'costInCredits');
+    const teamForCostCheck = await Team.findById(teamId).populate('skill', 'title costInCredits');
     if (!teamForCostCheck) throw new ApiError(404, "Team not found.");
     if (teamForCostCheck.instructor.equals(userId)) throw new ApiError(400, "You cannot join a team you are instructing.");
     const user = await User.findById(userId);
@@ -63,18 +70,34 @@ const joinTeam = asyncHandler(async (req, res) => {
     if (user.swapCredits < cost) {
         throw new ApiError(400, `You need ${cost} credits to join this team, but you only have ${user.swapCredits}.`);
     }
-    user.swapCredits -= cost;
-    await user.save();
-    const updatedTeam = await Team.findOneAndUpdate(
-        { _id: teamId, members: { $ne: userId }, $expr: { $lt: [{ $size: "$members" }, "$maxMembers"] } },
-        { $push: { members: userId } },
-        { new: true }
-    ).populate('skill', 'title category').populate('instructor', 'username firstName lastName profilePicture');
-    if (!updatedTeam) {
-        user.swapCredits += cost;
-        await user.save();
-        throw new ApiError(400, "Team is full, you are already a member, or the team does not exist.");
-    }
+    await runInTransaction(async (session) => {
+        const joined = await Team.findOneAndUpdate(
+            { _id: teamId, members: { $ne: userId }, $expr: { $lt: [{ $size: "$members" }, "$maxMembers"] } },
+            { $push: { members: userId } },
+            { new: true, session }
+        );
+        if (!joined) {
+            throw new ApiError(400, "Team is full, you are already a member, or the team does not exist.");
+        }
+        await applyCreditChange({
+            userId,
+            amount: -cost,
+            type: 'team_join',
+            counterparty: joined.instructor,
+            sourceModel: 'Team',
+            sourceId: joined._id,
+            description: `Joined team "${joined.teamName}"`,
+            session,
+        });
+        await ScheduledSession.updateMany(
+            { team: joined._id, status: { $in: OPEN_SESSION_STATUSES } },
+            { $addToSet: { participants: userId } },
+            { session }
+        );
+    });
+    const updatedTeam = await Team.findById(teamId)
+        .populate('skill', 'title category')
+        .populate('instructor', 'username firstName lastName profilePicture');
     await notifyTeamMembers(updatedTeam, userId, `${user.username} has joined the team!`, `/team/${teamId}`);
     return res.status(200).json(new ApiResponse(200, updatedTeam, "Successfully joined the team."));
 });
@@ -142,11 +165,25 @@ const leaveTeam = asyncHandler(async (req, res) => {
         throw new ApiError(400, "You are not a member of this team.");
     }
     const cost = team.skill ? team.skill.costInCredits || 0 : 0;
-    if (cost > 0) {
-        await User.findByIdAndUpdate(userId, { $inc: { swapCredits: cost } });
-    }
-    team.members.pull(userId);
-    await team.save();
+    await runInTransaction(async (session) => {
+        const left = await Team.findOneAndUpdate({ _id: teamId, members: userId }, { $pull: { members: userId } }, { session });
+        if (!left) throw new ApiError(400, "You are not a member of this team.");
+        await applyCreditChange({
+            userId,
+            amount: cost,
+            type: 'team_refund',
+            counterparty: team.instructor,
+            sourceModel: 'Team',
+            sourceId: team._id,
+            description: `Left team "${team.teamName}"`,
+            session,
+        });
+        await ScheduledSession.updateMany(
+            { team: team._id, status: { $in: OPEN_SESSION_STATUSES } },
+            { $pull: { participants: userId } },
+            { session }
+        );
+    });
     return res.status(200).json(new ApiResponse(200, {}, "You have left the team and your credits have been refunded."));
 });
 
@@ -227,10 +264,27 @@ const deleteTeam = asyncHandler(async (req, res) => {
     if (!team) throw new ApiError(404, "Team not found.");
     if (!team.instructor.equals(userId)) throw new ApiError(403, "Only the instructor can delete the team.");
     const cost = team.skill ? team.skill.costInCredits || 0 : 0;
-    if (cost > 0 && team.members.length > 0) {
-        await User.updateMany({ _id: { $in: team.members } }, { $inc: { swapCredits: cost } });
-    }
-    await Team.findByIdAndDelete(teamId);
+    await runInTransaction(async (session) => {
+        const deleted = await Team.findByIdAndDelete(teamId, { session });
+        if (!deleted) throw new ApiError(404, "Team not found.");
+        for (const memberId of deleted.members) {
+            await applyCreditChange({
+                userId: memberId,
+                amount: cost,
+                type: 'team_refund',
+                counterparty: deleted.instructor,
+                sourceModel: 'Team',
+                sourceId: deleted._id,
+                description: `Team "${deleted.teamName}" was deleted`,
+                session,
+            });
+        }
+        await ScheduledSession.updateMany(
+            { team: deleted._id, status: { $in: OPEN_SESSION_STATUSES } },
+            { $set: { status: 'cancelled' } },
+            { session }
+        );
+    });
     return res.status(200).json(new ApiResponse(200, {}, "Team deleted and credits refunded to members."));
 });
 
@@ -241,11 +295,25 @@ const removeMember = asyncHandler(async (req, res) => {
     if (!team) throw new ApiError(404, "Team not found.");
     if (!team.instructor.equals(instructorId)) throw new ApiError(403, "Only the instructor can remove members.");
     const cost = team.skill ? team.skill.costInCredits || 0 : 0;
-    if (cost > 0) {
-        await User.findByIdAndUpdate(memberId, { $inc: { swapCredits: cost } });
-    }
-    team.members.pull(memberId);
-    await team.save();
+    await runInTransaction(async (session) => {
+        const updated = await Team.findOneAndUpdate({ _id: teamId, members: memberId }, { $pull: { members: memberId } }, { session });
+        if (!updated) throw new ApiError(400, "This user is not a member of the team.");
+        await applyCreditChange({
+            userId: memberId,
+            amount: cost,
+            type: 'team_refund',
+            counterparty: instructorId,
+            sourceModel: 'Team',
+            sourceId: team._id,
+            description: `Removed from team "${team.teamName}"`,
+            session,
+        });
+        await ScheduledSession.updateMany(
+            { team: team._id, status: { $in: OPEN_SESSION_STATUSES } },
+            { $pull: { participants: memberId } },
+            { session }
+        );
+    });
     return res.status(200).json(new ApiResponse(200, { memberId }, "Member removed and credits refunded."));
 });
 
@@ -318,32 +386,26 @@ const initiateTeamClosure = asyncHandler(async (req, res) => {
 const confirmCompletion = asyncHandler(async (req, res) => {
     const { teamId } = req.params;
     const userId = req.user._id;
-    const team = await Team.findById(teamId).populate('skill', 'costInCredits');
-    if (!team) throw new ApiError(404, "Team not found.");
-    if (team.status !== 'pending_completion') throw new ApiError(400, "Team is not pending completion.");
-    if (!team.members.some(memberId => memberId.equals(userId))) {
-        throw new ApiError(403, "Only team members can confirm completion.");
-    }
-    if (team.completionConfirmedBy.includes(userId)) {
+    const { team, completed, totalCreditsAwarded } = await settleTeamCompletion(teamId, userId);
+    if (!team) {
+        const existing = await Team.findById(teamId);
+        if (!existing) throw new ApiError(404, "Team not found.");
+        if (existing.status !== 'pending_completion') throw new ApiError(400, "Team is not pending completion.");
+        if (!existing.members.some(memberId => memberId.equals(userId))) {
+            throw new ApiError(403, "Only team members can confirm completion.");
+        }
         throw new ApiError(400, "You have already confirmed completion.");
     }
-    team.completionConfirmedBy.push(userId);
-    const majorityCount = Math.ceil(team.members.length / 2);
-    if (team.completionConfirmedBy.length >= majorityCount) {
-        team.status = 'completed';
-        const costPerMember = team.skill ? team.skill.costInCredits || 0 : 0;
-        const totalCreditsAwarded = team.members.length * costPerMember;
-        if (totalCreditsAwarded > 0) {
-            await User.findByIdAndUpdate(team.instructor, { $inc: { swapCredits: totalCreditsAwarded } });
-        }
-        const teamRoom = `team_${teamId}`;
+    const teamRoom = `team_${teamId}`;
+    if (completed) {
         io.to(teamRoom).emit('team_closed', { message: `The team has been marked as complete. ${totalCreditsAwarded} credits awarded to the instructor.` });
         await notifyTeamMembers(team, userId, `The team has been successfully completed!`, `/team/${teamId}`);
+        for (const memberId of team.members) {
+            await recordPathCompletions(memberId, { skillIds: team.skill ? [team.skill._id] : [], teamIds: [team._id] });
+        }
     } else {
-        const teamRoom = `team_${teamId}`;
         io.to(teamRoom).emit('member_confirmed_completion', team);
     }
-    await team.save();
     return res.status(200).json(new ApiResponse(200, team, "Completion confirmed."));
 });
 
@@ -0,0 +1,87 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { ApiResponse } from '../utils/ApiResponse.js';
+import { User } from '../models/user.model.js';
+import { issueAuthTokens, authCookieOptions } from '../utils/authTokens.js';
+import {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  countRecoveryCodes,
+  redeemTwoFactorChallenge,
+} from '../utils/twoFactor.js';
+
+/**
+ * @description Whether 2FA is on for the current user and how many recovery codes are left
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  return res.status(200).json(new ApiResponse(200, {
+    enabled: req.user.twoFactorEnabled,
+    required: req.user.role === 'admin',
+    recoveryCodesLeft: req.user.twoFactorEnabled ? await countRecoveryCodes(req.user._id) : 0,
+  }, "Two-factor status fetched successfully"));
+});
+
+/**
+ * @description Start enrollment: a new secret and its QR code for the authenticator app
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const enrollment = await startEnrollment(req.user);
+  return res.status(200).json(new ApiResponse(200, enrollment, "Scan the QR code with your authenticator app."));
+});
+
+/**
+ * @description Finish enrollment with a code from the app. Returns the recovery codes once.
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+  return res.status(200).json(new ApiResponse(200, { recoveryCodes }, "Two-factor authentication is on."));
+});
+
+/**
+ * @description Turn 2FA off after one last code. Admin accounts must keep it.
+ */
+const turnOffTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.role === 'admin') throw new ApiError(403, "Two-factor authentication is required for admin accounts.");
+  await verifySecondFactor(req.user._id, req.body.code);
+  await disableTwoFactor(req.user._id);
+  return res.status(200).json(new ApiResponse(200, {}, "Two-factor authentication is off."));
+});
+
+/**
+ * @description Replace the recovery codes, e.g. after using some or losing the list
+ */
+const resetRecoveryCodes = asyncHandler(async (req, res) => {
+  await verifySecondFactor(req.user._id, req.body.code);
+  const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+  return res.status(200).json(new ApiResponse(200, { recoveryCodes }, "New recovery codes created. The old ones no longer work."));
+});
+
+/**
+ * @description Second login step: trade the challenge from /login (or the Google exchange) and a
+ * code for the same cookies and response as a login without 2FA
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+  const userId = await redeemTwoFactorChallenge(challengeToken, code);
+  const user = await User.findById(userId).select("-password -refreshToken");
+  if (!user) throw new ApiError(404, "User does not exist");
+
+  const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+  return res
+    .status(200)
+    .cookie("refreshToken", refreshToken, authCookieOptions)
+    .cookie("accessToken", accessToken, authCookieOptions)
+    .json(new ApiResponse(200, { user, accessToken }, "User logged in successfully"));
+});
+
+export {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  turnOffTwoFactor,
+  resetRecoveryCodes,
+  verifyTwoFactorLogin,
+};
@@ -6,10 +6,17 @@ import { Skill } from '../models/skill.model.js';
 import { calculateUserStats } from '../utils/BadgeManager.js';
 import { Resend } from 'resend'; 
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import opencage from 'opencage-api-client';
 import { Proposal } from '../models/proposal.model.js';
 import { Conversation } from '../models/conversation.model.js';
 import { ChatRequest } from '../models/chatRequest.model.js';
+import { PROPOSABLE_STATUSES } from '../utils/skillLifecycle.js';
+import { normalizeWeeklyAvailability } from '../utils/availability.js';
+import { issueAuthTokens, rotateRefreshToken, sessionIdFromRefreshToken, redeemOAuthCode, authCookieOptions } from '../utils/authTokens.js';
+import { Session } from '../models/session.model.js';
+import { createTwoFactorChallenge } from '../utils/twoFactor.js';
+import { createOtp, checkOtp, clearOtp } from '../utils/otp.js';
 
 // CHANGE 2: Initialize Resend with your API Key
 const resend = new Resend(process.env.RESEND_API_KEY);
@@ -33,8 +40,7 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(409, "User with this email or username already exists");
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+    const { otp, update: otpFields } = createOtp('verification');
 
     const user = await User.create({
         firstName,
@@ -42,8 +48,7 @@ const registerUser = asyncHandler(async (req, res) => {
         username: username.toLowerCase(),
         email,
         password,
-        verificationOtp: otp,
-        verificationOtpExpiry: otpExpiry,
+        ...otpFields,
     });
 
     const msg = {
@@ -93,21 +98,20 @@ const loginUser = asyncHandler(async (req, res) => {
     if (!isPasswordValid) {
         throw new ApiError(401, "Invalid user credentials");
     }
+
+    if (user.twoFactorEnabled) {
+        const challengeToken = await createTwoFactorChallenge(user._id);
+        return res.status(200).json(new ApiResponse(200, { twoFactorRequired: true, challengeToken }, "Enter the code from your authenticator app."));
+    }
     
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-    
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
 
     const loggedInUser = await User.findById(user._id).select("-password -refreshToken");
     
-    const options = { httpOnly: true, secure: process.env.NODE_ENV === 'production' };
-    
     return res
         .status(200)
-        .cookie("refreshToken", refreshToken, options)
-        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, authCookieOptions)
+        .cookie("accessToken", accessToken, authCookieOptions)
         .json(
             new ApiResponse(
                 200,
@@ -117,10 +121,71 @@ const loginUser = asyncHandler(async (req, res) => {
         );
 });
 
+// Finishes a Google sign-in: the code from the OAuth redirect is traded for the same cookies and
+// response as a password login.
+const exchangeOAuthCode = asyncHandler(async (req, res) => {
+    const userId = await redeemOAuthCode(req.body?.code);
+    const user = await User.findById(userId).select("-password -refreshToken");
+    if (!user) throw new ApiError(404, "User does not exist");
+
+    if (user.twoFactorEnabled) {
+        const challengeToken = await createTwoFactorChallenge(user._id);
+        return res.status(200).json(new ApiResponse(200, { twoFactorRequired: true, challengeToken }, "Enter the code from your authenticator app."));
+    }
+
+    const { accessToken, refreshToken } = await issueAuthTokens(user, req);
+    return res
+        .status(200)
+        .cookie("refreshToken", refreshToken, authCookieOptions)
+        .cookie("accessToken", accessToken, authCookieOptions)
+        .json(new ApiResponse(200, { user, accessToken }, "User logged in successfully"));
+});
+
+// Access tokens issued before sessions existed carry no session id; the refresh cookie does.
+const currentSessionId = (req) => req.authSessionId || sessionIdFromRefreshToken(req.cookies?.refreshToken);
+
 const logoutUser = asyncHandler(async (req, res) => {
-    await User.findByIdAndUpdate(req.user._id, { $set: { refreshToken: undefined } }, { new: true });
-    const options = { httpOnly: true, secure: process.env.NODE_ENV === 'production' };
-    return res.status(200).clearCookie("accessToken", options).clearCookie("refreshToken", options).json(new ApiResponse(200, {}, "User logged out successfully"));
+    const sessionId = currentSessionId(req);
+    if (sessionId) await Session.deleteOne({ _id: sessionId, user: req.user._id });
+    return res.status(200).clearCookie("accessToken", authCookieOptions).clearCookie("refreshToken", authCookieOptions).json(new ApiResponse(200, {}, "User logged out successfully"));
+});
+
+// Public: the access token may already have expired when this is called.
+const refreshAccessToken = asyncHandler(async (req, res) => {
+    const incomingToken = req.cookies?.refreshToken || req.body?.refreshToken;
+    try {
+        const { accessToken, refreshToken } = await rotateRefreshToken(incomingToken, req);
+        return res
+            .status(200)
+            .cookie("refreshToken", refreshToken, authCookieOptions)
+            .cookie("accessToken", accessToken, authCookieOptions)
+            .json(new ApiResponse(200, { accessToken }, "Access token refreshed"));
+    } catch (error) {
+        res.clearCookie("accessToken", authCookieOptions).clearCookie("refreshToken", authCookieOptions);
+        throw error;
+    }
+});
+
+// Devices the user is logged in on, most recently used first.
+const getActiveSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({ user: req.user._id }).select('-tokenHash').sort({ lastUsedAt: -1 }).lean();
+    const currentId = String(currentSessionId(req));
+    return res.status(200).json(new ApiResponse(200, sessions.map(session => ({ ...session, isCurrent: String(session._id) === currentId })), "Active sessions fetched successfully"));
+});
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) throw new ApiError(400, "Invalid session ID format");
+    const { deletedCount } = await Session.deleteOne({ _id: sessionId, user: req.user._id });
+    if (!deletedCount) throw new ApiError(404, "Session not found");
+    return res.status(200).json(new ApiResponse(200, {}, "Device logged out"));
+});
+
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const currentId = currentSessionId(req);
+    if (!currentId) throw new ApiError(400, "Log in again on this device before logging out the others.");
+    const { deletedCount } = await Session.deleteMany({ user: req.user._id, _id: { $ne: currentId } });
+    return res.status(200).json(new ApiResponse(200, { revoked: deletedCount }, "Logged out of all other devices"));
 });
 
 // --- 2. FORGOT PASSWORD (Updated Email Logic) ---
@@ -135,11 +200,9 @@ const forgotPassword = asyncHandler(async (req, res) => {
         return res.status(200).json(new ApiResponse(200, {}, "If an account with this email exists, a password reset OTP has been sent."));
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+    const { otp, update: otpFields } = createOtp('passwordReset');
 
-    user.passwordResetOtp = otp;
-    user.passwordResetOtpExpiry = otpExpiry;
+    user.set(otpFields);
     await user.save({ validateBeforeSave: false });
 
     const msg = {
@@ -181,15 +244,7 @@ const resetPassword = asyncHandler(async (req, res) => {
     if (!/\d/.test(newPassword)) throw new ApiError(400, "Password must contain at least one number.");
     if (!/[@$!%*?&]/.test(newPassword)) throw new ApiError(400, "Password must contain at least one special character (@$!%*?&).");
 
-    const user = await User.findOne({
-        email,
-        passwordResetOtp: otp,
-        passwordResetOtpExpiry: { $gt: Date.now() }
-    }).select("+password");
-
-    if (!user) {
-        throw new ApiError(400, "Invalid OTP or OTP has expired.");
-    }
+    const user = await checkOtp('passwordReset', { email }, otp, { select: '+password' });
 
     const isSamePassword = await user.isPasswordCorrect(newPassword);
     if (isSamePassword) {
@@ -197,9 +252,10 @@ const resetPassword = asyncHandler(async (req, res) => {
     }
 
     user.password = newPassword;
-    user.passwordResetOtp = undefined;
-    user.passwordResetOtpExpiry = undefined;
+    clearOtp(user, 'passwordReset');
     await user.save();
+    // Whoever knew the old password is signed out everywhere.
+    await Session.deleteMany({ user: user._id });
 
     return res.status(200).json(new ApiResponse(200, {}, "Password has been reset successfully. You can now log in."));
 });
@@ -213,11 +269,9 @@ const requestEmailChange = asyncHandler(async (req, res) => {
     if (existingUser) throw new ApiError(409, "This email is already in use.");
     const user = await User.findById(userId);
     if (!user) throw new ApiError(404, "User not found");
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+    const { otp, update: otpFields } = createOtp('emailChange');
     user.newEmail = newEmail;
-    user.emailChangeOtp = otp;
-    user.emailChangeOtpExpiry = otpExpiry;
+    user.set(otpFields);
     await user.save({ validateBeforeSave: false });
     
     const msg = { 
@@ -243,13 +297,11 @@ const verifyEmailChange = asyncHandler(async (req, res) => {
     const { otp } = req.body;
     const userId = req.user._id;
     if (!otp) throw new ApiError(400, "OTP is required.");
-    const user = await User.findOne({ _id: userId, emailChangeOtp: otp, emailChangeOtpExpiry: { $gt: Date.now() } });
-    if (!user) throw new ApiError(400, "Invalid or expired OTP.");
+    const user = await checkOtp('emailChange', { _id: userId }, otp);
     user.email = user.newEmail;
     user.isVerified = true;
     user.newEmail = undefined;
-    user.emailChangeOtp = undefined;
-    user.emailChangeOtpExpiry = undefined;
+    clearOtp(user, 'emailChange');
     const updatedUser = await user.save({ validateBeforeSave: false });
     return res.status(200).json(new ApiResponse(200, { email: updatedUser.email }, "Email updated successfully."));
 });
@@ -262,7 +314,7 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 });
 
 const updateAccountDetails = asyncHandler(async (req, res) => {
-    const { username, firstName, lastName, mobileNumber, bio, locationString, socials, skillsToTeach, skillsToLearn } = req.body;
+    const { username, firstName, lastName, mobileNumber, bio, locationString, socials, skillsToTeach, skillsToLearn, weeklyAvailability } = req.body;
 
     if (!username || !firstName || !lastName) {
         throw new ApiError(400, "First name, last name, and username are required.");
@@ -280,6 +332,9 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
     user.locationString = locationString;
     user.skillsToTeach = skillsToTeach || [];
     user.skillsToLearn = skillsToLearn || [];
+    if (weeklyAvailability !== undefined) {
+        user.weeklyAvailability = normalizeWeeklyAvailability(weeklyAvailability);
+    }
     
     const updatedUser = await user.save({ validateBeforeSave: false });
     
@@ -327,7 +382,7 @@ const getUserSkills = asyncHandler(async (req, res) => {
     const user = await User.findOne({ username }).select('_id');
     if (!user) throw new ApiError(404, "User not found");
 
-    const skills = await Skill.find({ user: user._id, type: 'OFFER' })
+    const skills = await Skill.find({ user: user._id, type: 'OFFER', status: { $in: PROPOSABLE_STATUSES } })
         .sort({ createdAt: -1 })
         .populate('user', 'username profilePicture');
         
@@ -353,19 +408,10 @@ const verifyOtp = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Email and OTP are required.");
     }
 
-    const user = await User.findOne({ 
-        email, 
-        verificationOtp: otp, 
-        verificationOtpExpiry: { $gt: Date.now() } 
-    });
-
-    if (!user) {
-        throw new ApiError(400, "Invalid OTP or OTP has expired.");
-    }
+    const user = await checkOtp('verification', { email }, otp);
 
     user.isVerified = true;
-    user.verificationOtp = undefined;
-    user.verificationOtpExpiry = undefined;
+    clearOtp(user, 'verification');
     await user.save({ validateBeforeSave: false });
 
     return res.status(200).json(new ApiResponse(200, {}, "Email verified successfully! You can now log in."));
@@ -387,11 +433,9 @@ const resendVerificationEmail = asyncHandler(async (req, res) => {
         return res.status(200).json(new ApiResponse(200, {}, "This account has already been verified."));
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+    const { otp, update: otpFields } = createOtp('verification');
 
-    user.verificationOtp = otp;
-    user.verificationOtpExpiry = otpExpiry;
+    user.set(otpFields);
     await user.save({ validateBeforeSave: false });
 
     const msg = {
@@ -515,6 +559,11 @@ export {
     verifyOtp,
     loginUser,
     logoutUser,
+    refreshAccessToken,
+    exchangeOAuthCode,
+    getActiveSessions,
+    revokeSession,
+    revokeOtherSessions,
     getCurrentUser,
     updateAccountDetails,
     updateUserAvatar,
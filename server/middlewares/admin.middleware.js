@@ -11,6 +11,10 @@ const isAdmin = asyncHandler(async (req, _, next) => {
         throw new ApiError(403, "Access denied. You do not have admin privileges.");
     }
 
+    if (!req.user.twoFactorEnabled) {
+        throw new ApiError(403, "Turn on two-factor authentication in your profile settings to use admin tools.");
+    }
+
     next();
 });
 
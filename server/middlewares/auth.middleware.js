@@ -1,4 +1,5 @@
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
@@ -19,7 +20,13 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
       throw new ApiError(401, "Invalid Access Token");
     }
 
+    // Tokens of a device that was logged out stop working right away, not when they expire.
+    if (decodedToken.sid && !(await Session.exists({ _id: decodedToken.sid, user: user._id }))) {
+      throw new ApiError(401, "Session has been revoked");
+    }
+
     req.user = user;
+    req.authSessionId = decodedToken.sid;
     next();
   } catch (error) {
     throw new ApiError(401, error?.message || "Invalid access token");
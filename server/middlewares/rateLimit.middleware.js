@@ -0,0 +1,57 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/ApiError.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+const MINUTE = 60 * 1000;
+
+const byIp = (req) => req.ip;
+// The account being targeted, whichever IP the attempts come from.
+const byEmail = (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : undefined);
+const byUser = (req) => req.user?._id?.toString();
+
+/**
+ * Rejects requests with 429 once `max` requests share a key within `windowMs`.
+ * @param {object} options
+ * @param {string} options.name - Namespaces the keys, so limiters do not share counts.
+ * @param {number} options.windowMs
+ * @param {number} options.max
+ * @param {(req) => string | undefined} [options.key] - Requests without a key are not counted.
+ * @param {object} [options.store] - Defaults to the store chosen by RATE_LIMIT_STORE.
+ */
+export const createRateLimiter = ({ name, windowMs, max, key = byIp, store }) => asyncHandler(async (req, res, next) => {
+  const id = key(req);
+  if (!id) return next();
+
+  const { count, resetAt } = await (store || getRateLimitStore()).increment(`${name}:${id}`, windowMs);
+  if (count > max) {
+    const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+    res.set('Retry-After', String(retryAfter));
+    const [amount, unit] = retryAfter < 60 ? [retryAfter, 'second'] : [Math.ceil(retryAfter / 60), 'minute'];
+    const wait = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    throw new ApiError(429, `Too many attempts. Please try again in ${wait}.`);
+  }
+  next();
+});
+
+// Password and second-factor guesses.
+export const loginLimiter = [
+  createRateLimiter({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20 }),
+  createRateLimiter({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, key: byEmail }),
+];
+
+// OTP guesses. Each code also locks itself after a few wrong tries (see utils/otp.js).
+export const otpLimiter = [
+  createRateLimiter({ name: 'otp-ip', windowMs: 15 * MINUTE, max: 20 }),
+  createRateLimiter({ name: 'otp-account', windowMs: 15 * MINUTE, max: 10, key: byEmail }),
+];
+
+// For routes behind verifyJWT, where the account is the logged-in user.
+export const userOtpLimiter = createRateLimiter({ name: 'otp-user', windowMs: 15 * MINUTE, max: 10, key: byUser });
+
+// Requests that send an email, so they cannot be used to flood an inbox.
+export const emailLimiter = [
+  createRateLimiter({ name: 'email-ip', windowMs: 60 * MINUTE, max: 10 }),
+  createRateLimiter({ name: 'email-account', windowMs: 15 * MINUTE, max: 3, key: byEmail }),
+];
+
+export const userEmailLimiter = createRateLimiter({ name: 'email-user', windowMs: 15 * MINUTE, max: 3, key: byUser });
@@ -0,0 +1,30 @@
+import multer from 'multer';
+import { ApiError } from '../utils/ApiError.js';
+import { ALLOWED_IMAGE_TYPES, MAX_IMAGE_BYTES } from '../utils/skillMedia.js';
+
+// Files stay in memory: they are re-encoded before anything is written to storage.
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new ApiError(415, "Only JPEG, PNG, WebP and GIF images are allowed."));
+  },
+});
+
+/**
+ * Accepts a single image in the multipart field `fieldName` as `req.file`, turning upload
+ * errors into ApiErrors.
+ */
+export const uploadSingleImage = (fieldName) => (req, res, next) => {
+  imageUpload.single(fieldName)(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new ApiError(413, `Images can be at most ${Math.round(MAX_IMAGE_BYTES / (1024 * 1024))} MB.`));
+      }
+      return next(new ApiError(400, error.message));
+    }
+    next(error);
+  });
+};
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Skill } from './models/skill.model.js';
+import { Category } from './models/category.model.js';
+import { ensureDefaultCategories, slugFor } from './utils/categories.js';
+import connectDB from './config/db.js';
+
+dotenv.config({ path: './.env' });
+
+// Spellings the old hardcoded lists used for the catch-all category.
+const LEGACY_ALIASES = { other: 'Other', others: 'Other' };
+
+const migrateCategories = async () => {
+  try {
+    await connectDB();
+    console.log('Moving skill categories into the categories collection...');
+    await ensureDefaultCategories();
+
+    const topLevel = await Category.find({ parent: null }).select('name').lean();
+    const namesByKey = new Map(topLevel.map(category => [category.name.toLowerCase(), category.name]));
+    const usedCategories = await Skill.distinct('category');
+
+    let renamedCount = 0;
+    const created = [];
+    for (const value of usedCategories) {
+      const trimmed = (value || '').trim();
+      const key = trimmed.toLowerCase();
+      let name = LEGACY_ALIASES[key] || namesByKey.get(key);
+      if (!name) {
+        // Keep categories nobody has defined yet, so no skill loses its category.
+        name = trimmed || 'Other';
+        if (!namesByKey.has(name.toLowerCase())) {
+          await Category.create({ name, slug: slugFor(name), order: topLevel.length + created.length });
+          namesByKey.set(name.toLowerCase(), name);
+          created.push(name);
+        }
+      }
+      if (name !== value) {
+        const { modifiedCount } = await Skill.updateMany({ category: value }, { $set: { category: name } });
+        renamedCount += modifiedCount;
+      }
+    }
+
+    console.log(`✅ ${usedCategories.length} category value(s) checked; ${renamedCount} skill(s) updated.`);
+    if (created.length) console.log(`✅ Created categories for: ${created.join(', ')}. Review them in the admin panel.`);
+
+  } catch (error) {
+    console.error('❌ Error migrating categories:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrateCategories();
@@ -0,0 +1,21 @@
+import mongoose, { Schema } from 'mongoose';
+
+/**
+ * A short-lived, single-use code standing in for a user between two login steps:
+ * - `oauth`: handed to the frontend after Google sign-in, in place of a token in the URL.
+ * - `two-factor`: returned by a password or Google login when the account has 2FA on.
+ */
+const authCodeSchema = new Schema(
+  {
+    // sha256 of the code; the code itself is only ever sent to the browser.
+    codeHash: { type: String, required: true, unique: true },
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ['oauth', 'two-factor'], default: 'oauth' },
+    // Codes entered against this two-factor challenge.
+    attempts: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+export const AuthCode = mongoose.model('AuthCode', authCodeSchema);
@@ -0,0 +1,24 @@
+import mongoose, { Schema } from 'mongoose';
+
+const categorySchema = new Schema(
+  {
+    // Skills store the name, so renaming a category also renames it on its skills.
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    // Set on subcategories; the hierarchy is one level deep.
+    parent: { type: Schema.Types.ObjectId, ref: 'Category', default: null, index: true },
+    // An emoji shown next to the name.
+    icon: { type: String, trim: true, maxlength: 16, default: '' },
+    description: { type: String, trim: true, maxlength: 300, default: '' },
+    // Tutorial topics suggested as YouTube searches.
+    subtopics: { type: [String], default: [] },
+    order: { type: Number, default: 0 },
+    // Inactive categories cannot be picked for new skills, but existing skills keep them.
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+export const Category = mongoose.model('Category', categorySchema);
@@ -0,0 +1,49 @@
+import mongoose, { Schema } from 'mongoose';
+
+const TRANSACTION_TYPES = [
+  'swap_payment',
+  'swap_earning',
+  'team_join',
+  'team_refund',
+  'team_payout',
+  'daily_reward',
+  'escrow_hold',
+  'escrow_release',
+  'escrow_refund',
+];
+
+const creditTransactionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    type: { type: String, enum: TRANSACTION_TYPES, required: true },
+    amount: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    heldAmount: { type: Number, default: 0 },
+    heldBalanceAfter: { type: Number, default: 0 },
+    counterparty: { type: Schema.Types.ObjectId, ref: 'User' },
+    sourceModel: { type: String, enum: ['Proposal', 'Team'] },
+    sourceId: { type: Schema.Types.ObjectId, refPath: 'sourceModel' },
+    description: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+// The ledger is append-only: entries are never edited or removed once written.
+const rejectMutation = function (next) {
+  next(new Error('Credit transactions are append-only and cannot be modified.'));
+};
+
+creditTransactionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+creditTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+export { TRANSACTION_TYPES };
+export const CreditTransaction = mongoose.model('CreditTransaction', creditTransactionSchema);
@@ -0,0 +1,54 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const MAX_PATH_STEPS = 20;
+
+// One stop on a path: an existing skill to swap for, or a team to join.
+const stepSchema = new Schema(
+  {
+    kind: { type: String, enum: ['skill', 'team'], required: true },
+    skill: { type: Schema.Types.ObjectId, ref: 'Skill' },
+    team: { type: Schema.Types.ObjectId, ref: 'Team' },
+    note: { type: String, trim: true, maxlength: 300, default: '' },
+  },
+  { _id: true }
+);
+
+const completionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    completedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * An ordered list of skills and teams that build on each other. A user completes a step by
+ * finishing a swap for the skill or being a member of the team when it completes.
+ */
+const learningPathSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, maxlength: 2000, default: '' },
+    category: { type: String, trim: true },
+    creator: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // Paths put together by admins, listed first.
+    isOfficial: { type: Boolean, default: false },
+    steps: {
+      type: [stepSchema],
+      validate: {
+        validator: list => list.length >= 2 && list.length <= MAX_PATH_STEPS,
+        message: `A learning path needs between 2 and ${MAX_PATH_STEPS} steps.`,
+      },
+    },
+    // Who has finished every step. Each entry is what the path badges are counted from.
+    completions: { type: [completionSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+learningPathSchema.index({ 'steps.skill': 1 });
+learningPathSchema.index({ 'steps.team': 1 });
+learningPathSchema.index({ 'completions.user': 1 });
+learningPathSchema.index({ title: 'text', description: 'text' });
+
+export const LearningPath = mongoose.model('LearningPath', learningPathSchema);
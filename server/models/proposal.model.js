@@ -8,11 +8,33 @@ const proposalSchema = new Schema(
     proposalType: { type: String, enum: ['skill', 'credits'], required: true },
     offeredSkill: { type: Schema.Types.ObjectId, ref: 'Skill' },
     costInCredits: { type: Number },
+    escrowStatus: { type: String, enum: ['held', 'released', 'refunded'] },
     status: { 
   type: String, 
-  enum: ['pending', 'accepted', 'rejected', 'waiting', 'completed'], 
+  enum: ['pending', 'countered', 'accepted', 'rejected', 'waiting', 'completed', 'withdrawn', 'cancelled', 'expired'], 
   default: 'pending' 
   },
+    counterOffer: {
+      proposalType: { type: String, enum: ['skill', 'credits'] },
+      offeredSkill: { type: Schema.Types.ObjectId, ref: 'Skill' },
+      costInCredits: { type: Number, min: 0 },
+      message: { type: String, trim: true, maxlength: 500 },
+      createdAt: { type: Date },
+    },
+    cancellation: {
+      by: { type: Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, trim: true, maxlength: 500 },
+      at: { type: Date },
+    },
+    expiresAt: { type: Date },
+    // A weekly time both sides are free, picked by the proposer from the overlap suggestions.
+    preferredSlot: {
+      timezone: { type: String },
+      day: { type: Number, min: 0, max: 6 },
+      start: { type: Number, min: 0, max: 1440 },
+      endDay: { type: Number, min: 0, max: 6 },
+      end: { type: Number, min: 0, max: 1440 },
+    },
     contactInfo: {
       phone: { type: String },
       email: { type: String },
@@ -32,4 +54,6 @@ const proposalSchema = new Schema(
   { timestamps: true }
 );
 
+proposalSchema.index({ status: 1, expiresAt: 1 });
+
 export const Proposal = mongoose.model('Proposal', proposalSchema);
@@ -0,0 +1,14 @@
+import mongoose, { Schema } from 'mongoose';
+
+/**
+ * Requests counted against one rate limit key in the current window, shared by every server
+ * instance when RATE_LIMIT_STORE=mongo.
+ */
+const rateLimitHitSchema = new Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  // End of the window; Mongo drops the row after that.
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+export const RateLimitHit = mongoose.model('RateLimitHit', rateLimitHitSchema);
@@ -0,0 +1,24 @@
+import mongoose, { Schema } from 'mongoose';
+
+const reviewSchema = new Schema(
+  {
+    reviewer: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    reviewee: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // The skill the reviewee taught in this swap or team, if any.
+    skill: { type: Schema.Types.ObjectId, ref: 'Skill', index: true },
+    sourceModel: { type: String, enum: ['Proposal', 'Team'], required: true },
+    sourceId: { type: Schema.Types.ObjectId, refPath: 'sourceModel', required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, required: true, trim: true, maxlength: 1000 },
+    reply: {
+      comment: { type: String, trim: true, maxlength: 1000 },
+      createdAt: { type: Date },
+    },
+  },
+  { timestamps: true }
+);
+
+// One review per side of a swap or team.
+reviewSchema.index({ sourceId: 1, reviewer: 1, reviewee: 1 }, { unique: true });
+
+export const Review = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,75 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const RING_SWAP_MIN_SIZE = 3;
+export const RING_SWAP_MAX_SIZE = 4;
+
+// One link of the loop: `teacher` teaches `learner` the skill.
+const edgeSchema = new Schema(
+  {
+    teacher: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    learner: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    // The teacher's OFFER skill, when the link came from one rather than their profile's skillsToTeach.
+    skill: { type: Schema.Types.ObjectId, ref: 'Skill' },
+    skillTitle: { type: String, required: true, trim: true },
+    completedBy: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    status: { type: String, enum: ['active', 'completed'], default: 'active' },
+    completedAt: { type: Date },
+  },
+  { _id: true }
+);
+
+const participantSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    response: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
+    respondedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+/**
+ * A swap between three or four users arranged in a loop, where each participant teaches the
+ * next one. Nobody teaches anyone until every participant has accepted.
+ */
+const ringSwapSchema = new Schema(
+  {
+    proposedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    participants: {
+      type: [participantSchema],
+      validate: {
+        validator: list => list.length >= RING_SWAP_MIN_SIZE && list.length <= RING_SWAP_MAX_SIZE,
+        message: `A ring swap needs ${RING_SWAP_MIN_SIZE} to ${RING_SWAP_MAX_SIZE} participants.`,
+      },
+    },
+    edges: [edgeSchema],
+    // The participants' IDs starting from the smallest, so the same loop always has the same key.
+    cycleKey: { type: String, required: true, index: true },
+    status: {
+      type: String,
+      enum: ['proposed', 'active', 'completed', 'declined', 'cancelled', 'expired'],
+      default: 'proposed',
+    },
+    cancellation: {
+      by: { type: Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, trim: true, maxlength: 500 },
+      at: { type: Date },
+    },
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+ringSwapSchema.index({ 'participants.user': 1, status: 1 });
+ringSwapSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Rotates the loop so it starts at the smallest user ID; rotations of one loop share a key,
+ * while the same users in another order (a different loop) do not.
+ */
+export const getCycleKey = (userIds) => {
+  const ids = userIds.map(id => id.toString());
+  const start = ids.indexOf([...ids].sort()[0]);
+  return [...ids.slice(start), ...ids.slice(0, start)].join('>');
+};
+
+export const RingSwap = mongoose.model('RingSwap', ringSwapSchema);
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from 'mongoose';
+
+// One link of a suggested loop, as worked out by utils/ringSwapFinder.js.
+const suggestedEdgeSchema = new Schema(
+  {
+    teacher: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    learner: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    skill: { type: Schema.Types.ObjectId, ref: 'Skill' },
+    skillTitle: { type: String, required: true },
+    wants: { type: String },
+    score: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const suggestedCycleSchema = new Schema(
+  {
+    // The loop in teaching order, starting with the user the suggestion is for.
+    users: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+    edges: [suggestedEdgeSchema],
+    score: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * The ring swaps suggested to a user, found by the background job for everyone at once so a
+ * request never has to build the whole "who can teach whom" graph. Users without any loops
+ * have no row.
+ */
+const ringSwapSuggestionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  cycles: [suggestedCycleSchema],
+  // Start of the job run that stored these; rows left from earlier runs are removed.
+  computedAt: { type: Date, required: true, index: true },
+});
+
+export const RingSwapSuggestion = mongoose.model('RingSwapSuggestion', ringSwapSuggestionSchema);
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const MAX_SAVED_SEARCHES = 20;
+// How many alerted skills each search remembers, so an edited or renewed listing is not announced twice.
+export const MAX_ALERTED_SKILLS = 500;
+
+/**
+ * A Home search the user saved as an alert. New listings that match it are announced on the
+ * chosen channels; email matches are collected for a daily digest.
+ */
+const savedSearchSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    filters: {
+      keywords: { type: String, trim: true, default: '' },
+      category: { type: String, trim: true, default: '' },
+      level: { type: String, trim: true, default: '' },
+      location: { type: String, trim: true, default: '' },
+      // Only set together: "within `radius` km of `near`", in the search's "lat,lng" form.
+      near: { type: String, trim: true },
+      radius: { type: Number },
+    },
+    channels: {
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+    },
+    isActive: { type: Boolean, default: true },
+    // Listings going live after this are checked on the next run.
+    lastCheckedAt: { type: Date, default: Date.now },
+    alertedSkills: { type: [{ type: Schema.Types.ObjectId, ref: 'Skill' }], default: [] },
+    // Matches waiting for the next email digest.
+    pendingDigest: { type: [{ type: Schema.Types.ObjectId, ref: 'Skill' }], default: [] },
+    lastDigestAt: { type: Date },
+    matchCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ isActive: 1, lastCheckedAt: 1 });
+
+export const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
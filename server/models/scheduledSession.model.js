@@ -0,0 +1,67 @@
+import mongoose, { Schema } from 'mongoose';
+
+export const RECURRENCE_FREQUENCIES = ['none', 'daily', 'weekly', 'monthly'];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const scheduledSessionSchema = new Schema(
+  {
+    // Exactly one of proposal or team is set.
+    proposal: { type: Schema.Types.ObjectId, ref: 'Proposal', index: true },
+    team: { type: Schema.Types.ObjectId, ref: 'Team', index: true },
+    title: { type: String, required: true, trim: true, maxlength: 120 },
+    description: { type: String, trim: true, maxlength: 1000 },
+    startTime: { type: Date, required: true },
+    endTime: { type: Date, required: true },
+    timezone: {
+      type: String,
+      required: true,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: props => `${props.value} is not a valid time zone.`
+      }
+    },
+    location: { type: String, trim: true, maxlength: 200 },
+    meetingLink: { type: String, trim: true, maxlength: 500 },
+    recurrence: {
+      frequency: { type: String, enum: RECURRENCE_FREQUENCIES, default: 'none' },
+      interval: { type: Number, min: 1, max: 12, default: 1 },
+      count: { type: Number, min: 1, max: 52 },
+      until: { type: Date },
+    },
+    proposedBy: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    participants: [{ type: Schema.Types.ObjectId, ref: 'User', index: true }],
+    status: {
+      type: String,
+      enum: ['proposed', 'confirmed', 'declined', 'cancelled'],
+      default: 'proposed'
+    },
+    respondedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    // Start time of the last occurrence a reminder was sent for.
+    lastReminderFor: { type: Date },
+  },
+  { timestamps: true }
+);
+
+scheduledSessionSchema.index({ status: 1, startTime: 1 });
+
+scheduledSessionSchema.pre('validate', function (next) {
+  if (!this.proposal === !this.team) {
+    return next(new Error('A session must belong to either a proposal or a team.'));
+  }
+  if (this.endTime <= this.startTime) {
+    return next(new Error('A session must end after it starts.'));
+  }
+  next();
+});
+
+export { isValidTimeZone };
+export const ScheduledSession = mongoose.model('ScheduledSession', scheduledSessionSchema);
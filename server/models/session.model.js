@@ -0,0 +1,21 @@
+import mongoose, { Schema } from 'mongoose';
+
+/**
+ * One logged-in device. Its id is the refresh token family: every token rotated out of this
+ * login carries it, and deleting the row logs that device out.
+ */
+const sessionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // sha256 of the current refresh token; replaying an older one revokes the session.
+    tokenHash: { type: String, required: true },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    // When the current refresh token expires; Mongo drops the row after that.
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  },
+  { timestamps: true }
+);
+
+export const Session = mongoose.model('Session', sessionSchema);
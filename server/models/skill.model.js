@@ -1,23 +1,73 @@
 import mongoose, { Schema } from 'mongoose';
+import { computeRatingStats, RATING_PRIOR_MEAN } from '../utils/ratingStats.js';
+import { removeStoredMedia } from '../utils/mediaStorage.js';
+import { weeklyAvailabilitySchema } from '../utils/availability.js';
+
+export const SKILL_STATUSES = ['draft', 'active', 'paused', 'in_progress', 'completed', 'expired', 'archived'];
 
 const ratingSchema = new Schema({
   user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   rating: { type: Number, required: true, min: 1, max: 5 },
 }, { _id: false });
 
+// An uploaded image; the storage keys let the files be deleted with it.
+const galleryImageSchema = new Schema({
+  url: { type: String, required: true },
+  storageKey: { type: String, required: true },
+  thumbnailUrl: { type: String, required: true },
+  thumbnailKey: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+}, { timestamps: true });
+
+// A link to sample work, or a short video that the page can embed.
+const mediaLinkSchema = new Schema({
+  kind: { type: String, enum: ['sample', 'video'], required: true },
+  url: { type: String, required: true, trim: true },
+  title: { type: String, trim: true, maxlength: 120 },
+  provider: { type: String },
+  embedUrl: { type: String },
+});
+
 const skillSchema = new Schema({
   user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
   type: { type: String, enum: ['OFFER', 'REQUEST'], required: true },
   title: { type: String, required: true, trim: true },
   description: { type: String, trim: true },
   category: { type: String, required: true },
+  // One of the category's subcategories, stored by name like the category.
+  subcategory: { type: String, trim: true },
+  // Skills a learner should have before this one, shown on the listing.
+  prerequisites: [{ type: Schema.Types.ObjectId, ref: 'Skill' }],
   level: { type: String, enum: ['Beginner', 'Intermediate', 'Expert'], default: 'Intermediate' },
   availability: { type: String, default: 'Flexible' },
+  // Overrides the owner's weekly availability for this skill when it has slots.
+  weeklyAvailability: { type: weeklyAvailabilitySchema },
   locationString: { type: String, default: 'Remote' },
   geoCoordinates: { type: { type: String, enum: ['Point'] }, coordinates: { type: [Number] } },
   tags: [String],
-  status: { type: String, enum: ['active', 'in_progress', 'completed'], default: 'active' },
+  // See utils/skillLifecycle.js for who may move a skill between these.
+  status: { type: String, enum: SKILL_STATUSES, default: 'active' },
+  // When the owner last published, edited or renewed the listing; active skills expire some time after.
+  lastRenewedAt: { type: Date, default: Date.now },
+  renewalReminderSentAt: { type: Date },
+  archivedAt: { type: Date },
   ratings: [ratingSchema],
+  // Derived from `ratings` on save; stored so skills can be sorted by rating in the database.
+  ratingStats: {
+    count: { type: Number, default: 0 },
+    average: { type: Number, default: 0 },
+    histogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+    bayesianScore: { type: Number, default: RATING_PRIOR_MEAN },
+  },
+  gallery: [galleryImageSchema],
+  mediaLinks: [mediaLinkSchema],
   bookmarkedBy: [{ type: Schema.Types.ObjectId, ref: 'User' }],
   costInCredits: {
     type: Number,
@@ -38,6 +88,15 @@ const skillSchema = new Schema({
  
 skillSchema.index({ title: 'text', description: 'text', tags: 'text' });
 skillSchema.index({ geoCoordinates: '2dsphere' });
+skillSchema.index({ 'ratingStats.bayesianScore': -1, 'ratingStats.count': -1 });
+skillSchema.index({ status: 1, lastRenewedAt: 1 });
+
+skillSchema.pre('save', function(next) {
+  if (this.isModified('ratings')) {
+    this.ratingStats = computeRatingStats(this.ratings);
+  }
+  next();
+});
 
 skillSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   const skillId = this._id;
@@ -45,6 +104,8 @@ skillSchema.pre('deleteOne', { document: true, query: false }, async function(ne
     await mongoose.model('Proposal').deleteMany({
       $or: [{ requestedSkill: skillId }, { offeredSkill: skillId }]
     });
+    await mongoose.model('SkillView').deleteMany({ skill: skillId });
+    await removeStoredMedia(this.gallery.flatMap(image => [image.storageKey, image.thumbnailKey]));
     next();
   } catch (error) {
     next(error);
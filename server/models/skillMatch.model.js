@@ -0,0 +1,22 @@
+import mongoose, { Schema } from 'mongoose';
+
+/**
+ * A strong mutual match that both users have been told about. `pairKey` is the two user IDs in
+ * sorted order, so each pair is only ever announced once.
+ */
+const skillMatchSchema = new Schema(
+  {
+    pairKey: { type: String, required: true, unique: true },
+    users: [{ type: Schema.Types.ObjectId, ref: 'User', required: true }],
+    score: { type: Number, required: true },
+    skills: [{ type: Schema.Types.ObjectId, ref: 'Skill' }],
+    notifiedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+skillMatchSchema.index({ users: 1 });
+
+export const getPairKey = (userA, userB) => [userA.toString(), userB.toString()].sort().join(':');
+
+export const SkillMatch = mongoose.model('SkillMatch', skillMatchSchema);
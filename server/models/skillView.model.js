@@ -0,0 +1,18 @@
+import mongoose, { Schema } from 'mongoose';
+
+/**
+ * A logged-in user opening someone else's skill, at most one per user per half hour (see
+ * recordSkillView). Feeds recommendations and the owner's analytics.
+ */
+const skillViewSchema = new Schema(
+  {
+    skill: { type: Schema.Types.ObjectId, ref: 'Skill', required: true },
+    viewer: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+skillViewSchema.index({ viewer: 1, createdAt: -1 });
+skillViewSchema.index({ skill: 1, createdAt: -1 });
+
+export const SkillView = mongoose.model('SkillView', skillViewSchema);
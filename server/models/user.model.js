@@ -1,10 +1,17 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { Skill } from './skill.model.js';
 import { Proposal } from './proposal.model.js';
 import { Conversation } from './conversation.model.js';
 import { Message } from './message.model.js';
+import { Review } from './review.model.js';
+import { SkillView } from './skillView.model.js';
+import { Session } from './session.model.js';
+import { resetSearchVocabulary } from '../utils/searchVocabulary.js';
+import { removeStoredMedia } from '../utils/mediaStorage.js';
+import { weeklyAvailabilitySchema } from '../utils/availability.js';
 
 const userSchema = new mongoose.Schema({
     firstName: { type: String, trim: true },
@@ -25,13 +32,17 @@ const userSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true, lowercase: true, trim: true, index: true },
     password: { type: String, required: false }, 
     isVerified: { type: Boolean, default: false }, 
-    verificationOtp: { type: String }, 
+    // Codes are stored as keyed hashes and stop working after a few wrong tries (see utils/otp.js).
+    verificationOtp: { type: String, select: false }, 
     verificationOtpExpiry: { type: Date }, 
-    passwordResetOtp: { type: String },
+    verificationOtpAttempts: { type: Number },
+    passwordResetOtp: { type: String, select: false },
     passwordResetOtpExpiry: { type: Date },
+    passwordResetOtpAttempts: { type: Number },
     newEmail: { type: String, lowercase: true, trim: true },
-    emailChangeOtp: { type: String },
+    emailChangeOtp: { type: String, select: false },
     emailChangeOtpExpiry: { type: Date },
+    emailChangeOtpAttempts: { type: Number },
     reportCount: { type: Number, default: 0 },
       reportedBy: [{
           type: mongoose.Schema.Types.ObjectId,
@@ -43,9 +54,18 @@ const userSchema = new mongoose.Schema({
     bio: { type: String, default: '' },
     socials: { github: { type: String, default: '' }, linkedin: { type: String, default: '' }, website: { type: String, default: '' } },
     locationString: { type: String, default: '' },
+    weeklyAvailability: { type: weeklyAvailabilitySchema, default: () => ({}) },
     location: { type: { type: String, enum: ['Point'] }, coordinates: { type: [Number] } },
-    refreshToken: { type: String },
+    calendarFeedToken: { type: String, select: false, index: { unique: true, sparse: true } },
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, select: false },
+    // Set by /me/2fa/setup and only moved to twoFactorSecret once a code from it is confirmed.
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorRecoveryCodes: { type: [String], select: false },
+    // The last TOTP time step accepted, so a code cannot be used twice.
+    twoFactorLastStep: { type: Number, select: false },
     swapCredits: { type: Number, default: 10 },
+    heldCredits: { type: Number, default: 0, min: 0 },
     swapsCompleted: { type: Number, default: 0 },
     skillsOfferedCount: { type: Number, default: 0 },
     badges: { type: [{ type: String, unique: true }], default: [] },
@@ -67,7 +87,10 @@ userSchema.pre('save', async function(next) {
 userSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
     const userId = this._id;
     try {
+        const galleries = await Skill.find({ user: userId }).select('gallery');
         await Skill.deleteMany({ user: userId });
+        await removeStoredMedia(galleries.flatMap(skill => skill.gallery.flatMap(image => [image.storageKey, image.thumbnailKey])));
+        resetSearchVocabulary();
         const proposals = await Proposal.find({ $or: [{ proposer: userId }, { receiver: userId }] });
         const proposalIds = proposals.map(p => p._id);
         const conversations = await Conversation.find({ participants: userId });
@@ -76,6 +99,9 @@ userSchema.pre('deleteOne', { document: true, query: false }, async function(nex
         }
         await Conversation.deleteMany({ participants: userId });
         await Proposal.deleteMany({ _id: { $in: proposalIds } });
+        await Review.deleteMany({ $or: [{ reviewer: userId }, { reviewee: userId }] });
+        await SkillView.deleteMany({ viewer: userId });
+        await Session.deleteMany({ user: userId });
         next();
     } catch (error) {
         next(error);
@@ -87,17 +113,17 @@ userSchema.methods.isPasswordCorrect = async function(password) {
     return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function() {
+userSchema.methods.generateAccessToken = function(sessionId) {
     return jwt.sign(
-        { _id: this._id, email: this.email, username: this.username, role: this.role },
+        { _id: this._id, email: this.email, username: this.username, role: this.role, sid: sessionId },
         process.env.ACCESS_TOKEN_SECRET,
         { expiresIn: process.env.ACCESS_TOKEN_EXPIRY }
     );
 };
 
-userSchema.methods.generateRefreshToken = function() {
+userSchema.methods.generateRefreshToken = function(sessionId) {
     return jwt.sign(
-        { _id: this._id },
+        { _id: this._id, sid: sessionId, jti: crypto.randomUUID() },
         process.env.REFRESH_TOKEN_SECRET,
         { expiresIn: process.env.REFRESH_TOKEN_EXPIRY }
     );
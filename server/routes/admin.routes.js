@@ -13,6 +13,12 @@ import {
     getReports,
     updateReportStatus
 } from '../controllers/admin.controller.js';
+import {
+    getAdminCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} from '../controllers/category.controller.js';
 
 const router = Router();
 router.use(verifyJWT, isAdmin);
@@ -27,6 +33,8 @@ router.route('/users/:userId').delete(deleteUser);
 
 // Content
 router.route('/skills').get(getAllSkills);
+router.route('/categories').get(getAdminCategories).post(createCategory);
+router.route('/categories/:categoryId').patch(updateCategory).delete(deleteCategory);
 
 // Communication
 router.route('/conversations').get(getAllConversations);
@@ -1,5 +1,7 @@
 import { Router } from 'express';
 import passport from 'passport';
+import { createOAuthCode } from '../utils/authTokens.js';
+import { exchangeOAuthCode } from '../controllers/user.controller.js';
 
 const router = Router();
 
@@ -14,11 +16,17 @@ router.get(
     failureRedirect: `${process.env.FRONTEND_URL}/login`,
     session: false,
   }),
-  (req, res) => {
-    const user = req.user;
-    const accessToken = user.generateAccessToken();
-    res.redirect(`${process.env.FRONTEND_URL}/auth/success?token=${accessToken}`);
+  async (req, res, next) => {
+    try {
+      // Tokens in a URL end up in history and referrers; the code is single-use and short-lived.
+      const code = await createOAuthCode(req.user._id);
+      res.redirect(`${process.env.FRONTEND_URL}/auth/success?code=${code}`);
+    } catch (error) {
+      next(error);
+    }
   }
 );
 
+router.post('/exchange', exchangeOAuthCode);
+
 export default router;
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { getCreditHistory } from '../controllers/credit.controller.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route('/history').get(getCreditHistory);
+
+export default router;
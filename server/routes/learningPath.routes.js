@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import {
+  getLearningPaths,
+  getLearningPathById,
+  createLearningPath,
+  updateLearningPath,
+  deleteLearningPath,
+} from '../controllers/learningPath.controller.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route('/')
+  .get(getLearningPaths)
+  .post(createLearningPath);
+
+router.route('/:pathId')
+  .get(getLearningPathById)
+  .patch(updateLearningPath)
+  .delete(deleteLearningPath);
+
+export default router;
@@ -3,6 +3,10 @@ import {
   createProposal,
   getProposals,
   respondToProposal,
+  counterProposal,
+  respondToCounterOffer,
+  withdrawProposal,
+  cancelProposal,
   updateContactInfo,
   completeSwap,
   deleteProposal
@@ -23,6 +27,18 @@ router.route("/:id")
 router.route('/:id/respond')
   .patch(respondToProposal);
 
+router.route('/:id/counter')
+  .patch(counterProposal);
+
+router.route('/:id/counter/respond')
+  .patch(respondToCounterOffer);
+
+router.route('/:id/withdraw')
+  .patch(withdrawProposal);
+
+router.route('/:id/cancel')
+  .patch(cancelProposal);
+
 router.route('/:id/contact')
   .patch(updateContactInfo);
 
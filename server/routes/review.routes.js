@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import {
+  createReview,
+  getUserReviews,
+  getSkillReviews,
+  replyToReview,
+} from '../controllers/review.controller.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+router.route('/user/:username').get(getUserReviews);
+router.route('/skill/:skillId').get(getSkillReviews);
+
+router.use(verifyJWT);
+
+router.route('/').post(createReview);
+router.route('/:reviewId/reply').patch(replyToReview);
+
+export default router;
@@ -0,0 +1,25 @@
+import { Router } from 'express';
+import {
+  getRingSwapSuggestions,
+  createRingSwap,
+  getMyRingSwaps,
+  respondToRingSwap,
+  completeRingSwapEdge,
+  cancelRingSwap,
+} from '../controllers/ringSwap.controller.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route('/')
+  .get(getMyRingSwaps)
+  .post(createRingSwap);
+
+router.route('/suggestions').get(getRingSwapSuggestions);
+router.route('/:id/respond').patch(respondToRingSwap);
+router.route('/:id/edges/:edgeId/complete').patch(completeRingSwapEdge);
+router.route('/:id/cancel').patch(cancelRingSwap);
+
+export default router;
@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import {
+  getSavedSearches,
+  getSavedSearchById,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+} from '../controllers/savedSearch.controller.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route('/')
+  .get(getSavedSearches)
+  .post(createSavedSearch);
+
+router.route('/:id')
+  .get(getSavedSearchById)
+  .patch(updateSavedSearch)
+  .delete(deleteSavedSearch);
+
+export default router;
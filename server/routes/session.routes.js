@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import {
+  createSession,
+  getMySessions,
+  respondToSession,
+  rescheduleSession,
+  cancelSession,
+  downloadSessionIcs,
+  getCalendarFeedUrl,
+  resetCalendarFeedUrl,
+  getCalendarFeed,
+} from '../controllers/session.controller.js';
+import { verifyJWT } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+// Calendar apps fetch the feed without our auth headers; the token in the URL identifies the user.
+router.route('/feed/:token').get(getCalendarFeed);
+
+router.use(verifyJWT);
+
+router.route('/')
+  .post(createSession)
+  .get(getMySessions);
+
+router.route('/calendar-feed')
+  .get(getCalendarFeedUrl)
+  .post(resetCalendarFeedUrl);
+
+router.route('/:id/respond').patch(respondToSession);
+router.route('/:id/reschedule').patch(rescheduleSession);
+router.route('/:id/cancel').patch(cancelSession);
+router.route('/:id/ics').get(downloadSessionIcs);
+
+export default router;
@@ -5,8 +5,16 @@ import {
   getSkillById,
   updateSkill,
   deleteSkill,
+  getMySkills,
+  updateSkillStatus,
+  renewSkill,
+  uploadSkillImage,
+  deleteSkillImage,
+  addSkillLink,
+  deleteSkillLink,
   getNearbySkills,
   getMatchingSkills,
+  getMyMatches,
   bookmarkSkill,
   unbookmarkSkill,
   rateSkill,
@@ -14,17 +22,20 @@ import {
   getKeywordSuggestions,
   getYoutubeTutorials,
   getYoutubePlaceholders,
-  getAllSkillsUnpaginated,
+  searchSkills,
   generateAiContent,
   getRecommendedSkills,
+  getSkillAnalyticsForOwner,
+  getAvailabilityOverlap,
   checkKeywordSafety,
   reportSkill
 } from '../controllers/skill.controller.js';
 import { verifyJWT } from '../middlewares/auth.middleware.js';
+import { uploadSingleImage } from '../middlewares/upload.middleware.js';
 
 const router = Router();
 
-router.route('/all').get(getAllSkillsUnpaginated);
+router.route('/search').get(searchSkills);
 router.route('/keyword-suggestions').get(getKeywordSuggestions);
 router.route('/locations').get(getLocationSuggestions);
 router.route("/check-safety").post(checkKeywordSafety);
@@ -37,6 +48,8 @@ router.use(verifyJWT);
 
 router.route('/ai-generate').post(generateAiContent);
 router.route('/recommendations').get(getRecommendedSkills);
+router.route('/matches/me').get(getMyMatches);
+router.route('/mine').get(getMySkills);
 router.route('/').post(createSkill);
 
 
@@ -46,6 +59,14 @@ router.route('/:skillId')
   .delete(deleteSkill); 
 
 router.route('/:skillId/matches').get(getMatchingSkills);
+router.route('/:skillId/analytics').get(getSkillAnalyticsForOwner);
+router.route('/:skillId/availability-overlap').get(getAvailabilityOverlap);
+router.route('/:skillId/status').patch(updateSkillStatus);
+router.route('/:skillId/renew').post(renewSkill);
+router.route('/:skillId/media').post(uploadSingleImage('image'), uploadSkillImage);
+router.route('/:skillId/media/:imageId').delete(deleteSkillImage);
+router.route('/:skillId/links').post(addSkillLink);
+router.route('/:skillId/links/:linkId').delete(deleteSkillLink);
 router.route('/:skillId/bookmark').post(bookmarkSkill).delete(unbookmarkSkill);
 router.route('/:skillId/rate').post(rateSkill);
 router.route('/:skillId/report').post(reportSkill);
@@ -3,6 +3,10 @@ import {
   registerUser, 
   loginUser, 
   logoutUser, 
+  refreshAccessToken,
+  getActiveSessions,
+  revokeSession,
+  revokeOtherSessions,
   getCurrentUser, 
   getUserProfile, 
   updateUserAvatar, 
@@ -22,7 +26,16 @@ import {
   getUserSkills,
   getUserBookmarks
 } from "../controllers/user.controller.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  turnOffTwoFactor,
+  resetRecoveryCodes,
+  verifyTwoFactorLogin
+} from "../controllers/twoFactor.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { loginLimiter, otpLimiter, userOtpLimiter, emailLimiter, userEmailLimiter } from "../middlewares/rateLimit.middleware.js";
 
 const router = Router();
 
@@ -31,14 +44,16 @@ router.route("/test").get((req, res) => {
 });
 
 // PUBLIC ROUTES
-router.route("/register").post(registerUser);
-router.route("/login").post(loginUser);
+router.route("/register").post(emailLimiter, registerUser);
+router.route("/login").post(loginLimiter, loginUser);
+router.route("/login/2fa").post(loginLimiter, verifyTwoFactorLogin);
+router.route("/refresh-token").post(refreshAccessToken);
 router.route("/search").get(searchUsers);
 router.route("/leaderboard").get(getLeaderboard);
-router.route("/verify-otp").post(verifyOtp);
-router.route("/resend-verification").post(resendVerificationEmail);
-router.route("/forgot-password").post(forgotPassword);
-router.route("/reset-password").post(resetPassword);
+router.route("/verify-otp").post(otpLimiter, verifyOtp);
+router.route("/resend-verification").post(emailLimiter, resendVerificationEmail);
+router.route("/forgot-password").post(emailLimiter, forgotPassword);
+router.route("/reset-password").post(otpLimiter, resetPassword);
 
 // PROTECTED ROUTES
 router.use(verifyJWT);
@@ -54,8 +69,17 @@ router.route("/me/avatar")
   .delete(deleteUserAvatar);
 
 router.route("/sync-skills").post(syncUserSkills);
-router.route("/me/request-email-change").post(requestEmailChange);
-router.route("/me/verify-email-change").post(verifyEmailChange);
+router.route("/me/request-email-change").post(userEmailLimiter, requestEmailChange);
+router.route("/me/verify-email-change").post(userOtpLimiter, verifyEmailChange);
+router.route("/me/sessions")
+  .get(getActiveSessions)
+  .delete(revokeOtherSessions);
+router.route("/me/sessions/:sessionId").delete(revokeSession);
+router.route("/me/2fa").get(getTwoFactorStatus);
+router.route("/me/2fa/setup").post(setupTwoFactor);
+router.route("/me/2fa/enable").post(userOtpLimiter, enableTwoFactor);
+router.route("/me/2fa/disable").post(userOtpLimiter, turnOffTwoFactor);
+router.route("/me/2fa/recovery-codes").post(userOtpLimiter, resetRecoveryCodes);
 router.route("/health").get(healthCheck);
 router.route("/:profileId/chat-status").get(getChatStatus);
 
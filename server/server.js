@@ -7,7 +7,7 @@ import passport from 'passport';
 import session from 'express-session';
 import { app, server } from './socket/socket.js'; 
 import cron from 'node-cron';
-import { cleanupUnverifiedUsers } from './utils/cronJobs.js';
+import { cleanupUnverifiedUsers, expireStaleProposals, sendSessionReminders, notifyMutualMatches, expireStaleRingSwaps, refreshRingSwapSuggestions, expireInactiveSkills, notifySavedSearchMatches, sendSavedSearchDigests } from './utils/cronJobs.js';
 
 import connectDB from './config/db.js';
 import './config/passport.setup.js'; 
@@ -27,6 +27,14 @@ import chatRequestRouter from './routes/chatRequest.routes.js';
 import notificationRouter from './routes/notification.routes.js';
 import teamRouter from './routes/team.routes.js';
 import adminRouter from './routes/admin.routes.js';
+import creditRouter from './routes/credit.routes.js';
+import sessionRouter from './routes/session.routes.js';
+import reviewRouter from './routes/review.routes.js';
+import ringSwapRouter from './routes/ringSwap.routes.js';
+import categoryRouter from './routes/category.routes.js';
+import learningPathRouter from './routes/learningPath.routes.js';
+import savedSearchRouter from './routes/savedSearch.routes.js';
+import { getLocalMediaDir } from './utils/mediaStorage.js';
 
 
 dotenv.config({ path: './.env' });
@@ -69,6 +77,8 @@ app.use(compression());
 app.use(express.json({ limit: '16kb' }));
 app.use(express.urlencoded({ extended: true, limit: '16kb' }));
 app.use(cookieParser());
+// Only used by the local media storage; Cloudinary serves its own files.
+app.use('/uploads', express.static(getLocalMediaDir(), { maxAge: '7d' }));
 
 app.use('/api/v1/auth', authRouter);
 app.use('/api/v1/users', userRouter);
@@ -83,6 +93,13 @@ app.use('/api/v1/chat-requests', chatRequestRouter);
 app.use('/api/v1/notifications', notificationRouter);
 app.use('/api/v1/teams', teamRouter);
 app.use('/api/v1/admin', adminRouter);
+app.use('/api/v1/credits', creditRouter);
+app.use('/api/v1/sessions', sessionRouter);
+app.use('/api/v1/reviews', reviewRouter);
+app.use('/api/v1/ring-swaps', ringSwapRouter);
+app.use('/api/v1/categories', categoryRouter);
+app.use('/api/v1/learning-paths', learningPathRouter);
+app.use('/api/v1/saved-searches', savedSearchRouter);
 
 app.use((err, req, res, next) => {
     if (err instanceof ApiError) {
@@ -100,6 +117,14 @@ app.use((err, req, res, next) => {
 });
 
 cron.schedule('0 22 * * *', cleanupUnverifiedUsers);
+cron.schedule('0 * * * *', expireStaleProposals);
+cron.schedule('5 * * * *', expireStaleRingSwaps);
+cron.schedule('20 * * * *', refreshRingSwapSuggestions);
+cron.schedule('*/15 * * * *', sendSessionReminders);
+cron.schedule('30 * * * *', notifyMutualMatches);
+cron.schedule('0 3 * * *', expireInactiveSkills);
+cron.schedule('45 * * * *', notifySavedSearchMatches);
+cron.schedule('0 8 * * *', sendSavedSearchDigests);
 
 server.listen(PORT, () => {
   console.log(`🚀 Server is running at http://localhost:${PORT}`);
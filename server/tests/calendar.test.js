@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOccurrences, getNextOccurrence, buildICalendar } from '../utils/calendar.js';
+
+const monthlySession = (fields = {}) => ({
+  _id: 'session1',
+  title: 'Guitar lesson',
+  status: 'confirmed',
+  timezone: 'America/New_York',
+  startTime: new Date('2027-01-31T15:00:00Z'),
+  endTime: new Date('2027-01-31T16:00:00Z'),
+  recurrence: { frequency: 'monthly', interval: 1, count: 4 },
+  ...fields,
+});
+
+describe('getOccurrences', () => {
+  it('skips months without the start day, as FREQ=MONTHLY does', () => {
+    // 10:00 in New York each time, so the UTC hour moves with daylight saving time.
+    assert.deepEqual(getOccurrences(monthlySession()).map(date => date.toISOString()), [
+      '2027-01-31T15:00:00.000Z',
+      '2027-03-31T14:00:00.000Z',
+      '2027-05-31T14:00:00.000Z',
+      '2027-07-31T14:00:00.000Z',
+    ]);
+  });
+
+  it('keeps the skipped months out of reminders', () => {
+    const next = getNextOccurrence(monthlySession(), new Date('2027-02-01T00:00:00Z'));
+    assert.equal(next.toISOString(), '2027-03-31T14:00:00.000Z');
+  });
+
+  it('repeats every month for days all months have', () => {
+    const session = monthlySession({ startTime: new Date('2027-01-15T15:00:00Z'), endTime: new Date('2027-01-15T16:00:00Z') });
+    assert.deepEqual(getOccurrences(session).map(date => date.toISOString().slice(0, 10)), [
+      '2027-01-15', '2027-02-15', '2027-03-15', '2027-04-15',
+    ]);
+  });
+});
+
+describe('buildICalendar', () => {
+  it('defines each time zone that a recurring event refers to', () => {
+    // Runs until the end of 2027, so both daylight saving changes fall inside it.
+    const ics = buildICalendar([monthlySession({ recurrence: { frequency: 'monthly', interval: 1, count: 7 } })]);
+
+    assert.match(ics, /DTSTART;TZID=America\/New_York:20270131T100000/);
+    assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:America\/New_York\r\n/);
+    assert.match(ics, /BEGIN:DAYLIGHT\r\nDTSTART:20270314T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\n/);
+    assert.match(ics, /BEGIN:STANDARD\r\nDTSTART:20271107T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\n/);
+  });
+
+  it('leaves out time zones for one-off events, which are written in UTC', () => {
+    const ics = buildICalendar([monthlySession({ recurrence: { frequency: 'none' } })]);
+
+    assert.doesNotMatch(ics, /VTIMEZONE/);
+    assert.match(ics, /DTSTART:20270131T150000Z/);
+  });
+});
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+let replSet;
+
+/**
+ * Starts a throwaway single-node replica set (transactions need one) and connects mongoose to it.
+ */
+export const connectTestDatabase = async () => {
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  } catch (error) {
+    throw new Error(
+      `Could not start mongod for the tests: ${error.message}\n`
+      + 'Without network access to fastdl.mongodb.org, set MONGOMS_SYSTEM_BINARY to a local mongod 7.0.',
+      { cause: error }
+    );
+  }
+  await mongoose.connect(replSet.getUri());
+  // Collections and unique indexes exist up front, so transactions never have to create them.
+  await Promise.all(Object.values(mongoose.models).map(model => model.createCollection()));
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+/**
+ * Empties every collection. Goes through the driver, since the credit ledger refuses deletes.
+ */
+export const clearTestDatabase = () => Promise.all(
+  Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+);
+
+export const disconnectTestDatabase = async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+};
@@ -0,0 +1,170 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { connectTestDatabase, clearTestDatabase, disconnectTestDatabase } from './helpers/db.js';
+import { User } from '../models/user.model.js';
+import { Proposal } from '../models/proposal.model.js';
+import { Team } from '../models/team.model.js';
+import { Skill } from '../models/skill.model.js';
+import { CreditTransaction } from '../models/creditTransaction.model.js';
+import { settleSwapCompletion, settleTeamCompletion } from '../utils/settlement.js';
+
+const COST = 5;
+
+let userCount = 0;
+const createUser = (fields = {}) => {
+  userCount++;
+  return User.create({ username: `user${userCount}`, email: `user${userCount}@example.com`, ...fields });
+};
+
+// A credit swap the receiver accepted, with its cost held in escrow as acceptProposal leaves it.
+const createAcceptedCreditSwap = async (fields = {}) => {
+  const proposer = await createUser({ swapCredits: 10 - COST, heldCredits: COST });
+  const receiver = await createUser();
+  const proposal = await Proposal.create({
+    proposer: proposer._id,
+    receiver: receiver._id,
+    requestedSkill: new mongoose.Types.ObjectId(),
+    proposalType: 'credits',
+    costInCredits: COST,
+    escrowStatus: 'held',
+    status: 'accepted',
+    ...fields,
+  });
+  return { proposer, receiver, proposal };
+};
+
+const createPendingTeam = async (memberCount) => {
+  const instructor = await createUser();
+  const members = await Promise.all(Array.from({ length: memberCount }, () => createUser()));
+  const skill = await Skill.create({ user: instructor._id, type: 'OFFER', title: 'Pottery', category: 'Arts', costInCredits: COST });
+  const team = await Team.create({
+    skill: skill._id,
+    instructor: instructor._id,
+    members: members.map(member => member._id),
+    teamName: 'Pottery class',
+    status: 'pending_completion',
+  });
+  return { instructor, members, team };
+};
+
+describe('settlement', () => {
+  before(connectTestDatabase);
+  after(disconnectTestDatabase);
+  beforeEach(clearTestDatabase);
+
+  describe('settleSwapCompletion', () => {
+    it('waits for both participants before settling', async () => {
+      const { proposer, receiver, proposal } = await createAcceptedCreditSwap();
+
+      const result = await settleSwapCompletion(proposal._id, receiver._id);
+
+      assert.equal(result.completed, false);
+      assert.equal((await Proposal.findById(proposal._id)).status, 'accepted');
+      assert.equal((await User.findById(receiver._id)).swapCredits, 10);
+      assert.equal((await User.findById(proposer._id)).heldCredits, COST);
+      assert.equal(await CreditTransaction.countDocuments(), 0);
+    });
+
+    it('settles once however often it is called', async () => {
+      const { proposer, receiver, proposal } = await createAcceptedCreditSwap();
+
+      await settleSwapCompletion(proposal._id, receiver._id);
+      const settled = await settleSwapCompletion(proposal._id, proposer._id);
+      const repeats = await Promise.all([
+        settleSwapCompletion(proposal._id, proposer._id),
+        settleSwapCompletion(proposal._id, receiver._id),
+      ]);
+
+      assert.equal(settled.completed, true);
+      assert.deepEqual(repeats.map(repeat => repeat.proposal), [null, null]);
+      const [proposerAfter, receiverAfter] = await Promise.all([User.findById(proposer._id), User.findById(receiver._id)]);
+      assert.equal(proposerAfter.swapCredits, 10 - COST);
+      assert.equal(proposerAfter.heldCredits, 0);
+      assert.equal(receiverAfter.swapCredits, 10 + COST);
+      assert.deepEqual(
+        (await CreditTransaction.find({ sourceId: proposal._id }).sort({ _id: 1 })).map(entry => entry.type),
+        ['escrow_release', 'swap_earning']
+      );
+    });
+
+    it('counts the swap exactly once when both sides confirm at the same time', async () => {
+      const { proposer, receiver, proposal } = await createAcceptedCreditSwap({ proposalType: 'skill', costInCredits: undefined, escrowStatus: undefined });
+
+      const results = await Promise.all([
+        settleSwapCompletion(proposal._id, proposer._id),
+        settleSwapCompletion(proposal._id, receiver._id),
+      ]);
+      await settleSwapCompletion(proposal._id, proposer._id);
+
+      assert.equal(results.filter(result => result.completed).length, 1);
+      assert.equal((await Proposal.findById(proposal._id)).status, 'completed');
+      assert.equal((await User.findById(proposer._id)).swapsCompleted, 1);
+      assert.equal((await User.findById(receiver._id)).swapsCompleted, 1);
+      assert.ok((await User.findById(proposer._id)).badges.includes('Swap Starter'));
+    });
+
+    it('rolls back every write when settling fails partway through', async () => {
+      const { proposer, receiver, proposal } = await createAcceptedCreditSwap();
+      await settleSwapCompletion(proposal._id, receiver._id);
+      // The proposer's escrow is released first; paying the missing receiver then fails.
+      await User.collection.deleteOne({ _id: receiver._id });
+
+      await assert.rejects(settleSwapCompletion(proposal._id, proposer._id), { statusCode: 404 });
+
+      const proposerAfter = await User.findById(proposer._id);
+      assert.equal(proposerAfter.heldCredits, COST);
+      assert.equal(proposerAfter.swapCredits, 10 - COST);
+      assert.equal(proposerAfter.swapsCompleted, 0);
+      assert.equal(await CreditTransaction.countDocuments(), 0);
+      const proposalAfter = await Proposal.findById(proposal._id);
+      assert.equal(proposalAfter.status, 'accepted');
+      assert.equal(proposalAfter.escrowStatus, 'held');
+      assert.deepEqual(proposalAfter.completedBy.map(String), [String(receiver._id)]);
+    });
+  });
+
+  describe('settleTeamCompletion', () => {
+    it('pays the instructor once, when a majority has confirmed', async () => {
+      const { instructor, members, team } = await createPendingTeam(3);
+
+      const first = await settleTeamCompletion(team._id, members[0]._id);
+      const repeated = await settleTeamCompletion(team._id, members[0]._id);
+      const majority = await settleTeamCompletion(team._id, members[1]._id);
+      const late = await settleTeamCompletion(team._id, members[2]._id);
+
+      assert.equal(first.completed, false);
+      assert.equal(repeated.team, null);
+      assert.equal(majority.completed, true);
+      assert.equal(majority.totalCreditsAwarded, 3 * COST);
+      assert.equal(late.team, null);
+      const teamAfter = await Team.findById(team._id);
+      assert.equal(teamAfter.status, 'completed');
+      assert.equal(teamAfter.completionConfirmedBy.length, 2);
+      assert.equal((await User.findById(instructor._id)).swapCredits, 10 + 3 * COST);
+      assert.equal(await CreditTransaction.countDocuments({ type: 'team_payout' }), 1);
+    });
+
+    it('pays out once when the deciding confirmations arrive together', async () => {
+      const { instructor, members, team } = await createPendingTeam(3);
+
+      const results = await Promise.all(members.map(member => settleTeamCompletion(team._id, member._id)));
+
+      assert.equal(results.filter(result => result.completed).length, 1);
+      assert.equal((await User.findById(instructor._id)).swapCredits, 10 + 3 * COST);
+      assert.equal(await CreditTransaction.countDocuments({ type: 'team_payout' }), 1);
+    });
+
+    it('keeps the confirmation unrecorded when the payout fails', async () => {
+      const { instructor, members, team } = await createPendingTeam(1);
+      await User.collection.deleteOne({ _id: instructor._id });
+
+      await assert.rejects(settleTeamCompletion(team._id, members[0]._id), { statusCode: 404 });
+
+      const teamAfter = await Team.findById(team._id);
+      assert.equal(teamAfter.status, 'pending_completion');
+      assert.equal(teamAfter.completionConfirmedBy.length, 0);
+      assert.equal(await CreditTransaction.countDocuments(), 0);
+    });
+  });
+});
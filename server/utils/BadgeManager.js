@@ -1,12 +1,14 @@
 import { Proposal } from '../models/proposal.model.js';
 import { Skill } from '../models/skill.model.js';
+import { LearningPath } from '../models/learningPath.model.js';
 
 export const calculateUserStats = async (user) => {
   const userId = user._id;
 
-  const [skillsCount, completedSwaps] = await Promise.all([
+  const [skillsCount, completedSwaps, pathsCompleted] = await Promise.all([
     Skill.countDocuments({ user: userId, type: 'OFFER' }),
     Promise.resolve(user.swapsCompleted || 0),
+    LearningPath.countDocuments({ 'completions.user': userId }),
   ]);
 
   const badges = new Set(user.badges || []);
@@ -19,6 +21,9 @@ export const calculateUserStats = async (user) => {
   if (skillsCount >= 1) badges.add('Skill Sharer');
   if (skillsCount >= 5) badges.add('Expert Sharer');
 
+  if (pathsCompleted >= 1) badges.add('Path Finisher');
+  if (pathsCompleted >= 3) badges.add('Pathfinder');
+
   const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
   if (user.createdAt > twoDaysAgo) {
     badges.add('New Member');
@@ -28,5 +33,6 @@ export const calculateUserStats = async (user) => {
     earnedBadges: Array.from(badges),
     swapsCompleted: completedSwaps,
     skillsOfferedCount: skillsCount,
+    pathsCompleted,
   };
 };
\ No newline at end of file
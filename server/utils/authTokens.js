@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { User } from '../models/user.model.js';
+import { Session } from '../models/session.model.js';
+import { AuthCode } from '../models/authCode.model.js';
+import { ApiError } from './ApiError.js';
+
+export const authCookieOptions = { httpOnly: true, secure: process.env.NODE_ENV === 'production' };
+
+const OAUTH_CODE_TTL_MS = 60 * 1000;
+
+// Only a hash of the current refresh token is stored, so a database leak cannot be replayed.
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const expiryOf = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const describeClient = (req) => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || '',
+});
+
+/**
+ * Signs a user in on a new device. The session id is the token family: every refresh token
+ * rotated out of this login carries it, so replaying any of them can revoke the whole chain.
+ * @param {object} req - The request logging in, for the device's user agent and IP.
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: mongoose.Types.ObjectId }>}
+ */
+export const issueAuthTokens = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = user.generateRefreshToken(sessionId);
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: expiryOf(refreshToken),
+    ...describeClient(req),
+  });
+  return { accessToken: user.generateAccessToken(sessionId), refreshToken, sessionId };
+};
+
+/**
+ * Trades a refresh token for a new pair. Each refresh token works once: presenting one that
+ * was already rotated out means it was copied, so the session is revoked and both the thief and
+ * the real user have to log in again on that device.
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+ */
+export const rotateRefreshToken = async (incomingToken, req) => {
+  if (!incomingToken) throw new ApiError(401, "Unauthorized request");
+
+  let decoded;
+  try {
+    decoded = jwt.verify(incomingToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch {
+    throw new ApiError(401, "Refresh token is invalid or expired");
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded._id),
+    decoded.sid && mongoose.Types.ObjectId.isValid(decoded.sid) ? Session.findById(decoded.sid) : null,
+  ]);
+  if (!user || !session || !session.user.equals(user._id)) {
+    throw new ApiError(401, "Refresh token is no longer valid");
+  }
+
+  const refreshToken = user.generateRefreshToken(session._id);
+  // Claimed atomically, so two requests racing with the same token cannot both rotate it.
+  const { modifiedCount } = await Session.updateOne(
+    { _id: session._id, tokenHash: hashToken(incomingToken) },
+    { $set: { tokenHash: hashToken(refreshToken), expiresAt: expiryOf(refreshToken), lastUsedAt: new Date(), ...describeClient(req) } }
+  );
+  if (!modifiedCount) {
+    await Session.deleteOne({ _id: session._id });
+    throw new ApiError(401, "Refresh token was already used. Please log in again.");
+  }
+  return { accessToken: user.generateAccessToken(session._id), refreshToken };
+};
+
+/**
+ * The session a refresh token belongs to, without checking that it is still current. Lets
+ * logout work with an access token issued before sessions existed.
+ */
+export const sessionIdFromRefreshToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.REFRESH_TOKEN_SECRET).sid;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * A one-time code standing in for a user who just signed in with Google.
+ * @returns {Promise<string>}
+ */
+export const createOAuthCode = async (userId) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await AuthCode.create({ codeHash: hashToken(code), user: userId, purpose: 'oauth', expiresAt: new Date(Date.now() + OAUTH_CODE_TTL_MS) });
+  return code;
+};
+
+/**
+ * The user an OAuth code was issued for. The code is deleted as it is read, so it works once.
+ * @returns {Promise<mongoose.Types.ObjectId>}
+ */
+export const redeemOAuthCode = async (code) => {
+  if (!code || typeof code !== 'string') throw new ApiError(400, "Authorization code is required");
+  const authCode = await AuthCode.findOneAndDelete({ codeHash: hashToken(code), purpose: 'oauth', expiresAt: { $gt: new Date() } });
+  if (!authCode) throw new ApiError(401, "Authorization code is invalid or has expired. Please sign in again.");
+  return authCode.user;
+};
@@ -0,0 +1,220 @@
+import { Schema } from 'mongoose';
+import { ApiError } from './ApiError.js';
+import { getTimeZoneOffset } from './calendar.js';
+import { isValidTimeZone } from '../models/scheduledSession.model.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+export const MAX_AVAILABILITY_SLOTS = 21;
+// Shorter overlaps are too short to teach anything in, so they are not suggested.
+const MIN_OVERLAP_MINUTES = 30;
+const MAX_OVERLAP_SUGGESTIONS = 5;
+
+// Search presets, in the skill owner's local time. Days follow Date#getDay (0 = Sunday).
+export const AVAILABILITY_DAY_GROUPS = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+};
+export const AVAILABILITY_TIME_WINDOWS = {
+  morning: { start: 6 * 60, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 },
+  evening: { start: 17 * 60, end: 22 * 60 },
+};
+
+const availabilitySlotSchema = new Schema({
+  // 0 = Sunday, as in Date#getDay.
+  day: { type: Number, required: true, min: 0, max: 6 },
+  // Minutes after local midnight. `end` is exclusive, so 1440 means "until midnight".
+  start: { type: Number, required: true, min: 0, max: MINUTES_PER_DAY - 1 },
+  end: { type: Number, required: true, min: 1, max: MINUTES_PER_DAY },
+}, { _id: false });
+
+/**
+ * Recurring weekly free time, as wall-clock slots in `timezone`. Shared by users and skills.
+ */
+export const weeklyAvailabilitySchema = new Schema({
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid time zone.`
+    }
+  },
+  slots: { type: [availabilitySlotSchema], default: [] },
+}, { _id: false });
+
+const hasSlots = (availability) => availability?.slots?.length > 0;
+
+/**
+ * A skill's own availability when it has one, otherwise its owner's.
+ */
+export const getEffectiveAvailability = (skill, owner) => {
+  if (hasSlots(skill?.weeklyAvailability)) return skill.weeklyAvailability;
+  return hasSlots(owner?.weeklyAvailability) ? owner.weeklyAvailability : null;
+};
+
+/**
+ * Validates availability sent by a client. Slots are sorted, and overlapping or touching slots on
+ * the same day are merged.
+ */
+export const normalizeWeeklyAvailability = (input) => {
+  if (!input || typeof input !== 'object') throw new ApiError(400, "Availability must be an object with a timezone and slots.");
+  const { timezone = 'UTC', slots = [] } = input;
+  if (!isValidTimeZone(timezone)) throw new ApiError(400, `${timezone} is not a valid time zone.`);
+  if (!Array.isArray(slots)) throw new ApiError(400, "Availability slots must be a list.");
+
+  const parsed = slots.map((entry) => {
+    const { day, start, end } = entry && typeof entry === 'object' ? entry : {};
+    const slot = { day: Number(day), start: Number(start), end: Number(end) };
+    const valid = Number.isInteger(slot.day) && slot.day >= 0 && slot.day <= 6
+      && Number.isInteger(slot.start) && Number.isInteger(slot.end)
+      && slot.start >= 0 && slot.end <= MINUTES_PER_DAY && slot.start < slot.end;
+    if (!valid) throw new ApiError(400, "Each slot needs a day (0-6) and a start before its end, in minutes after midnight.");
+    return slot;
+  });
+  parsed.sort((a, b) => a.day - b.day || a.start - b.start);
+
+  const merged = [];
+  for (const slot of parsed) {
+    const last = merged[merged.length - 1];
+    if (last && last.day === slot.day && slot.start <= last.end) last.end = Math.max(last.end, slot.end);
+    else merged.push(slot);
+  }
+  if (merged.length > MAX_AVAILABILITY_SLOTS) {
+    throw new ApiError(400, `You can add at most ${MAX_AVAILABILITY_SLOTS} availability slots.`);
+  }
+  return { timezone, slots: merged };
+};
+
+// How many minutes `timezone` is ahead of UTC right now. Weekly slots follow the current offset,
+// so suggestions can be an hour off for a week or two around a DST change.
+const offsetMinutes = (timezone, at) => Math.round(getTimeZoneOffset(at, timezone) / 60000);
+
+const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+};
+
+/**
+ * Availability as [start, end) minute ranges of a UTC week that starts on Sunday 00:00.
+ */
+const toUtcWeekIntervals = (availability, at) => {
+  const offset = offsetMinutes(availability.timezone, at);
+  const intervals = [];
+  for (const { day, start, end } of availability.slots) {
+    const utcStart = mod(day * MINUTES_PER_DAY + start - offset, MINUTES_PER_WEEK);
+    const utcEnd = utcStart + (end - start);
+    // Slots that run past the end of the UTC week wrap round to its start.
+    if (utcEnd <= MINUTES_PER_WEEK) intervals.push([utcStart, utcEnd]);
+    else intervals.push([utcStart, MINUTES_PER_WEEK], [0, utcEnd - MINUTES_PER_WEEK]);
+  }
+  return mergeIntervals(intervals);
+};
+
+const intersectIntervals = (a, b) => {
+  const overlaps = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = Math.max(a[i][0], b[j][0]);
+    const end = Math.min(a[i][1], b[j][1]);
+    if (start < end) overlaps.push([start, end]);
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return overlaps;
+};
+
+/**
+ * A UTC week range as wall-clock time in `timezone`: { day, start, endDay, end }.
+ */
+const toLocalRange = ([utcStart, utcEnd], timezone, at) => {
+  const offset = offsetMinutes(timezone, at);
+  const localStart = mod(utcStart + offset, MINUTES_PER_WEEK);
+  const localEnd = mod(utcEnd + offset - 1, MINUTES_PER_WEEK) + 1;
+  return {
+    timezone,
+    day: Math.floor(localStart / MINUTES_PER_DAY),
+    start: localStart % MINUTES_PER_DAY,
+    endDay: Math.floor((localEnd - 1) / MINUTES_PER_DAY),
+    end: ((localEnd - 1) % MINUTES_PER_DAY) + 1,
+  };
+};
+
+/**
+ * Weekly times both sides are free, longest first, each given in both sides' own time zones.
+ * @returns {{ minutes: number, first: object, second: object }[]}
+ */
+export const findAvailabilityOverlaps = (first, second, { at = new Date() } = {}) => {
+  if (!hasSlots(first) || !hasSlots(second)) return [];
+  // A UTC week cuts through someone's Saturday night, so an overlap can be split across its end.
+  const overlaps = mergeIntervals(intersectIntervals(toUtcWeekIntervals(first, at), toUtcWeekIntervals(second, at)));
+  const wrapsRound = overlaps.length > 1 && overlaps[0][0] === 0 && overlaps[overlaps.length - 1][1] === MINUTES_PER_WEEK;
+  if (wrapsRound) {
+    const head = overlaps.shift();
+    overlaps[overlaps.length - 1][1] += head[1];
+  }
+
+  return overlaps
+    .map(([start, end]) => ({ interval: [start, end], minutes: end - start }))
+    .filter(({ minutes }) => minutes >= MIN_OVERLAP_MINUTES)
+    .sort((a, b) => b.minutes - a.minutes)
+    .slice(0, MAX_OVERLAP_SUGGESTIONS)
+    .map(({ interval, minutes }) => ({
+      minutes,
+      first: toLocalRange(interval, first.timezone, at),
+      second: toLocalRange(interval, second.timezone, at),
+    }));
+};
+
+/**
+ * Share of the smaller side's weekly hours that the other side is also free for, in [0, 1].
+ * Returns null when either side has not set up availability.
+ */
+export const availabilityOverlapRatio = (first, second, { at = new Date() } = {}) => {
+  if (!hasSlots(first) || !hasSlots(second)) return null;
+  const a = toUtcWeekIntervals(first, at);
+  const b = toUtcWeekIntervals(second, at);
+  const total = intervals => intervals.reduce((sum, [start, end]) => sum + end - start, 0);
+  const shared = total(intersectIntervals(a, b));
+  return shared / Math.min(total(a), total(b));
+};
+
+/**
+ * Parses a search filter such as "weekdays-evening", "weekends" or "morning" into the days and
+ * time window a slot has to touch.
+ */
+export const parseAvailabilityFilter = (value) => {
+  const parts = String(value).toLowerCase().split('-').filter(Boolean);
+  const dayGroups = parts.filter(part => AVAILABILITY_DAY_GROUPS[part]);
+  const timeWindows = parts.filter(part => AVAILABILITY_TIME_WINDOWS[part]);
+  if (parts.length === 0 || dayGroups.length > 1 || timeWindows.length > 1 || dayGroups.length + timeWindows.length !== parts.length) {
+    throw new ApiError(400, `Invalid availability filter. Combine ${Object.keys(AVAILABILITY_DAY_GROUPS).join(' or ')} with ${Object.keys(AVAILABILITY_TIME_WINDOWS).join(', ')}, e.g. "weekdays-evening".`);
+  }
+  return {
+    days: dayGroups.length ? AVAILABILITY_DAY_GROUPS[dayGroups[0]] : [0, 1, 2, 3, 4, 5, 6],
+    window: timeWindows.length ? AVAILABILITY_TIME_WINDOWS[timeWindows[0]] : { start: 0, end: MINUTES_PER_DAY },
+  };
+};
+
+/**
+ * Validates a time picked from the overlap suggestions before it is stored on a proposal.
+ */
+export const parseWeeklyRange = (range) => {
+  const { timezone, day, start, endDay, end } = range || {};
+  const isDay = value => Number.isInteger(value) && value >= 0 && value <= 6;
+  const isMinute = value => Number.isInteger(value) && value >= 0 && value <= MINUTES_PER_DAY;
+  if (!isValidTimeZone(timezone) || !isDay(day) || !isDay(endDay) || !isMinute(start) || !isMinute(end)) {
+    throw new ApiError(400, "The preferred time is not valid.");
+  }
+  return { timezone, day, start, endDay, end };
+};
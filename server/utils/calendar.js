@@ -0,0 +1,278 @@
+const MAX_OCCURRENCES = 52;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Building a formatter is far slower than using one, and the time zone scan below uses thousands.
+const zonedFormatters = new Map();
+const getZonedFormatter = (timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }));
+  }
+  return zonedFormatters.get(timeZone);
+};
+
+/**
+ * Returns the wall-clock parts of `date` in the given IANA time zone.
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = getZonedFormatter(timeZone).formatToParts(date);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+};
+
+/**
+ * Milliseconds the given time zone is ahead of UTC at `date`.
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Converts wall-clock parts in the given time zone back to an absolute Date.
+ * Day and month overflow is normalised the same way Date.UTC does.
+ */
+const zonedPartsToDate = ({ year, month, day, hour, minute, second }, timeZone) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  let offset = getTimeZoneOffset(new Date(asUtc), timeZone);
+  const corrected = getTimeZoneOffset(new Date(asUtc - offset), timeZone);
+  if (corrected !== offset) offset = corrected;
+  return new Date(asUtc - offset);
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Lists the start times of a session's occurrences, in order, that start before `until`.
+ * Repeats keep the same wall-clock time in the session's time zone across DST changes.
+ * Like an RRULE, a monthly repeat skips months that lack its day (a session on the 31st
+ * repeats only in months with 31 days), and the skipped months do not count towards `count`.
+ * @param {object} session - A ScheduledSession.
+ * @param {Date} [until] - Stop before this date. Defaults to the recurrence end.
+ * @returns {Date[]}
+ */
+export const getOccurrences = (session, until) => {
+  const { frequency = 'none', interval = 1, count, until: recurrenceEnd } = session.recurrence || {};
+  const start = new Date(session.startTime);
+  if (frequency === 'none') {
+    return !until || start < until ? [start] : [];
+  }
+
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const base = getZonedParts(start, session.timezone);
+  const occurrences = [];
+  // Twelve steps always reach the starting month again, so a run of skipped months is shorter than that.
+  for (let i = 0; occurrences.length < limit && i < limit * 12; i++) {
+    const parts = { ...base };
+    if (frequency === 'daily') parts.day += i * interval;
+    if (frequency === 'weekly') parts.day += i * interval * 7;
+    if (frequency === 'monthly') {
+      const monthIndex = base.month - 1 + i * interval;
+      parts.year += Math.floor(monthIndex / 12);
+      parts.month = (monthIndex % 12) + 1;
+      if (parts.day > daysInMonth(parts.year, parts.month)) continue;
+    }
+    const occurrence = zonedPartsToDate(parts, session.timezone);
+    if (recurrenceEnd && occurrence > recurrenceEnd) break;
+    if (until && occurrence >= until) break;
+    occurrences.push(occurrence);
+  }
+  return occurrences;
+};
+
+/**
+ * Returns the first occurrence that starts at or after `from`, or null if there is none.
+ */
+export const getNextOccurrence = (session, from = new Date()) => {
+  return getOccurrences(session).find(occurrence => occurrence >= from) ?? null;
+};
+
+/**
+ * Formats a date for notifications, e.g. "Mar 1, 2026, 12:00 PM (America/New_York)".
+ */
+export const formatSessionTime = (date, timeZone) => `${new Date(date).toLocaleString('en-US', {
+  timeZone,
+  dateStyle: 'medium',
+  timeStyle: 'short',
+})} (${timeZone})`;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+const formatZoned = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(new Date(date), timeZone);
+  return `${year}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+};
+
+const escapeText = (text = '') => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 limits content lines to 75 octets; longer lines continue after CRLF + space.
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const buildRecurrenceRule = ({ frequency, interval = 1, count, until }) => {
+  const rule = [`FREQ=${frequency.toUpperCase()}`, `INTERVAL=${interval}`];
+  // RFC 5545 allows only one of UNTIL and COUNT; sessions never repeat more than MAX_OCCURRENCES times.
+  rule.push(until ? `UNTIL=${formatUtc(until)}` : `COUNT=${Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES)}`);
+  return `RRULE:${rule.join(';')}`;
+};
+
+// Local time with no zone, as the DTSTART of a VTIMEZONE observance is written.
+const formatFloating = (time) => formatUtc(time).slice(0, -1);
+
+const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / MINUTE_MS);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+/**
+ * Finds when the time zone's UTC offset changes between `from` and `to`, to the minute.
+ * The offset is sampled daily, which catches every DST change in use today.
+ * @returns {{ initialOffset: number, transitions: Array<{ at: number, offsetFrom: number, offsetTo: number }> }}
+ */
+const findOffsetTransitions = (timeZone, from, to) => {
+  const offsetAt = time => getTimeZoneOffset(new Date(time), timeZone);
+  const initialOffset = offsetAt(from);
+  const transitions = [];
+  let offset = initialOffset;
+  for (let previous = from; previous < to; previous += DAY_MS) {
+    const next = Math.min(previous + DAY_MS, to);
+    const nextOffset = offsetAt(next);
+    if (nextOffset === offset) continue;
+    let [low, high] = [previous, next];
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (offsetAt(middle) === offset) low = middle;
+      else high = middle;
+    }
+    transitions.push({ at: high, offsetFrom: offset, offsetTo: nextOffset });
+    offset = nextOffset;
+  }
+  return { initialOffset, transitions };
+};
+
+/**
+ * A VTIMEZONE for each zone that recurring events refer to by TZID, as RFC 5545 requires.
+ * Each one lists the zone's actual offset changes over the span of those events, from the
+ * same Intl data the occurrences are computed with.
+ */
+const buildTimeZones = (sessions) => {
+  const spans = new Map();
+  sessions
+    .filter(session => session.recurrence?.frequency && session.recurrence.frequency !== 'none')
+    .forEach((session) => {
+      const start = new Date(session.startTime).getTime();
+      const last = getOccurrences(session).at(-1)?.getTime() ?? start;
+      const end = last + (new Date(session.endTime).getTime() - start);
+      const span = spans.get(session.timezone) || { from: start, to: end };
+      spans.set(session.timezone, { from: Math.min(span.from, start), to: Math.max(span.to, end) });
+    });
+
+  return [...spans].flatMap(([timeZone, span]) => {
+    // Starts a day early, on a whole minute, so the first observance is in effect before any event.
+    const from = Math.floor((span.from - DAY_MS) / MINUTE_MS) * MINUTE_MS;
+    const { initialOffset, transitions } = findOffsetTransitions(timeZone, from, span.to + DAY_MS);
+    const observances = [
+      { at: from, offsetFrom: initialOffset, offsetTo: initialOffset, kind: 'STANDARD' },
+      ...transitions.map(transition => ({ ...transition, kind: transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD' })),
+    ];
+    return [
+      'BEGIN:VTIMEZONE',
+      `TZID:${timeZone}`,
+      ...observances.flatMap(({ at, offsetFrom, offsetTo, kind }) => [
+        `BEGIN:${kind}`,
+        `DTSTART:${formatFloating(at + offsetFrom)}`,
+        `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+        `TZOFFSETTO:${formatOffset(offsetTo)}`,
+        `END:${kind}`,
+      ]),
+      'END:VTIMEZONE',
+    ];
+  });
+};
+
+const buildEvent = (session, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${session._id}@skill4skill`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `LAST-MODIFIED:${formatUtc(session.updatedAt || stamp)}`,
+  ];
+
+  const repeats = session.recurrence?.frequency && session.recurrence.frequency !== 'none';
+  if (repeats) {
+    // Recurring events are anchored to their time zone so repeats survive DST changes.
+    lines.push(`DTSTART;TZID=${session.timezone}:${formatZoned(session.startTime, session.timezone)}`);
+    lines.push(`DTEND;TZID=${session.timezone}:${formatZoned(session.endTime, session.timezone)}`);
+    lines.push(buildRecurrenceRule(session.recurrence));
+  } else {
+    lines.push(`DTSTART:${formatUtc(session.startTime)}`);
+    lines.push(`DTEND:${formatUtc(session.endTime)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(session.title)}`);
+  const description = [session.description, session.meetingLink && `Join: ${session.meetingLink}`]
+    .filter(Boolean)
+    .join('\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (session.location || session.meetingLink) lines.push(`LOCATION:${escapeText(session.location || session.meetingLink)}`);
+  if (session.meetingLink) lines.push(`URL:${session.meetingLink}`);
+  lines.push(`STATUS:${session.status === 'confirmed' ? 'CONFIRMED' : session.status === 'cancelled' ? 'CANCELLED' : 'TENTATIVE'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Builds an iCalendar (.ics) document for the given sessions.
+ * @param {object[]} sessions - ScheduledSession documents.
+ * @param {object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps when subscribing.
+ * @returns {string}
+ */
+export const buildICalendar = (sessions, { name = 'skill4skill' } = {}) => {
+  const stamp = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//skill4skill//Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...buildTimeZones(sessions),
+    ...sessions.flatMap(session => buildEvent(session, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,151 @@
+import { Category } from '../models/category.model.js';
+import { ApiError } from './ApiError.js';
+
+// The taxonomy a fresh database starts with. Admins manage it from there.
+export const DEFAULT_CATEGORIES = [
+  {
+    name: 'Tech',
+    icon: '💻',
+    subcategories: ['Web Development', 'Data Science', 'DevOps', 'Cybersecurity'],
+    subtopics: ["Learn Python in 1 Hour", "JavaScript Basics", "React Hooks Tutorial", "Node.js for Beginners", "Intro to SQL", "CSS Flexbox Crash Course", "Data Structures Explained", "What is an API?", "Docker Fundamentals", "Git and GitHub Basics", "Intro to Machine Learning", "Cybersecurity Essentials", "Building a REST API", "Vue.js vs React", "TypeScript for Beginners"],
+  },
+  {
+    name: 'Art',
+    icon: '🎨',
+    subcategories: ['Drawing', 'Digital Art', '3D Modeling'],
+    subtopics: ["Digital Painting for Beginners", "Character Design Tips", "Perspective Drawing Basics", "Color Theory Explained", "How to Use Procreate", "Watercolor Techniques", "3D Modeling in Blender", "Sketching Fundamentals", "Pixel Art Tutorial", "Understanding Composition", "Creating Digital Illustrations", "Abstract Art Techniques", "Clay Sculpting Basics", "Figure Drawing", "Concept Art for Games"],
+  },
+  {
+    name: 'Music',
+    icon: '🎵',
+    subcategories: ['Instruments', 'Singing', 'Music Production'],
+    subtopics: ["Beginner Guitar Chords", "How to Read Sheet Music", "Music Theory 101", "Singing Lessons for Beginners", "Making a Beat in FL Studio", "Piano Basics", "Ukulele First Lesson", "How to Use a DAW", "Songwriting for Beginners", "Drumming Fundamentals", "Music Production Basics", "Mixing and Mastering", "Learn to DJ", "Violin for Beginners", "Bass Guitar Basics"],
+  },
+  {
+    name: 'Writing',
+    icon: '✍️',
+    subcategories: ['Fiction', 'Copywriting', 'Technical Writing'],
+    subtopics: ["Creative Writing Prompts", "How to Write a Novel", "Screenwriting for Beginners", "Copywriting Tips", "Better Storytelling", "Poetry for Beginners", "Writing a Blog Post", "Editing Your Own Work", "Building Fictional Worlds", "Character Development", "Technical Writing Basics", "Freelance Writing Guide", "How to Overcome Writer's Block", "Journaling for Clarity", "Writing Dialogue"],
+  },
+  { name: 'Marketing', icon: '📈', subcategories: ['Social Media', 'SEO'], subtopics: [] },
+  { name: 'Language', icon: '🗣️', subcategories: [], subtopics: [] },
+  { name: 'Fitness', icon: '🏋️', subcategories: [], subtopics: [] },
+  { name: 'Cooking', icon: '🍳', subcategories: [], subtopics: [] },
+  { name: 'Crafts', icon: '🧶', subcategories: [], subtopics: [] },
+  { name: 'Other', icon: '✨', subcategories: [], subtopics: [] },
+];
+
+const byName = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+const sameName = (a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }) === 0;
+
+export const slugify = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Subcategory slugs start with their parent's, so "Drawing" can exist under more than one category.
+ */
+export const slugFor = (name, parent) => (parent ? `${parent.slug}-${slugify(name)}` : slugify(name));
+
+/**
+ * Inserts any default category that is missing, matched by slug. Safe to run more than once.
+ */
+export const ensureDefaultCategories = async () => {
+  await Category.bulkWrite(DEFAULT_CATEGORIES.map(({ name, icon, subtopics }, order) => ({
+    updateOne: {
+      filter: { slug: slugFor(name) },
+      update: { $setOnInsert: { name, icon, subtopics, order, parent: null } },
+      upsert: true,
+    },
+  })));
+  const parents = await Category.find({ parent: null }).select('slug').lean();
+  const parentsBySlug = new Map(parents.map(parent => [parent.slug, parent]));
+  const childOps = DEFAULT_CATEGORIES.flatMap(({ name, subcategories }) => {
+    const parent = parentsBySlug.get(slugFor(name));
+    return subcategories.map((childName, order) => ({
+      updateOne: {
+        filter: { slug: slugFor(childName, parent) },
+        update: { $setOnInsert: { name: childName, parent: parent._id, order } },
+        upsert: true,
+      },
+    }));
+  });
+  if (childOps.length) await Category.bulkWrite(childOps);
+};
+
+// Categories change rarely and are read on every skill create and search, so they are cached.
+let loadPromise = null;
+
+const loadCategories = () => {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      if (await Category.estimatedDocumentCount() === 0) await ensureDefaultCategories();
+      return Category.find().lean();
+    })().catch((error) => {
+      loadPromise = null;
+      throw error;
+    });
+  }
+  return loadPromise;
+};
+
+/**
+ * Call after any change to the categories collection.
+ */
+export const invalidateCategories = () => {
+  loadPromise = null;
+};
+
+/**
+ * Top-level categories in display order, each with its `subcategories`.
+ */
+export const getCategoryTree = async ({ includeInactive = false } = {}) => {
+  const categories = (await loadCategories()).filter(category => includeInactive || category.isActive);
+  const childrenByParent = new Map();
+  categories.filter(category => category.parent).forEach((child) => {
+    const key = child.parent.toString();
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(child);
+  });
+  return categories
+    .filter(category => !category.parent)
+    .sort(byName)
+    .map(category => ({ ...category, subcategories: (childrenByParent.get(category._id.toString()) || []).sort(byName) }));
+};
+
+const findIn = (categories, value) => categories.find(category => category.slug === value || sameName(category.name, value));
+
+/**
+ * Turns the category (and optional subcategory) picked for a skill, by slug or name, into the
+ * names stored on the skill. Only active categories can be picked.
+ */
+export const resolveCategory = async (category, subcategory) => {
+  const tree = await getCategoryTree();
+  const parent = findIn(tree, String(category || '').trim());
+  if (!parent) throw new ApiError(400, `Unknown category "${category}". Pick one from the list.`);
+  if (!subcategory) return { category: parent.name, subcategory: undefined };
+  const child = findIn(parent.subcategories, String(subcategory).trim());
+  if (!child) throw new ApiError(400, `"${subcategory}" is not a subcategory of ${parent.name}.`);
+  return { category: parent.name, subcategory: child.name };
+};
+
+/**
+ * The stored name for a category filter given by slug or name. Unknown values pass through
+ * unchanged, so they simply match nothing.
+ */
+export const categoryNameFor = async (value) => {
+  const tree = await getCategoryTree({ includeInactive: true });
+  return findIn(tree, value)?.name ?? value;
+};
+
+/**
+ * Every tutorial topic across active categories, for YouTube suggestions.
+ */
+export const getAllSubtopics = async () => {
+  const categories = (await loadCategories()).filter(category => category.isActive);
+  return categories.flatMap(category => category.subtopics || []);
+};
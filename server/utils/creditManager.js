@@ -0,0 +1,164 @@
+import { User } from '../models/user.model.js';
+import { Proposal } from '../models/proposal.model.js';
+import { CreditTransaction } from '../models/creditTransaction.model.js';
+import { ApiError } from './ApiError.js';
+
+const idOf = (ref) => ref?._id ?? ref;
+
+/**
+ * Changes a user's swapCredits (available) and heldCredits (escrow) balances and appends
+ * the change to the credit ledger. Every balance mutation must go through here so that
+ * each balance can be explained.
+ * @param {object} change
+ * @param {string} change.userId - The user whose balance changes.
+ * @param {number} [change.amount=0] - Signed change to the available balance; negative values are debits.
+ * @param {number} [change.heldAmount=0] - Signed change to the held (escrowed) balance.
+ * @param {string} change.type - One of the CreditTransaction types.
+ * @param {string} [change.counterparty] - The other user involved, if any.
+ * @param {string} [change.sourceModel] - 'Proposal' or 'Team'.
+ * @param {string} [change.sourceId] - The proposal or team that caused the change.
+ * @param {string} [change.description] - Human readable reason shown in the history.
+ * @param {import('mongoose').ClientSession} [change.session] - Transaction session to run in.
+ * @returns {Promise<object|null>} The ledger entry, or null when nothing changes.
+ */
+export const applyCreditChange = async ({ userId, amount = 0, heldAmount = 0, type, counterparty, sourceModel, sourceId, description, session }) => {
+  if (!amount && !heldAmount) return null;
+
+  const filter = { _id: userId };
+  if (amount < 0) filter.swapCredits = { $gte: -amount };
+  if (heldAmount < 0) filter.heldCredits = { $gte: -heldAmount };
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { swapCredits: amount, heldCredits: heldAmount } },
+    { new: true, session }
+  ).select('swapCredits heldCredits');
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId }).session(session ?? null);
+    if (!exists) throw new ApiError(404, "User not found");
+    if (heldAmount < 0 && amount >= 0) throw new ApiError(409, "The held credits for this swap are no longer available.");
+    throw new ApiError(400, "You do not have enough credits for this action.");
+  }
+
+  const [transaction] = await CreditTransaction.create([{
+    user: userId,
+    type,
+    amount,
+    balanceAfter: user.swapCredits,
+    heldAmount,
+    heldBalanceAfter: user.heldCredits,
+    counterparty,
+    sourceModel,
+    sourceId,
+    description,
+  }], { session });
+  return transaction;
+};
+
+/**
+ * Moves credits from one user to another, writing one ledger entry on each side.
+ */
+export const transferCredits = async ({ fromUserId, toUserId, amount, debitType, creditType, sourceModel, sourceId, description, session }) => {
+  const debit = await applyCreditChange({
+    userId: fromUserId,
+    amount: -amount,
+    type: debitType,
+    counterparty: toUserId,
+    sourceModel,
+    sourceId,
+    description,
+    session,
+  });
+  const credit = await applyCreditChange({
+    userId: toUserId,
+    amount,
+    type: creditType,
+    counterparty: fromUserId,
+    sourceModel,
+    sourceId,
+    description,
+    session,
+  });
+  return { debit, credit };
+};
+
+/**
+ * Moves the cost of a credit proposal from the proposer's available balance into escrow.
+ * The caller is responsible for saving the proposal afterwards, in the same session.
+ */
+export const holdProposalCredits = async (proposal, description, session) => {
+  await applyCreditChange({
+    userId: idOf(proposal.proposer),
+    amount: -proposal.costInCredits,
+    heldAmount: proposal.costInCredits,
+    type: 'escrow_hold',
+    counterparty: idOf(proposal.receiver),
+    sourceModel: 'Proposal',
+    sourceId: proposal._id,
+    description,
+    session,
+  });
+  proposal.escrowStatus = 'held';
+};
+
+/**
+ * Pays the escrowed cost of a proposal out to the receiver.
+ * The caller is responsible for saving the proposal afterwards, in the same session.
+ */
+export const releaseProposalCredits = async (proposal, description, session) => {
+  const proposerId = idOf(proposal.proposer);
+  const receiverId = idOf(proposal.receiver);
+  await applyCreditChange({
+    userId: proposerId,
+    heldAmount: -proposal.costInCredits,
+    type: 'escrow_release',
+    counterparty: receiverId,
+    sourceModel: 'Proposal',
+    sourceId: proposal._id,
+    description,
+    session,
+  });
+  await applyCreditChange({
+    userId: receiverId,
+    amount: proposal.costInCredits,
+    type: 'swap_earning',
+    counterparty: proposerId,
+    sourceModel: 'Proposal',
+    sourceId: proposal._id,
+    description,
+    session,
+  });
+  proposal.escrowStatus = 'released';
+};
+
+/**
+ * Returns the escrowed cost of a proposal to the proposer's available balance.
+ * The caller is responsible for saving the proposal afterwards, in the same session.
+ */
+export const refundProposalCredits = async (proposal, description, session) => {
+  await applyCreditChange({
+    userId: idOf(proposal.proposer),
+    amount: proposal.costInCredits,
+    heldAmount: -proposal.costInCredits,
+    type: 'escrow_refund',
+    counterparty: idOf(proposal.receiver),
+    sourceModel: 'Proposal',
+    sourceId: proposal._id,
+    description,
+    session,
+  });
+  proposal.escrowStatus = 'refunded';
+};
+
+/**
+ * Refunds every proposal matching the query that still has credits in escrow.
+ * Used before proposals are removed as a side effect of deleting a skill or an account.
+ */
+export const refundHeldProposals = async (query, description, session) => {
+  const proposals = await Proposal.find({ ...query, escrowStatus: 'held' }).session(session ?? null);
+  for (const proposal of proposals) {
+    await refundProposalCredits(proposal, description, session);
+    await proposal.save({ validateBeforeSave: false, session });
+  }
+};
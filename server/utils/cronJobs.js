@@ -1,4 +1,24 @@
 import { User } from '../models/user.model.js';
+import { Proposal } from '../models/proposal.model.js';
+import { notifyUser } from './notificationManager.js';
+import { PROPOSAL_EXPIRY_DAYS, transitionProposal } from './proposalStateMachine.js';
+import { ScheduledSession } from '../models/scheduledSession.model.js';
+import { getNextOccurrence, formatSessionTime } from './calendar.js';
+import { Skill } from '../models/skill.model.js';
+import { SkillMatch, getPairKey } from '../models/skillMatch.model.js';
+import { findMutualMatches } from './skillMatcher.js';
+import { RingSwap } from '../models/ringSwap.model.js';
+import { RingSwapSuggestion } from '../models/ringSwapSuggestion.model.js';
+import { findAllRingSwaps } from './ringSwapFinder.js';
+import { SKILL_EXPIRY_DAYS, SKILL_RENEWAL_REMINDER_DAYS, daysAgo, lastRenewedBefore } from './skillLifecycle.js';
+import { removeSkillFromVocabulary } from './searchVocabulary.js';
+import { SavedSearch, MAX_ALERTED_SKILLS } from '../models/savedSearch.model.js';
+import { findNewMatches, sendSavedSearchDigest } from './savedSearches.js';
+
+const SESSION_REMINDER_MINUTES = parseInt(process.env.SESSION_REMINDER_MINUTES) || 60;
+const MATCH_NOTIFY_THRESHOLD = parseFloat(process.env.MATCH_NOTIFY_THRESHOLD) || 0.7;
+// Looks back further than the job interval so a slow or missed run does not skip any skills.
+const MATCH_LOOKBACK_HOURS = 3;
 
 export const cleanupUnverifiedUsers = async () => {
   console.log('Running daily cleanup job for unverified users...');
@@ -19,3 +39,337 @@ export const cleanupUnverifiedUsers = async () => {
     console.error('Error during unverified user cleanup job:', error);
   }
 };
+
+export const expireStaleProposals = async () => {
+  console.log('Running job to expire stale proposals...');
+  try {
+    const now = new Date();
+    const legacyCutoff = new Date(now.getTime() - PROPOSAL_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+    // Proposals created before expiry dates existed fall back to their creation date.
+    const staleProposals = await Proposal.find({
+      status: { $in: ['pending', 'countered'] },
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: { $exists: false }, createdAt: { $lte: legacyCutoff } },
+      ],
+    }).populate('requestedSkill', 'title');
+
+    let expiredCount = 0;
+    for (const proposal of staleProposals) {
+      try {
+        await transitionProposal(proposal, 'expired', 'system');
+      } catch (error) {
+        // Someone responded to the proposal while the job was running.
+        continue;
+      }
+      expiredCount++;
+
+      const message = `Your proposal for "${proposal.requestedSkill?.title || 'a deleted skill'}" has expired without a response.`;
+      await notifyUser(proposal.proposer, message, { pushTitle: 'Proposal Expired' });
+      await notifyUser(proposal.receiver, `A proposal for "${proposal.requestedSkill?.title || 'your skill'}" expired before it was answered.`, { pushTitle: 'Proposal Expired' });
+    }
+
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} stale proposal(s).`);
+    } else {
+      console.log('No stale proposals found.');
+    }
+  } catch (error) {
+    console.error('Error during proposal expiry job:', error);
+  }
+};
+
+export const sendSessionReminders = async () => {
+  console.log('Running session reminder job...');
+  try {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + SESSION_REMINDER_MINUTES * 60 * 1000);
+
+    const sessions = await ScheduledSession.find({
+      status: 'confirmed',
+      startTime: { $lte: windowEnd },
+      $or: [
+        { startTime: { $gte: now } },
+        { 'recurrence.frequency': { $ne: 'none' }, 'recurrence.until': { $not: { $lt: now } } },
+      ],
+    });
+
+    let reminderCount = 0;
+    for (const session of sessions) {
+      const occurrence = getNextOccurrence(session, now);
+      if (!occurrence || occurrence > windowEnd) continue;
+      if (session.lastReminderFor && session.lastReminderFor >= occurrence) continue;
+
+      // Claim the reminder first so overlapping runs never send it twice.
+      const claimed = await ScheduledSession.findOneAndUpdate(
+        { _id: session._id, lastReminderFor: session.lastReminderFor ?? null },
+        { $set: { lastReminderFor: occurrence } }
+      );
+      if (!claimed) continue;
+      reminderCount++;
+
+      const message = `Reminder: "${session.title}" starts at ${formatSessionTime(occurrence, session.timezone)}.`;
+      await Promise.all(session.participants.map(userId => notifyUser(userId, message, { pushTitle: 'Upcoming Session' })));
+    }
+
+    if (reminderCount > 0) {
+      console.log(`Sent reminders for ${reminderCount} session(s).`);
+    } else {
+      console.log('No upcoming sessions need a reminder.');
+    }
+  } catch (error) {
+    console.error('Error during session reminder job:', error);
+  }
+};
+
+export const notifyMutualMatches = async () => {
+  console.log('Running job to notify new mutual skill matches...');
+  try {
+    const since = new Date(Date.now() - MATCH_LOOKBACK_HOURS * 60 * 60 * 1000);
+    // Only users whose skills changed recently can have gained a new match.
+    const userIds = await Skill.distinct('user', { status: 'active', updatedAt: { $gte: since } });
+
+    let notifiedCount = 0;
+    for (const userId of userIds) {
+      const matches = await findMutualMatches(userId, { minScore: MATCH_NOTIFY_THRESHOLD });
+      for (const match of matches) {
+        // Record the pair before notifying, so each pair hears about it once.
+        const { upsertedCount } = await SkillMatch.updateOne(
+          { pairKey: getPairKey(userId, match.userId) },
+          {
+            $setOnInsert: {
+              users: [userId, match.userId],
+              score: match.score,
+              skills: [match.iTeach.offer._id, match.iTeach.request._id, match.theyTeach.offer._id, match.theyTeach.request._id],
+              notifiedAt: new Date(),
+            },
+          },
+          { upsert: true }
+        );
+        if (!upsertedCount) continue;
+        notifiedCount++;
+
+        const [user, otherUser] = await Promise.all([
+          User.findById(userId).select('username'),
+          User.findById(match.userId).select('username'),
+        ]);
+        if (!user || !otherUser) continue;
+        await notifyUser(userId, `You and ${otherUser.username} are a strong match: you can teach "${match.iTeach.offer.title}" and learn "${match.theyTeach.offer.title}".`, {
+          url: `/profile/${otherUser.username}`,
+          pushTitle: 'New Skill Match',
+        });
+        await notifyUser(match.userId, `You and ${user.username} are a strong match: you can teach "${match.theyTeach.offer.title}" and learn "${match.iTeach.offer.title}".`, {
+          url: `/profile/${user.username}`,
+          pushTitle: 'New Skill Match',
+        });
+      }
+    }
+
+    if (notifiedCount > 0) {
+      console.log(`Notified ${notifiedCount} new mutual match(es).`);
+    } else {
+      console.log('No new mutual matches found.');
+    }
+  } catch (error) {
+    console.error('Error during mutual match job:', error);
+  }
+};
+
+export const expireStaleRingSwaps = async () => {
+  console.log('Running job to expire stale ring swaps...');
+  try {
+    const staleRingSwaps = await RingSwap.find({ status: 'proposed', expiresAt: { $lte: new Date() } });
+
+    let expiredCount = 0;
+    for (const ringSwap of staleRingSwaps) {
+      const { modifiedCount } = await RingSwap.updateOne({ _id: ringSwap._id, status: 'proposed' }, { $set: { status: 'expired' } });
+      // Skip ring swaps that someone answered while the job was running.
+      if (modifiedCount === 0) continue;
+      expiredCount++;
+
+      await Promise.all(ringSwap.participants.map(({ user }) =>
+        notifyUser(user, 'A ring swap you were part of expired before everyone accepted it.', { pushTitle: 'Ring Swap Expired' })
+      ));
+    }
+
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} stale ring swap(s).`);
+    } else {
+      console.log('No stale ring swaps found.');
+    }
+  } catch (error) {
+    console.error('Error during ring swap expiry job:', error);
+  }
+};
+
+export const refreshRingSwapSuggestions = async () => {
+  console.log('Running ring swap suggestion job...');
+  try {
+    const runStartedAt = new Date();
+    const cyclesByUser = await findAllRingSwaps();
+
+    const operations = [...cyclesByUser].map(([userId, cycles]) => ({
+      updateOne: {
+        filter: { user: userId },
+        update: { $set: { cycles, computedAt: runStartedAt } },
+        upsert: true,
+      },
+    }));
+    if (operations.length > 0) await RingSwapSuggestion.bulkWrite(operations, { ordered: false });
+    // Users who had loops last time but have none now.
+    await RingSwapSuggestion.deleteMany({ computedAt: { $lt: runStartedAt } });
+
+    console.log(`Stored ring swap suggestions for ${operations.length} user(s).`);
+  } catch (error) {
+    console.error('Error during ring swap suggestion job:', error);
+  }
+};
+
+export const expireInactiveSkills = async () => {
+  console.log('Running job to expire inactive skill listings...');
+  try {
+    const now = new Date();
+
+    // Warn owners a few days ahead, once per listing, so they can renew in time.
+    const reminderCutoff = daysAgo(SKILL_EXPIRY_DAYS - SKILL_RENEWAL_REMINDER_DAYS, now);
+    const dueForReminder = await Skill.find({
+      ...lastRenewedBefore(reminderCutoff),
+      renewalReminderSentAt: { $exists: false },
+    }).select('user title');
+    for (const skill of dueForReminder) {
+      const { modifiedCount } = await Skill.updateOne(
+        { _id: skill._id, status: 'active', renewalReminderSentAt: { $exists: false } },
+        { $set: { renewalReminderSentAt: now } }
+      );
+      if (modifiedCount === 0) continue;
+      await notifyUser(skill.user, `Your skill "${skill.title}" will expire in ${SKILL_RENEWAL_REMINDER_DAYS} days. Renew it to keep it listed.`, { url: '/my-skills', pushTitle: 'Renew Your Skill' });
+    }
+
+    const expiryCutoff = daysAgo(SKILL_EXPIRY_DAYS, now);
+    const staleSkills = await Skill.find(lastRenewedBefore(expiryCutoff)).select('user title status');
+    let expiredCount = 0;
+    for (const skill of staleSkills) {
+      const { modifiedCount } = await Skill.updateOne({ _id: skill._id, status: 'active' }, { $set: { status: 'expired' } });
+      // Skip skills that were renewed or changed while the job was running.
+      if (modifiedCount === 0) continue;
+      expiredCount++;
+      removeSkillFromVocabulary(skill._id);
+      await notifyUser(skill.user, `Your skill "${skill.title}" expired after ${SKILL_EXPIRY_DAYS} days without activity. Renew it to list it again.`, { url: '/my-skills', pushTitle: 'Skill Expired' });
+    }
+
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} inactive skill(s).`);
+    } else {
+      console.log('No inactive skills found.');
+    }
+  } catch (error) {
+    console.error('Error during skill expiry job:', error);
+  }
+};
+
+export const notifySavedSearchMatches = async () => {
+  console.log('Running saved search alert job...');
+  try {
+    const runStartedAt = new Date();
+    const searches = await SavedSearch.find({ isActive: true, lastCheckedAt: { $lt: runStartedAt } });
+
+    let alertCount = 0;
+    for (const search of searches) {
+      // Claim the window first so overlapping runs never announce the same listings twice.
+      const { modifiedCount } = await SavedSearch.updateOne(
+        { _id: search._id, lastCheckedAt: search.lastCheckedAt },
+        { $set: { lastCheckedAt: runStartedAt } }
+      );
+      if (modifiedCount === 0) continue;
+
+      let skills;
+      try {
+        skills = await findNewMatches(search, search.lastCheckedAt, runStartedAt);
+      } catch (error) {
+        console.error(`Could not evaluate saved search ${search._id}:`, error.message);
+        continue;
+      }
+      if (skills.length === 0) continue;
+      alertCount++;
+
+      const skillIds = skills.map(skill => skill._id);
+      await SavedSearch.updateOne({ _id: search._id }, {
+        $push: {
+          alertedSkills: { $each: skillIds, $slice: -MAX_ALERTED_SKILLS },
+          ...(search.channels.email && { pendingDigest: { $each: skillIds, $slice: -MAX_ALERTED_SKILLS } }),
+        },
+        $inc: { matchCount: skills.length },
+      });
+
+      const { inApp, push } = search.channels;
+      if (!inApp && !push) continue;
+      const [message, url] = skills.length === 1
+        ? [`New skill for your alert "${search.name}": "${skills[0].title}".`, `/skills/${skills[0]._id}`]
+        : [`${skills.length} new skills match your alert "${search.name}".`, `/?savedSearch=${search._id}`];
+      await notifyUser(search.user, message, { url, pushTitle: 'Saved Search Alert', inApp, push });
+    }
+
+    if (alertCount > 0) {
+      console.log(`Sent alerts for ${alertCount} saved search(es).`);
+    } else {
+      console.log('No new listings match any saved search.');
+    }
+  } catch (error) {
+    console.error('Error during saved search alert job:', error);
+  }
+};
+
+export const sendSavedSearchDigests = async () => {
+  console.log('Running saved search email digest job...');
+  try {
+    const searches = await SavedSearch.find({ 'channels.email': true, 'pendingDigest.0': { $exists: true } })
+      .select('user name pendingDigest')
+      .populate('user', 'username email')
+      .lean();
+    // Listings taken down since they matched are left out of the email.
+    const skills = await Skill.find({ _id: { $in: searches.flatMap(search => search.pendingDigest) }, status: 'active' })
+      .select('title category locationString');
+    const skillsById = new Map(skills.map(skill => [skill._id.toString(), skill]));
+
+    // One email per user, covering all of their searches.
+    const searchesByUser = new Map();
+    for (const search of searches) {
+      if (!search.user) continue;
+      const key = search.user._id.toString();
+      if (!searchesByUser.has(key)) searchesByUser.set(key, []);
+      searchesByUser.get(key).push(search);
+    }
+
+    let sentCount = 0;
+    for (const userSearches of searchesByUser.values()) {
+      const { user } = userSearches[0];
+      const sections = userSearches
+        .map(search => ({ name: search.name, skills: search.pendingDigest.map(id => skillsById.get(id.toString())).filter(Boolean) }))
+        .filter(section => section.skills.length > 0);
+      try {
+        if (sections.length > 0) {
+          await sendSavedSearchDigest(user, sections);
+          sentCount++;
+        }
+      } catch (error) {
+        // Keep the matches for tomorrow's digest.
+        console.error(`Could not send saved search digest to user ${user._id}:`, error.message);
+        continue;
+      }
+      // Only the matches read above are cleared; ones added while sending wait for the next digest.
+      await Promise.all(userSearches.map(search => SavedSearch.updateOne(
+        { _id: search._id },
+        { $pull: { pendingDigest: { $in: search.pendingDigest } }, $set: { lastDigestAt: new Date() } }
+      )));
+    }
+
+    if (sentCount > 0) {
+      console.log(`Sent ${sentCount} saved search digest(s).`);
+    } else {
+      console.log('No saved search digests to send.');
+    }
+  } catch (error) {
+    console.error('Error during saved search digest job:', error);
+  }
+};
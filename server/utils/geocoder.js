@@ -0,0 +1,87 @@
+import opencage from 'opencage-api-client';
+
+// Locations that mean "online", so there is nothing to put on a map.
+const REMOTE_LOCATIONS = new Set(['', 'remote', 'online', 'anywhere', 'virtual']);
+
+/**
+ * Geocodes with the OpenCage API (OPENCAGE_API_KEY).
+ */
+const openCageGeocoder = {
+  name: 'opencage',
+  async geocode(query) {
+    const data = await opencage.geocode({ q: query, key: process.env.OPENCAGE_API_KEY, limit: 1, no_annotations: 1 });
+    if (data.status?.code !== 200) {
+      throw new Error(`OpenCage responded with ${data.status?.code}: ${data.status?.message}`);
+    }
+    const [best] = data.results || [];
+    if (!best) return null;
+    return { lat: best.geometry.lat, lng: best.geometry.lng, formatted: best.formatted };
+  },
+};
+
+const STUB_PLACES = {
+  london: { lat: 51.5074, lng: -0.1278, formatted: 'London, United Kingdom' },
+  'new york': { lat: 40.7128, lng: -74.006, formatted: 'New York, United States of America' },
+  'san francisco': { lat: 37.7749, lng: -122.4194, formatted: 'San Francisco, United States of America' },
+  berlin: { lat: 52.52, lng: 13.405, formatted: 'Berlin, Germany' },
+  bangalore: { lat: 12.9716, lng: 77.5946, formatted: 'Bengaluru, India' },
+  bengaluru: { lat: 12.9716, lng: 77.5946, formatted: 'Bengaluru, India' },
+  mumbai: { lat: 19.076, lng: 72.8777, formatted: 'Mumbai, India' },
+  mangalore: { lat: 12.9141, lng: 74.856, formatted: 'Mangaluru, India' },
+  tokyo: { lat: 35.6762, lng: 139.6503, formatted: 'Tokyo, Japan' },
+  sydney: { lat: -33.8688, lng: 151.2093, formatted: 'Sydney, Australia' },
+};
+
+/**
+ * Offline geocoder for development and tests: knows a handful of cities, matched on the first part
+ * of the location ("Berlin, Germany" finds Berlin), and nothing else.
+ */
+const stubGeocoder = {
+  name: 'stub',
+  async geocode(query) {
+    const city = query.split(',')[0].trim().toLowerCase();
+    return STUB_PLACES[city] || null;
+  },
+};
+
+const GEOCODERS = { opencage: openCageGeocoder, stub: stubGeocoder };
+
+/**
+ * The geocoder picked by GEOCODER_PROVIDER, defaulting to OpenCage when an API key is configured.
+ */
+export const getGeocoder = () => {
+  const name = process.env.GEOCODER_PROVIDER || (process.env.OPENCAGE_API_KEY ? 'opencage' : 'stub');
+  const geocoder = GEOCODERS[name];
+  if (!geocoder) throw new Error(`Unknown GEOCODER_PROVIDER "${name}". Use one of: ${Object.keys(GEOCODERS).join(', ')}.`);
+  return geocoder;
+};
+
+export const isRemoteLocation = (locationString) =>
+  REMOTE_LOCATIONS.has((locationString || '').trim().toLowerCase());
+
+const cache = new Map();
+const CACHE_LIMIT = 500;
+
+/**
+ * Turns a free-text location into a GeoJSON point, or null for remote or unknown places.
+ * Lookups are cached per process, and a geocoder failure is logged and treated as unknown so a
+ * flaky provider never stops a skill from being saved.
+ */
+export const geocodeLocation = async (locationString) => {
+  if (isRemoteLocation(locationString)) return null;
+  const key = locationString.trim().toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  let point = null;
+  try {
+    const place = await getGeocoder().geocode(locationString.trim());
+    if (place) point = { type: 'Point', coordinates: [place.lng, place.lat] };
+  } catch (error) {
+    console.error(`Geocoding "${locationString}" failed:`, error.message);
+    return null;
+  }
+
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  cache.set(key, point);
+  return point;
+};
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import { Skill } from '../models/skill.model.js';
+import { Team } from '../models/team.model.js';
+import { Proposal } from '../models/proposal.model.js';
+import { User } from '../models/user.model.js';
+import { LearningPath, MAX_PATH_STEPS } from '../models/learningPath.model.js';
+import { ApiError } from './ApiError.js';
+import { calculateUserStats } from './BadgeManager.js';
+import { notifyUser } from './notificationManager.js';
+
+export const MAX_PREREQUISITES = 5;
+// How far back the cycle check follows prerequisites of prerequisites.
+const MAX_PREREQUISITE_DEPTH = 10;
+
+// Listings nobody else can see cannot be pointed at.
+const UNLINKABLE_STATUSES = ['draft', 'archived'];
+
+const toObjectIds = (ids, label) => {
+  if (!Array.isArray(ids)) throw new ApiError(400, `${label} must be a list.`);
+  const unique = [...new Set(ids.map(String))];
+  if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) throw new ApiError(400, `${label} contains an invalid ID.`);
+  return unique.map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Walks the prerequisites of the picked skills level by level, so a chain like A → B → C → A is
+ * caught as well as a direct one. Chains deeper than MAX_PREREQUISITE_DEPTH are rejected too,
+ * since the walk cannot tell whether they loop back.
+ */
+const assertNoPrerequisiteCycle = async (skillId, skills) => {
+  const visited = new Set(skills.map(skill => String(skill._id)));
+  // Each entry remembers which picked skill it was reached from, for the error message.
+  let frontier = skills.flatMap(skill => skill.prerequisites.map(id => ({ id, via: skill })));
+
+  for (let depth = 1; frontier.length > 0; depth++) {
+    const circular = frontier.find(entry => entry.id.equals(skillId));
+    if (circular) {
+      throw new ApiError(400, depth === 1
+        ? `"${circular.via.title}" already lists this skill as its prerequisite.`
+        : `"${circular.via.title}" already builds on this skill through its own prerequisites.`);
+    }
+
+    const next = new Map();
+    for (const entry of frontier) {
+      const key = String(entry.id);
+      if (!visited.has(key)) {
+        visited.add(key);
+        next.set(key, entry.via);
+      }
+    }
+    if (next.size > 0 && depth >= MAX_PREREQUISITE_DEPTH) {
+      throw new ApiError(400, `Prerequisite chains can be at most ${MAX_PREREQUISITE_DEPTH} skills long.`);
+    }
+    const parents = await Skill.find({ _id: { $in: [...next.keys()] } }).select('prerequisites').lean();
+    frontier = parents.flatMap(parent => parent.prerequisites.map(id => ({ id, via: next.get(String(parent._id)) })));
+  }
+};
+
+/**
+ * Validates the prerequisite skill IDs picked for a skill.
+ * @returns {Promise<mongoose.Types.ObjectId[]>}
+ */
+export const normalizePrerequisites = async (skillId, prerequisites) => {
+  const ids = toObjectIds(prerequisites, 'Prerequisites');
+  if (ids.length > MAX_PREREQUISITES) throw new ApiError(400, `A skill can have at most ${MAX_PREREQUISITES} prerequisites.`);
+  if (ids.some(id => id.equals(skillId))) throw new ApiError(400, "A skill cannot be its own prerequisite.");
+
+  const skills = await Skill.find({ _id: { $in: ids }, status: { $nin: UNLINKABLE_STATUSES } }).select('title prerequisites');
+  if (skills.length !== ids.length) throw new ApiError(400, "Some prerequisites are not available skills.");
+  await assertNoPrerequisiteCycle(skillId, skills);
+  return ids;
+};
+
+/**
+ * Validates path steps sent as `{ skillId }` or `{ teamId }`, each with an optional `note`.
+ */
+export const normalizePathSteps = async (steps) => {
+  if (!Array.isArray(steps) || steps.length < 2 || steps.length > MAX_PATH_STEPS) {
+    throw new ApiError(400, `A learning path needs between 2 and ${MAX_PATH_STEPS} steps.`);
+  }
+  const normalized = steps.map(({ skillId, teamId, note }) => {
+    const id = skillId || teamId;
+    if (!id || (skillId && teamId) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Each step needs either a skill or a team.");
+    }
+    return { kind: skillId ? 'skill' : 'team', [skillId ? 'skill' : 'team']: id, note: String(note || '').trim().slice(0, 300) };
+  });
+
+  const keys = normalized.map(step => `${step.kind}:${step.skill || step.team}`);
+  if (new Set(keys).size !== keys.length) throw new ApiError(400, "A skill or team can only appear once in a path.");
+
+  const skillIds = normalized.filter(step => step.kind === 'skill').map(step => step.skill);
+  const teamIds = normalized.filter(step => step.kind === 'team').map(step => step.team);
+  const [skillCount, teamCount] = await Promise.all([
+    Skill.countDocuments({ _id: { $in: skillIds }, status: { $nin: UNLINKABLE_STATUSES } }),
+    Team.countDocuments({ _id: { $in: teamIds } }),
+  ]);
+  if (skillCount !== skillIds.length || teamCount !== teamIds.length) {
+    throw new ApiError(400, "Some steps point to skills or teams that are not available.");
+  }
+  return normalized;
+};
+
+/**
+ * Which of the given skills and teams a user has learned: a completed swap in which they
+ * received the skill, or membership of a completed team (for the team itself or its skill).
+ * @returns {Promise<{ skills: Set<string>, teams: Set<string> }>}
+ */
+export const findCompletedLearning = async (userId, { skillIds = [], teamIds = [] }) => {
+  const [swaps, teams] = await Promise.all([
+    skillIds.length === 0 ? [] : Proposal.find({
+      status: 'completed',
+      $or: [
+        { proposer: userId, requestedSkill: { $in: skillIds } },
+        { receiver: userId, offeredSkill: { $in: skillIds } },
+      ],
+    }).select('proposer requestedSkill offeredSkill').lean(),
+    Team.find({
+      status: 'completed',
+      members: userId,
+      $or: [{ _id: { $in: teamIds } }, { skill: { $in: skillIds } }],
+    }).select('skill').lean(),
+  ]);
+
+  const skills = new Set();
+  swaps.forEach(swap => skills.add(String(swap.proposer.equals(userId) ? swap.requestedSkill : swap.offeredSkill)));
+  teams.forEach(team => skills.add(String(team.skill)));
+  return { skills, teams: new Set(teams.map(team => String(team._id))) };
+};
+
+const stepTargetId = step => String(step.skill?._id ?? step.skill ?? step.team?._id ?? step.team);
+const isStepDone = (step, learned) => (step.kind === 'skill' ? learned.skills : learned.teams).has(stepTargetId(step));
+
+/**
+ * Every skill and team referenced by the given paths, for a single findCompletedLearning call.
+ */
+export const collectStepTargets = (paths) => ({
+  skillIds: paths.flatMap(path => path.steps.filter(step => step.kind === 'skill').map(stepTargetId)),
+  teamIds: paths.flatMap(path => path.steps.filter(step => step.kind === 'team').map(stepTargetId)),
+});
+
+/**
+ * A user's progress through a path, given what findCompletedLearning found for them.
+ */
+export const getPathProgress = (path, userId, learned) => {
+  const completedStepIds = path.steps.filter(step => isStepDone(step, learned)).map(step => String(step._id));
+  const completion = path.completions?.find(entry => entry.user.equals(userId));
+  return {
+    completedStepIds,
+    completedSteps: completedStepIds.length,
+    totalSteps: path.steps.length,
+    isComplete: completedStepIds.length === path.steps.length,
+    completedAt: completion?.completedAt ?? null,
+  };
+};
+
+/**
+ * Records every path the user has now finished among those containing the given skills, teams
+ * or paths, stores any badge that unlocks and notifies the user. Safe to call repeatedly: a
+ * path is only recorded, and announced, once per user.
+ * @returns {Promise<{ paths: object[], newBadges: string[] }>}
+ */
+export const recordPathCompletions = async (userId, { skillIds = [], teamIds = [], pathIds = [] }) => {
+  const candidates = await LearningPath.find({
+    'completions.user': { $ne: userId },
+    $or: [{ 'steps.skill': { $in: skillIds } }, { 'steps.team': { $in: teamIds } }, { _id: { $in: pathIds } }],
+  }).select('title steps');
+  if (candidates.length === 0) return { paths: [], newBadges: [] };
+
+  const learned = await findCompletedLearning(userId, collectStepTargets(candidates));
+  const paths = [];
+  for (const path of candidates) {
+    if (!getPathProgress(path, userId, learned).isComplete) continue;
+    const { modifiedCount } = await LearningPath.updateOne(
+      { _id: path._id, 'completions.user': { $ne: userId } },
+      { $push: { completions: { user: userId } } }
+    );
+    if (modifiedCount) paths.push(path);
+  }
+  if (paths.length === 0) return { paths, newBadges: [] };
+
+  const user = await User.findById(userId).select('username badges swapsCompleted createdAt');
+  const oldBadges = new Set(user.badges || []);
+  const { earnedBadges } = await calculateUserStats(user);
+  const newBadges = earnedBadges.filter(badge => !oldBadges.has(badge));
+  if (newBadges.length > 0) {
+    await User.updateOne({ _id: userId }, { $set: { badges: earnedBadges } });
+  }
+
+  for (const path of paths) {
+    await notifyUser(userId, `You completed the learning path "${path.title}"! 🎓`, { url: `/learning-paths/${path._id}`, pushTitle: 'Learning Path' });
+  }
+  for (const badgeName of newBadges) {
+    await notifyUser(userId, `Congratulations! You've earned the "${badgeName}" badge! 🎉`, { url: `/profile/${user.username}` });
+  }
+  return { paths, newBadges };
+};
@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+
+const CLOUDINARY_FOLDER = 'skill4skill';
+
+export const getLocalMediaDir = () => path.resolve(process.env.MEDIA_LOCAL_DIR || 'uploads');
+
+// Keys are generated by the server, but never let one point outside the media directory.
+const localPathFor = (key) => {
+  const dir = getLocalMediaDir();
+  const filePath = path.resolve(dir, key);
+  if (!filePath.startsWith(dir + path.sep)) throw new Error(`Invalid media key "${key}"`);
+  return filePath;
+};
+
+/**
+ * Writes files under MEDIA_LOCAL_DIR (default ./uploads), which server.js serves at /uploads.
+ * Meant for development and tests.
+ */
+const localDiskStorage = {
+  name: 'local',
+  async save({ buffer, key }) {
+    const filePath = localPathFor(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    const baseUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 8000}`;
+    return { url: `${baseUrl}/uploads/${key}`, key };
+  },
+  async remove(key) {
+    await fs.rm(localPathFor(key), { force: true });
+  },
+};
+
+/**
+ * Uploads to Cloudinary, configured from CLOUDINARY_URL or CLOUDINARY_CLOUD_NAME,
+ * CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET.
+ */
+const cloudinaryStorage = {
+  name: 'cloudinary',
+  configure() {
+    if (!process.env.CLOUDINARY_URL) {
+      cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+      });
+    }
+  },
+  save({ buffer, key }) {
+    this.configure();
+    // Cloudinary adds the extension itself.
+    const publicId = key.replace(/\.[^/.]+$/, '');
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder: CLOUDINARY_FOLDER, public_id: publicId, resource_type: 'image', overwrite: false },
+        (error, result) => (error ? reject(error) : resolve({ url: result.secure_url, key: result.public_id }))
+      );
+      stream.end(buffer);
+    });
+  },
+  async remove(key) {
+    this.configure();
+    await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+  },
+};
+
+const STORAGES = { local: localDiskStorage, cloudinary: cloudinaryStorage };
+
+/**
+ * The storage backend picked by MEDIA_STORAGE, defaulting to Cloudinary when it is configured.
+ */
+export const getMediaStorage = () => {
+  const hasCloudinary = process.env.CLOUDINARY_URL || process.env.CLOUDINARY_CLOUD_NAME;
+  const name = process.env.MEDIA_STORAGE || (hasCloudinary ? 'cloudinary' : 'local');
+  const storage = STORAGES[name];
+  if (!storage) throw new Error(`Unknown MEDIA_STORAGE "${name}". Use one of: ${Object.keys(STORAGES).join(', ')}.`);
+  return storage;
+};
+
+/**
+ * Deletes stored files, logging failures instead of throwing: a leftover file should never stop
+ * the change that made it unused.
+ */
+export const removeStoredMedia = async (keys) => {
+  const storage = getMediaStorage();
+  await Promise.all(keys.filter(Boolean).map(key => storage.remove(key).catch((error) => {
+    console.error(`Removing media "${key}" failed:`, error.message);
+  })));
+};
@@ -1,4 +1,6 @@
 import { Notification } from '../models/notification.model.js';
+import { getReceiverSocketId, io } from '../socket/socket.js';
+import { sendPushNotification } from './pushNotifier.js';
 
 /**
  * @description Creates and saves a new notification to the database.
@@ -21,3 +23,26 @@ export const createNotification = async (userId, message, url) => {
     console.error("Failed to create notification:", error);
   }
 };
+
+/**
+ * @description Notifies a user through every channel: a stored notification, a live socket event and a push message.
+ * @param {string} userId - The ID of the user to notify.
+ * @param {string} message - The content of the notification message.
+ * @param {object} [options]
+ * @param {string} [options.url] - The in-app path the notification links to.
+ * @param {string} [options.pushTitle] - The title of the push notification.
+ * @param {boolean} [options.inApp] - Set to false to skip the stored notification and socket event.
+ * @param {boolean} [options.push] - Set to false to skip the push message.
+ */
+export const notifyUser = async (userId, message, { url = '/dashboard', pushTitle = 'skill4skill', inApp = true, push = true } = {}) => {
+  if (inApp) {
+    const userSocketId = getReceiverSocketId(userId.toString());
+    if (userSocketId) {
+      io.to(userSocketId).emit('new_notification', { message });
+    }
+    await createNotification(userId, message, url);
+  }
+  if (push) {
+    await sendPushNotification(userId, { title: pushTitle, body: message, url: `${process.env.FRONTEND_URL}${url}` });
+  }
+};
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import { User } from '../models/user.model.js';
+import { ApiError } from './ApiError.js';
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+// Wrong guesses allowed per code before it stops working and a new one has to be requested.
+export const MAX_OTP_ATTEMPTS = 5;
+
+// A plain hash of a 6-digit code is reversed by trying all million codes, so it is keyed.
+const hashOtp = (otp) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.ACCESS_TOKEN_SECRET)
+  .update(String(otp))
+  .digest('hex');
+
+/**
+ * The user fields behind each kind of code: `verification`, `passwordReset` or `emailChange`.
+ */
+const fieldsFor = (kind) => ({
+  otp: `${kind}Otp`,
+  expiry: `${kind}OtpExpiry`,
+  attempts: `${kind}OtpAttempts`,
+});
+
+/**
+ * A new code for the user, replacing any earlier one of the same kind. The returned code is
+ * meant for the email only; the user document stores its hash.
+ * @returns {{ otp: string, update: object }} `update` is merged into the user document.
+ */
+export const createOtp = (kind) => {
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const fields = fieldsFor(kind);
+  return {
+    otp,
+    update: {
+      [fields.otp]: hashOtp(otp),
+      [fields.expiry]: new Date(Date.now() + OTP_TTL_MS),
+      [fields.attempts]: 0,
+    },
+  };
+};
+
+/**
+ * Checks a code for the user matching `filter`. Every check counts as an attempt before the
+ * comparison, so parallel guesses cannot get past MAX_OTP_ATTEMPTS. The caller clears the code
+ * (see clearOtp) once it has acted on it.
+ * @param {object} [options]
+ * @param {string} [options.select] - Extra fields to load on the returned user, e.g. '+password'.
+ * @returns {Promise<object>} The user document.
+ */
+export const checkOtp = async (kind, filter, otp, { select } = {}) => {
+  const fields = fieldsFor(kind);
+  const user = await User.findOneAndUpdate(
+    { ...filter, [fields.expiry]: { $gt: new Date() }, [fields.attempts]: { $lt: MAX_OTP_ATTEMPTS } },
+    { $inc: { [fields.attempts]: 1 } },
+    { new: true }
+  ).select(`+${fields.otp}${select ? ` ${select}` : ''}`);
+
+  if (!user) {
+    const locked = await User.exists({ ...filter, [fields.expiry]: { $gt: new Date() }, [fields.attempts]: { $gte: MAX_OTP_ATTEMPTS } });
+    if (locked) throw new ApiError(429, "Too many incorrect codes. Please request a new one.");
+    throw new ApiError(400, "Invalid OTP or OTP has expired.");
+  }
+
+  const expected = Buffer.from(user[fields.otp] || '', 'hex');
+  const given = Buffer.from(hashOtp(String(otp).trim()), 'hex');
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new ApiError(400, "Invalid OTP or OTP has expired.");
+  }
+  return user;
+};
+
+/**
+ * Removes a used code from a loaded user document, ahead of its save().
+ */
+export const clearOtp = (user, kind) => {
+  const fields = fieldsFor(kind);
+  user[fields.otp] = undefined;
+  user[fields.expiry] = undefined;
+  user[fields.attempts] = undefined;
+};
@@ -0,0 +1,88 @@
+import { Proposal } from '../models/proposal.model.js';
+import { ApiError } from './ApiError.js';
+
+const PROPOSAL_EXPIRY_DAYS = parseInt(process.env.PROPOSAL_EXPIRY_DAYS) || 14;
+
+/**
+ * Every allowed proposal status change, keyed by current status, then next status,
+ * listing who may perform it. 'system' covers settlement and scheduled jobs.
+ */
+const PROPOSAL_TRANSITIONS = {
+  pending: {
+    accepted: ['receiver'],
+    rejected: ['receiver'],
+    countered: ['receiver'],
+    withdrawn: ['proposer'],
+    expired: ['system'],
+  },
+  countered: {
+    accepted: ['proposer'],
+    rejected: ['proposer'],
+    withdrawn: ['proposer'],
+    expired: ['system'],
+  },
+  accepted: {
+    completed: ['system'],
+    cancelled: ['proposer', 'receiver'],
+  },
+};
+
+const OPEN_STATUSES = ['pending', 'countered', 'accepted'];
+
+const getExpiryDate = (from = new Date()) => new Date(from.getTime() + PROPOSAL_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Returns 'proposer', 'receiver' or null for the given user.
+ */
+const getProposalRole = (proposal, userId) => {
+  const idOf = (ref) => ref?._id ?? ref;
+  if (idOf(proposal.proposer)?.equals(userId)) return 'proposer';
+  if (idOf(proposal.receiver)?.equals(userId)) return 'receiver';
+  return null;
+};
+
+/**
+ * Throws an ApiError unless `actor` may move the proposal to `nextStatus`.
+ */
+const assertProposalTransition = (proposal, nextStatus, actor) => {
+  const allowedActors = PROPOSAL_TRANSITIONS[proposal.status]?.[nextStatus];
+  if (!allowedActors) {
+    throw new ApiError(400, `A ${proposal.status} proposal cannot be ${nextStatus}.`);
+  }
+  if (!allowedActors.includes(actor)) {
+    throw new ApiError(403, `You are not allowed to mark this proposal as ${nextStatus}.`);
+  }
+};
+
+/**
+ * Validates and atomically applies a status change. The update only succeeds if the proposal
+ * is still in the status it was read in, so concurrent transitions cannot both win.
+ * @param {object} proposal - The proposal as currently read.
+ * @param {string} nextStatus
+ * @param {string} actor - 'proposer', 'receiver' or 'system'.
+ * @param {object} [updates] - Extra fields to set together with the status.
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<object>} The updated proposal.
+ */
+const transitionProposal = async (proposal, nextStatus, actor, updates = {}, session) => {
+  assertProposalTransition(proposal, nextStatus, actor);
+  const updated = await Proposal.findOneAndUpdate(
+    { _id: proposal._id, status: proposal.status },
+    { $set: { ...updates, status: nextStatus } },
+    { new: true, session }
+  );
+  if (!updated) {
+    throw new ApiError(409, "This proposal was changed in the meantime. Please refresh and try again.");
+  }
+  return updated;
+};
+
+export {
+  PROPOSAL_EXPIRY_DAYS,
+  PROPOSAL_TRANSITIONS,
+  OPEN_STATUSES,
+  getExpiryDate,
+  getProposalRole,
+  assertProposalTransition,
+  transitionProposal,
+};
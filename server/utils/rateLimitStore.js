@@ -0,0 +1,82 @@
+import { RateLimitHit } from '../models/rateLimitHit.model.js';
+
+/*
+ * Rate limit stores count hits per key in fixed windows. Both implement:
+ *   increment(key, windowMs) -> Promise<{ count, resetAt }>
+ *   reset(key) -> Promise<void>
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Counts in this process only. Fine for a single instance; each instance would otherwise
+ * allow the full limit.
+ */
+export class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.hits.set(key, fresh);
+      return { count: fresh.count, resetAt: new Date(fresh.resetAt) };
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+/**
+ * Counts in MongoDB, so limits hold across every server instance.
+ */
+export class MongoStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+    const isOpen = { $gt: ['$expiresAt', now] };
+    // One atomic upsert: bump the count in an open window, or start a new one.
+    const hit = await RateLimitHit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [isOpen, { $add: ['$count', 1] }, 1] },
+          expiresAt: { $cond: [isOpen, '$expiresAt', new Date(now.getTime() + windowMs)] },
+        },
+      }],
+      { upsert: true, new: true }
+    ).lean();
+    return { count: hit.count, resetAt: hit.expiresAt };
+  }
+
+  async reset(key) {
+    await RateLimitHit.deleteOne({ key });
+  }
+}
+
+let defaultStore;
+
+/**
+ * The store picked by RATE_LIMIT_STORE (`memory`, the default, or `mongo`).
+ */
+export const getRateLimitStore = () => {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+  }
+  return defaultStore;
+};
@@ -0,0 +1,25 @@
+// Every skill is treated as if it already had RATING_PRIOR_WEIGHT ratings of RATING_PRIOR_MEAN,
+// so a handful of 5-star ratings from new accounts cannot outrank a well-established skill.
+export const RATING_PRIOR_MEAN = 3;
+export const RATING_PRIOR_WEIGHT = 5;
+
+/**
+ * Summarises a skill's ratings: count, plain average, per-star histogram and the
+ * Bayesian-weighted score used for sorting.
+ * @param {Array<{ rating: number }>} ratings
+ */
+export const computeRatingStats = (ratings = []) => {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  for (const { rating } of ratings) {
+    histogram[rating] += 1;
+    total += rating;
+  }
+  const count = ratings.length;
+  return {
+    count,
+    average: count ? total / count : 0,
+    histogram,
+    bayesianScore: (RATING_PRIOR_WEIGHT * RATING_PRIOR_MEAN + total) / (RATING_PRIOR_WEIGHT + count),
+  };
+};
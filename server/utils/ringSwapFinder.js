@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import natural from 'natural';
+import { Skill } from '../models/skill.model.js';
+import { User } from '../models/user.model.js';
+import { RING_SWAP_MIN_SIZE, RING_SWAP_MAX_SIZE } from '../models/ringSwap.model.js';
+
+const { WordTokenizer, stopwords } = natural;
+const tokenizer = new WordTokenizer();
+// Words that say how someone wants to learn rather than what, so they never make two topics match.
+const IGNORED_TERMS = new Set([
+  ...stopwords, 'learn', 'learning', 'teach', 'teaching', 'lesson', 'lessons', 'class', 'classes', 'course',
+  'basics', 'basic', 'beginner', 'beginners', 'intro', 'introduction', 'advanced', 'help', 'want', 'need',
+]);
+
+// Share of the shorter title's words the two must have in common to count as the same topic.
+const MIN_TOPIC_OVERLAP = 0.6;
+// Only the best few learners per teacher are explored, which keeps the search small.
+const MAX_BRANCHING = 15;
+const MAX_SUGGESTIONS = 10;
+
+const normalize = title => (title || '').trim().toLowerCase();
+
+const toTerms = title => new Set(
+  tokenizer.tokenize(normalize(title)).filter(term => term.length > 1 && !IGNORED_TERMS.has(term))
+);
+
+/**
+ * How closely a taught topic covers a wanted one, in [0, 1], or 0 when they are different topics.
+ */
+const topicScore = (teachItem, learnItem) => {
+  if (teachItem.key === learnItem.key) return 1;
+  const smaller = Math.min(teachItem.terms.size, learnItem.terms.size);
+  if (smaller === 0) return 0;
+  let shared = 0;
+  teachItem.terms.forEach(term => { if (learnItem.terms.has(term)) shared++; });
+  const overlap = shared / smaller;
+  return overlap >= MIN_TOPIC_OVERLAP ? overlap * 0.9 : 0;
+};
+
+const makeItem = (userId, title, skillId) => ({
+  userId: userId.toString(),
+  title: title.trim(),
+  key: normalize(title),
+  terms: toTerms(title),
+  skillId,
+});
+
+/**
+ * Everything each user can teach and wants to learn, from their active OFFER/REQUEST skills and
+ * their profile's skillsToTeach/skillsToLearn. Titles repeated across the two are kept once,
+ * preferring the skill so edges can point at it.
+ */
+const loadItems = async (userIds) => {
+  const userFilter = userIds ? { _id: { $in: userIds } } : {};
+  const skillFilter = userIds ? { user: { $in: userIds } } : {};
+  const [skills, users] = await Promise.all([
+    Skill.find({ ...skillFilter, status: 'active' }).select('user type title').lean(),
+    User.find({
+      ...userFilter,
+      $or: [{ 'skillsToTeach.0': { $exists: true } }, { 'skillsToLearn.0': { $exists: true } }],
+    }).select('skillsToTeach skillsToLearn').lean(),
+  ]);
+
+  const teach = new Map();
+  const learn = new Map();
+  const add = (map, item) => {
+    if (!item.key) return;
+    const id = `${item.userId}|${item.key}`;
+    if (!map.has(id) || (item.skillId && !map.get(id).skillId)) map.set(id, item);
+  };
+  skills.forEach((skill) => {
+    add(skill.type === 'OFFER' ? teach : learn, makeItem(skill.user, skill.title, skill.type === 'OFFER' ? skill._id : undefined));
+  });
+  users.forEach((user) => {
+    (user.skillsToTeach || []).forEach(title => add(teach, makeItem(user._id, title)));
+    (user.skillsToLearn || []).forEach(title => add(learn, makeItem(user._id, title)));
+  });
+  return { teachItems: [...teach.values()], learnItems: [...learn.values()] };
+};
+
+/**
+ * A lazily built "who can teach whom" graph: neighbours(u) are the users wanting something u
+ * teaches, each with the best thing u could teach them.
+ */
+const buildGraph = ({ teachItems, learnItems }) => {
+  const teachByUser = new Map();
+  teachItems.forEach((item) => {
+    if (!teachByUser.has(item.userId)) teachByUser.set(item.userId, []);
+    teachByUser.get(item.userId).push(item);
+  });
+  const learnByTerm = new Map();
+  const learnByKey = new Map();
+  learnItems.forEach((item) => {
+    item.terms.forEach((term) => {
+      if (!learnByTerm.has(term)) learnByTerm.set(term, []);
+      learnByTerm.get(term).push(item);
+    });
+    if (!learnByKey.has(item.key)) learnByKey.set(item.key, []);
+    learnByKey.get(item.key).push(item);
+  });
+
+  const cache = new Map();
+  const neighbours = (teacherId) => {
+    if (cache.has(teacherId)) return cache.get(teacherId);
+    const best = new Map();
+    for (const teachItem of teachByUser.get(teacherId) || []) {
+      const candidates = new Set(learnByKey.get(teachItem.key) || []);
+      teachItem.terms.forEach(term => (learnByTerm.get(term) || []).forEach(item => candidates.add(item)));
+      for (const learnItem of candidates) {
+        if (learnItem.userId === teacherId) continue;
+        const score = topicScore(teachItem, learnItem);
+        if (score > 0 && score > (best.get(learnItem.userId)?.score || 0)) {
+          best.set(learnItem.userId, { learner: learnItem.userId, teachItem, learnItem, score });
+        }
+      }
+    }
+    const list = [...best.values()].sort((a, b) => b.score - a.score).slice(0, MAX_BRANCHING);
+    cache.set(teacherId, list);
+    return list;
+  };
+  return { neighbours };
+};
+
+const toEdge = (teacherId, link) => ({
+  teacher: teacherId,
+  learner: link.learner,
+  skill: link.teachItem.skillId,
+  skillTitle: link.teachItem.title,
+  wants: link.learnItem.title,
+  score: Math.round(link.score * 100) / 100,
+});
+
+/**
+ * The 3-4 person loops that include `me`, where each person teaches the next something they
+ * want to learn. Loops are ranked by their weakest link, then shorter loops first.
+ */
+const findCycles = (graph, me) => {
+  const cycles = [];
+
+  const walk = (path, edges) => {
+    for (const link of graph.neighbours(path[path.length - 1])) {
+      if (link.learner === me) {
+        if (path.length >= RING_SWAP_MIN_SIZE) {
+          cycles.push({ users: [...path], edges: [...edges, toEdge(path[path.length - 1], link)] });
+        }
+        continue;
+      }
+      if (path.length < RING_SWAP_MAX_SIZE && !path.includes(link.learner)) {
+        walk([...path, link.learner], [...edges, toEdge(path[path.length - 1], link)]);
+      }
+    }
+  };
+  walk([me], []);
+
+  return cycles
+    .map(cycle => ({ ...cycle, score: Math.min(...cycle.edges.map(edge => edge.score)) }))
+    .sort((a, b) => b.score - a.score || a.users.length - b.users.length)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Finds the ring swaps of every user who both teaches and wants something. This builds the graph
+ * for the whole site, so it runs in the background job (see refreshRingSwapSuggestions) and
+ * requests read the stored results.
+ * @returns {Promise<Map<string, object[]>>} Loops by user ID, leaving out users without any.
+ */
+export const findAllRingSwaps = async () => {
+  const items = await loadItems();
+  const graph = buildGraph(items);
+  const learners = new Set(items.learnItems.map(item => item.userId));
+  const teachers = new Set(items.teachItems.map(item => item.userId));
+
+  const cyclesByUser = new Map();
+  for (const userId of teachers) {
+    if (!learners.has(userId)) continue;
+    const cycles = findCycles(graph, userId);
+    if (cycles.length > 0) cyclesByUser.set(userId, cycles);
+  }
+  return cyclesByUser;
+};
+
+/**
+ * Works out the links of the loop userIds[0] -> userIds[1] -> ... -> userIds[0], or returns null
+ * when one of the participants has nothing the next one wants.
+ */
+export const resolveRingEdges = async (userIds) => {
+  const ids = userIds.map(id => id.toString());
+  const graph = buildGraph(await loadItems(ids.map(id => new mongoose.Types.ObjectId(id))));
+  const edges = [];
+  for (let i = 0; i < ids.length; i++) {
+    const learner = ids[(i + 1) % ids.length];
+    const link = graph.neighbours(ids[i]).find(candidate => candidate.learner === learner);
+    if (!link) return null;
+    edges.push(toEdge(ids[i], link));
+  }
+  return edges;
+};
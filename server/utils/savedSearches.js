@@ -0,0 +1,99 @@
+import { Resend } from 'resend';
+import { Skill } from '../models/skill.model.js';
+import { ApiError } from './ApiError.js';
+import { buildSkillQuery } from './skillSearch.js';
+import { resolveCategory } from './categories.js';
+
+// Alerts list at most this many new listings per run; the rest show up when the search is opened.
+const MAX_MATCHES_PER_RUN = 50;
+
+/**
+ * The search parameters a saved search stands for, in runSkillSearch's terms.
+ */
+export const toSearchParams = ({ keywords, category, level, location, near, radius }) => ({
+  q: keywords || undefined,
+  category: category || undefined,
+  level: level || undefined,
+  location: location || undefined,
+  near: near || undefined,
+  radius: near ? radius : undefined,
+});
+
+/**
+ * Validates the Home filters being saved. At least one filter is needed, otherwise the alert
+ * would fire for every new listing.
+ */
+export const normalizeSavedSearchFilters = async (filters = {}) => {
+  const trimmed = (value) => String(value ?? '').trim();
+  const normalized = {
+    keywords: trimmed(filters.keywords),
+    category: trimmed(filters.category),
+    level: trimmed(filters.level),
+    location: trimmed(filters.location),
+  };
+  if (filters.radius) {
+    if (!filters.near) throw new ApiError(400, "A distance filter needs the location to measure from.");
+    normalized.near = trimmed(filters.near);
+    normalized.radius = Number(filters.radius);
+  }
+  if (normalized.category) normalized.category = (await resolveCategory(normalized.category)).category;
+  if (!Object.values(normalized).some(Boolean)) {
+    throw new ApiError(400, "Pick at least one filter before saving a search.");
+  }
+  // Throws the same errors an invalid search would.
+  await buildSkillQuery(toSearchParams(normalized));
+  return normalized;
+};
+
+/**
+ * Active listings matching the saved search that went live (were posted, published or renewed)
+ * within the window and have not been announced for this search before.
+ */
+export const findNewMatches = async (search, since, until) => {
+  const query = await buildSkillQuery(toSearchParams(search.filters));
+  return Skill.find({
+    ...query,
+    user: { $ne: search.user },
+    _id: { $nin: search.alertedSkills },
+    lastRenewedAt: { $gt: since, $lte: until },
+  })
+    .select('title')
+    .sort({ lastRenewedAt: -1 })
+    .limit(MAX_MATCHES_PER_RUN);
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+/**
+ * Emails a user one digest covering all of their saved searches with pending matches.
+ * @param {object} user - Needs `email` and `username`.
+ * @param {Array<{ name: string, skills: object[] }>} sections - One per saved search.
+ */
+export const sendSavedSearchDigest = async (user, sections) => {
+  const total = sections.reduce((sum, section) => sum + section.skills.length, 0);
+  const html = `
+    <div style="font-family: sans-serif; padding: 20px; color: #333;">
+      <h2>Hi ${escapeHtml(user.username)}, here are today's new skills for your alerts</h2>
+      ${sections.map(section => `
+        <h3 style="margin-bottom: 4px;">${escapeHtml(section.name)}</h3>
+        <ul>
+          ${section.skills.map(skill => `
+            <li><a href="${process.env.FRONTEND_URL}/skills/${skill._id}">${escapeHtml(skill.title)}</a>
+              <span style="color: #777;">· ${escapeHtml(skill.category)} · ${escapeHtml(skill.locationString || 'Remote')}</span></li>
+          `).join('')}
+        </ul>
+      `).join('')}
+      <p style="font-size: 12px; color: #777;">Manage your alerts from your <a href="${process.env.FRONTEND_URL}/dashboard">dashboard</a>.</p>
+    </div>
+  `;
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  const { error } = await resend.emails.send({
+    to: user.email,
+    from: 'noreply@skill4skill.tech',
+    subject: `${total} new skill${total === 1 ? '' : 's'} match your saved searches`,
+    html,
+  });
+  if (error) throw new Error(error.message);
+};
@@ -0,0 +1,154 @@
+import natural from 'natural';
+import { Skill } from '../models/skill.model.js';
+
+const { WordTokenizer, JaroWinklerDistance, DamerauLevenshteinDistance, stopwords } = natural;
+
+const tokenizer = new WordTokenizer();
+const STOPWORDS = new Set(stopwords);
+
+const MIN_TERM_LENGTH = 3;
+const MIN_SIMILARITY = 0.84;
+const MAX_CORRECTIONS_PER_TERM = 3;
+
+// Terms and titles each skill contributed, so an update or delete can take them back out.
+const skillEntries = new Map();
+const termCounts = new Map();
+const titleCounts = new Map();
+let buildPromise = null;
+
+const tokenize = (text) =>
+  tokenizer.tokenize((text || '').toLowerCase())
+    .filter(term => term.length >= MIN_TERM_LENGTH && !STOPWORDS.has(term) && !/^\d+$/.test(term));
+
+const increment = (map, key, by) => {
+  const next = (map.get(key) || 0) + by;
+  if (next > 0) map.set(key, next);
+  else map.delete(key);
+};
+
+const removeEntry = (skillId) => {
+  const entry = skillEntries.get(skillId);
+  if (!entry) return;
+  entry.terms.forEach(term => increment(termCounts, term, -1));
+  if (entry.title) increment(titleCounts, entry.title, -1);
+  skillEntries.delete(skillId);
+};
+
+const addEntry = (skill) => {
+  const skillId = skill._id.toString();
+  removeEntry(skillId);
+  const terms = new Set([...tokenize(skill.title), ...(skill.tags || []).flatMap(tokenize)]);
+  const title = skill.title?.trim().toLowerCase();
+  terms.forEach(term => increment(termCounts, term, 1));
+  if (title) increment(titleCounts, title, 1);
+  skillEntries.set(skillId, { terms, title });
+};
+
+/**
+ * Loads the vocabulary from every active skill's title and tags the first time it is needed.
+ */
+const ensureVocabulary = () => {
+  if (!buildPromise) {
+    buildPromise = (async () => {
+      const cursor = Skill.find({ status: 'active' }).select('title tags').lean().cursor();
+      for await (const skill of cursor) addEntry(skill);
+    })().catch((error) => {
+      buildPromise = null;
+      throw error;
+    });
+  }
+  return buildPromise;
+};
+
+/**
+ * Keeps the vocabulary in step with a created or updated skill; skills that are not active (drafts,
+ * paused, archived...) are left out. Before the first build this is a no-op, as the build will read
+ * the skill from the database anyway.
+ */
+export const refreshSkillVocabulary = (skill) => {
+  if (!buildPromise || !skill) return;
+  if (skill.status === 'active') addEntry(skill);
+  else removeEntry(skill._id.toString());
+};
+
+export const removeSkillFromVocabulary = (skillId) => {
+  if (buildPromise) removeEntry(skillId.toString());
+};
+
+/**
+ * Drops the vocabulary so the next lookup rebuilds it, for bulk changes such as deleting all of a
+ * user's skills.
+ */
+export const resetSearchVocabulary = () => {
+  skillEntries.clear();
+  termCounts.clear();
+  titleCounts.clear();
+  buildPromise = null;
+};
+
+/**
+ * Ranks vocabulary words that look like a misspelling of `term`, best first. Jaro-Winkler favours
+ * words sharing a prefix; the Damerau-Levenshtein edit count breaks ties and filters out words that
+ * are similar only in shape.
+ */
+const rankCorrections = (term) => {
+  const maxEdits = term.length <= 4 ? 1 : 2;
+  const candidates = [];
+  for (const [word, count] of termCounts) {
+    if (Math.abs(word.length - term.length) > maxEdits) continue;
+    const similarity = JaroWinklerDistance(term, word);
+    if (similarity < MIN_SIMILARITY) continue;
+    const edits = DamerauLevenshteinDistance(term, word, { restricted: true });
+    if (edits === 0 || edits > maxEdits) continue;
+    candidates.push({ word, similarity, edits, count });
+  }
+  return candidates
+    .sort((a, b) => a.edits - b.edits || b.similarity - a.similarity || b.count - a.count)
+    .slice(0, MAX_CORRECTIONS_PER_TERM);
+};
+
+/**
+ * Works out "did you mean" suggestions for a search query.
+ *
+ * Returns the corrections found for each unknown word, and up to `limit` suggested queries: the
+ * query with each unknown word replaced by its best correction, followed by skill titles close
+ * to the whole query.
+ */
+export const getSpellingSuggestions = async (query, { limit = 3 } = {}) => {
+  const normalized = (query || '').trim().toLowerCase();
+  const empty = { corrections: [], suggestions: [] };
+  if (normalized.length < MIN_TERM_LENGTH) return empty;
+
+  await ensureVocabulary();
+
+  const corrections = tokenize(normalized)
+    .filter(term => !termCounts.has(term))
+    .map(term => ({
+      term,
+      candidates: rankCorrections(term).map(({ word, similarity }) => ({
+        value: word,
+        score: Math.round(similarity * 1000) / 1000,
+      })),
+    }))
+    .filter(correction => correction.candidates.length > 0);
+
+  const suggestions = [];
+  if (corrections.length > 0) {
+    const corrected = corrections.reduce(
+      (text, { term, candidates }) => text.replace(new RegExp(`\\b${term}\\b`, 'g'), candidates[0].value),
+      normalized
+    );
+    suggestions.push(corrected);
+  }
+
+  const similarTitles = [...titleCounts.keys()]
+    .filter(title => title !== normalized)
+    .map(title => ({ title, similarity: JaroWinklerDistance(normalized, title) }))
+    .filter(({ similarity }) => similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity || titleCounts.get(b.title) - titleCounts.get(a.title));
+  similarTitles.forEach(({ title }) => {
+    if (!suggestions.includes(title)) suggestions.push(title);
+  });
+
+  return { corrections, suggestions: suggestions.slice(0, limit) };
+};
@@ -0,0 +1,148 @@
+import { Proposal } from '../models/proposal.model.js';
+import { Team } from '../models/team.model.js';
+import { RingSwap } from '../models/ringSwap.model.js';
+import { User } from '../models/user.model.js';
+import { calculateUserStats } from './BadgeManager.js';
+import { runInTransaction } from './transaction.js';
+import { applyCreditChange, transferCredits, releaseProposalCredits } from './creditManager.js';
+import { assertProposalTransition } from './proposalStateMachine.js';
+
+/**
+ * Increments swapsCompleted exactly once per user and stores any badges that unlocks.
+ * @returns {Promise<Array<{ user: object, newBadges: string[] }>>}
+ */
+const recordCompletedSwap = async (userIds, session) => {
+  const awards = [];
+  for (const userId of userIds) {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { swapsCompleted: 1 } }, { new: true, session })
+      .select('username badges swapsCompleted createdAt');
+    const oldBadges = new Set(user.badges || []);
+    const { earnedBadges } = await calculateUserStats(user);
+    const newBadges = earnedBadges.filter(badge => !oldBadges.has(badge));
+    if (newBadges.length > 0) {
+      await User.updateOne({ _id: userId }, { $set: { badges: earnedBadges } }, { session });
+    }
+    awards.push({ user, newBadges });
+  }
+  return awards;
+};
+
+/**
+ * Records a participant's completion of an accepted swap. When both sides have confirmed,
+ * the swap is settled in a single transaction: escrowed credits are released, both users'
+ * swapsCompleted is incremented and new badges are stored.
+ *
+ * Safe to call repeatedly: only the call that moves the proposal out of `accepted` settles it.
+ * @returns {Promise<{ proposal: object|null, completed: boolean, badgeAwards: Array }>}
+ *   `proposal` is null when the swap is not accepted or the user is not a participant.
+ */
+export const settleSwapCompletion = (proposalId, userId) => runInTransaction(async (session) => {
+  const proposal = await Proposal.findOneAndUpdate(
+    { _id: proposalId, status: 'accepted', $or: [{ proposer: userId }, { receiver: userId }] },
+    { $addToSet: { completedBy: userId } },
+    { new: true, session }
+  ).populate('requestedSkill', 'title category costInCredits');
+
+  if (!proposal) return { proposal: null, completed: false, badgeAwards: [] };
+  if (proposal.completedBy.length < 2) return { proposal, completed: false, badgeAwards: [] };
+
+  assertProposalTransition(proposal, 'completed', 'system');
+
+  const description = `Swap for "${proposal.requestedSkill?.title ?? 'a deleted skill'}"`;
+  if (proposal.proposalType === 'credits' && proposal.escrowStatus === 'held') {
+    await releaseProposalCredits(proposal, description, session);
+  } else if (proposal.proposalType === 'credits') {
+    // Proposals accepted before escrow existed still pay directly from the proposer's balance.
+    await transferCredits({
+      fromUserId: proposal.proposer,
+      toUserId: proposal.receiver,
+      amount: proposal.costInCredits,
+      debitType: 'swap_payment',
+      creditType: 'swap_earning',
+      sourceModel: 'Proposal',
+      sourceId: proposal._id,
+      description,
+      session,
+    });
+  }
+
+  proposal.status = 'completed';
+  await proposal.save({ session, validateBeforeSave: false });
+
+  const badgeAwards = await recordCompletedSwap([proposal.proposer, proposal.receiver], session);
+  return { proposal, completed: true, badgeAwards };
+});
+
+/**
+ * Records a participant's confirmation of one link of an active ring swap. A link settles like a
+ * skill-for-skill swap once its teacher and learner have both confirmed: both users'
+ * swapsCompleted is incremented and new badges are stored. The ring completes with its last link.
+ *
+ * Safe to call repeatedly: only the confirmation that completes a link settles it.
+ * @returns {Promise<{ ringSwap: object|null, edgeCompleted: boolean, ringCompleted: boolean, badgeAwards: Array }>}
+ *   `ringSwap` is null when the link is not open or the user is not on it.
+ */
+export const settleRingEdgeCompletion = (ringSwapId, edgeId, userId) => runInTransaction(async (session) => {
+  const ringSwap = await RingSwap.findOneAndUpdate(
+    {
+      _id: ringSwapId,
+      status: 'active',
+      edges: { $elemMatch: { _id: edgeId, status: 'active', $or: [{ teacher: userId }, { learner: userId }] } },
+    },
+    { $addToSet: { 'edges.$.completedBy': userId } },
+    { new: true, session }
+  );
+
+  if (!ringSwap) return { ringSwap: null, edgeCompleted: false, ringCompleted: false, badgeAwards: [] };
+  const edge = ringSwap.edges.id(edgeId);
+  if (edge.completedBy.length < 2) return { ringSwap, edgeCompleted: false, ringCompleted: false, badgeAwards: [] };
+
+  edge.status = 'completed';
+  edge.completedAt = new Date();
+  const ringCompleted = ringSwap.edges.every(link => link.status === 'completed');
+  if (ringCompleted) ringSwap.status = 'completed';
+  await ringSwap.save({ session });
+
+  const badgeAwards = await recordCompletedSwap([edge.teacher, edge.learner], session);
+  return { ringSwap, edgeCompleted: true, ringCompleted, badgeAwards };
+});
+
+/**
+ * Records a member's confirmation that a team has finished. Once a majority has confirmed,
+ * the team is closed and the instructor is paid in the same transaction.
+ *
+ * Safe to call repeatedly: a member's confirmation is only counted once and only the
+ * confirmation that reaches the majority pays out.
+ * @returns {Promise<{ team: object|null, completed: boolean, totalCreditsAwarded: number }>}
+ *   `team` is null when the confirmation could not be recorded.
+ */
+export const settleTeamCompletion = (teamId, userId) => runInTransaction(async (session) => {
+  const team = await Team.findOneAndUpdate(
+    { _id: teamId, status: 'pending_completion', members: userId, completionConfirmedBy: { $ne: userId } },
+    { $push: { completionConfirmedBy: userId } },
+    { new: true, session }
+  ).populate('skill', 'costInCredits');
+
+  if (!team) return { team: null, completed: false, totalCreditsAwarded: 0 };
+
+  const majorityCount = Math.ceil(team.members.length / 2);
+  if (team.completionConfirmedBy.length < majorityCount) {
+    return { team, completed: false, totalCreditsAwarded: 0 };
+  }
+
+  const costPerMember = team.skill ? team.skill.costInCredits || 0 : 0;
+  const totalCreditsAwarded = team.members.length * costPerMember;
+  await applyCreditChange({
+    userId: team.instructor,
+    amount: totalCreditsAwarded,
+    type: 'team_payout',
+    sourceModel: 'Team',
+    sourceId: team._id,
+    description: `Team "${team.teamName}" completed with ${team.members.length} member(s)`,
+    session,
+  });
+
+  team.status = 'completed';
+  await team.save({ session });
+  return { team, completed: true, totalCreditsAwarded };
+});
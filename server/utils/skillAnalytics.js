@@ -0,0 +1,88 @@
+import { SkillView } from '../models/skillView.model.js';
+import { Proposal } from '../models/proposal.model.js';
+
+// Repeat visits by the same user within this window count as one view.
+const VIEW_DEDUP_MINUTES = 30;
+export const ANALYTICS_DEFAULT_DAYS = 30;
+export const ANALYTICS_MAX_DAYS = 90;
+
+// Statuses a proposal can only reach after the owner accepted it.
+const ACCEPTED_STATUSES = ['accepted', 'completed', 'cancelled'];
+
+/**
+ * Records that `viewerId` opened the skill, unless they already did within the last
+ * VIEW_DEDUP_MINUTES. An upsert keeps the check and the insert in one round trip.
+ */
+export const recordSkillView = (skillId, viewerId) => SkillView.updateOne(
+  { skill: skillId, viewer: viewerId, createdAt: { $gte: new Date(Date.now() - VIEW_DEDUP_MINUTES * 60 * 1000) } },
+  { $setOnInsert: { skill: skillId, viewer: viewerId } },
+  { upsert: true }
+);
+
+const dayKey = date => date.toISOString().slice(0, 10);
+
+const countByDay = (model, match, dateField) => model.aggregate([
+  { $match: match },
+  { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}` } }, count: { $sum: 1 } } },
+]).then(rows => new Map(rows.map(row => [row._id, row.count])));
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * How a skill listing has performed: all-time totals, and daily views, proposals and completed
+ * swaps over the last `days` days (UTC), oldest first.
+ */
+export const getSkillAnalytics = async (skill, { days = ANALYTICS_DEFAULT_DAYS } = {}) => {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const [totalViews, viewers, statusCounts, viewsByDay, proposalsByDay, completionsByDay] = await Promise.all([
+    SkillView.countDocuments({ skill: skill._id }),
+    SkillView.distinct('viewer', { skill: skill._id }),
+    Proposal.aggregate([
+      { $match: { requestedSkill: skill._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]),
+    countByDay(SkillView, { skill: skill._id, createdAt: { $gte: since } }, 'createdAt'),
+    countByDay(Proposal, { requestedSkill: skill._id, createdAt: { $gte: since } }, 'createdAt'),
+    // Proposals do not store when they completed; completion is their last update.
+    countByDay(Proposal, { requestedSkill: skill._id, status: 'completed', updatedAt: { $gte: since } }, 'updatedAt'),
+  ]);
+
+  const byStatus = Object.fromEntries(statusCounts.map(row => [row._id, row.count]));
+  const proposalsReceived = statusCounts.reduce((sum, row) => sum + row.count, 0);
+  const accepted = ACCEPTED_STATUSES.reduce((sum, status) => sum + (byStatus[status] || 0), 0);
+  const completed = byStatus.completed || 0;
+
+  const timeline = [];
+  for (let i = 0; i < days; i++) {
+    const date = new Date(since.getTime() + i * 24 * 60 * 60 * 1000);
+    const key = dayKey(date);
+    timeline.push({
+      date: key,
+      views: viewsByDay.get(key) || 0,
+      proposals: proposalsByDay.get(key) || 0,
+      completions: completionsByDay.get(key) || 0,
+    });
+  }
+
+  return {
+    totals: {
+      views: totalViews,
+      uniqueViewers: viewers.length,
+      bookmarks: skill.bookmarkedBy?.length || 0,
+      proposalsReceived,
+      accepted,
+      completed,
+      // Of the proposals the owner answered, the share they accepted.
+      acceptanceRate: rate(accepted, accepted + (byStatus.rejected || 0)),
+      // Proposals per distinct viewer, and the share of proposals that ended in a completed swap.
+      viewToProposalRate: rate(proposalsReceived, viewers.length),
+      proposalToCompletionRate: rate(completed, proposalsReceived),
+    },
+    proposalsByStatus: byStatus,
+    days,
+    timeline,
+  };
+};
@@ -0,0 +1,94 @@
+import { Skill } from '../models/skill.model.js';
+import { ApiError } from './ApiError.js';
+
+const SKILL_EXPIRY_DAYS = parseInt(process.env.SKILL_EXPIRY_DAYS) || 60;
+const SKILL_RENEWAL_REMINDER_DAYS = parseInt(process.env.SKILL_RENEWAL_REMINDER_DAYS) || 7;
+
+/**
+ * The status changes an owner may make, keyed by current status. in_progress and completed are
+ * driven by swaps, and expired by the expiry job; archiving is the owner's soft delete.
+ */
+const SKILL_OWNER_TRANSITIONS = {
+  draft: ['active', 'archived'],
+  active: ['paused', 'archived'],
+  paused: ['active', 'archived'],
+  in_progress: ['archived'],
+  completed: ['active', 'archived'],
+  expired: ['active', 'archived'],
+};
+
+// Statuses other users can still send new proposals for.
+const PROPOSABLE_STATUSES = ['active', 'in_progress'];
+
+const daysAgo = (days, from = new Date()) => new Date(from.getTime() - days * 24 * 60 * 60 * 1000);
+
+/**
+ * Throws an ApiError unless the owner may move the skill to `nextStatus`.
+ */
+const assertSkillTransition = (skill, nextStatus) => {
+  if (!SKILL_OWNER_TRANSITIONS[skill.status]?.includes(nextStatus)) {
+    throw new ApiError(400, `A ${skill.status.replace('_', ' ')} skill cannot be moved to ${nextStatus}.`);
+  }
+};
+
+/**
+ * Validates and atomically applies an owner's status change. Going live (publishing, resuming or
+ * renewing) restarts the expiry clock; archiving records when it happened.
+ * @param {object} skill - The skill as currently read.
+ * @param {string} nextStatus - The status to move to.
+ * @returns {Promise<object>} The updated skill.
+ */
+const transitionSkillStatus = async (skill, nextStatus) => {
+  assertSkillTransition(skill, nextStatus);
+  const update = { $set: { status: nextStatus } };
+  if (nextStatus === 'active') {
+    update.$set.lastRenewedAt = new Date();
+    update.$unset = { renewalReminderSentAt: 1 };
+  }
+  if (nextStatus === 'archived') update.$set.archivedAt = new Date();
+
+  const updated = await Skill.findOneAndUpdate({ _id: skill._id, status: skill.status }, update, { new: true });
+  if (!updated) {
+    throw new ApiError(409, "This skill was changed in the meantime. Please refresh and try again.");
+  }
+  return updated;
+};
+
+/**
+ * Pushes an active skill's expiry back by restarting its clock.
+ */
+const renewActiveSkill = async (skill) => {
+  const updated = await Skill.findOneAndUpdate(
+    { _id: skill._id, status: 'active' },
+    { $set: { lastRenewedAt: new Date() }, $unset: { renewalReminderSentAt: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ApiError(409, "This skill was changed in the meantime. Please refresh and try again.");
+  }
+  return updated;
+};
+
+/**
+ * Matches active skills whose clock started before `cutoff`. Skills from before lastRenewedAt
+ * existed fall back to their last update.
+ */
+const lastRenewedBefore = (cutoff) => ({
+  status: 'active',
+  $or: [
+    { lastRenewedAt: { $lte: cutoff } },
+    { lastRenewedAt: { $exists: false }, updatedAt: { $lte: cutoff } },
+  ],
+});
+
+export {
+  SKILL_EXPIRY_DAYS,
+  SKILL_RENEWAL_REMINDER_DAYS,
+  SKILL_OWNER_TRANSITIONS,
+  PROPOSABLE_STATUSES,
+  daysAgo,
+  assertSkillTransition,
+  transitionSkillStatus,
+  renewActiveSkill,
+  lastRenewedBefore,
+};
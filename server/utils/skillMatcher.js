@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import natural from 'natural';
+import { Skill } from '../models/skill.model.js';
+import { User } from '../models/user.model.js';
+import { Review } from '../models/review.model.js';
+import { RATING_PRIOR_MEAN, RATING_PRIOR_WEIGHT } from './ratingStats.js';
+import { getEffectiveAvailability, availabilityOverlapRatio } from './availability.js';
+
+const { WordTokenizer, stopwords } = natural;
+const tokenizer = new WordTokenizer();
+const STOPWORDS = new Set(stopwords);
+
+const LEVELS = ['Beginner', 'Intermediate', 'Expert'];
+const EARTH_RADIUS_KM = 6378.1;
+// Distance at which the location score has halved.
+const LOCATION_HALF_SCORE_KM = 50;
+// Score used when a side is remote or has no coordinates: location neither helps nor hurts much.
+const NEUTRAL_SCORE = 0.6;
+// Completed swaps at which experience stops adding to reputation.
+const EXPERIENCED_SWAPS = 10;
+
+// How much each signal counts towards how well one user's offer fills another's request.
+export const MATCH_WEIGHTS = {
+  relevance: 0.4,
+  level: 0.15,
+  location: 0.15,
+  availability: 0.1,
+  reputation: 0.2,
+};
+
+const SKILL_FIELDS = 'user type title category level tags locationString geoCoordinates availability weeklyAvailability';
+
+const toTerms = (skill) => new Set([
+  ...(skill.tags || []).map(tag => tag.toLowerCase()),
+  ...tokenizer.tokenize((skill.title || '').toLowerCase()).filter(term => term.length > 2 && !STOPWORDS.has(term)),
+]);
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(term => { if (b.has(term)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Topic fit: same category counts for half, overlapping tags and title words for the rest.
+ */
+const relevanceScore = (offer, request) => {
+  const overlap = jaccard(toTerms(offer), toTerms(request));
+  return (offer.category === request.category ? 0.5 : 0) + 0.5 * Math.min(1, overlap * 2);
+};
+
+/**
+ * A teacher at or above the level the learner asked for is a full fit; one level below is half.
+ */
+const levelScore = (offer, request) => {
+  const gap = LEVELS.indexOf(offer.level) - LEVELS.indexOf(request.level);
+  if (gap >= 0) return 1;
+  return gap === -1 ? 0.5 : 0;
+};
+
+const hasCoordinates = (skill) => skill.geoCoordinates?.coordinates?.length === 2;
+
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const halfChord = Math.sin(toRadians(lat2 - lat1) / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(Math.min(1, halfChord)));
+};
+
+const locationScore = (offer, request) => {
+  if (!hasCoordinates(offer) || !hasCoordinates(request)) return NEUTRAL_SCORE;
+  const km = distanceKm(offer.geoCoordinates.coordinates, request.geoCoordinates.coordinates);
+  return 1 / (1 + km / LOCATION_HALF_SCORE_KM);
+};
+
+const availabilityTerms = (skill) => new Set(tokenizer.tokenize((skill.availability || '').toLowerCase()));
+
+/**
+ * With weekly slots on both sides, sharing half of the smaller schedule is a full fit and no shared
+ * time at all is none. Otherwise only the free-text note is left: "Flexible" fits anything, and
+ * shared words ("weekends", "evenings") are the best signal there is.
+ */
+const availabilityScore = (offer, request) => {
+  const sharedRatio = availabilityOverlapRatio(offer.weeklyAvailability, request.weeklyAvailability);
+  if (sharedRatio !== null) return Math.min(1, sharedRatio * 2);
+  const offerTerms = availabilityTerms(offer);
+  const requestTerms = availabilityTerms(request);
+  if (offerTerms.size === 0 || requestTerms.size === 0 || offerTerms.has('flexible') || requestTerms.has('flexible')) {
+    return 1;
+  }
+  return Math.max(0.3, jaccard(offerTerms, requestTerms));
+};
+
+/**
+ * Reputation in [0, 1] per user: a Bayesian-smoothed review average, plus completed-swap experience.
+ */
+const loadReputations = async (ids) => {
+  // Aggregation pipelines are not cast by Mongoose, so the IDs must already be ObjectIds.
+  const userIds = ids.map(id => new mongoose.Types.ObjectId(id));
+  const [reviewStats, users] = await Promise.all([
+    Review.aggregate([
+      { $match: { reviewee: { $in: userIds } } },
+      { $group: { _id: '$reviewee', sum: { $sum: '$rating' }, count: { $sum: 1 } } },
+    ]),
+    User.find({ _id: { $in: userIds } }).select('swapsCompleted'),
+  ]);
+  const reviewsByUser = new Map(reviewStats.map(stat => [stat._id.toString(), stat]));
+  return new Map(users.map((user) => {
+    const stat = reviewsByUser.get(user._id.toString()) || { sum: 0, count: 0 };
+    const smoothedRating = (RATING_PRIOR_WEIGHT * RATING_PRIOR_MEAN + stat.sum) / (RATING_PRIOR_WEIGHT + stat.count);
+    const experience = Math.min(user.swapsCompleted || 0, EXPERIENCED_SWAPS) / EXPERIENCED_SWAPS;
+    return [user._id.toString(), 0.7 * ((smoothedRating - 1) / 4) + 0.3 * experience];
+  }));
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * How well `offer` fills `request`, with the signals that went into it. Offers on a different
+ * topic score zero however well everything else lines up.
+ */
+export const scoreOfferForRequest = (offer, request, reputation = NEUTRAL_SCORE) => {
+  const breakdown = {
+    relevance: relevanceScore(offer, request),
+    level: levelScore(offer, request),
+    location: locationScore(offer, request),
+    availability: availabilityScore(offer, request),
+    reputation,
+  };
+  const score = breakdown.relevance === 0
+    ? 0
+    : Object.entries(MATCH_WEIGHTS).reduce((total, [signal, weight]) => total + weight * breakdown[signal], 0);
+  return {
+    score: round(score),
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([signal, value]) => [signal, round(value)])),
+  };
+};
+
+const bestPairing = (offers, requests, reputation) => {
+  let best = null;
+  for (const offer of offers) {
+    for (const request of requests) {
+      const { score, breakdown } = scoreOfferForRequest(offer, request, reputation);
+      if (score > 0 && (!best || score > best.score)) best = { offer, request, score, breakdown };
+    }
+  }
+  return best;
+};
+
+const candidateQuery = (type, userId, skills) => ({
+  type,
+  status: 'active',
+  user: { $ne: userId },
+  $or: [
+    { category: { $in: [...new Set(skills.map(skill => skill.category))] } },
+    { tags: { $in: [...new Set(skills.flatMap(skill => skill.tags || []))] } },
+  ],
+});
+
+/**
+ * Fills in each skill's weekly availability from its owner's profile when it has none of its own.
+ */
+const withEffectiveAvailability = async (skills) => {
+  const ownerIds = [...new Set(skills.map(skill => skill.user.toString()))];
+  const owners = await User.find({ _id: { $in: ownerIds } }).select('weeklyAvailability').lean();
+  const ownersById = new Map(owners.map(owner => [owner._id.toString(), owner]));
+  return skills.map(skill => ({
+    ...skill,
+    weeklyAvailability: getEffectiveAvailability(skill, ownersById.get(skill.user.toString())),
+  }));
+};
+
+const groupByUser = (skills) => skills.reduce((groups, skill) => {
+  const key = skill.user.toString();
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(skill);
+  return groups;
+}, new Map());
+
+/**
+ * Finds users with whom `userId` could swap both ways: one of my offers fills one of their
+ * requests, and one of their offers fills one of mine.
+ *
+ * Each direction is scored by its best offer/request pairing, and the mutual score is the
+ * geometric mean of the two, so a match only ranks highly when it works for both sides.
+ */
+export const findMutualMatches = async (userId, { limit = 20, minScore = 0 } = {}) => {
+  const mySkills = await withEffectiveAvailability(
+    await Skill.find({ user: userId, status: 'active' }).select(SKILL_FIELDS).lean()
+  );
+  const myOffers = mySkills.filter(skill => skill.type === 'OFFER');
+  const myRequests = mySkills.filter(skill => skill.type === 'REQUEST');
+  if (myOffers.length === 0 || myRequests.length === 0) return [];
+
+  const [theirRequests, theirOffers] = await Promise.all([
+    Skill.find(candidateQuery('REQUEST', userId, myOffers)).select(SKILL_FIELDS).lean(),
+    Skill.find(candidateQuery('OFFER', userId, myRequests)).select(SKILL_FIELDS).lean(),
+  ]);
+
+  const offerUserIds = new Set(theirOffers.map(skill => skill.user.toString()));
+  const otherUserIds = [...new Set(theirRequests.map(skill => skill.user.toString()))].filter(id => offerUserIds.has(id));
+  if (otherUserIds.length === 0) return [];
+
+  const candidateIds = new Set(otherUserIds);
+  const candidates = await withEffectiveAvailability(
+    [...theirRequests, ...theirOffers].filter(skill => candidateIds.has(skill.user.toString()))
+  );
+  const requestsByUser = groupByUser(candidates.filter(skill => skill.type === 'REQUEST'));
+  const offersByUser = groupByUser(candidates.filter(skill => skill.type === 'OFFER'));
+
+  const reputations = await loadReputations([userId, ...otherUserIds]);
+  const myReputation = reputations.get(userId.toString()) ?? NEUTRAL_SCORE;
+
+  const matches = [];
+  for (const otherId of otherUserIds) {
+    const iTeach = bestPairing(myOffers, requestsByUser.get(otherId), myReputation);
+    const theyTeach = bestPairing(offersByUser.get(otherId), myRequests, reputations.get(otherId) ?? NEUTRAL_SCORE);
+    if (!iTeach || !theyTeach) continue;
+    const score = round(Math.sqrt(iTeach.score * theyTeach.score));
+    if (score >= minScore) matches.push({ userId: otherId, score, iTeach, theyTeach });
+  }
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, limit);
+};
+
+/**
+ * Swaps skill and user IDs in matches for the documents a client needs to show them.
+ */
+export const populateMatches = async (matches) => {
+  const users = await User.find({ _id: { $in: matches.map(match => match.userId) } })
+    .select('username firstName lastName profilePicture');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const describe = ({ offer, request, score, breakdown }) => ({
+    offer: { _id: offer._id, title: offer.title, category: offer.category, level: offer.level, locationString: offer.locationString },
+    request: { _id: request._id, title: request.title, category: request.category, level: request.level, locationString: request.locationString },
+    score,
+    breakdown,
+  });
+  return matches
+    .filter(match => usersById.has(match.userId))
+    .map(match => ({
+      user: usersById.get(match.userId),
+      score: match.score,
+      iTeach: describe(match.iTeach),
+      theyTeach: describe(match.theyTeach),
+    }));
+};
@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { ApiError } from './ApiError.js';
+import { getMediaStorage } from './mediaStorage.js';
+
+export const MAX_GALLERY_IMAGES = 8;
+export const MAX_MEDIA_LINKS = 10;
+export const MAX_IMAGE_BYTES = (parseInt(process.env.MEDIA_MAX_IMAGE_MB) || 5) * 1024 * 1024;
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Formats sharp may report for an upload; anything else is rejected whatever the client claimed.
+const ALLOWED_FORMATS = new Set(['jpeg', 'png', 'webp', 'gif']);
+// Refuses to decode images that would blow up in memory.
+const MAX_INPUT_PIXELS = 40_000_000;
+const DISPLAY_WIDTH = 1600;
+const THUMBNAIL_SIZE = { width: 400, height: 300 };
+
+/**
+ * Checks that `buffer` really is an allowed image, then produces the display image (at most
+ * DISPLAY_WIDTH wide) and a cropped thumbnail, both as WebP. Re-encoding also drops EXIF data
+ * such as GPS positions.
+ */
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw new ApiError(415, "The file is not a readable image.");
+  }
+  if (!ALLOWED_FORMATS.has(metadata.format)) {
+    throw new ApiError(415, "Only JPEG, PNG, WebP and GIF images are allowed.");
+  }
+
+  const base = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  const { data: image, info } = await base()
+    .resize({ width: DISPLAY_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await base()
+    .resize({ ...THUMBNAIL_SIZE, fit: 'cover' })
+    .webp({ quality: 75 })
+    .toBuffer();
+  return { image, thumbnail, width: info.width, height: info.height };
+};
+
+/**
+ * Processes an uploaded image and stores it with its thumbnail, returning a gallery entry.
+ */
+export const storeSkillImage = async (skillId, buffer) => {
+  const { image, thumbnail, width, height } = await processImage(buffer);
+  const storage = getMediaStorage();
+  const name = crypto.randomBytes(12).toString('hex');
+  const stored = await storage.save({ buffer: image, key: `skills/${skillId}/${name}.webp`, contentType: 'image/webp' });
+  const storedThumbnail = await storage.save({ buffer: thumbnail, key: `skills/${skillId}/${name}_thumb.webp`, contentType: 'image/webp' });
+  return {
+    url: stored.url,
+    storageKey: stored.key,
+    thumbnailUrl: storedThumbnail.url,
+    thumbnailKey: storedThumbnail.key,
+    width,
+    height,
+  };
+};
+
+const VIDEO_PROVIDERS = [
+  {
+    name: 'youtube',
+    match: (url) => {
+      const host = url.hostname.replace(/^(www\.|m\.)/, '');
+      if (host === 'youtu.be') return url.pathname.slice(1);
+      if (host !== 'youtube.com') return null;
+      if (url.pathname === '/watch') return url.searchParams.get('v');
+      return url.pathname.match(/^\/(?:shorts|embed)\/([\w-]+)/)?.[1];
+    },
+    embed: id => `https://www.youtube.com/embed/${id}`,
+  },
+  {
+    name: 'vimeo',
+    match: url => (url.hostname.replace(/^www\./, '') === 'vimeo.com' ? url.pathname.match(/^\/(\d+)/)?.[1] : null),
+    embed: id => `https://player.vimeo.com/video/${id}`,
+  },
+  {
+    name: 'loom',
+    match: url => (url.hostname.replace(/^www\./, '') === 'loom.com' ? url.pathname.match(/^\/share\/([\w-]+)/)?.[1] : null),
+    embed: id => `https://www.loom.com/embed/${id}`,
+  },
+];
+
+/**
+ * Validates a sample-work or video link. Videos must come from a provider that can be embedded,
+ * and get its embed URL.
+ */
+export const parseMediaLink = ({ kind, url, title }) => {
+  if (!['sample', 'video'].includes(kind)) throw new ApiError(400, "Link kind must be 'sample' or 'video'.");
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ApiError(400, "Please enter a valid URL.");
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new ApiError(400, "Links must start with http:// or https://.");
+
+  const link = { kind, url: parsed.toString(), title: title?.trim() || undefined };
+  if (kind === 'video') {
+    for (const provider of VIDEO_PROVIDERS) {
+      const id = provider.match(parsed);
+      if (id && /^[\w-]+$/.test(id)) return { ...link, provider: provider.name, embedUrl: provider.embed(id) };
+    }
+    throw new ApiError(400, "Video links must be from YouTube, Vimeo or Loom.");
+  }
+  return link;
+};
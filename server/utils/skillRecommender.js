@@ -0,0 +1,169 @@
+import natural from 'natural';
+import { Skill } from '../models/skill.model.js';
+import { Proposal } from '../models/proposal.model.js';
+import { SkillView } from '../models/skillView.model.js';
+
+const { TfIdf } = natural;
+
+// How strongly each kind of interest counts, relative to an explicit "I want to learn this".
+export const SIGNAL_WEIGHTS = {
+  skillsToLearn: 1,
+  bookmark: 0.9,
+  proposal: 0.8,
+  view: 0.4,
+};
+
+// Newest active skills considered per request; keeps the TF-IDF model small.
+const MAX_CANDIDATES = 500;
+const MAX_VIEWS = 30;
+const MAX_PROPOSALS = 30;
+// Trade-off between relevance (1) and variety (0) when re-ranking.
+const DIVERSITY_LAMBDA = 0.7;
+// Candidates less similar than this to every signal are not recommended for that signal.
+const MIN_SIMILARITY = 0.05;
+
+// The title is repeated so it outweighs a long description.
+const skillText = skill => [skill.title, skill.title, skill.description, ...(skill.tags || [])].filter(Boolean).join(' ');
+
+const toVector = (tfidf, index) => {
+  const vector = new Map();
+  tfidf.listTerms(index).forEach(({ term, tfidf: weight }) => vector.set(term, weight));
+  return vector;
+};
+
+const norm = vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+
+const cosine = (a, b) => {
+  const [small, large] = a.vector.size <= b.vector.size ? [a, b] : [b, a];
+  if (small.norm === 0 || large.norm === 0) return 0;
+  let dot = 0;
+  small.vector.forEach((weight, term) => {
+    const other = large.vector.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot / (small.norm * large.norm);
+};
+
+/**
+ * What the user has shown interest in, each with the reason it would be cited for.
+ */
+const loadSignals = async (user) => {
+  const [bookmarked, proposals, views] = await Promise.all([
+    Skill.find({ bookmarkedBy: user._id }).select('title description tags').lean(),
+    Proposal.find({ proposer: user._id }).sort({ createdAt: -1 }).limit(MAX_PROPOSALS).select('requestedSkill').lean(),
+    SkillView.find({ viewer: user._id }).sort({ createdAt: -1 }).limit(MAX_VIEWS).select('skill').lean(),
+  ]);
+
+  const proposedIds = proposals.map(proposal => proposal.requestedSkill?.toString()).filter(Boolean);
+  const bookmarkedIds = new Set(bookmarked.map(skill => skill._id.toString()));
+  const viewedIds = [...new Set(views.map(view => view.skill.toString()))]
+    .filter(id => !bookmarkedIds.has(id) && !proposedIds.includes(id));
+  const related = await Skill.find({ _id: { $in: [...proposedIds, ...viewedIds] } }).select('title description tags').lean();
+  const relatedById = new Map(related.map(skill => [skill._id.toString(), skill]));
+
+  const signals = [
+    ...(user.skillsToLearn || []).map(title => ({ type: 'skillsToLearn', title, text: title })),
+    ...bookmarked.map(skill => ({ type: 'bookmark', title: skill.title, skillId: skill._id, text: skillText(skill) })),
+    ...[...new Set(proposedIds)].filter(id => relatedById.has(id)).map(id => ({
+      type: 'proposal', title: relatedById.get(id).title, skillId: relatedById.get(id)._id, text: skillText(relatedById.get(id)),
+    })),
+    ...viewedIds.filter(id => relatedById.has(id)).map(id => ({
+      type: 'view', title: relatedById.get(id).title, skillId: relatedById.get(id)._id, text: skillText(relatedById.get(id)),
+    })),
+  ];
+
+  return { signals, excludedIds: new Set([...bookmarkedIds, ...proposedIds]) };
+};
+
+/**
+ * Maximal marginal relevance: repeatedly takes the candidate with the best mix of relevance and
+ * dissimilarity to what has already been picked, so one topic cannot fill every slot.
+ */
+const diversify = (scored, limit) => {
+  const picked = [];
+  const remaining = [...scored];
+  while (picked.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((candidate, index) => {
+      const redundancy = picked.reduce((max, chosen) => Math.max(max, cosine(candidate, chosen)), 0);
+      const sameCategory = picked.some(chosen => chosen.skill.category === candidate.skill.category) ? 0.1 : 0;
+      const value = DIVERSITY_LAMBDA * candidate.score - (1 - DIVERSITY_LAMBDA) * (redundancy + sameCategory);
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+    picked.push(remaining.splice(bestIndex, 1)[0]);
+  }
+  return picked;
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Recommends skills for `user`, each with a `recommendation` explaining why: `reason.type` is the
+ * signal that fit it best (skillsToLearn, bookmark, proposal or view) and `reason.title` what it
+ * was. Users with no signals yet get the newest skills, with reason type "new".
+ *
+ * Skills the user owns, has bookmarked or has already proposed on are never recommended.
+ */
+export const recommendSkills = async (user, { limit = 6 } = {}) => {
+  const { signals, excludedIds } = await loadSignals(user);
+
+  const candidates = (await Skill.find({ user: { $ne: user._id }, status: 'active' })
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean())
+    .filter(skill => !excludedIds.has(skill._id.toString()));
+
+  let ranked;
+  if (signals.length === 0) {
+    ranked = candidates.slice(0, limit).map(skill => ({ skill, score: 0, reason: { type: 'new' } }));
+  } else {
+    const tfidf = new TfIdf();
+    candidates.forEach(skill => tfidf.addDocument(skillText(skill)));
+    signals.forEach(signal => tfidf.addDocument(signal.text));
+    const describe = (index) => {
+      const vector = toVector(tfidf, index);
+      return { vector, norm: norm(vector) };
+    };
+    const signalVectors = signals.map((signal, index) => ({ ...signal, ...describe(candidates.length + index) }));
+
+    const scored = [];
+    candidates.forEach((skill, index) => {
+      const candidate = { skill, ...describe(index) };
+      let best = null;
+      let total = 0;
+      signalVectors.forEach((signal) => {
+        const similarity = cosine(candidate, signal);
+        if (similarity < MIN_SIMILARITY) return;
+        const weighted = SIGNAL_WEIGHTS[signal.type] * similarity;
+        total += weighted;
+        if (!best || weighted > best.weighted) best = { weighted, signal };
+      });
+      if (!best) return;
+      // The best single reason dominates; agreeing signals add a little on top.
+      const score = best.weighted + 0.1 * (total - best.weighted);
+      scored.push({ ...candidate, score, reason: { type: best.signal.type, title: best.signal.title, skillId: best.signal.skillId } });
+    });
+    scored.sort((a, b) => b.score - a.score);
+    ranked = diversify(scored.slice(0, limit * 5), limit);
+
+    // Top up with the newest skills when too few are related to anything the user likes.
+    if (ranked.length < limit) {
+      const rankedIds = new Set(ranked.map(({ skill }) => skill._id.toString()));
+      candidates
+        .filter(skill => !rankedIds.has(skill._id.toString()))
+        .slice(0, limit - ranked.length)
+        .forEach(skill => ranked.push({ skill, score: 0, reason: { type: 'new' } }));
+    }
+  }
+
+  const hydrated = ranked.map(({ skill }) => Skill.hydrate(skill));
+  await Skill.populate(hydrated, { path: 'user', select: 'username profilePicture' });
+  return hydrated.map((skill, index) => ({
+    ...skill.toJSON(),
+    recommendation: { score: round(ranked[index].score), reason: ranked[index].reason },
+  }));
+};
@@ -0,0 +1,313 @@
+import mongoose from 'mongoose';
+import { Skill } from '../models/skill.model.js';
+import { ApiError } from './ApiError.js';
+import { RATING_PRIOR_MEAN } from './ratingStats.js';
+import { getSpellingSuggestions } from './searchVocabulary.js';
+import { parseAvailabilityFilter } from './availability.js';
+import { categoryNameFor } from './categories.js';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+export const SKILL_TYPES = ['OFFER', 'REQUEST'];
+export const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Expert'];
+
+// Credit-cost buckets, each covering [min, below).
+export const COST_RANGES = [
+  { value: 'free', label: 'Free', min: 0, below: 1 },
+  { value: '1-10', label: '1–10 credits', min: 1, below: 11 },
+  { value: '11-25', label: '11–25 credits', min: 11, below: 26 },
+  { value: '26-50', label: '26–50 credits', min: 26, below: 51 },
+  { value: '51+', label: '51+ credits', min: 51, below: Infinity },
+];
+
+// Every sort ends on _id so the order is total and a cursor always points at one place.
+export const SEARCH_SORTS = {
+  relevance: [['_relevance', -1], ['_id', -1]],
+  newest: [['createdAt', -1], ['_id', -1]],
+  rating: [['_rating', -1], ['_ratingCount', -1], ['_id', -1]],
+  cost: [['_cost', 1], ['_id', 1]],
+  distance: [['_distance', 1], ['_id', 1]],
+};
+
+const MAX_LIMIT = 50;
+// Searches with fewer hits than this also return "did you mean" suggestions.
+const FEW_RESULTS = 3;
+const LOCATION_FACET_SIZE = 10;
+const HELPER_FIELDS = ['_relevance', '_rating', '_ratingCount', '_cost', '_distance', '_availability'];
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+const escapeRegex = (text) => text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+
+const encodeCursor = (sort, values) =>
+  Buffer.from(EJSON.stringify({ sort, values }, { relaxed: false })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new ApiError(400, "Invalid cursor.");
+  }
+  if (decoded?.sort !== sort || !Array.isArray(decoded.values) || decoded.values.length !== SEARCH_SORTS[sort].length) {
+    throw new ApiError(400, "This cursor belongs to a different search. Start again from the first page.");
+  }
+  return decoded.values;
+};
+
+/**
+ * Matches documents strictly after `values` in the given sort order.
+ */
+const buildCursorMatch = (sortKeys, values) => ({
+  $or: sortKeys.map(([field, direction], i) => {
+    const clause = {};
+    sortKeys.slice(0, i).forEach(([previousField], j) => { clause[previousField] = values[j]; });
+    clause[field] = { [direction < 0 ? '$lt' : '$gt']: values[i] };
+    return clause;
+  }),
+});
+
+/**
+ * Parses `near` ("lat,lng") and `radius` (km) into a search origin, or null when not given.
+ */
+const parseNear = (near, radius) => {
+  if (!near) return null;
+  const [lat, lng] = String(near).split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new ApiError(400, "`near` must be \"latitude,longitude\".");
+  }
+  const radiusKm = radius === undefined ? DEFAULT_RADIUS_KM : Number(radius);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    throw new ApiError(400, `\`radius\` must be between 0 and ${MAX_RADIUS_KM} km.`);
+  }
+  return { lat, lng, radiusKm };
+};
+
+const toRadians = (expression) => ({ $degreesToRadians: expression });
+
+/**
+ * Great-circle (haversine) distance in km from `origin` to a skill's coordinates. $geoNear would
+ * do this for us, but it has to be the first stage and cannot be combined with $text.
+ */
+const distanceFrom = ({ lat, lng }) => {
+  const skillLat = toRadians({ $arrayElemAt: ['$geoCoordinates.coordinates', 1] });
+  const skillLng = toRadians({ $arrayElemAt: ['$geoCoordinates.coordinates', 0] });
+  const originLat = (lat * Math.PI) / 180;
+  const originLng = (lng * Math.PI) / 180;
+  const halfChordSquared = {
+    $add: [
+      { $pow: [{ $sin: { $divide: [{ $subtract: [skillLat, originLat] }, 2] } }, 2] },
+      {
+        $multiply: [
+          Math.cos(originLat),
+          { $cos: skillLat },
+          { $pow: [{ $sin: { $divide: [{ $subtract: [skillLng, originLng] }, 2] } }, 2] },
+        ],
+      },
+    ],
+  };
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, halfChordSquared] } } }] };
+};
+
+/**
+ * One $match per filter dimension, so each facet can be counted with every filter except its own.
+ */
+const buildFilterMatches = ({ category, level, type, location, cost, available }) => {
+  const matches = {};
+  if (category) matches.category = { category };
+  if (level) {
+    if (!SKILL_LEVELS.includes(level)) throw new ApiError(400, `Invalid level. Use one of: ${SKILL_LEVELS.join(', ')}.`);
+    matches.level = { level };
+  }
+  if (type) {
+    if (!SKILL_TYPES.includes(type)) throw new ApiError(400, `Invalid type. Use one of: ${SKILL_TYPES.join(', ')}.`);
+    matches.type = { type };
+  }
+  if (location) matches.location = { locationString: { $regex: new RegExp(escapeRegex(location), 'i') } };
+  if (cost) {
+    const range = COST_RANGES.find(r => r.value === cost);
+    if (!range) throw new ApiError(400, `Invalid cost range. Use one of: ${COST_RANGES.map(r => r.value).join(', ')}.`);
+    matches.cost = { _cost: range.below === Infinity ? { $gte: range.min } : { $gte: range.min, $lt: range.below } };
+  }
+  if (available) {
+    const { days, window } = parseAvailabilityFilter(available);
+    matches.available = {
+      '_availability.slots': { $elemMatch: { day: { $in: days }, start: { $lt: window.end }, end: { $gt: window.start } } },
+    };
+  }
+  return matches;
+};
+
+const buildBaseMatch = (query, origin) => {
+  // Drafts, paused, expired and archived listings never show up in search.
+  const baseMatch = { status: 'active' };
+  if (query) baseMatch.$text = { $search: query };
+  if (origin) {
+    baseMatch.geoCoordinates = {
+      $geoWithin: { $centerSphere: [[origin.lng, origin.lat], origin.radiusKm / EARTH_RADIUS_KM] },
+    };
+  }
+  return baseMatch;
+};
+
+/**
+ * The same filter a search with these parameters applies, as a plain find() query. Covers the
+ * filters that need no computed fields, which is what saved-search alerts use.
+ */
+export const buildSkillQuery = async ({ q, category, level, location, near, radius }) => {
+  const matches = buildFilterMatches({ category: category && await categoryNameFor(category), level, location });
+  return { ...buildBaseMatch(q?.trim(), parseNear(near, radius)), ...combine(matches) };
+};
+
+/**
+ * Adds `_availability`: the skill's own weekly availability, or its owner's when it has none.
+ * Only needed, and only paid for, when filtering by availability.
+ */
+const availabilityStages = () => [
+  {
+    $lookup: {
+      from: 'users',
+      localField: 'user',
+      foreignField: '_id',
+      pipeline: [{ $project: { weeklyAvailability: 1 } }],
+      as: '_owner',
+    },
+  },
+  {
+    $addFields: {
+      _availability: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$weeklyAvailability.slots', []] } }, 0] },
+          '$weeklyAvailability',
+          { $arrayElemAt: ['$_owner.weeklyAvailability', 0] },
+        ],
+      },
+    },
+  },
+  { $project: { _owner: 0 } },
+];
+
+const combine = (matches, except) => ({
+  $and: [{}, ...Object.entries(matches).filter(([key]) => key !== except).map(([, match]) => match)],
+});
+
+const countBy = (field, except, matches, extraStages = []) => [
+  { $match: combine(matches, except) },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...extraStages,
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+/**
+ * Runs a faceted skill search and returns one page of results.
+ *
+ * Results are ranked by text relevance when `q` is given (otherwise newest first) and paged with an
+ * opaque keyset cursor, so pages stay stable while new skills are being posted.
+ */
+export const runSkillSearch = async ({ q, sort, cursor, limit, near, radius, ...filters }) => {
+  const query = q?.trim();
+  const origin = parseNear(near, radius);
+  const sortName = sort || (query ? 'relevance' : 'newest');
+  if (!SEARCH_SORTS[sortName]) {
+    throw new ApiError(400, `Invalid sort. Use one of: ${Object.keys(SEARCH_SORTS).join(', ')}.`);
+  }
+  // Without a query every document scores the same, so fall back to newest.
+  const effectiveSort = sortName === 'relevance' && !query ? 'newest' : sortName;
+  if (effectiveSort === 'distance' && !origin) {
+    throw new ApiError(400, "Sorting by distance needs a `near` location.");
+  }
+  const sortKeys = SEARCH_SORTS[effectiveSort];
+  const pageSize = Math.min(Math.max(parseInt(limit) || 12, 1), MAX_LIMIT);
+  const category = filters.category && await categoryNameFor(filters.category);
+  const matches = buildFilterMatches({ ...filters, category });
+
+  const resultStages = [{ $match: combine(matches) }];
+  if (cursor) resultStages.push({ $match: buildCursorMatch(sortKeys, decodeCursor(cursor, effectiveSort)) });
+  resultStages.push({ $sort: Object.fromEntries(sortKeys) }, { $limit: pageSize + 1 });
+
+  const baseMatch = buildBaseMatch(query, origin);
+
+  const [result] = await Skill.aggregate([
+    { $match: baseMatch },
+    ...(matches.available ? availabilityStages() : []),
+    {
+      $addFields: {
+        _relevance: query ? { $meta: 'textScore' } : 0,
+        _distance: origin ? distanceFrom(origin) : null,
+        _rating: { $ifNull: ['$ratingStats.bayesianScore', RATING_PRIOR_MEAN] },
+        _ratingCount: { $ifNull: ['$ratingStats.count', 0] },
+        _cost: { $ifNull: ['$costInCredits', 0] },
+      },
+    },
+    {
+      $facet: {
+        results: resultStages,
+        total: [{ $match: combine(matches) }, { $count: 'count' }],
+        category: countBy('category', 'category', matches),
+        level: countBy('level', 'level', matches),
+        type: countBy('type', 'type', matches),
+        location: countBy('locationString', 'location', matches, [{ $limit: LOCATION_FACET_SIZE }]),
+        cost: [
+          { $match: combine(matches, 'cost') },
+          {
+            $bucket: {
+              groupBy: '$_cost',
+              boundaries: COST_RANGES.map(range => range.min),
+              default: 'over',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const hasMore = result.results.length > pageSize;
+  const page = result.results.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const nextCursor = hasMore ? encodeCursor(effectiveSort, sortKeys.map(([field]) => last[field])) : null;
+
+  const hydrated = page.map((doc) => {
+    const clean = { ...doc };
+    HELPER_FIELDS.forEach(field => delete clean[field]);
+    return Skill.hydrate(clean);
+  });
+  await Skill.populate(hydrated, { path: 'user', select: 'username profilePicture location' });
+  const skills = hydrated.map((skill, i) => (
+    origin ? { ...skill.toJSON(), distanceKm: Math.round(page[i]._distance * 10) / 10 } : skill
+  ));
+
+  // $bucket labels buckets by their lower bound, and anything past the last bound as 'over'.
+  const costCounts = new Map(result.cost.map(bucket => [bucket._id, bucket.count]));
+  const lastRange = COST_RANGES[COST_RANGES.length - 1];
+  const costFacet = COST_RANGES
+    .map(range => ({
+      value: range.value,
+      label: range.label,
+      count: (costCounts.get(range.min) || 0) + (range === lastRange ? costCounts.get('over') || 0 : 0),
+    }))
+    .filter(bucket => bucket.count > 0);
+
+  const total = result.total[0]?.count || 0;
+  const didYouMean = query && total < FEW_RESULTS
+    ? await getSpellingSuggestions(query)
+    : { corrections: [], suggestions: [] };
+
+  return {
+    skills,
+    total,
+    didYouMean,
+    nextCursor,
+    sort: effectiveSort,
+    facets: {
+      category: result.category,
+      level: result.level,
+      type: result.type,
+      location: result.location,
+      cost: costFacet,
+    },
+  };
+};
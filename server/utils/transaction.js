@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/**
+ * Runs `work` inside a MongoDB transaction and returns its result.
+ * The callback may be retried on transient errors, so it must only touch the database
+ * through the session it is given and must not emit sockets or notifications itself.
+ * @param {(session: import('mongoose').ClientSession) => Promise<any>} work
+ */
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { authenticator as defaultAuthenticator } from 'otplib';
+import QRCode from 'qrcode';
+import { User } from '../models/user.model.js';
+import { AuthCode } from '../models/authCode.model.js';
+import { ApiError } from './ApiError.js';
+import { hashToken } from './authTokens.js';
+
+const ISSUER = 'skill4skill';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const STEP_SECONDS = 30;
+
+// Accepts the previous and next code too, for phones whose clock is a little off.
+const authenticator = defaultAuthenticator.clone({ window: 1, step: STEP_SECONDS });
+
+// Recovery codes are compared case- and dash-insensitively: "ab12c-3de45" == "AB12C3DE45".
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+const isTotpFormat = (code) => /^\d{6}$/.test(String(code).replace(/\s/g, ''));
+
+/**
+ * Checks a 6-digit code against a secret and claims its time step, so the same code cannot
+ * be replayed while it is still valid.
+ */
+const claimTotp = async (userId, secret, code) => {
+  const token = String(code).replace(/\s/g, '');
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return false;
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }] },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return modifiedCount > 0;
+};
+
+/**
+ * Starts (or restarts) enrollment with a fresh secret. Nothing changes for logins until the
+ * user confirms a code from it with confirmEnrollment.
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL.
+ */
+export const startEnrollment = async (user) => {
+  if (user.twoFactorEnabled) throw new ApiError(400, "Two-factor authentication is already on.");
+  const secret = authenticator.generateSecret(20);
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: secret } });
+  const otpauthUrl = authenticator.keyuri(user.email || user.username, ISSUER, secret);
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Turns 2FA on once the user proves their app produces the right codes.
+ * @returns {Promise<string[]>} The recovery codes, shown to the user this once.
+ */
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorPendingSecret');
+  if (!user.twoFactorPendingSecret) throw new ApiError(400, "Start the two-factor setup first.");
+  if (!isTotpFormat(code) || !(await claimTotp(userId, user.twoFactorPendingSecret, code))) {
+    throw new ApiError(400, "That code is not valid. Check your authenticator app and try again.");
+  }
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { twoFactorEnabled: true, twoFactorSecret: user.twoFactorPendingSecret, twoFactorRecoveryCodes: hashes },
+      $unset: { twoFactorPendingSecret: 1 },
+    }
+  );
+  return codes;
+};
+
+/**
+ * Checks a code from the authenticator app, or uses up one recovery code.
+ * @returns {Promise<{ usedRecoveryCode: boolean }>}
+ */
+export const verifySecondFactor = async (userId, code) => {
+  if (!code) throw new ApiError(400, "An authentication code is required.");
+  const user = await User.findById(userId).select('+twoFactorSecret');
+  if (!user?.twoFactorEnabled) throw new ApiError(400, "Two-factor authentication is not on for this account.");
+
+  if (isTotpFormat(code)) {
+    if (await claimTotp(userId, user.twoFactorSecret, code)) return { usedRecoveryCode: false };
+  } else {
+    // Pulled atomically, so a recovery code works exactly once.
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, twoFactorRecoveryCodes: hashToken(normalizeRecoveryCode(code)) },
+      { $pull: { twoFactorRecoveryCodes: hashToken(normalizeRecoveryCode(code)) } }
+    );
+    if (modifiedCount) return { usedRecoveryCode: true };
+  }
+  throw new ApiError(401, "Invalid authentication code.");
+};
+
+/**
+ * Replaces all recovery codes with a new set.
+ * @returns {Promise<string[]>}
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { twoFactorRecoveryCodes: hashes } });
+  return codes;
+};
+
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 },
+    }
+  );
+};
+
+export const countRecoveryCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactorRecoveryCodes');
+  return user?.twoFactorRecoveryCodes?.length ?? 0;
+};
+
+/**
+ * The token a login returns in place of auth tokens when the account has 2FA on. It proves the
+ * password (or Google) step passed, for a few minutes and a few code attempts.
+ * @returns {Promise<string>}
+ */
+export const createTwoFactorChallenge = async (userId) => {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  await AuthCode.create({
+    codeHash: hashToken(challengeToken),
+    user: userId,
+    purpose: 'two-factor',
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+  });
+  return challengeToken;
+};
+
+/**
+ * Completes a login challenge with a second-factor code.
+ * @returns {Promise<mongoose.Types.ObjectId>} The user who may now be signed in.
+ */
+export const redeemTwoFactorChallenge = async (challengeToken, code) => {
+  if (!challengeToken || typeof challengeToken !== 'string') throw new ApiError(400, "Challenge token is required");
+  // Counted before checking, so parallel guesses cannot get past the limit.
+  const challenge = await AuthCode.findOneAndUpdate(
+    { codeHash: hashToken(challengeToken), purpose: 'two-factor', expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!challenge) throw new ApiError(401, "Your login has expired. Please log in again.");
+  if (challenge.attempts > MAX_CHALLENGE_ATTEMPTS) {
+    throw new ApiError(429, "Too many incorrect codes. Please log in again.");
+  }
+
+  await verifySecondFactor(challenge.user, code);
+  // Deleted on success, so the challenge cannot be redeemed twice.
+  const redeemed = await AuthCode.findOneAndDelete({ _id: challenge._id });
+  if (!redeemed) throw new ApiError(401, "Your login has expired. Please log in again.");
+  return challenge.user;
+};